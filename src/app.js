@@ -1,31 +1,66 @@
 import {
-  applyDrawAnnotations,
-  applyHighlightAnnotations,
-  applyImageAnnotations,
-  applyPageProperties,
-  applyShapeAnnotations,
-  applySignatureAnnotations,
-  applyTextAnnotations,
+  convertQuadsToViewportRects,
+  convertViewportRectToPdfRect,
+  exportDocument,
+  extractPageText,
+  findTextMatches,
+  getPageSize,
+  getTextRangeQuads,
+  hidePdfAnnotations,
+  importPdfAnnotations,
+  isFontBytes,
   isPdfBytes,
   isPdfFile,
   loadPdfDocument,
   mergePdfs,
   readFileAsArrayBuffer,
+  readFormFields,
+  readPdfMetadata,
   renderPageToCanvas,
+  redactPdf,
+  renderTextLayer,
   reorderPdf,
   splitPdf
 } from "./pdfService.js";
 import {
   clearSessionHistory,
   clearSignatureProfile,
+  loadCustomFonts,
   loadLastPdf,
   loadSessionHistory,
   loadSignatureProfile,
+  saveCustomFonts,
   saveLastPdf,
   saveSessionHistory,
   saveSignatureProfile
 } from "./storage.js";
 import { SIGNATURE_LAYOUT, SIGNATURE_VARIANTS, getSignatureVariant } from "./signatureData.js";
+import {
+  TEXT_MARKUP_TYPES,
+  getMarkupStroke,
+  mergeLineRects
+} from "./textMarkup.js";
+import {
+  REDACTION_PATTERNS,
+  findSensitiveMatches,
+  parseCustomPatterns
+} from "./redactionPatterns.js";
+import { encryptPdf, hasEncryptionDictionary, unlockPdf } from "./pdfSecurity.js";
+import {
+  FORM_DATA_FORMATS,
+  coerceFormValue,
+  detectFormDataFormat,
+  parseFormData,
+  serializeFormData
+} from "./formData.js";
+import {
+  buildMergeFileName,
+  csvValueToFormValue,
+  fillPlaceholders,
+  findPlaceholders,
+  parseCsv
+} from "./mailMerge.js";
+import { createZip } from "./zip.js";
 
 const state = {
   originalBytes: null,
@@ -33,10 +68,14 @@ const state = {
   pdfDoc: null,
   pageCount: 0,
   currentPage: 1,
+  zoom: 1,
+  zoomMode: "fit-width",
+  viewMode: "single",
   pageOrder: [],
   imageAssets: [],
   imageAnnotations: [],
   textAnnotations: [],
+  customFonts: [],
   activeTool: "select",
   selectedTextId: null,
   textDefaults: {
@@ -45,7 +84,9 @@ const state = {
     color: "#111111",
     bold: false,
     italic: false,
-    underline: false
+    underline: false,
+    align: "left",
+    lineHeight: 1.2
   },
   installPromptEvent: null,
   panePositions: {},
@@ -55,12 +96,15 @@ const state = {
   highlightAnnotations: [],
   shapeAnnotations: [],
   shapeDraft: null,
+  redactionAnnotations: [],
   selectedTextElement: null,
   toolDefaults: {
     draw: { color: "#2563eb", size: 4 },
-    highlight: { color: "#f59e0b", opacity: 0.35 },
+    highlight: { color: "#f59e0b", opacity: 0.35, markupType: "rectangle" },
     comment: { color: "#111111", text: "Comment" },
     stamp: { text: "APPROVED", color: "#111111" },
+    redact: { label: "REDACTED", fillColor: "#000000" },
+    form: { fieldType: "text" },
     shapes: {
       shapeType: "rect",
       strokeColor: "#2563eb",
@@ -83,12 +127,63 @@ const state = {
   commentAnnotations: [],
   stampAnnotations: [],
   selectedStampId: null,
+  formFieldAnnotations: [],
+  selectedFormFieldId: null,
   sessionEntries: [],
   sessionHistoryEnabled: true,
   currentFileName: "",
-  currentFileHash: ""
+  currentFileHash: "",
+  fileHandle: null,
+  security: null,
+  formFields: [],
+  formValues: {},
+  importedAnnotationIds: [],
+  exportOptions: {
+    annotationMode: "flatten",
+    saveMode: "full",
+    fileName: "",
+    metadata: {},
+    stripMetadata: false,
+    optimize: false,
+    imageDpi: 150,
+    jpegQuality: 80,
+    flattenForm: false,
+    encryption: createEncryptionOptions()
+  }
 };
 
+const EXPORT_PERMISSIONS = [
+  { key: "printing", label: "Allow printing" },
+  { key: "copying", label: "Allow copying text" },
+  { key: "editing", label: "Allow editing" },
+  { key: "formFilling", label: "Allow filling forms" }
+];
+
+// Passwords are never carried over to the next document.
+function createEncryptionOptions() {
+  return {
+    enabled: false,
+    userPassword: "",
+    ownerPassword: "",
+    permissions: { printing: true, copying: false, editing: false, formFilling: true }
+  };
+}
+
+const PDF_FILE_TYPES = [
+  { description: "PDF document", accept: { "application/pdf": [".pdf"] } }
+];
+
+const METADATA_FIELDS = [
+  { key: "title", label: "Title", type: "text" },
+  { key: "author", label: "Author", type: "text" },
+  { key: "subject", label: "Subject", type: "text" },
+  { key: "keywords", label: "Keywords", type: "text" },
+  { key: "creator", label: "Creator", type: "text" },
+  { key: "producer", label: "Producer", type: "text" },
+  { key: "creationDate", label: "Created", type: "datetime-local" },
+  { key: "modificationDate", label: "Modified", type: "datetime-local" }
+];
+
 const TOOL_DEFS = [
   { id: "select", label: "Select" },
   { id: "text", label: "Text" },
@@ -97,14 +192,96 @@ const TOOL_DEFS = [
   { id: "shapes", label: "Shapes" },
   { id: "comment", label: "Comment" },
   { id: "stamp", label: "Stamp" },
+  { id: "redact", label: "Redact" },
   { id: "page-properties", label: "Page Properties" },
   { id: "image", label: "Image" },
   { id: "signature", label: "Signature" },
+  { id: "form", label: "Form" },
+  { id: "mail-merge", label: "Mail Merge" },
   { id: "split", label: "Split" }
 ];
 
+const HISTORY_ANNOTATION_KEYS = [
+  "imageAnnotations",
+  "textAnnotations",
+  "drawAnnotations",
+  "highlightAnnotations",
+  "shapeAnnotations",
+  "signatureAnnotations",
+  "commentAnnotations",
+  "stampAnnotations",
+  "redactionAnnotations",
+  "formFieldAnnotations"
+];
+
+// Authored fields are placed at these sizes and resized afterwards.
+const FORM_FIELD_TYPES = [
+  { id: "text", label: "Text field", width: 180, height: 24 },
+  { id: "checkbox", label: "Checkbox", width: 16, height: 16 },
+  { id: "radio", label: "Radio button", width: 16, height: 16 },
+  { id: "dropdown", label: "Dropdown", width: 160, height: 24 },
+  { id: "signature", label: "Signature", width: 200, height: 48 }
+];
+
+const DEFAULT_UNDO_DEPTH = 50;
+
+// Page coordinates for every annotation are measured at this scale; zoom only
+// changes how large the page stage is drawn.
+const VIEWER_SCALE = 1.2;
+const MIN_ZOOM = 0.25;
+const MAX_ZOOM = 4;
+const ZOOM_PRESETS = [0.5, 0.75, 1, 1.25, 1.5, 2, 3, 4];
+// Continuous scroll keeps at most this many page canvases alive and reuses them.
+const CONTINUOUS_VIEW_LIMIT = 6;
+const THUMBNAIL_SCALE = 0.25;
+const SEARCH_RESULT_LIMIT = 200;
+const SEARCH_SNIPPET_CHARS = 30;
+
+const history = {
+  undoStack: [],
+  redoStack: [],
+  baseline: null,
+  depth: DEFAULT_UNDO_DEPTH
+};
+
+// Page text is extracted once per loaded document and shared by search and
+// text markup.
+const searchState = {
+  query: "",
+  options: { caseSensitive: false, wholeWord: false, regex: false },
+  pdfDoc: null,
+  pages: [],
+  hits: [],
+  activeIndex: -1
+};
+
+// Detected sensitive text waiting for review. Accepted candidates become
+// redaction marks tagged with the candidate id.
+const redactionReview = {
+  pdfDoc: null,
+  presets: new Set(REDACTION_PATTERNS.map((preset) => preset.id)),
+  customPatterns: "",
+  candidates: []
+};
+
+// Rows from the merge CSV and where each column goes. Targets are written as
+// "field:<name>" for form fields and "placeholder:<name>" for {{name}} tokens.
+const mailMerge = {
+  headers: [],
+  rows: [],
+  mapping: {}
+};
+
 let stampDeleteButton = null;
 let pagePropertiesUi = null;
+let historyUi = null;
+let zoomUi = null;
+let continuousUi = null;
+let thumbnailUi = null;
+let searchUi = null;
+let redactionUi = null;
+let formToolUi = null;
+let mailMergeUi = null;
 
 function createButton(label, onClick, className) {
   const button = document.createElement("button");
@@ -133,7 +310,10 @@ function setStatus(statusEl, message, isError = false) {
 }
 
 function downloadPdfBytes(bytes, filename) {
-  const blob = new Blob([bytes], { type: "application/pdf" });
+  downloadBlob(new Blob([bytes], { type: "application/pdf" }), filename);
+}
+
+function downloadBlob(blob, filename) {
   const url = URL.createObjectURL(blob);
   const link = document.createElement("a");
   link.href = url;
@@ -144,6 +324,67 @@ function downloadPdfBytes(bytes, filename) {
   URL.revokeObjectURL(url);
 }
 
+function supportsFileSystemAccess() {
+  return (
+    typeof window !== "undefined" &&
+    typeof window.showOpenFilePicker === "function" &&
+    typeof window.showSaveFilePicker === "function"
+  );
+}
+
+async function ensureWritePermission(handle) {
+  if (!handle.queryPermission) {
+    return;
+  }
+  if ((await handle.queryPermission({ mode: "readwrite" })) === "granted") {
+    return;
+  }
+  if ((await handle.requestPermission({ mode: "readwrite" })) !== "granted") {
+    throw new Error("Permission to write the file was denied.");
+  }
+}
+
+async function writePdfToHandle(handle, bytes) {
+  const writable = await handle.createWritable();
+  await writable.write(bytes);
+  await writable.close();
+}
+
+function buildExportFileName(fileName) {
+  const base = String(fileName ?? "")
+    .trim()
+    .replace(/\.pdf$/i, "");
+  return base ? `${base}-edited.pdf` : "edited.pdf";
+}
+
+function formatBytes(byteCount) {
+  if (byteCount < 1024) {
+    return `${byteCount} B`;
+  }
+  if (byteCount < 1024 * 1024) {
+    return `${(byteCount / 1024).toFixed(1)} KB`;
+  }
+  return `${(byteCount / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function normalizePdfFileName(fileName, fallback) {
+  const trimmed = String(fileName ?? "").trim();
+  if (!trimmed) {
+    return fallback;
+  }
+  return /\.pdf$/i.test(trimmed) ? trimmed : `${trimmed}.pdf`;
+}
+
+function toDateTimeLocalValue(date) {
+  if (!(date instanceof Date) || Number.isNaN(date.getTime())) {
+    return "";
+  }
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(
+    date.getHours()
+  )}:${pad(date.getMinutes())}`;
+}
+
 function createId(prefix) {
   if (typeof crypto !== "undefined" && crypto.randomUUID) {
     return `${prefix}-${crypto.randomUUID()}`;
@@ -155,11 +396,13 @@ function clamp(value, min, max) {
   return Math.min(Math.max(value, min), max);
 }
 
+// Annotations live in the page's unzoomed coordinates, so screen measurements
+// are divided by the zoom applied to the page stage.
 function getOverlayBounds(overlay) {
   const rect = overlay.getBoundingClientRect();
   return {
-    width: rect.width || overlay.offsetWidth,
-    height: rect.height || overlay.offsetHeight
+    width: rect.width / state.zoom || overlay.offsetWidth,
+    height: rect.height / state.zoom || overlay.offsetHeight
   };
 }
 
@@ -175,8 +418,8 @@ function createLabeledField(labelText, inputEl) {
 function getOverlayPoint(event, overlay) {
   const rect = overlay.getBoundingClientRect();
   return {
-    x: event.clientX - rect.left,
-    y: event.clientY - rect.top
+    x: (event.clientX - rect.left) / state.zoom,
+    y: (event.clientY - rect.top) / state.zoom
   };
 }
 
@@ -389,6 +632,18 @@ function setRememberHistoryPreference(value) {
   window.localStorage?.setItem("cloud-pdf-history", value ? "true" : "false");
 }
 
+function getUndoDepthPreference() {
+  if (typeof window === "undefined") {
+    return DEFAULT_UNDO_DEPTH;
+  }
+  const stored = Number(window.localStorage?.getItem("cloud-pdf-undo-depth"));
+  return Number.isInteger(stored) && stored > 0 ? stored : DEFAULT_UNDO_DEPTH;
+}
+
+function setUndoDepthPreference(value) {
+  window.localStorage?.setItem("cloud-pdf-undo-depth", String(value));
+}
+
 async function hashBytes(bytes) {
   const data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
   if (typeof crypto !== "undefined" && crypto.subtle?.digest) {
@@ -418,9 +673,19 @@ function ensureSignatureFontsLoaded() {
   return Promise.all(loads).then(() => undefined);
 }
 
+function registerCustomFontFace(font) {
+  if (typeof FontFace === "undefined" || !document.fonts?.add) {
+    return Promise.resolve();
+  }
+  const face = new FontFace(font.id, font.fontData);
+  document.fonts.add(face);
+  return face.load().catch(() => undefined);
+}
+
 function buildExportTextAnnotations() {
   const comments = state.commentAnnotations.map((annotation) => ({
     id: annotation.id,
+    kind: "comment",
     pageNumber: annotation.pageNumber,
     x: annotation.x,
     y: annotation.y,
@@ -435,6 +700,7 @@ function buildExportTextAnnotations() {
   }));
   const stamps = state.stampAnnotations.map((annotation) => ({
     id: annotation.id,
+    kind: "stamp",
     pageNumber: annotation.pageNumber,
     x: annotation.x,
     y: annotation.y,
@@ -542,6 +808,12 @@ function serializeSessionAnnotations() {
   state.stampAnnotations.forEach((annotation) =>
     annotations.push({ type: "stamp", ...annotation })
   );
+  state.redactionAnnotations.forEach((annotation) =>
+    annotations.push({ type: "redaction", ...annotation })
+  );
+  state.formFieldAnnotations.forEach((annotation) =>
+    annotations.push({ type: "form-field", ...annotation })
+  );
   return annotations;
 }
 
@@ -555,6 +827,8 @@ function applySessionAnnotations(annotations) {
   const signatureAnnotations = [];
   const commentAnnotations = [];
   const stampAnnotations = [];
+  const redactionAnnotations = [];
+  const formFieldAnnotations = [];
 
   (annotations ?? []).forEach((annotation) => {
     if (annotation.type === "image") {
@@ -622,6 +896,16 @@ function applySessionAnnotations(annotations) {
       stampAnnotations.push(rest);
       return;
     }
+    if (annotation.type === "redaction") {
+      const { type, ...rest } = annotation;
+      redactionAnnotations.push(rest);
+      return;
+    }
+    if (annotation.type === "form-field") {
+      const { type, ...rest } = annotation;
+      formFieldAnnotations.push(rest);
+      return;
+    }
   });
 
   state.imageAssets = Array.from(imageAssets.values());
@@ -633,11 +917,117 @@ function applySessionAnnotations(annotations) {
   state.signatureAnnotations = signatureAnnotations;
   state.commentAnnotations = commentAnnotations;
   state.stampAnnotations = stampAnnotations;
+  state.redactionAnnotations = redactionAnnotations;
+  state.formFieldAnnotations = formFieldAnnotations;
+}
+
+const IMPORTED_ANNOTATION_KEYS = [
+  "highlightAnnotations",
+  "drawAnnotations",
+  "shapeAnnotations",
+  "commentAnnotations",
+  "textAnnotations"
+];
+
+function findImportedSourceId(annotationId, sourceIds) {
+  return sourceIds.find(
+    (id) => annotationId === `imported-${id}` || annotationId.startsWith(`imported-${id}-`)
+  );
+}
+
+// File markup the session never took over is added back, so restoring a session
+// neither hides it nor drops it from the next export. Sessions saved before the
+// ids were recorded claim only the imports they still contain.
+function mergeUnclaimedImports(imported, sessionData) {
+  const claimed = new Set(
+    sessionData.importedAnnotationIds ??
+      sessionData.annotations
+        .map((annotation) => findImportedSourceId(String(annotation.id), imported.importedIds))
+        .filter(Boolean)
+  );
+  IMPORTED_ANNOTATION_KEYS.forEach((key) => {
+    const unclaimed = imported[key].filter(
+      (annotation) => !claimed.has(findImportedSourceId(annotation.id, imported.importedIds))
+    );
+    state[key] = [...state[key], ...unclaimed];
+  });
 }
 
 let sessionSaveTimer = null;
 
-function scheduleSessionSave() {
+function captureHistoryState() {
+  const snapshot = structuredClone({
+    pageOrder: state.pageOrder,
+    pageProperties: state.pageProperties,
+    formValues: state.formValues,
+    ...Object.fromEntries(HISTORY_ANNOTATION_KEYS.map((key) => [key, state[key]]))
+  });
+  // Bytes and image assets are never changed in place, so references are enough.
+  snapshot.bytes = state.currentBytes;
+  snapshot.imageAssets = state.imageAssets;
+  return snapshot;
+}
+
+function isSameHistoryState(a, b) {
+  const { bytes: bytesA, imageAssets: assetsA, ...restA } = a;
+  const { bytes: bytesB, imageAssets: assetsB, ...restB } = b;
+  const serialize = (value) =>
+    JSON.stringify(value, (key, item) => (item instanceof Set ? [...item].sort() : item));
+  return (
+    bytesA === bytesB &&
+    assetsA.length === assetsB.length &&
+    assetsA.every((asset, index) => asset === assetsB[index]) &&
+    serialize(restA) === serialize(restB)
+  );
+}
+
+function applyHistoryState(snapshot) {
+  const { bytes, imageAssets, ...rest } = structuredClone({ ...snapshot, bytes: null });
+  Object.assign(state, rest);
+  state.imageAssets = snapshot.imageAssets;
+  state.selectedTextId = null;
+  state.selectedTextElement = null;
+  state.selectedStampId = null;
+  history.baseline = snapshot;
+}
+
+function resetHistory() {
+  history.undoStack = [];
+  history.redoStack = [];
+  history.baseline = captureHistoryState();
+  historyUi?.update();
+}
+
+// Each edit is stored as a command holding the state before and after it.
+// Commands sharing a merge key (typing into one text box) collapse into one.
+function recordHistory(mergeKey = null) {
+  if (!history.baseline) {
+    return;
+  }
+  const current = captureHistoryState();
+  if (isSameHistoryState(history.baseline, current)) {
+    return;
+  }
+  const last = history.undoStack[history.undoStack.length - 1];
+  if (mergeKey && last?.mergeKey === mergeKey && history.redoStack.length === 0) {
+    last.after = current;
+  } else {
+    history.undoStack.push({ before: history.baseline, after: current, mergeKey });
+    history.undoStack.splice(0, Math.max(0, history.undoStack.length - history.depth));
+  }
+  history.redoStack = [];
+  history.baseline = current;
+  historyUi?.update();
+}
+
+function setHistoryDepth(depth) {
+  history.depth = depth;
+  history.undoStack.splice(0, Math.max(0, history.undoStack.length - depth));
+  historyUi?.update();
+}
+
+function scheduleSessionSave(historyMergeKey = null) {
+  recordHistory(historyMergeKey);
   if (!state.sessionHistoryEnabled || !state.currentBytes || !state.currentFileHash) {
     return;
   }
@@ -651,7 +1041,9 @@ function scheduleSessionSave() {
       fileName: state.currentFileName || "Untitled.pdf",
       fileHash: state.currentFileHash,
       lastOpened: Date.now(),
-      annotations: serializeSessionAnnotations()
+      annotations: serializeSessionAnnotations(),
+      importedAnnotationIds: state.importedAnnotationIds,
+      formValues: state.formValues
     };
     const entries = state.sessionEntries.filter((item) => item.fileHash !== entry.fileHash);
     entries.unshift(entry);
@@ -664,17 +1056,19 @@ function scheduleSessionSave() {
 }
 
 async function trackSessionOnOpen(fileName, bytes, enabled = state.sessionHistoryEnabled) {
+  state.currentFileName = fileName;
   if (!enabled || !bytes) {
     return;
   }
-  state.currentFileName = fileName;
   state.currentFileHash = await hashBytes(bytes);
   const entry = {
     id: state.currentFileHash,
     fileName: fileName || "Untitled.pdf",
     fileHash: state.currentFileHash,
     lastOpened: Date.now(),
-    annotations: serializeSessionAnnotations()
+    annotations: serializeSessionAnnotations(),
+    importedAnnotationIds: state.importedAnnotationIds,
+    formValues: state.formValues
   };
   const entries = state.sessionEntries.filter((item) => item.fileHash !== entry.fileHash);
   entries.unshift(entry);
@@ -857,6 +1251,273 @@ function getNeighborVisiblePage(current, direction) {
   return visible[nextIndex];
 }
 
+function clampZoom(zoom) {
+  return clamp(Math.round(zoom * 100) / 100, MIN_ZOOM, MAX_ZOOM);
+}
+
+function getFitZoom(viewport, pageSize, mode) {
+  const styles = window.getComputedStyle(viewport);
+  const availableWidth =
+    viewport.clientWidth - parseFloat(styles.paddingLeft) - parseFloat(styles.paddingRight);
+  if (!(availableWidth > 0)) {
+    return null;
+  }
+  const widthZoom = availableWidth / pageSize.width;
+  if (mode === "fit-width") {
+    return clampZoom(widthZoom);
+  }
+  const availableHeight =
+    window.innerHeight -
+    Math.max(0, viewport.getBoundingClientRect().top) -
+    parseFloat(styles.paddingTop) -
+    parseFloat(styles.paddingBottom);
+  return clampZoom(Math.min(widthZoom, availableHeight / pageSize.height));
+}
+
+// The canvas sits in a page stage that is scaled with a CSS transform, inside a
+// sizer that reserves the zoomed size so the viewer can scroll.
+async function renderViewerPage(canvas, pageNumber = state.currentPage) {
+  const stage = canvas.parentElement;
+  const sizer = stage.parentElement;
+  const rotation = state.pageProperties.rotations[pageNumber] ?? 0;
+  const pixelRatio = window.devicePixelRatio || 1;
+  const render = async () => {
+    const renderScale = state.zoom * pixelRatio;
+    const rendered = await renderPageToCanvas(
+      state.pdfDoc,
+      pageNumber,
+      canvas,
+      VIEWER_SCALE * renderScale,
+      rotation
+    );
+    return {
+      width: (rendered?.width ?? canvas.width) / renderScale,
+      height: (rendered?.height ?? canvas.height) / renderScale
+    };
+  };
+  let pageSize = await render();
+  // In continuous mode the fit is worked out once for all pages.
+  if (state.zoomMode !== "custom" && state.viewMode === "single") {
+    const fitted = getFitZoom(sizer.parentElement, pageSize, state.zoomMode);
+    if (fitted && fitted !== state.zoom) {
+      state.zoom = fitted;
+      pageSize = await render();
+    }
+  }
+  stage.style.width = `${pageSize.width}px`;
+  stage.style.height = `${pageSize.height}px`;
+  stage.style.transform = `scale(${state.zoom})`;
+  sizer.style.width = `${pageSize.width * state.zoom}px`;
+  sizer.style.height = `${pageSize.height * state.zoom}px`;
+  zoomUi?.update();
+  // The text layer lives in the unzoomed stage, so it always uses the viewer scale.
+  const textLayer = stage.querySelector(".text-layer");
+  if (textLayer) {
+    try {
+      await renderTextLayer(state.pdfDoc, pageNumber, textLayer, VIEWER_SCALE, rotation);
+    } catch (error) {
+      textLayer.replaceChildren();
+    }
+  }
+  await renderSearchHits(stage, pageNumber);
+}
+
+async function getPageText(pageNumber) {
+  if (searchState.pdfDoc !== state.pdfDoc) {
+    searchState.pdfDoc = state.pdfDoc;
+    searchState.pages = [];
+  }
+  if (!searchState.pages[pageNumber]) {
+    searchState.pages[pageNumber] = await extractPageText(state.pdfDoc, pageNumber);
+  }
+  return searchState.pages[pageNumber];
+}
+
+// Maps a DOM selection over text layer spans to character ranges of the page text.
+function getSelectedTextRanges(range, textLayer, items) {
+  const itemsByIndex = new Map(items.map((item) => [item.index, item]));
+  const offsetIn = (span, container, offset, fallback) => {
+    if (container === span.firstChild) {
+      return offset;
+    }
+    return container === span && offset === 0 ? 0 : fallback;
+  };
+  const ranges = [];
+  textLayer.querySelectorAll("[data-item-index]").forEach((span) => {
+    const item = itemsByIndex.get(Number(span.dataset.itemIndex));
+    if (!item || !range.intersectsNode(span)) {
+      return;
+    }
+    const from = span.contains(range.startContainer)
+      ? offsetIn(span, range.startContainer, range.startOffset, item.str.length)
+      : 0;
+    const to = span.contains(range.endContainer)
+      ? offsetIn(span, range.endContainer, range.endOffset, item.str.length)
+      : item.str.length;
+    if (to > from) {
+      ranges.push({ start: item.start + from, end: item.start + to });
+    }
+  });
+  return ranges;
+}
+
+function isTextMarkupActive() {
+  return state.toolDefaults.highlight.markupType !== "rectangle";
+}
+
+// Redactions are mapped to PDF user space at the rotation the page is shown
+// with, so what gets removed is exactly what the preview covers.
+async function buildRedactionAreas(annotations) {
+  const areas = [];
+  for (const annotation of annotations) {
+    const rotation = state.pageProperties.rotations[annotation.pageNumber] ?? 0;
+    const rect = await convertViewportRectToPdfRect(
+      state.pdfDoc,
+      annotation.pageNumber,
+      annotation,
+      VIEWER_SCALE,
+      rotation
+    );
+    areas.push({
+      ...rect,
+      pageNumber: annotation.pageNumber,
+      label: annotation.label,
+      fillColor: annotation.fillColor
+    });
+  }
+  return areas;
+}
+
+// Everything the export writes apart from how it is saved. Mail merge passes its
+// own text annotations and form values for each row.
+async function buildExportEditModel(
+  exportPageOrder,
+  {
+    textAnnotations = buildExportTextAnnotations(),
+    formValues = state.formValues,
+    formFieldAnnotations = state.formFieldAnnotations
+  } = {}
+) {
+  return {
+    pageOrder: exportPageOrder,
+    rotations: state.pageProperties.rotations,
+    highlightAnnotations: remapAnnotationsForExport(state.highlightAnnotations, exportPageOrder),
+    imageAssets: state.imageAssets,
+    imageAnnotations: remapAnnotationsForExport(state.imageAnnotations, exportPageOrder),
+    textAnnotations: remapAnnotationsForExport(textAnnotations, exportPageOrder),
+    signatureAnnotations: remapAnnotationsForExport(state.signatureAnnotations, exportPageOrder),
+    drawAnnotations: remapAnnotationsForExport(state.drawAnnotations, exportPageOrder),
+    shapeAnnotations: remapAnnotationsForExport(state.shapeAnnotations, exportPageOrder),
+    redactions: remapAnnotationsForExport(
+      await buildRedactionAreas(state.redactionAnnotations),
+      exportPageOrder
+    ),
+    annotationMode: state.exportOptions.annotationMode,
+    removeAnnotationIds: state.importedAnnotationIds,
+    customFonts: state.customFonts,
+    metadata: state.exportOptions.metadata,
+    stripMetadata: state.exportOptions.stripMetadata,
+    formFieldAnnotations: remapAnnotationsForExport(formFieldAnnotations, exportPageOrder),
+    formValues,
+    flattenForm: state.exportOptions.flattenForm
+  };
+}
+
+// Text ranges become redaction marks, one per line run, padded slightly so
+// glyph edges are covered too.
+async function createTextRedactions(pageNumber, quads, details = {}) {
+  const rotation = state.pageProperties.rotations[pageNumber] ?? 0;
+  const pageSize = await getPageSize(state.pdfDoc, pageNumber, VIEWER_SCALE, rotation);
+  const rects = mergeLineRects(
+    await convertQuadsToViewportRects(state.pdfDoc, pageNumber, quads, VIEWER_SCALE, rotation)
+  );
+  return rects.map((rect) => ({
+    id: createId("redaction"),
+    pageNumber,
+    x: rect.x - 1,
+    y: rect.y - 1,
+    width: rect.width + 2,
+    height: rect.height + 2,
+    label: state.toolDefaults.redact.label,
+    fillColor: state.toolDefaults.redact.fillColor,
+    overlayWidth: pageSize.width,
+    overlayHeight: pageSize.height,
+    ...details
+  }));
+}
+
+function getCandidateStatus(candidate) {
+  if (state.redactionAnnotations.some((annotation) => annotation.candidateId === candidate.id)) {
+    return "accepted";
+  }
+  return candidate.rejected ? "rejected" : "pending";
+}
+
+function getAnnotationBox(annotation) {
+  const geometry = annotation.geometry ?? annotation;
+  if (geometry.width > 0 || geometry.height > 0) {
+    return { x: geometry.x, y: geometry.y, width: geometry.width, height: geometry.height };
+  }
+  const points = geometry.points ?? annotation.points;
+  if (points?.length) {
+    const xs = points.map((point) => point.x);
+    const ys = points.map((point) => point.y);
+    const x = Math.min(...xs);
+    const y = Math.min(...ys);
+    return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+  }
+  return { x: geometry.x ?? 0, y: geometry.y ?? 0, width: 0, height: 0 };
+}
+
+function isAnnotationRedacted(annotation, redactions) {
+  const box = getAnnotationBox(annotation);
+  return redactions.some(
+    (area) =>
+      area.pageNumber === annotation.pageNumber &&
+      box.x <= area.x + area.width &&
+      area.x <= box.x + box.width &&
+      box.y <= area.y + area.height &&
+      area.y <= box.y + box.height
+  );
+}
+
+async function renderSearchHits(stage, pageNumber) {
+  const layer = stage.querySelector(".search-layer");
+  if (!layer) {
+    return;
+  }
+  const hits =
+    searchState.pdfDoc === state.pdfDoc
+      ? searchState.hits.filter((hit) => hit.pageNumber === pageNumber)
+      : [];
+  if (!hits.length) {
+    layer.replaceChildren();
+    return;
+  }
+  const rotation = state.pageProperties.rotations[pageNumber] ?? 0;
+  const activeHit = searchState.hits[searchState.activeIndex];
+  const marks = [];
+  for (const hit of hits) {
+    const rects = await convertQuadsToViewportRects(
+      state.pdfDoc,
+      pageNumber,
+      hit.quads,
+      VIEWER_SCALE,
+      rotation
+    );
+    rects.forEach((rect) => {
+      const mark = document.createElement("div");
+      mark.className = hit === activeHit ? "search-hit is-active" : "search-hit";
+      mark.style.left = `${rect.x}px`;
+      mark.style.top = `${rect.y}px`;
+      mark.style.width = `${rect.width}px`;
+      mark.style.height = `${rect.height}px`;
+      marks.push(mark);
+    });
+  }
+  layer.replaceChildren(...marks);
+}
+
 async function refreshViewer(
   canvas,
   overlay,
@@ -871,14 +1532,21 @@ async function refreshViewer(
   }
   try {
     state.currentPage = resolveVisiblePage(state.currentPage);
-    const rotation = state.pageProperties.rotations[state.currentPage] ?? 0;
-    await renderPageToCanvas(state.pdfDoc, state.currentPage, canvas, 1.2, rotation);
-    renderInkLayers(drawLayer, highlightLayer, overlay, shapeLayer);
+    if (state.viewMode === "continuous" && continuousUi) {
+      await continuousUi.refresh();
+    } else {
+      await renderViewerPage(canvas);
+      renderInkLayers(drawLayer, highlightLayer, overlay, shapeLayer);
+    }
     updatePageLabel(pageLabel);
     if (pagePropertiesUi?.update) {
       pagePropertiesUi.update();
     }
-    renderAnnotations(overlay, statusEl);
+    thumbnailUi?.update();
+    redactionUi?.update();
+    if (state.viewMode !== "continuous") {
+      renderAnnotations(overlay, statusEl);
+    }
   } catch (error) {
     setStatus(statusEl, `Render failed: ${error.message}`, true);
   }
@@ -902,6 +1570,7 @@ function renderPageList(listEl, applyButton) {
       const newOrder = [...state.pageOrder];
       [newOrder[index - 1], newOrder[index]] = [newOrder[index], newOrder[index - 1]];
       state.pageOrder = newOrder;
+      recordHistory();
       renderPageList(listEl, applyButton);
     });
 
@@ -912,12 +1581,14 @@ function renderPageList(listEl, applyButton) {
       const newOrder = [...state.pageOrder];
       [newOrder[index + 1], newOrder[index]] = [newOrder[index], newOrder[index + 1]];
       state.pageOrder = newOrder;
+      recordHistory();
       renderPageList(listEl, applyButton);
     });
 
     item.append(label, moveUp, moveDown);
     listEl.append(item);
   });
+  thumbnailUi?.update();
 }
 
 function renderAssetList(assetList, statusEl) {
@@ -956,7 +1627,13 @@ function renderAssetList(assetList, statusEl) {
   });
 }
 
-function renderInkLayers(drawLayer, highlightLayer, overlay, shapeLayer) {
+function renderInkLayers(
+  drawLayer,
+  highlightLayer,
+  overlay,
+  shapeLayer,
+  pageNumber = state.currentPage
+) {
   if (!drawLayer || !highlightLayer || !overlay) {
     return;
   }
@@ -973,22 +1650,40 @@ function renderInkLayers(drawLayer, highlightLayer, overlay, shapeLayer) {
   });
 
   const highlightItems = state.highlightAnnotations.filter(
-    (annotation) => annotation.pageNumber === state.currentPage
+    (annotation) => annotation.pageNumber === pageNumber
   );
   highlightItems.forEach((annotation) => {
-    const rect = createSvgElement("rect");
-    rect.setAttribute("x", annotation.x);
-    rect.setAttribute("y", annotation.y);
-    rect.setAttribute("width", annotation.width);
-    rect.setAttribute("height", annotation.height);
-    rect.setAttribute("fill", annotation.color);
-    rect.setAttribute("fill-opacity", annotation.opacity ?? 0.3);
-    rect.dataset.role = "highlight-rect";
-    highlightLayer.append(rect);
+    const parts = annotation.rects?.length ? annotation.rects : [annotation];
+    parts.forEach((part) => {
+      const markupStroke = getMarkupStroke(annotation.markupType, part);
+      if (markupStroke) {
+        const line = createSvgElement("polyline");
+        line.setAttribute(
+          "points",
+          markupStroke.points.map((point) => `${point.x},${point.y}`).join(" ")
+        );
+        line.setAttribute("fill", "none");
+        line.setAttribute("stroke", annotation.color);
+        line.setAttribute("stroke-width", markupStroke.width);
+        line.setAttribute("stroke-opacity", annotation.opacity ?? 1);
+        line.dataset.role = "markup-line";
+        highlightLayer.append(line);
+        return;
+      }
+      const rect = createSvgElement("rect");
+      rect.setAttribute("x", part.x);
+      rect.setAttribute("y", part.y);
+      rect.setAttribute("width", part.width);
+      rect.setAttribute("height", part.height);
+      rect.setAttribute("fill", annotation.color);
+      rect.setAttribute("fill-opacity", annotation.opacity ?? 0.3);
+      rect.dataset.role = "highlight-rect";
+      highlightLayer.append(rect);
+    });
   });
 
   const drawItems = state.drawAnnotations.filter(
-    (annotation) => annotation.pageNumber === state.currentPage
+    (annotation) => annotation.pageNumber === pageNumber
   );
   drawItems.forEach((annotation) => {
     if (!annotation.points || annotation.points.length < 2) {
@@ -1012,15 +1707,15 @@ function renderInkLayers(drawLayer, highlightLayer, overlay, shapeLayer) {
   });
 
   if (shapeLayer) {
-    renderShapeLayer(shapeLayer, overlay);
+    renderShapeLayer(shapeLayer, overlay, pageNumber);
   }
 }
 
-function renderShapeLayer(shapeLayer, overlay) {
+function renderShapeLayer(shapeLayer, overlay, pageNumber = state.currentPage) {
   const currentShapes = state.shapeAnnotations.filter(
-    (annotation) => annotation.pageNumber === state.currentPage
+    (annotation) => annotation.pageNumber === pageNumber
   );
-  const draft = state.shapeDraft && state.shapeDraft.pageNumber === state.currentPage
+  const draft = state.shapeDraft && state.shapeDraft.pageNumber === pageNumber
     ? state.shapeDraft
     : null;
   const items = draft ? [...currentShapes, draft] : currentShapes;
@@ -1152,10 +1847,10 @@ function buildShapePath(points, isCloud) {
   return `${segments.join(" ")} Z`;
 }
 
-function renderAnnotations(overlay, statusEl) {
+function renderAnnotations(overlay, statusEl, pageNumber = state.currentPage) {
   overlay.innerHTML = "";
   const current = state.imageAnnotations.filter(
-    (annotation) => annotation.pageNumber === state.currentPage
+    (annotation) => annotation.pageNumber === pageNumber
   );
   current.forEach((annotation) => {
     const asset = state.imageAssets.find((item) => item.id === annotation.assetId);
@@ -1180,68 +1875,460 @@ function renderAnnotations(overlay, statusEl) {
     overlay.append(el);
   });
 
-  renderTextAnnotations(overlay, statusEl);
-  renderSignatureAnnotations(overlay, statusEl);
-  renderStampAnnotations(overlay, statusEl);
-  renderCommentAnnotations(overlay, statusEl);
+  renderTextAnnotations(overlay, statusEl, pageNumber);
+  renderSignatureAnnotations(overlay, statusEl, pageNumber);
+  renderStampAnnotations(overlay, statusEl, pageNumber);
+  renderCommentAnnotations(overlay, statusEl, pageNumber);
+  renderRedactionMarks(overlay, statusEl, pageNumber);
+  renderFormFields(overlay, pageNumber);
+  renderAuthoredFormFields(overlay, statusEl, pageNumber);
   syncStampDeleteButton();
+  formToolUi?.update();
+  mailMergeUi?.update();
 }
 
-function attachAnnotationInteractions(element, annotation, overlay, statusEl) {
-  const getBounds = () => {
-    const rect = overlay.getBoundingClientRect();
-    return {
-      width: rect.width || overlay.offsetWidth,
-      height: rect.height || overlay.offsetHeight
-    };
-  };
+// Widgets keep their unrotated page box, so rotated pages turn it here.
+function rotateFieldBox(field, rotation) {
+  const { x, y, width, height, overlayWidth, overlayHeight } = field;
+  if (rotation === 90) {
+    return { x: overlayHeight - y - height, y: x, width: height, height: width };
+  }
+  if (rotation === 180) {
+    return { x: overlayWidth - x - width, y: overlayHeight - y - height, width, height };
+  }
+  if (rotation === 270) {
+    return { x: y, y: overlayWidth - x - width, width: height, height: width };
+  }
+  return { x, y, width, height };
+}
 
-  const startMove = (event) => {
-    if (event.button !== 0) {
-      return;
+function applyFormFieldValue(element, field, value) {
+  if (field.type === "checkbox" || field.type === "radio") {
+    element.checked = value === field.onValue;
+  } else if (field.type === "list") {
+    Array.from(element.options).forEach((option) => {
+      option.selected = (value ?? []).includes(option.value);
+    });
+  } else {
+    element.value = value ?? "";
+  }
+}
+
+function setFormValue(name, value) {
+  state.formValues = { ...state.formValues, [name]: value };
+  // Widgets sharing a field name show the same value, possibly on other pages.
+  document.querySelectorAll(".form-field").forEach((element) => {
+    const field = state.formFields.find((item) => item.id === element.dataset.fieldId);
+    if (field?.name === name && element !== document.activeElement) {
+      applyFormFieldValue(element, field, value);
     }
-    event.preventDefault();
-    const startX = event.clientX;
-    const startY = event.clientY;
-    const originX = annotation.x;
-    const originY = annotation.y;
-    const bounds = getBounds();
+  });
+  scheduleSessionSave(`form-${name}`);
+}
 
-    const onMove = (moveEvent) => {
-      const dx = moveEvent.clientX - startX;
-      const dy = moveEvent.clientY - startY;
-      annotation.x = clamp(originX + dx, 0, bounds.width - annotation.width);
-      annotation.y = clamp(originY + dy, 0, bounds.height - annotation.height);
-      element.style.left = `${annotation.x}px`;
-      element.style.top = `${annotation.y}px`;
-    };
+function createFormFieldElement(field) {
+  if (field.type === "combo" || field.type === "list") {
+    const select = document.createElement("select");
+    select.multiple = field.type === "list" && field.multiSelect;
+    if (field.type === "list") {
+      select.size = Math.max(2, field.options.length);
+    }
+    field.options.forEach((item) => {
+      const option = document.createElement("option");
+      option.value = item.value;
+      option.textContent = item.label;
+      select.append(option);
+    });
+    select.addEventListener("change", () => {
+      const selected = Array.from(select.selectedOptions, (option) => option.value);
+      setFormValue(field.name, field.type === "list" ? selected : selected[0] ?? "");
+    });
+    return select;
+  }
+  if (field.type === "checkbox" || field.type === "radio") {
+    const input = document.createElement("input");
+    input.type = field.type;
+    // Radio widgets of one field form one browser group.
+    input.name = `pdf-field-${field.name}`;
+    input.addEventListener("change", () => {
+      setFormValue(field.name, input.checked ? field.onValue : "");
+    });
+    return input;
+  }
+  const input = document.createElement(field.multiline ? "textarea" : "input");
+  if (!field.multiline) {
+    input.type = "text";
+  }
+  if (field.maxLength) {
+    input.maxLength = field.maxLength;
+  }
+  input.addEventListener("input", () => setFormValue(field.name, input.value));
+  return input;
+}
 
-    const onUp = () => {
-      window.removeEventListener("pointermove", onMove);
-      window.removeEventListener("pointerup", onUp);
-      scheduleSessionSave();
-    };
+// Form widgets are hidden from the page canvas and edited as inputs instead.
+function renderFormFields(overlay, pageNumber = state.currentPage) {
+  const rotation = state.pageProperties.rotations[pageNumber] ?? 0;
+  state.formFields
+    .filter((field) => field.pageNumber === pageNumber)
+    .forEach((field) => {
+      const element = createFormFieldElement(field);
+      const box = rotateFieldBox(field, rotation);
+      element.className = `form-field form-field-${field.type}`;
+      element.dataset.role = "form-field";
+      element.dataset.fieldId = field.id;
+      element.title = field.name;
+      element.disabled = field.readOnly;
+      element.style.left = `${box.x}px`;
+      element.style.top = `${box.y}px`;
+      element.style.width = `${box.width}px`;
+      element.style.height = `${box.height}px`;
+      if (field.fontSize) {
+        element.style.fontSize = `${field.fontSize}px`;
+      }
+      applyFormFieldValue(element, field, state.formValues[field.name]);
+      overlay.append(element);
+    });
+}
 
-    window.addEventListener("pointermove", onMove);
-    window.addEventListener("pointerup", onUp);
-  };
+// Rebuilt documents start from the values saved in the file, so edits made
+// since are carried over to the fields that still exist.
+function restoreFormValues(values) {
+  const restored = { ...state.formValues };
+  Object.keys(restored).forEach((name) => {
+    if (name in values) {
+      restored[name] = values[name];
+    }
+  });
+  state.formValues = restored;
+}
 
-  const startResize = (event) => {
-    event.preventDefault();
-    event.stopPropagation();
-    const startX = event.clientX;
-    const startY = event.clientY;
-    const originWidth = annotation.width;
-    const originHeight = annotation.height;
-    const bounds = getBounds();
+function findFormFieldType(fieldType) {
+  return FORM_FIELD_TYPES.find((type) => type.id === fieldType) ?? FORM_FIELD_TYPES[0];
+}
 
-    const onMove = (moveEvent) => {
-      const dx = moveEvent.clientX - startX;
-      const dy = moveEvent.clientY - startY;
-      const nextWidth = clamp(originWidth + dx, 24, bounds.width - annotation.x);
-      const nextHeight = clamp(originHeight + dy, 24, bounds.height - annotation.y);
-      annotation.width = nextWidth;
-      annotation.height = nextHeight;
+// Names must not clash with fields already in the PDF, which export rejects.
+function nextFormFieldName(prefix) {
+  const taken = new Set([
+    ...state.formFields.map((field) => field.name),
+    ...state.formFieldAnnotations.map((field) => field.name)
+  ]);
+  let index = 1;
+  while (taken.has(`${prefix}_${index}`)) {
+    index += 1;
+  }
+  return `${prefix}_${index}`;
+}
+
+function getMailMergeTargets() {
+  const fields = [
+    ...state.formFields.filter((field) => !field.readOnly),
+    ...state.formFieldAnnotations.filter((field) => field.fieldType !== "signature")
+  ].map((field) => field.name);
+  const texts = buildExportTextAnnotations().flatMap((annotation) => [
+    annotation.text,
+    ...(annotation.spans ?? []).map((span) => span.text)
+  ]);
+  return { fields: [...new Set(fields)], placeholders: findPlaceholders(texts) };
+}
+
+// Columns named like a field or placeholder are mapped to it until the user
+// picks something else.
+function autoMapMailMergeColumns() {
+  const { fields, placeholders } = getMailMergeTargets();
+  const targets = [
+    ...fields.map((name) => [name, `field:${name}`]),
+    ...placeholders.map((name) => [name, `placeholder:${name}`])
+  ];
+  mailMerge.headers.forEach((header) => {
+    if (header in mailMerge.mapping) {
+      return;
+    }
+    const match = targets.find(([name]) => name.toLowerCase() === header.toLowerCase());
+    mailMerge.mapping[header] = match ? match[1] : "";
+  });
+}
+
+// Authored fields are described like loaded widgets so row values are coerced
+// the same way.
+function toMergeWidget(field) {
+  return {
+    type: field.fieldType === "dropdown" ? "combo" : field.fieldType,
+    onValue: field.exportValue || "On",
+    options: (field.options ?? []).map((option) => ({ value: option, label: option }))
+  };
+}
+
+// Placeholders are replaced within each span, so a token has to share one style.
+// Authored fields take a row's value as their default.
+function buildMailMergeRow(row, rowNumber) {
+  const formValues = { ...state.formValues };
+  const authoredValues = new Map();
+  const placeholders = {};
+  Object.entries(mailMerge.mapping).forEach(([column, target]) => {
+    if (!target || !(column in row)) {
+      return;
+    }
+    const name = target.slice(target.indexOf(":") + 1);
+    if (target.startsWith("placeholder:")) {
+      placeholders[name] = row[column];
+      return;
+    }
+    const authored = state.formFieldAnnotations.filter((field) => field.name === name);
+    const widgets = authored.length
+      ? authored.map(toMergeWidget)
+      : state.formFields.filter((field) => field.name === name);
+    const value = coerceFormValue(widgets, csvValueToFormValue(widgets, row[column]));
+    if (value === undefined) {
+      throw new Error(`Row ${rowNumber}: "${row[column]}" does not fit the field ${name}.`);
+    }
+    if (authored.length) {
+      authoredValues.set(name, value);
+    } else {
+      formValues[name] = value;
+    }
+  });
+  const formFieldAnnotations = state.formFieldAnnotations.map((field) => {
+    if (!authoredValues.has(field.name)) {
+      return field;
+    }
+    const value = authoredValues.get(field.name);
+    if (field.fieldType === "checkbox" || field.fieldType === "radio") {
+      return { ...field, checked: value === (field.exportValue || "On") };
+    }
+    return { ...field, defaultValue: value };
+  });
+  const textAnnotations = buildExportTextAnnotations().map((annotation) => ({
+    ...annotation,
+    text: fillPlaceholders(annotation.text, placeholders),
+    spans: annotation.spans?.map((span) => ({
+      ...span,
+      text: fillPlaceholders(span.text, placeholders)
+    }))
+  }));
+  return { formValues, textAnnotations, formFieldAnnotations };
+}
+
+// Imported values are matched to the loaded fields by name; ones that fit no
+// editable field are reported back instead of applied.
+function applyImportedFormData(data) {
+  const values = {};
+  const skipped = [];
+  Object.entries(data).forEach(([name, value]) => {
+    const widgets = state.formFields.filter((field) => field.name === name);
+    const coerced = coerceFormValue(widgets, value);
+    if (coerced === undefined) {
+      skipped.push(name);
+    } else {
+      values[name] = coerced;
+    }
+  });
+  state.formValues = { ...state.formValues, ...values };
+  return { applied: Object.keys(values).length, skipped };
+}
+
+// A radio button placed while another one is selected joins its group.
+function createFormFieldAnnotation(fieldType, point, overlaySize) {
+  const type = findFormFieldType(fieldType);
+  const selected = state.formFieldAnnotations.find(
+    (item) => item.id === state.selectedFormFieldId
+  );
+  const group = fieldType === "radio" && selected?.fieldType === "radio" ? selected.name : null;
+  const usedValues = new Set(
+    state.formFieldAnnotations
+      .filter((item) => item.fieldType === "radio" && item.name === group)
+      .map((item) => item.exportValue)
+  );
+  let choice = 1;
+  while (usedValues.has(`Choice ${choice}`)) {
+    choice += 1;
+  }
+  return {
+    id: createId("form-field"),
+    pageNumber: state.currentPage,
+    x: clamp(point.x, 0, overlaySize.width - type.width),
+    y: clamp(point.y, 0, overlaySize.height - type.height),
+    width: type.width,
+    height: type.height,
+    fieldType: type.id,
+    name: group ?? nextFormFieldName(type.id),
+    defaultValue: "",
+    checked: false,
+    required: false,
+    maxLength: null,
+    multiline: false,
+    options: type.id === "dropdown" ? ["Option 1", "Option 2"] : [],
+    exportValue: type.id === "radio" ? `Choice ${choice}` : "",
+    overlayWidth: overlaySize.width,
+    overlayHeight: overlaySize.height
+  };
+}
+
+function removeFormFieldAnnotation(id) {
+  state.formFieldAnnotations = state.formFieldAnnotations.filter((item) => item.id !== id);
+  if (state.selectedFormFieldId === id) {
+    state.selectedFormFieldId = null;
+  }
+  formToolUi?.update();
+  scheduleSessionSave();
+}
+
+// Fields being authored, drawn as outlines until they are exported.
+function renderAuthoredFormFields(overlay, statusEl, pageNumber = state.currentPage) {
+  state.formFieldAnnotations
+    .filter((annotation) => annotation.pageNumber === pageNumber)
+    .forEach((annotation) => {
+      const wrapper = document.createElement("div");
+      wrapper.className = "form-field-box";
+      wrapper.tabIndex = 0;
+      wrapper.dataset.role = "form-field-box";
+      wrapper.dataset.annotationId = annotation.id;
+      wrapper.dataset.fieldType = annotation.fieldType;
+      wrapper.dataset.selected =
+        annotation.id === state.selectedFormFieldId ? "true" : "false";
+      wrapper.title = `${findFormFieldType(annotation.fieldType).label}: ${annotation.name}`;
+      wrapper.style.left = `${annotation.x}px`;
+      wrapper.style.top = `${annotation.y}px`;
+      wrapper.style.width = `${annotation.width}px`;
+      wrapper.style.height = `${annotation.height}px`;
+
+      const name = document.createElement("span");
+      name.className = "form-field-box-name";
+      name.textContent = annotation.required ? `${annotation.name} *` : annotation.name;
+
+      const handle = document.createElement("div");
+      handle.className = "resize-handle";
+
+      wrapper.append(name, handle);
+      attachBoxInteractions(wrapper, annotation, overlay, {
+        minWidth: 8,
+        minHeight: 8,
+        onSelect: () => {
+          if (state.selectedFormFieldId === annotation.id) {
+            return;
+          }
+          state.selectedFormFieldId = annotation.id;
+          overlay.querySelectorAll(".form-field-box").forEach((item) => {
+            item.dataset.selected = item === wrapper ? "true" : "false";
+          });
+          formToolUi?.update();
+        }
+      });
+      wrapper.addEventListener("keydown", (event) => {
+        if (event.key !== "Backspace" && event.key !== "Delete") {
+          return;
+        }
+        removeFormFieldAnnotation(annotation.id);
+        wrapper.remove();
+        setStatus(statusEl, "Form field removed.");
+      });
+      overlay.append(wrapper);
+    });
+}
+
+// Pending redactions are only a preview until they are applied or exported.
+function renderRedactionMarks(overlay, statusEl, pageNumber = state.currentPage) {
+  const current = state.redactionAnnotations.filter(
+    (annotation) => annotation.pageNumber === pageNumber
+  );
+  current.forEach((annotation) => {
+    const mark = document.createElement("div");
+    mark.className = "redaction-mark";
+    mark.tabIndex = 0;
+    mark.dataset.role = "redaction-mark";
+    mark.dataset.annotationId = annotation.id;
+    mark.style.left = `${annotation.x}px`;
+    mark.style.top = `${annotation.y}px`;
+    mark.style.width = `${annotation.width}px`;
+    mark.style.height = `${annotation.height}px`;
+    mark.style.backgroundColor = normalizeColor(annotation.fillColor, 0.55);
+    mark.textContent = annotation.label ?? "";
+    mark.title = "Press Delete to remove this redaction";
+    mark.addEventListener("keydown", (event) => {
+      if (event.key !== "Backspace" && event.key !== "Delete") {
+        return;
+      }
+      state.redactionAnnotations = state.redactionAnnotations.filter(
+        (item) => item.id !== annotation.id
+      );
+      mark.remove();
+      redactionUi?.update();
+      scheduleSessionSave();
+      setStatus(statusEl, "Redaction removed.");
+    });
+    overlay.append(mark);
+  });
+  if (redactionReview.pdfDoc !== state.pdfDoc) {
+    return;
+  }
+  redactionReview.candidates
+    .filter(
+      (candidate) =>
+        candidate.pageNumber === pageNumber && getCandidateStatus(candidate) === "pending"
+    )
+    .forEach((candidate) => {
+      candidate.marks.forEach((rect) => {
+        const outline = document.createElement("div");
+        outline.className = "redaction-candidate";
+        outline.dataset.role = "redaction-candidate";
+        outline.style.left = `${rect.x}px`;
+        outline.style.top = `${rect.y}px`;
+        outline.style.width = `${rect.width}px`;
+        outline.style.height = `${rect.height}px`;
+        overlay.append(outline);
+      });
+    });
+}
+
+function attachAnnotationInteractions(element, annotation, overlay, statusEl) {
+  const getBounds = () => getOverlayBounds(overlay);
+
+  const startMove = (event) => {
+    if (event.button !== 0) {
+      return;
+    }
+    event.preventDefault();
+    const startX = event.clientX;
+    const startY = event.clientY;
+    const originX = annotation.x;
+    const originY = annotation.y;
+    const bounds = getBounds();
+
+    const onMove = (moveEvent) => {
+      const dx = (moveEvent.clientX - startX) / state.zoom;
+      const dy = (moveEvent.clientY - startY) / state.zoom;
+      annotation.x = clamp(originX + dx, 0, bounds.width - annotation.width);
+      annotation.y = clamp(originY + dy, 0, bounds.height - annotation.height);
+      element.style.left = `${annotation.x}px`;
+      element.style.top = `${annotation.y}px`;
+    };
+
+    const onUp = () => {
+      window.removeEventListener("pointermove", onMove);
+      window.removeEventListener("pointerup", onUp);
+      scheduleSessionSave();
+    };
+
+    window.addEventListener("pointermove", onMove);
+    window.addEventListener("pointerup", onUp);
+  };
+
+  const startResize = (event) => {
+    event.preventDefault();
+    event.stopPropagation();
+    const startX = event.clientX;
+    const startY = event.clientY;
+    const originWidth = annotation.width;
+    const originHeight = annotation.height;
+    const bounds = getBounds();
+
+    const onMove = (moveEvent) => {
+      const dx = (moveEvent.clientX - startX) / state.zoom;
+      const dy = (moveEvent.clientY - startY) / state.zoom;
+      const nextWidth = clamp(originWidth + dx, 24, bounds.width - annotation.x);
+      const nextHeight = clamp(originHeight + dy, 24, bounds.height - annotation.y);
+      annotation.width = nextWidth;
+      annotation.height = nextHeight;
       element.style.width = `${annotation.width}px`;
       element.style.height = `${annotation.height}px`;
     };
@@ -1277,9 +2364,9 @@ function attachAnnotationInteractions(element, annotation, overlay, statusEl) {
   });
 }
 
-function renderTextAnnotations(overlay, statusEl) {
+function renderTextAnnotations(overlay, statusEl, pageNumber = state.currentPage) {
   const current = state.textAnnotations.filter(
-    (annotation) => annotation.pageNumber === state.currentPage
+    (annotation) => annotation.pageNumber === pageNumber
   );
   current.forEach((annotation) => {
     const baseStyle = getAnnotationBaseStyle(annotation);
@@ -1308,9 +2395,11 @@ function renderTextAnnotations(overlay, statusEl) {
     wrapper.style.fontSize = `${annotation.fontSize}px`;
     wrapper.style.fontFamily = annotation.fontFamily;
     wrapper.style.color = annotation.color;
+    wrapper.style.textAlign = annotation.align ?? "left";
 
     const content = document.createElement("div");
     content.className = "text-content";
+    content.style.lineHeight = String(annotation.lineHeight ?? 1.2);
     content.contentEditable = state.activeTool === "text";
     content.spellcheck = false;
     renderTextContent(content, spans, baseStyle);
@@ -1324,9 +2413,9 @@ function renderTextAnnotations(overlay, statusEl) {
   });
 }
 
-function renderSignatureAnnotations(overlay, statusEl) {
+function renderSignatureAnnotations(overlay, statusEl, pageNumber = state.currentPage) {
   const current = state.signatureAnnotations.filter(
-    (annotation) => annotation.pageNumber === state.currentPage
+    (annotation) => annotation.pageNumber === pageNumber
   );
   current.forEach((annotation) => {
     const variant = getSignatureVariant(annotation.fontId);
@@ -1368,12 +2457,12 @@ function renderSignatureAnnotations(overlay, statusEl) {
   });
 }
 
-function renderCommentAnnotations(overlay, statusEl) {
+function renderCommentAnnotations(overlay, statusEl, pageNumber = state.currentPage) {
   if (!state.commentsVisible) {
     return;
   }
   const current = state.commentAnnotations.filter(
-    (annotation) => annotation.pageNumber === state.currentPage
+    (annotation) => annotation.pageNumber === pageNumber
   );
   current.forEach((annotation) => {
     const wrapper = document.createElement("div");
@@ -1403,9 +2492,9 @@ function renderCommentAnnotations(overlay, statusEl) {
   });
 }
 
-function renderStampAnnotations(overlay, statusEl) {
+function renderStampAnnotations(overlay, statusEl, pageNumber = state.currentPage) {
   const current = state.stampAnnotations.filter(
-    (annotation) => annotation.pageNumber === state.currentPage
+    (annotation) => annotation.pageNumber === pageNumber
   );
   current.forEach((annotation) => {
     const wrapper = document.createElement("div");
@@ -1456,8 +2545,8 @@ function attachTextInteractions(wrapper, content, annotation, overlay, statusEl)
     const bounds = getBounds();
 
     const onMove = (moveEvent) => {
-      const dx = moveEvent.clientX - startX;
-      const dy = moveEvent.clientY - startY;
+      const dx = (moveEvent.clientX - startX) / state.zoom;
+      const dy = (moveEvent.clientY - startY) / state.zoom;
       annotation.x = clamp(originX + dx, 0, bounds.width - annotation.width);
       annotation.y = clamp(originY + dy, 0, bounds.height - annotation.height);
       wrapper.style.left = `${annotation.x}px`;
@@ -1484,8 +2573,8 @@ function attachTextInteractions(wrapper, content, annotation, overlay, statusEl)
     const bounds = getBounds();
 
     const onMove = (moveEvent) => {
-      const dx = moveEvent.clientX - startX;
-      const dy = moveEvent.clientY - startY;
+      const dx = (moveEvent.clientX - startX) / state.zoom;
+      const dy = (moveEvent.clientY - startY) / state.zoom;
       const nextWidth = clamp(originWidth + dx, 60, bounds.width - annotation.x);
       const nextHeight = clamp(originHeight + dy, 24, bounds.height - annotation.y);
       annotation.width = nextWidth;
@@ -1521,7 +2610,7 @@ function attachTextInteractions(wrapper, content, annotation, overlay, statusEl)
     const baseStyle = getAnnotationBaseStyle(annotation);
     annotation.text = content.textContent ?? "";
     annotation.spans = serializeTextSpans(content, baseStyle);
-    scheduleSessionSave();
+    scheduleSessionSave(`text-${annotation.id}`);
   });
 
   content.addEventListener("focus", () => {
@@ -1550,13 +2639,7 @@ function attachTextInteractions(wrapper, content, annotation, overlay, statusEl)
 }
 
 function attachSignatureInteractions(wrapper, annotation, overlay, statusEl) {
-  const getBounds = () => {
-    const rect = overlay.getBoundingClientRect();
-    return {
-      width: rect.width || overlay.offsetWidth,
-      height: rect.height || overlay.offsetHeight
-    };
-  };
+  const getBounds = () => getOverlayBounds(overlay);
 
   const startMove = (event) => {
     if (event.button !== 0) {
@@ -1570,8 +2653,8 @@ function attachSignatureInteractions(wrapper, annotation, overlay, statusEl) {
     const bounds = getBounds();
 
     const onMove = (moveEvent) => {
-      const dx = moveEvent.clientX - startX;
-      const dy = moveEvent.clientY - startY;
+      const dx = (moveEvent.clientX - startX) / state.zoom;
+      const dy = (moveEvent.clientY - startY) / state.zoom;
       annotation.x = clamp(originX + dx, 0, bounds.width - annotation.width);
       annotation.y = clamp(originY + dy, 0, bounds.height - annotation.height);
       wrapper.style.left = `${annotation.x}px`;
@@ -1598,8 +2681,8 @@ function attachSignatureInteractions(wrapper, annotation, overlay, statusEl) {
     const bounds = getBounds();
 
     const onMove = (moveEvent) => {
-      const dx = moveEvent.clientX - startX;
-      const dy = moveEvent.clientY - startY;
+      const dx = (moveEvent.clientX - startX) / state.zoom;
+      const dy = (moveEvent.clientY - startY) / state.zoom;
       annotation.width = clamp(originWidth + dx, 80, bounds.width - annotation.x);
       annotation.height = clamp(originHeight + dy, 40, bounds.height - annotation.y);
       wrapper.style.width = `${annotation.width}px`;
@@ -1657,13 +2740,7 @@ function attachSignatureInteractions(wrapper, annotation, overlay, statusEl) {
 }
 
 function attachCommentInteractions(wrapper, content, annotation, overlay, statusEl) {
-  const getBounds = () => {
-    const rect = overlay.getBoundingClientRect();
-    return {
-      width: rect.width || overlay.offsetWidth,
-      height: rect.height || overlay.offsetHeight
-    };
-  };
+  const getBounds = () => getOverlayBounds(overlay);
 
   const startMove = (event) => {
     if (event.button !== 0) {
@@ -1677,8 +2754,8 @@ function attachCommentInteractions(wrapper, content, annotation, overlay, status
     const bounds = getBounds();
 
     const onMove = (moveEvent) => {
-      const dx = moveEvent.clientX - startX;
-      const dy = moveEvent.clientY - startY;
+      const dx = (moveEvent.clientX - startX) / state.zoom;
+      const dy = (moveEvent.clientY - startY) / state.zoom;
       annotation.x = clamp(originX + dx, 0, bounds.width - annotation.width);
       annotation.y = clamp(originY + dy, 0, bounds.height - annotation.height);
       wrapper.style.left = `${annotation.x}px`;
@@ -1705,8 +2782,8 @@ function attachCommentInteractions(wrapper, content, annotation, overlay, status
     const bounds = getBounds();
 
     const onMove = (moveEvent) => {
-      const dx = moveEvent.clientX - startX;
-      const dy = moveEvent.clientY - startY;
+      const dx = (moveEvent.clientX - startX) / state.zoom;
+      const dy = (moveEvent.clientY - startY) / state.zoom;
       annotation.width = clamp(originWidth + dx, 120, bounds.width - annotation.x);
       annotation.height = clamp(originHeight + dy, 60, bounds.height - annotation.y);
       wrapper.style.width = `${annotation.width}px`;
@@ -1733,7 +2810,7 @@ function attachCommentInteractions(wrapper, content, annotation, overlay, status
 
   content.addEventListener("input", () => {
     annotation.text = content.textContent ?? "";
-    scheduleSessionSave();
+    scheduleSessionSave(`comment-${annotation.id}`);
   });
 
   wrapper.addEventListener("keydown", (event) => {
@@ -1750,13 +2827,22 @@ function attachCommentInteractions(wrapper, content, annotation, overlay, status
 }
 
 function attachStampInteractions(wrapper, annotation, overlay, statusEl) {
-  const getBounds = () => {
-    const rect = overlay.getBoundingClientRect();
-    return {
-      width: rect.width || overlay.offsetWidth,
-      height: rect.height || overlay.offsetHeight
-    };
-  };
+  attachBoxInteractions(wrapper, annotation, overlay, {
+    minWidth: 120,
+    minHeight: 40,
+    onSelect: () => {
+      state.selectedStampId = annotation.id;
+      overlay.querySelectorAll(".stamp-annotation").forEach((item) => {
+        item.dataset.selected = item === wrapper ? "true" : "false";
+      });
+      syncStampDeleteButton();
+    }
+  });
+}
+
+// Moves a positioned box by dragging it and resizes it from its handle.
+function attachBoxInteractions(wrapper, annotation, overlay, { minWidth, minHeight, onSelect }) {
+  const getBounds = () => getOverlayBounds(overlay);
 
   const startMove = (event) => {
     if (event.button !== 0) {
@@ -1770,8 +2856,8 @@ function attachStampInteractions(wrapper, annotation, overlay, statusEl) {
     const bounds = getBounds();
 
     const onMove = (moveEvent) => {
-      const dx = moveEvent.clientX - startX;
-      const dy = moveEvent.clientY - startY;
+      const dx = (moveEvent.clientX - startX) / state.zoom;
+      const dy = (moveEvent.clientY - startY) / state.zoom;
       annotation.x = clamp(originX + dx, 0, bounds.width - annotation.width);
       annotation.y = clamp(originY + dy, 0, bounds.height - annotation.height);
       wrapper.style.left = `${annotation.x}px`;
@@ -1798,10 +2884,10 @@ function attachStampInteractions(wrapper, annotation, overlay, statusEl) {
     const bounds = getBounds();
 
     const onMove = (moveEvent) => {
-      const dx = moveEvent.clientX - startX;
-      const dy = moveEvent.clientY - startY;
-      annotation.width = clamp(originWidth + dx, 120, bounds.width - annotation.x);
-      annotation.height = clamp(originHeight + dy, 40, bounds.height - annotation.y);
+      const dx = (moveEvent.clientX - startX) / state.zoom;
+      const dy = (moveEvent.clientY - startY) / state.zoom;
+      annotation.width = clamp(originWidth + dx, minWidth, bounds.width - annotation.x);
+      annotation.height = clamp(originHeight + dy, minHeight, bounds.height - annotation.y);
       wrapper.style.width = `${annotation.width}px`;
       wrapper.style.height = `${annotation.height}px`;
     };
@@ -1817,11 +2903,7 @@ function attachStampInteractions(wrapper, annotation, overlay, statusEl) {
   };
 
   wrapper.addEventListener("pointerdown", (event) => {
-    state.selectedStampId = annotation.id;
-    overlay.querySelectorAll(".stamp-annotation").forEach((item) => {
-      item.dataset.selected = item === wrapper ? "true" : "false";
-    });
-    syncStampDeleteButton();
+    onSelect();
     if (event.target.classList.contains("resize-handle")) {
       startResize(event);
       return;
@@ -1855,13 +2937,13 @@ async function loadPdfBytes(
   const renderBytes = normalized.slice();
   const workingBytes = normalized.slice();
   const pdfDoc = await loadPdfDocument(renderBytes);
-  state.originalBytes = workingBytes.slice();
+  state.originalBytes = workingBytes;
   state.currentBytes = workingBytes;
   state.pdfDoc = pdfDoc;
   state.pageCount = pdfDoc.numPages;
   state.currentPage = 1;
-  state.currentFileName = "";
-  state.currentFileHash = "";
+  state.currentFileName = sessionData?.fileName ?? "";
+  state.currentFileHash = sessionData?.fileHash ?? "";
   state.pageOrder = Array.from({ length: state.pageCount }, (_, index) => index + 1);
   state.imageAnnotations = [];
   state.imageAssets = [];
@@ -1875,7 +2957,10 @@ async function loadPdfBytes(
   state.signatureAnnotations = [];
   state.commentAnnotations = [];
   state.stampAnnotations = [];
+  state.redactionAnnotations = [];
   state.selectedStampId = null;
+  state.formFieldAnnotations = [];
+  state.selectedFormFieldId = null;
   state.commentsVisible = true;
   state.pageProperties = {
     rotations: {},
@@ -1889,13 +2974,17 @@ async function loadPdfBytes(
     color: "#111111",
     bold: false,
     italic: false,
-    underline: false
+    underline: false,
+    align: "left",
+    lineHeight: 1.2
   };
   state.toolDefaults = {
     draw: { color: "#2563eb", size: 4 },
-    highlight: { color: "#f59e0b", opacity: 0.35 },
+    highlight: { color: "#f59e0b", opacity: 0.35, markupType: "rectangle" },
     comment: { color: "#111111", text: "Comment" },
     stamp: { text: "APPROVED", color: "#111111" },
+    redact: { label: "REDACTED", fillColor: "#000000" },
+    form: { fieldType: "text" },
     shapes: {
       shapeType: "rect",
       strokeColor: "#2563eb",
@@ -1906,8 +2995,54 @@ async function loadPdfBytes(
     signature: { name: "" }
   };
   state.signaturePlacementMode = "full";
+  let imported = null;
+  try {
+    imported = await importPdfAnnotations(pdfDoc, VIEWER_SCALE, workingBytes);
+  } catch {
+    // Markup that cannot be read stays part of the rendered page.
+  }
+  state.importedAnnotationIds = imported?.importedIds ?? [];
+  let form = { fields: [], values: {} };
+  try {
+    form = await readFormFields(pdfDoc, VIEWER_SCALE);
+  } catch {
+    // Forms that cannot be read stay flat on the page.
+  }
+  state.formFields = form.fields;
+  state.formValues = { ...form.values, ...sessionData?.formValues };
+  let metadata = {};
+  try {
+    const info = await readPdfMetadata(workingBytes);
+    metadata = {
+      ...info,
+      creationDate: toDateTimeLocalValue(info.creationDate),
+      modificationDate: toDateTimeLocalValue(info.modificationDate)
+    };
+  } catch {
+    metadata = {};
+  }
+  state.exportOptions = {
+    ...state.exportOptions,
+    fileName: "",
+    metadata,
+    stripMetadata: false,
+    flattenForm: false,
+    // Protected files start out encrypted again, so saving one asks for passwords.
+    encryption: { ...createEncryptionOptions(), enabled: Boolean(state.security) }
+  };
+  hidePdfAnnotations(pdfDoc, [
+    ...state.importedAnnotationIds,
+    ...form.fields.map((field) => field.annotationId)
+  ]);
   if (sessionData?.annotations) {
     applySessionAnnotations(sessionData.annotations);
+    if (imported) {
+      mergeUnclaimedImports(imported, sessionData);
+    }
+  } else if (imported) {
+    IMPORTED_ANNOTATION_KEYS.forEach((key) => {
+      state[key] = imported[key];
+    });
   }
   renderPageList(pageList, applyButton);
   updatePageLabel(pageLabel);
@@ -1920,15 +3055,133 @@ async function loadPdfBytes(
     pageLabel,
     statusEl
   );
+  resetHistory();
   setStatus(statusEl, "PDF loaded successfully.");
 }
 
+// Resolves with the typed password, or null when the user cancels.
+function requestPdfPassword(message) {
+  return new Promise((resolve) => {
+    const backdrop = document.createElement("div");
+    backdrop.className = "password-prompt";
+    backdrop.dataset.role = "password-prompt";
+    const form = document.createElement("form");
+    form.className = "panel";
+    form.setAttribute("role", "dialog");
+    form.setAttribute("aria-modal", "true");
+    const text = document.createElement("p");
+    text.textContent = message;
+    const input = document.createElement("input");
+    input.type = "password";
+    input.autocomplete = "off";
+    input.dataset.role = "pdf-password";
+    const finish = (value) => {
+      backdrop.remove();
+      resolve(value);
+    };
+    const submitButton = createButton("Open", () => {}, "primary");
+    submitButton.type = "submit";
+    submitButton.dataset.role = "pdf-password-submit";
+    const cancelButton = createButton("Cancel", () => finish(null));
+    cancelButton.dataset.role = "pdf-password-cancel";
+    const actions = document.createElement("div");
+    actions.className = "file-actions";
+    actions.append(submitButton, cancelButton);
+    form.addEventListener("submit", (event) => {
+      event.preventDefault();
+      finish(input.value);
+    });
+    form.addEventListener("keydown", (event) => {
+      if (event.key === "Escape") {
+        finish(null);
+      }
+    });
+    form.append(text, createLabeledField("Password", input), actions);
+    backdrop.append(form);
+    document.body.append(backdrop);
+    input.focus();
+  });
+}
+
+// Protected files are decrypted once on open; the viewer and every editing
+// tool then work on the plain bytes.
+async function unlockPdfBytes(bytes, fileName) {
+  const source = toUint8(bytes);
+  if (!hasEncryptionDictionary(source)) {
+    return { bytes: source, security: null };
+  }
+  // Files with only an owner password open without asking.
+  let result = await unlockPdf(source);
+  let message = `${fileName} is password protected. Enter its password to open it.`;
+  while (result.status === "locked") {
+    const password = await requestPdfPassword(message);
+    if (password === null) {
+      throw new Error("A password is required to open this PDF.");
+    }
+    result = await unlockPdf(source, password);
+    message = `Incorrect password for ${fileName}. Try again.`;
+  }
+  return { bytes: result.bytes, security: result.security ?? null };
+}
+
+function describePdfSecurity(security) {
+  if (security.openedWith === "owner") {
+    return `Opened with the owner password (${security.method}). No restrictions apply.`;
+  }
+  const opened = security.userPasswordRequired
+    ? `Opened with the user password (${security.method}).`
+    : `Opened without a password (${security.method}).`;
+  if (!security.restrictions.length) {
+    return `${opened} The owner password sets no restrictions.`;
+  }
+  // Restrictions are advisory in the PDF format and this editor does not apply them.
+  return (
+    `${opened} The owner password restricts ${security.restrictions.join(", ")}, ` +
+    "but these restrictions are informational only and are not enforced here."
+  );
+}
+
+// Decrypted copies of protected files are never written to browser storage.
+async function rememberCurrentPdf() {
+  if (!state.security) {
+    await saveLastPdf(state.currentBytes.slice());
+  }
+}
+
+// The editor works on decrypted bytes, so writing a protected file out without
+// encryption needs the user's go-ahead.
+function confirmUnprotectedExport() {
+  return (
+    !state.security ||
+    state.exportOptions.encryption.enabled ||
+    window.confirm("This PDF was password protected. Save it without a password?")
+  );
+}
+
+function buildExportEncryption() {
+  const { enabled, userPassword, ownerPassword, permissions } = state.exportOptions.encryption;
+  return enabled ? { userPassword, ownerPassword, permissions } : null;
+}
+
+// Reloads inside task rewrite the open document rather than open a new one, so
+// its history, the bytes it was opened with and the export settings carry over.
+async function preserveHistory(task) {
+  const { undoStack, redoStack, baseline } = history;
+  const { originalBytes, exportOptions } = state;
+  await task();
+  Object.assign(history, { undoStack, redoStack, baseline });
+  state.originalBytes = originalBytes;
+  state.exportOptions = exportOptions;
+  historyUi?.update();
+}
+
 export function initApp(root) {
   if (!root) {
     throw new Error("App root element not found");
   }
   applyTheme(getPreferredTheme());
   document.documentElement.dataset.commentsVisible = "true";
+  setHistoryDepth(getUndoDepthPreference());
 
   const container = document.createElement("div");
   container.className = "app-shell";
@@ -1958,8 +3211,19 @@ export function initApp(root) {
   mergeInput.dataset.role = "pdf-merge";
   mergeInput.hidden = true;
 
-  const loadButton = createButton("Load PDF", () => {
-    loadInput.click();
+  const loadButton = createButton("Load PDF", async () => {
+    if (!supportsFileSystemAccess()) {
+      loadInput.click();
+      return;
+    }
+    try {
+      const [handle] = await window.showOpenFilePicker({ types: PDF_FILE_TYPES });
+      await openPdfFile(await handle.getFile(), handle);
+    } catch (error) {
+      if (error.name !== "AbortError") {
+        setStatus(status, `Failed to load PDF: ${error.message}`, true);
+      }
+    }
   }, "primary");
 
   const mergeButton = createButton("Merge PDFs", () => {
@@ -1990,16 +3254,18 @@ export function initApp(root) {
       button.dataset.active = id === toolId ? "true" : "false";
     });
     state.paneOpen.settings = false;
+    state.paneOpen.export = false;
+    state.paneOpen.search = false;
     if (toolId !== "shapes") {
       state.shapeDraft = null;
     }
-    if (overlay) {
-      overlay.dataset.mode = toolId;
+    pageViews.forEach((view) => {
+      view.overlay.dataset.mode = toolId;
       const editable = toolId === "text";
-      overlay.querySelectorAll(".text-content").forEach((node) => {
+      view.overlay.querySelectorAll(".text-content").forEach((node) => {
         node.contentEditable = editable;
       });
-    }
+    });
   }
 
   const actions = document.createElement("div");
@@ -2116,8 +3382,11 @@ export function initApp(root) {
       }
       state.currentFileName = pendingSession.fileName;
       state.currentFileHash = pendingSession.fileHash;
+      state.fileHandle = null;
+      const unlocked = await unlockPdfBytes(bytes, file.name);
+      state.security = unlocked.security;
       await loadPdfBytes(
-        bytes,
+        unlocked.bytes,
         status,
         canvas,
         overlay,
@@ -2132,7 +3401,12 @@ export function initApp(root) {
       renderAssetList(assetList, status);
       renderInkLayers(drawLayer, highlightLayer, overlay, shapeLayer);
       renderAnnotations(overlay, status);
-      setStatus(status, "Session restored.");
+      setStatus(
+        status,
+        state.security
+          ? `Session restored. ${describePdfSecurity(state.security)}`
+          : "Session restored."
+      );
     } catch (error) {
       setStatus(status, `Failed to restore session: ${error.message}`, true);
     } finally {
@@ -2155,99 +3429,424 @@ export function initApp(root) {
     resumeInput
   );
 
-  const exportButton = createButton("Export PDF", async () => {
+  const getExportFileName = () =>
+    normalizePdfFileName(
+      state.exportOptions.fileName,
+      buildExportFileName(state.currentFileName)
+    );
+
+  const resolveSaveHandle = async (target) => {
+    if (target === "save" && state.fileHandle) {
+      await ensureWritePermission(state.fileHandle);
+      return state.fileHandle;
+    }
+    return window.showSaveFilePicker({
+      suggestedName: getExportFileName(),
+      types: PDF_FILE_TYPES
+    });
+  };
+
+  const runExport = async (target = "download") => {
     if (!state.currentBytes) {
       setStatus(status, "Load a PDF before exporting.", true);
       return;
     }
+    const { saveMode } = state.exportOptions;
+    if (saveMode !== "incremental" && !confirmUnprotectedExport()) {
+      setStatus(status, "Export cancelled. Turn on encryption to keep the PDF protected.");
+      return;
+    }
     try {
+      // Pickers need the click's user activation, so the handle is resolved
+      // before the export is built.
+      const handle =
+        target !== "download" && supportsFileSystemAccess()
+          ? await resolveSaveHandle(target)
+          : null;
       const exportPageOrder = buildExportPageOrder();
       if (!exportPageOrder.length) {
         setStatus(status, "No visible pages to export.", true);
         return;
       }
-      let exportBytes = await applyPageProperties(
-        state.currentBytes,
-        exportPageOrder,
-        state.pageProperties.rotations
-      );
-      const exportHighlights = remapAnnotationsForExport(
-        state.highlightAnnotations,
-        exportPageOrder
-      );
-      if (exportHighlights.length > 0) {
-        exportBytes = await applyHighlightAnnotations(exportBytes, exportHighlights);
+      const incremental = saveMode === "incremental";
+      if (incremental && state.security) {
+        setStatus(
+          status,
+          "Password-protected PDFs are decrypted for editing, so they need a full save.",
+          true
+        );
+        return;
       }
-      const exportImages = remapAnnotationsForExport(
-        state.imageAnnotations,
-        exportPageOrder
-      );
-      if (exportImages.length > 0) {
-        exportBytes = await applyImageAnnotations(exportBytes, state.imageAssets, exportImages);
+      // Reordering, redacting or merging rewrites the whole file, and appending
+      // to the opened bytes would bring back what those edits changed.
+      if (incremental && state.currentBytes !== state.originalBytes) {
+        setStatus(
+          status,
+          "This PDF was rewritten by reordering, redacting or merging, so it needs a full save.",
+          true
+        );
+        return;
       }
-      const exportTextAnnotations = remapAnnotationsForExport(
-        buildExportTextAnnotations(),
-        exportPageOrder
-      );
-      if (exportTextAnnotations.length > 0) {
-        exportBytes = await applyTextAnnotations(exportBytes, exportTextAnnotations);
+      const encryption = incremental ? null : buildExportEncryption();
+      if (encryption && !encryption.userPassword && !encryption.ownerPassword) {
+        setStatus(status, "Enter an open or permissions password to encrypt the export.", true);
+        return;
       }
-      const exportSignatures = remapAnnotationsForExport(
-        state.signatureAnnotations,
-        exportPageOrder
-      );
-      if (exportSignatures.length > 0) {
-        exportBytes = await applySignatureAnnotations(exportBytes, exportSignatures);
-      }
-      const exportDraws = remapAnnotationsForExport(state.drawAnnotations, exportPageOrder);
-      if (exportDraws.length > 0) {
-        exportBytes = await applyDrawAnnotations(exportBytes, exportDraws);
-      }
-      const exportShapes = remapAnnotationsForExport(state.shapeAnnotations, exportPageOrder);
-      if (exportShapes.length > 0) {
-        exportBytes = await applyShapeAnnotations(exportBytes, exportShapes);
-      }
-      const blob = new Blob([exportBytes], { type: "application/pdf" });
-      const url = URL.createObjectURL(blob);
-      const link = document.createElement("a");
-      link.href = url;
-      link.download = "edited.pdf";
-      document.body.append(link);
-      link.click();
-      link.remove();
-      URL.revokeObjectURL(url);
-      setStatus(status, "Export started.");
+      const sourceBytes = incremental ? state.originalBytes : state.currentBytes;
+      const optimize =
+        state.exportOptions.optimize && !incremental
+          ? {
+              imageDpi: state.exportOptions.imageDpi,
+              jpegQuality: state.exportOptions.jpegQuality / 100
+            }
+          : null;
+      const exportBytes = await exportDocument(sourceBytes, {
+        ...(await buildExportEditModel(exportPageOrder)),
+        saveMode,
+        optimize,
+        encryption
+      });
+      // Measured against the opened file, since a second export just to compare
+      // would double the time and memory optimizing is meant to save.
+      const sizeReport = optimize
+        ? ` Optimized ${formatBytes(sourceBytes.byteLength)} → ` +
+          `${formatBytes(exportBytes.byteLength)}.`
+        : "";
+      const report = `${sizeReport}${encryption ? " Encrypted with AES-256." : ""}`;
+      if (handle) {
+        await writePdfToHandle(handle, exportBytes);
+        state.fileHandle = handle;
+        setStatus(status, `Saved to ${handle.name}.${report}`);
+        return;
+      }
+      downloadPdfBytes(exportBytes, getExportFileName());
+      setStatus(status, `Export started.${report}`);
     } catch (error) {
+      if (error.name === "AbortError") {
+        setStatus(status, "Save cancelled.");
+        return;
+      }
       setStatus(status, `Export failed: ${error.message}`, true);
     }
-  }, "primary");
-  exportButton.dataset.role = "export-button";
+  };
 
-  const settingsPanel = document.createElement("div");
-  settingsPanel.className = "settings-panel";
+  const exportPanel = document.createElement("div");
+  exportPanel.className = "panel";
+  const annotationModeSelect = document.createElement("select");
+  annotationModeSelect.dataset.role = "export-annotation-mode";
+  [
+    { label: "Flatten into page content", value: "flatten" },
+    { label: "Keep editable (PDF annotations)", value: "editable" }
+  ].forEach((mode) => {
+    const option = document.createElement("option");
+    option.value = mode.value;
+    option.textContent = mode.label;
+    annotationModeSelect.append(option);
+  });
+  annotationModeSelect.value = state.exportOptions.annotationMode;
+  annotationModeSelect.addEventListener("change", () => {
+    state.exportOptions.annotationMode = annotationModeSelect.value;
+  });
+  const annotationModeHint = document.createElement("p");
+  annotationModeHint.className = "muted";
+  annotationModeHint.textContent =
+    "Editable markup can be selected, changed or deleted in other PDF readers.";
+  const saveModeSelect = document.createElement("select");
+  saveModeSelect.dataset.role = "export-save-mode";
+  [
+    { label: "Rewrite the whole file", value: "full" },
+    { label: "Incremental update (keeps signatures)", value: "incremental" }
+  ].forEach((mode) => {
+    const option = document.createElement("option");
+    option.value = mode.value;
+    option.textContent = mode.label;
+    saveModeSelect.append(option);
+  });
+  saveModeSelect.addEventListener("change", () => {
+    state.exportOptions.saveMode = saveModeSelect.value;
+    syncExportFields();
+  });
 
-  const settingsButton = createButton("Settings", () => {
-    state.paneOpen.settings = !state.paneOpen.settings;
-    renderPanes();
+  const fileNameInput = document.createElement("input");
+  fileNameInput.type = "text";
+  fileNameInput.dataset.role = "export-filename";
+  fileNameInput.addEventListener("change", () => {
+    state.exportOptions.fileName = fileNameInput.value;
   });
-  settingsButton.dataset.role = "settings-button";
 
-  actions.append(exportButton, settingsButton);
+  const metadataInputs = METADATA_FIELDS.map((field) => {
+    const input = document.createElement("input");
+    input.type = field.type;
+    input.dataset.role = `export-meta-${field.key}`;
+    input.addEventListener("change", () => {
+      state.exportOptions.metadata = {
+        ...state.exportOptions.metadata,
+        [field.key]: input.value
+      };
+    });
+    return { field, input };
+  });
 
-  const commentToggle = createButton("Comments: On", () => {
-    state.commentsVisible = !state.commentsVisible;
-    document.documentElement.dataset.commentsVisible = state.commentsVisible ? "true" : "false";
-    commentToggle.textContent = state.commentsVisible ? "Comments: On" : "Comments: Off";
-    renderAnnotations(overlay, status);
+  const stripMetadataInput = document.createElement("input");
+  stripMetadataInput.type = "checkbox";
+  stripMetadataInput.dataset.role = "export-strip-metadata";
+  stripMetadataInput.addEventListener("change", () => {
+    state.exportOptions.stripMetadata = stripMetadataInput.checked;
+    syncExportFields();
   });
-  commentToggle.className = "secondary";
-  commentToggle.dataset.role = "comments-toggle";
+  const stripMetadataLabel = document.createElement("label");
+  stripMetadataLabel.className = "remember";
+  stripMetadataLabel.append(
+    stripMetadataInput,
+    document.createTextNode("Strip all metadata (document info and XMP)")
+  );
 
-  actions.insertBefore(commentToggle, settingsButton);
+  const optimizeInput = document.createElement("input");
+  optimizeInput.type = "checkbox";
+  optimizeInput.dataset.role = "export-optimize";
+  optimizeInput.addEventListener("change", () => {
+    state.exportOptions.optimize = optimizeInput.checked;
+    syncExportFields();
+  });
+  const optimizeLabel = document.createElement("label");
+  optimizeLabel.className = "remember";
+  optimizeLabel.append(
+    optimizeInput,
+    document.createTextNode("Optimize (shrink images, drop unused objects)")
+  );
+  const imageDpiInput = document.createElement("input");
+  imageDpiInput.type = "number";
+  imageDpiInput.min = "36";
+  imageDpiInput.max = "600";
+  imageDpiInput.step = "1";
+  imageDpiInput.dataset.role = "export-image-dpi";
+  imageDpiInput.addEventListener("change", () => {
+    const value = Number(imageDpiInput.value);
+    if (Number.isFinite(value) && value >= 36) {
+      state.exportOptions.imageDpi = Math.min(600, Math.round(value));
+    }
+    imageDpiInput.value = String(state.exportOptions.imageDpi);
+  });
+  const jpegQualityInput = document.createElement("input");
+  jpegQualityInput.type = "range";
+  jpegQualityInput.min = "10";
+  jpegQualityInput.max = "100";
+  jpegQualityInput.step = "5";
+  jpegQualityInput.dataset.role = "export-jpeg-quality";
+  jpegQualityInput.addEventListener("input", () => {
+    state.exportOptions.jpegQuality = Number(jpegQualityInput.value);
+  });
 
-  const rememberWrap = document.createElement("label");
-  rememberWrap.className = "remember";
-  const rememberToggle = document.createElement("input");
+  const encryptInput = document.createElement("input");
+  encryptInput.type = "checkbox";
+  encryptInput.dataset.role = "export-encrypt";
+  encryptInput.addEventListener("change", () => {
+    state.exportOptions.encryption.enabled = encryptInput.checked;
+    syncExportFields();
+  });
+  const encryptLabel = document.createElement("label");
+  encryptLabel.className = "remember";
+  encryptLabel.append(encryptInput, document.createTextNode("Encrypt with AES-256"));
+  const createPasswordInput = (role, key) => {
+    const input = document.createElement("input");
+    input.type = "password";
+    input.autocomplete = "new-password";
+    input.dataset.role = role;
+    input.addEventListener("change", () => {
+      state.exportOptions.encryption[key] = input.value;
+    });
+    return input;
+  };
+  const userPasswordInput = createPasswordInput("export-user-password", "userPassword");
+  const ownerPasswordInput = createPasswordInput("export-owner-password", "ownerPassword");
+  const permissionInputs = EXPORT_PERMISSIONS.map((permission) => {
+    const input = document.createElement("input");
+    input.type = "checkbox";
+    input.dataset.role = `export-allow-${permission.key}`;
+    input.addEventListener("change", () => {
+      state.exportOptions.encryption.permissions[permission.key] = input.checked;
+    });
+    const label = document.createElement("label");
+    label.className = "remember";
+    label.append(input, document.createTextNode(permission.label));
+    return { permission, input, label };
+  });
+  const encryptHint = document.createElement("p");
+  encryptHint.className = "muted";
+  encryptHint.textContent =
+    "Without an open password anyone can view the file, but only the permissions " +
+    "password lifts the restrictions.";
+
+  const flattenFormInput = document.createElement("input");
+  flattenFormInput.type = "checkbox";
+  flattenFormInput.dataset.role = "export-flatten-form";
+  flattenFormInput.addEventListener("change", () => {
+    state.exportOptions.flattenForm = flattenFormInput.checked;
+  });
+  const flattenFormLabel = document.createElement("label");
+  flattenFormLabel.className = "remember";
+  flattenFormLabel.append(
+    flattenFormInput,
+    document.createTextNode("Flatten form fields into the page")
+  );
+
+  const restrictionsHint = document.createElement("p");
+  restrictionsHint.className = "muted";
+  restrictionsHint.dataset.role = "export-restrictions-hint";
+
+  const saveHint = document.createElement("p");
+  saveHint.className = "muted";
+
+  const syncExportFields = () => {
+    // An incremental update appends to the original bytes, which still hold
+    // the old metadata.
+    if (state.exportOptions.saveMode === "incremental") {
+      state.exportOptions.stripMetadata = false;
+      state.exportOptions.optimize = false;
+      state.exportOptions.encryption.enabled = false;
+    }
+    fileNameInput.value = getExportFileName();
+    if (!supportsFileSystemAccess()) {
+      saveHint.textContent = "This browser cannot save in place, so Save downloads a copy.";
+    } else if (state.fileHandle) {
+      saveHint.textContent = `Save writes back to ${state.fileHandle.name}.`;
+    } else {
+      saveHint.textContent = "Save asks where to write the file.";
+    }
+    const restrictions = state.security?.restrictions ?? [];
+    restrictionsHint.hidden = !restrictions.length;
+    restrictionsHint.textContent =
+      `The opened file restricts ${restrictions.join(", ")}. These restrictions are not ` +
+      "enforced while editing, and the export keeps them only if you encrypt it with " +
+      "matching permissions.";
+    metadataInputs.forEach(({ field, input }) => {
+      input.value = state.exportOptions.metadata[field.key] ?? "";
+      input.disabled = state.exportOptions.stripMetadata;
+    });
+    saveModeSelect.value = state.exportOptions.saveMode;
+    stripMetadataInput.checked = state.exportOptions.stripMetadata;
+    stripMetadataInput.disabled = state.exportOptions.saveMode === "incremental";
+    optimizeInput.checked = state.exportOptions.optimize;
+    optimizeInput.disabled = state.exportOptions.saveMode === "incremental";
+    imageDpiInput.value = String(state.exportOptions.imageDpi);
+    jpegQualityInput.value = String(state.exportOptions.jpegQuality);
+    imageDpiInput.disabled = !state.exportOptions.optimize;
+    jpegQualityInput.disabled = !state.exportOptions.optimize;
+    flattenFormInput.checked = state.exportOptions.flattenForm;
+    flattenFormInput.disabled = !state.formFields.length && !state.formFieldAnnotations.length;
+    const { encryption } = state.exportOptions;
+    encryptInput.checked = encryption.enabled;
+    encryptInput.disabled = state.exportOptions.saveMode === "incremental";
+    userPasswordInput.value = encryption.userPassword;
+    ownerPasswordInput.value = encryption.ownerPassword;
+    userPasswordInput.disabled = !encryption.enabled;
+    ownerPasswordInput.disabled = !encryption.enabled;
+    permissionInputs.forEach(({ permission, input }) => {
+      input.checked = encryption.permissions[permission.key];
+      input.disabled = !encryption.enabled;
+    });
+  };
+
+  const saveButton = createButton("Save", () => runExport("save"), "primary");
+  saveButton.dataset.role = "export-save";
+  const saveAsButton = createButton("Save As", () => runExport("saveAs"));
+  saveAsButton.dataset.role = "export-save-as";
+  const downloadExportButton = createButton("Download PDF", () => runExport("download"));
+  downloadExportButton.dataset.role = "export-confirm";
+  const saveActions = document.createElement("div");
+  saveActions.className = "file-actions";
+  saveActions.append(saveButton, saveAsButton, downloadExportButton);
+  exportPanel.append(
+    createLabeledField("File name", fileNameInput),
+    createLabeledField("Annotations", annotationModeSelect),
+    annotationModeHint,
+    flattenFormLabel,
+    createLabeledField("Save mode", saveModeSelect),
+    ...metadataInputs.map(({ field, input }) => createLabeledField(field.label, input)),
+    stripMetadataLabel,
+    optimizeLabel,
+    createLabeledField("Max image DPI", imageDpiInput),
+    createLabeledField("JPEG quality", jpegQualityInput),
+    encryptLabel,
+    createLabeledField("Open password", userPasswordInput),
+    createLabeledField("Permissions password", ownerPasswordInput),
+    ...permissionInputs.map(({ label }) => label),
+    encryptHint,
+    restrictionsHint,
+    saveHint,
+    saveActions
+  );
+
+  const exportButton = createButton("Export PDF", () => {
+    state.paneOpen.export = !state.paneOpen.export;
+    state.paneOpen.settings = false;
+    state.paneOpen.search = false;
+    syncExportFields();
+    renderPanes();
+  }, "primary");
+  exportButton.dataset.role = "export-button";
+
+  const settingsPanel = document.createElement("div");
+  settingsPanel.className = "settings-panel";
+
+  const settingsButton = createButton("Settings", () => {
+    state.paneOpen.settings = !state.paneOpen.settings;
+    state.paneOpen.export = false;
+    state.paneOpen.search = false;
+    renderPanes();
+  });
+  settingsButton.dataset.role = "settings-button";
+
+  const openSearch = () => {
+    state.paneOpen.search = true;
+    state.paneOpen.settings = false;
+    state.paneOpen.export = false;
+    renderPanes();
+    searchUi?.focus();
+  };
+  const searchButton = createButton("Search", () => {
+    if (state.paneOpen.search) {
+      state.paneOpen.search = false;
+      renderPanes();
+      return;
+    }
+    openSearch();
+  });
+  searchButton.dataset.role = "search-button";
+  searchButton.title = "Search (Ctrl+F)";
+
+  const undoButton = createButton("Undo", () => stepHistory("undo"));
+  undoButton.className = "secondary";
+  undoButton.dataset.role = "undo-button";
+  undoButton.title = "Undo (Ctrl+Z)";
+  const redoButton = createButton("Redo", () => stepHistory("redo"));
+  redoButton.className = "secondary";
+  redoButton.dataset.role = "redo-button";
+  redoButton.title = "Redo (Ctrl+Shift+Z)";
+  historyUi = {
+    update: () => {
+      undoButton.disabled = history.undoStack.length === 0;
+      redoButton.disabled = history.redoStack.length === 0;
+    }
+  };
+  historyUi.update();
+
+  actions.append(undoButton, redoButton, searchButton, exportButton, settingsButton);
+
+  const commentToggle = createButton("Comments: On", () => {
+    state.commentsVisible = !state.commentsVisible;
+    document.documentElement.dataset.commentsVisible = state.commentsVisible ? "true" : "false";
+    commentToggle.textContent = state.commentsVisible ? "Comments: On" : "Comments: Off";
+    renderAnnotations(overlay, status);
+  });
+  commentToggle.className = "secondary";
+  commentToggle.dataset.role = "comments-toggle";
+
+  actions.insertBefore(commentToggle, settingsButton);
+
+  const rememberWrap = document.createElement("label");
+  rememberWrap.className = "remember";
+  const rememberToggle = document.createElement("input");
   rememberToggle.type = "checkbox";
   const rememberText = document.createElement("span");
   rememberText.textContent = "Remember last session locally (optional)";
@@ -2318,6 +3917,8 @@ export function initApp(root) {
         setStatus(status, "No saved session found.", true);
         return;
       }
+      state.fileHandle = null;
+      state.security = null;
       await loadPdfBytes(
         stored,
         status,
@@ -2356,36 +3957,76 @@ export function initApp(root) {
   clearSignatureButton.className = "secondary";
   signatureGroup.append(signatureTitle, clearSignatureButton);
 
-  settingsPanel.append(rememberWrap, restoreButton, themeGroup, installGroup, signatureGroup);
+  const undoGroup = document.createElement("section");
+  undoGroup.className = "panel";
+  const undoTitle = document.createElement("p");
+  undoTitle.className = "section-title";
+  undoTitle.textContent = "Undo History";
+  const undoDepthInput = document.createElement("input");
+  undoDepthInput.type = "number";
+  undoDepthInput.min = "1";
+  undoDepthInput.max = "500";
+  undoDepthInput.step = "1";
+  undoDepthInput.dataset.role = "undo-depth";
+  undoDepthInput.value = String(history.depth);
+  undoDepthInput.addEventListener("change", () => {
+    const value = Math.round(Number(undoDepthInput.value));
+    if (Number.isFinite(value) && value >= 1) {
+      const depth = Math.min(500, value);
+      setHistoryDepth(depth);
+      setUndoDepthPreference(depth);
+    }
+    undoDepthInput.value = String(history.depth);
+  });
+  undoGroup.append(undoTitle, createLabeledField("Steps to keep", undoDepthInput));
+
+  settingsPanel.append(
+    rememberWrap,
+    restoreButton,
+    themeGroup,
+    undoGroup,
+    installGroup,
+    signatureGroup
+  );
+
+  const openPdfFile = async (file, handle = null) => {
+    if (!isPdfFile(file)) {
+      setStatus(status, "Only PDF files are supported.", true);
+      return;
+    }
+    const bytes = await readFileAsArrayBuffer(file);
+    const unlocked = await unlockPdfBytes(bytes, file.name);
+    state.security = unlocked.security;
+    await loadPdfBytes(
+      unlocked.bytes,
+      status,
+      canvas,
+      overlay,
+      drawLayer,
+      highlightLayer,
+      shapeLayer,
+      pageLabel,
+      pageList,
+      applyReorderButton
+    );
+    state.fileHandle = handle;
+    await trackSessionOnOpen(file.name, bytes, rememberHistoryToggle.checked);
+    renderSessionList();
+    if (state.security) {
+      setStatus(status, describePdfSecurity(state.security));
+    }
+    if (rememberToggle.checked) {
+      await rememberCurrentPdf();
+    }
+  };
 
   loadInput.addEventListener("change", async () => {
     const file = loadInput.files?.[0];
     if (!file) {
       return;
     }
-    if (!isPdfFile(file)) {
-      setStatus(status, "Only PDF files are supported.", true);
-      return;
-    }
     try {
-      const bytes = await readFileAsArrayBuffer(file);
-      await loadPdfBytes(
-        bytes,
-        status,
-        canvas,
-        overlay,
-        drawLayer,
-        highlightLayer,
-        shapeLayer,
-        pageLabel,
-        pageList,
-        applyReorderButton
-      );
-      await trackSessionOnOpen(file.name, bytes, rememberHistoryToggle.checked);
-      renderSessionList();
-      if (rememberToggle.checked) {
-        await saveLastPdf(state.currentBytes.slice());
-      }
+      await openPdfFile(file);
     } catch (error) {
       setStatus(status, `Failed to load PDF: ${error.message}`, true);
     } finally {
@@ -2400,15 +4041,20 @@ export function initApp(root) {
       return;
     }
     try {
+      if (!files.every((file) => isPdfFile(file))) {
+        setStatus(status, "All files must be PDFs.", true);
+        return;
+      }
       const buffers = [];
+      let mergedSecurity = null;
       for (const file of files) {
-        if (!isPdfFile(file)) {
-          setStatus(status, "All files must be PDFs.", true);
-          return;
-        }
-        buffers.push(await readFileAsArrayBuffer(file));
+        const unlocked = await unlockPdfBytes(await readFileAsArrayBuffer(file), file.name);
+        buffers.push(unlocked.bytes);
+        mergedSecurity = mergedSecurity ?? unlocked.security;
       }
       const mergedBytes = await mergePdfs(buffers);
+      state.fileHandle = null;
+      state.security = mergedSecurity;
       await loadPdfBytes(
         mergedBytes,
         status,
@@ -2421,11 +4067,13 @@ export function initApp(root) {
         pageList,
         applyReorderButton
       );
+      // The merge is a new file, so there are no opened bytes to append to.
+      state.originalBytes = null;
       setStatus(status, "PDFs merged successfully.");
       await trackSessionOnOpen("Merged.pdf", mergedBytes, rememberHistoryToggle.checked);
       renderSessionList();
       if (rememberToggle.checked) {
-        await saveLastPdf(state.currentBytes.slice());
+        await rememberCurrentPdf();
       }
     } catch (error) {
       setStatus(status, `Failed to merge PDFs: ${error.message}`, true);
@@ -2440,459 +4088,1034 @@ export function initApp(root) {
   pageLabel.className = "page-label";
   pageLabel.textContent = "No PDF loaded";
 
-  const canvas = document.createElement("canvas");
-  canvas.className = "pdf-canvas";
-
-  const highlightLayer = createSvgElement("svg");
-  highlightLayer.classList.add("ink-layer", "highlight-layer");
-  highlightLayer.dataset.role = "highlight-layer";
-  highlightLayer.setAttribute("aria-hidden", "true");
-
-  const shapeLayer = createSvgElement("svg");
-  shapeLayer.classList.add("ink-layer", "shape-layer");
-  shapeLayer.dataset.role = "shape-layer";
-  shapeLayer.setAttribute("aria-hidden", "true");
-
-  const drawLayer = createSvgElement("svg");
-  drawLayer.classList.add("ink-layer", "draw-layer");
-  drawLayer.dataset.role = "draw-layer";
-  drawLayer.setAttribute("aria-hidden", "true");
-
-  const overlay = document.createElement("div");
-  overlay.className = "page-overlay";
-  overlay.dataset.role = "page-overlay";
-  overlay.dataset.mode = state.activeTool;
-  let activeDraw = null;
-  let activeHighlight = null;
-  let activeShape = null;
-  overlay.addEventListener("dragover", (event) => {
-    event.preventDefault();
-    overlay.classList.add("drag-over");
-  });
-  overlay.addEventListener("dragleave", () => {
-    overlay.classList.remove("drag-over");
-  });
+  // Each page view is a canvas with its annotation layers. Single-page mode uses
+  // one view; continuous mode recycles a small pool of them across pages.
+  const pageViews = [];
+  const createPageView = () => {
+    const canvas = document.createElement("canvas");
+    canvas.className = "pdf-canvas";
+
+    const searchLayer = document.createElement("div");
+    searchLayer.className = "search-layer";
+    searchLayer.dataset.role = "search-layer";
+    searchLayer.setAttribute("aria-hidden", "true");
+
+    const textLayer = document.createElement("div");
+    textLayer.className = "text-layer";
+    textLayer.dataset.role = "text-layer";
+    textLayer.addEventListener("pointerdown", () => {
+      textLayer.classList.add("selecting");
+    });
+    textLayer.addEventListener("pointerup", () => {
+      if (state.activeTool === "highlight" && isTextMarkupActive()) {
+        markSelectedText(textLayer, view.pageNumber ?? state.currentPage);
+      }
+    });
 
-  overlay.addEventListener("pointerdown", (event) => {
-    if (event.button !== 0) {
-      return;
-    }
-    if (
-      state.activeTool !== "draw" &&
-      state.activeTool !== "highlight" &&
-      state.activeTool !== "shapes"
-    ) {
-      return;
-    }
-    event.preventDefault();
-    if (!state.currentBytes) {
-      setStatus(status, "Load a PDF before drawing.", true);
-      return;
-    }
-    const bounds = getOverlayBounds(overlay);
-    if (!bounds.width || !bounds.height) {
-      setStatus(status, "Overlay not ready yet. Try again.", true);
-      return;
-    }
-    const start = getOverlayPoint(event, overlay);
-    if (state.activeTool === "draw") {
-      activeDraw = {
-        id: createId("draw"),
-        pageNumber: state.currentPage,
-        points: [start],
-        strokeColor: state.toolDefaults.draw.color,
-        strokeWidth: state.toolDefaults.draw.size,
-        opacity: 1,
-        overlayWidth: bounds.width,
-        overlayHeight: bounds.height
-      };
-      state.drawAnnotations = [...state.drawAnnotations, activeDraw];
-    } else if (state.activeTool === "highlight") {
-      activeHighlight = {
-        id: createId("highlight"),
-        pageNumber: state.currentPage,
-        x: start.x,
-        y: start.y,
-        width: 0,
-        height: 0,
-        color: state.toolDefaults.highlight.color,
-        opacity: state.toolDefaults.highlight.opacity,
-        overlayWidth: bounds.width,
-        overlayHeight: bounds.height
-      };
-      state.highlightAnnotations = [...state.highlightAnnotations, activeHighlight];
-    } else if (state.activeTool === "shapes") {
-      const shapeType = state.toolDefaults.shapes.shapeType;
-      if (shapeType === "polygon" || shapeType === "cloud") {
-        if (!state.shapeDraft || state.shapeDraft.shapeType !== shapeType) {
-          state.shapeDraft = {
-            id: createId("shape"),
-            pageNumber: state.currentPage,
-            shapeType,
-            geometry: { points: [start] },
-            style: { ...state.toolDefaults.shapes },
-            previewPoint: start,
-            overlayWidth: bounds.width,
-            overlayHeight: bounds.height
-          };
-        } else {
-          state.shapeDraft.geometry.points.push(start);
-        }
-        renderInkLayers(drawLayer, highlightLayer, overlay, shapeLayer);
+    const highlightLayer = createSvgElement("svg");
+    highlightLayer.classList.add("ink-layer", "highlight-layer");
+    highlightLayer.dataset.role = "highlight-layer";
+    highlightLayer.setAttribute("aria-hidden", "true");
+
+    const shapeLayer = createSvgElement("svg");
+    shapeLayer.classList.add("ink-layer", "shape-layer");
+    shapeLayer.dataset.role = "shape-layer";
+    shapeLayer.setAttribute("aria-hidden", "true");
+
+    const drawLayer = createSvgElement("svg");
+    drawLayer.classList.add("ink-layer", "draw-layer");
+    drawLayer.dataset.role = "draw-layer";
+    drawLayer.setAttribute("aria-hidden", "true");
+
+    const overlay = document.createElement("div");
+    overlay.className = "page-overlay";
+    overlay.dataset.role = "page-overlay";
+    overlay.dataset.mode = state.activeTool;
+    overlay.dataset.textMarkup = String(isTextMarkupActive());
+    let activeDraw = null;
+    let activeHighlight = null;
+    let activeShape = null;
+    let activeRedaction = null;
+    overlay.addEventListener("dragover", (event) => {
+      event.preventDefault();
+      overlay.classList.add("drag-over");
+    });
+    overlay.addEventListener("dragleave", () => {
+      overlay.classList.remove("drag-over");
+    });
+
+    overlay.addEventListener("pointerdown", (event) => {
+      if (event.button !== 0 || event.target.closest(".form-field")) {
         return;
       }
-      activeShape = {
-        id: createId("shape"),
-        pageNumber: state.currentPage,
-        shapeType,
-        geometry: {
+      if (
+        state.activeTool !== "draw" &&
+        state.activeTool !== "highlight" &&
+        state.activeTool !== "shapes" &&
+        state.activeTool !== "redact"
+      ) {
+        return;
+      }
+      // Text markup selects text through the text layer instead of dragging boxes.
+      if (state.activeTool === "highlight" && isTextMarkupActive()) {
+        return;
+      }
+      // Existing marks take focus so they can be deleted.
+      if (state.activeTool === "redact" && event.target.closest(".redaction-mark")) {
+        return;
+      }
+      event.preventDefault();
+      if (!state.currentBytes) {
+        setStatus(status, "Load a PDF before drawing.", true);
+        return;
+      }
+      const bounds = getOverlayBounds(overlay);
+      if (!bounds.width || !bounds.height) {
+        setStatus(status, "Overlay not ready yet. Try again.", true);
+        return;
+      }
+      const start = getOverlayPoint(event, overlay);
+      if (state.activeTool === "draw") {
+        activeDraw = {
+          id: createId("draw"),
+          pageNumber: state.currentPage,
+          points: [start],
+          strokeColor: state.toolDefaults.draw.color,
+          strokeWidth: state.toolDefaults.draw.size,
+          opacity: 1,
+          overlayWidth: bounds.width,
+          overlayHeight: bounds.height
+        };
+        state.drawAnnotations = [...state.drawAnnotations, activeDraw];
+      } else if (state.activeTool === "highlight") {
+        activeHighlight = {
+          id: createId("highlight"),
+          pageNumber: state.currentPage,
           x: start.x,
           y: start.y,
           width: 0,
           height: 0,
-          points: [start, start]
-        },
-        style: { ...state.toolDefaults.shapes },
-        overlayWidth: bounds.width,
-        overlayHeight: bounds.height
+          color: state.toolDefaults.highlight.color,
+          opacity: state.toolDefaults.highlight.opacity,
+          overlayWidth: bounds.width,
+          overlayHeight: bounds.height
+        };
+        state.highlightAnnotations = [...state.highlightAnnotations, activeHighlight];
+      } else if (state.activeTool === "redact") {
+        activeRedaction = {
+          id: createId("redaction"),
+          pageNumber: state.currentPage,
+          x: start.x,
+          y: start.y,
+          width: 0,
+          height: 0,
+          label: state.toolDefaults.redact.label,
+          fillColor: state.toolDefaults.redact.fillColor,
+          overlayWidth: bounds.width,
+          overlayHeight: bounds.height
+        };
+        state.redactionAnnotations = [...state.redactionAnnotations, activeRedaction];
+        renderAnnotations(overlay, status);
+      } else if (state.activeTool === "shapes") {
+        const shapeType = state.toolDefaults.shapes.shapeType;
+        if (shapeType === "polygon" || shapeType === "cloud") {
+          if (!state.shapeDraft || state.shapeDraft.shapeType !== shapeType) {
+            state.shapeDraft = {
+              id: createId("shape"),
+              pageNumber: state.currentPage,
+              shapeType,
+              geometry: { points: [start] },
+              style: { ...state.toolDefaults.shapes },
+              previewPoint: start,
+              overlayWidth: bounds.width,
+              overlayHeight: bounds.height
+            };
+          } else {
+            state.shapeDraft.geometry.points.push(start);
+          }
+          renderInkLayers(drawLayer, highlightLayer, overlay, shapeLayer);
+          return;
+        }
+        activeShape = {
+          id: createId("shape"),
+          pageNumber: state.currentPage,
+          shapeType,
+          geometry: {
+            x: start.x,
+            y: start.y,
+            width: 0,
+            height: 0,
+            points: [start, start]
+          },
+          style: { ...state.toolDefaults.shapes },
+          overlayWidth: bounds.width,
+          overlayHeight: bounds.height
+        };
+        state.shapeDraft = activeShape;
+      }
+      renderInkLayers(drawLayer, highlightLayer, overlay, shapeLayer);
+
+      const onMove = (moveEvent) => {
+        if (state.activeTool === "draw" && activeDraw) {
+          activeDraw.points.push(getOverlayPoint(moveEvent, overlay));
+          renderInkLayers(drawLayer, highlightLayer, overlay, shapeLayer);
+        }
+        if (state.activeTool === "highlight" && activeHighlight) {
+          const current = getOverlayPoint(moveEvent, overlay);
+          activeHighlight.x = Math.min(start.x, current.x);
+          activeHighlight.y = Math.min(start.y, current.y);
+          activeHighlight.width = Math.abs(current.x - start.x);
+          activeHighlight.height = Math.abs(current.y - start.y);
+          renderInkLayers(drawLayer, highlightLayer, overlay, shapeLayer);
+        }
+        if (state.activeTool === "redact" && activeRedaction) {
+          const current = getOverlayPoint(moveEvent, overlay);
+          activeRedaction.x = Math.min(start.x, current.x);
+          activeRedaction.y = Math.min(start.y, current.y);
+          activeRedaction.width = Math.abs(current.x - start.x);
+          activeRedaction.height = Math.abs(current.y - start.y);
+          const mark = overlay.querySelector(`[data-annotation-id="${activeRedaction.id}"]`);
+          if (mark) {
+            mark.style.left = `${activeRedaction.x}px`;
+            mark.style.top = `${activeRedaction.y}px`;
+            mark.style.width = `${activeRedaction.width}px`;
+            mark.style.height = `${activeRedaction.height}px`;
+          }
+        }
+        if (state.activeTool === "shapes") {
+          const current = getOverlayPoint(moveEvent, overlay);
+          if (activeShape && activeShape.geometry) {
+            const minX = Math.min(start.x, current.x);
+            const minY = Math.min(start.y, current.y);
+            const maxX = Math.max(start.x, current.x);
+            const maxY = Math.max(start.y, current.y);
+            if (activeShape.shapeType === "line" || activeShape.shapeType === "arrow") {
+              activeShape.geometry.points = [start, current];
+            } else {
+              activeShape.geometry.x = minX;
+              activeShape.geometry.y = minY;
+              activeShape.geometry.width = maxX - minX;
+              activeShape.geometry.height = maxY - minY;
+            }
+            renderInkLayers(drawLayer, highlightLayer, overlay, shapeLayer);
+          }
+          if (
+            state.shapeDraft &&
+            (state.shapeDraft.shapeType === "polygon" ||
+              state.shapeDraft.shapeType === "cloud")
+          ) {
+            state.shapeDraft.previewPoint = current;
+            renderInkLayers(drawLayer, highlightLayer, overlay, shapeLayer);
+          }
+        }
       };
-      state.shapeDraft = activeShape;
-    }
-    renderInkLayers(drawLayer, highlightLayer, overlay, shapeLayer);
 
-    const onMove = (moveEvent) => {
-      if (state.activeTool === "draw" && activeDraw) {
-        activeDraw.points.push(getOverlayPoint(moveEvent, overlay));
+      const onUp = () => {
+        window.removeEventListener("pointermove", onMove);
+        window.removeEventListener("pointerup", onUp);
+        if (activeHighlight && (activeHighlight.width < 2 || activeHighlight.height < 2)) {
+          state.highlightAnnotations = state.highlightAnnotations.filter(
+            (item) => item.id !== activeHighlight.id
+          );
+        }
+        if (activeRedaction && (activeRedaction.width < 2 || activeRedaction.height < 2)) {
+          state.redactionAnnotations = state.redactionAnnotations.filter(
+            (item) => item.id !== activeRedaction.id
+          );
+          renderAnnotations(overlay, status);
+        }
+        activeDraw = null;
+        activeHighlight = null;
+        activeRedaction = null;
+        if (
+          activeShape &&
+          activeShape.shapeType !== "polygon" &&
+          activeShape.shapeType !== "cloud"
+        ) {
+          const isLine = activeShape.shapeType === "line" || activeShape.shapeType === "arrow";
+          const hasSize = isLine
+            ? activeShape.geometry.points?.length === 2
+            : activeShape.geometry.width > 2 && activeShape.geometry.height > 2;
+          if (hasSize) {
+            state.shapeAnnotations = [...state.shapeAnnotations, activeShape];
+          }
+          state.shapeDraft = null;
+          activeShape = null;
+        }
         renderInkLayers(drawLayer, highlightLayer, overlay, shapeLayer);
+        scheduleSessionSave();
+      };
+
+      window.addEventListener("pointermove", onMove);
+      window.addEventListener("pointerup", onUp);
+    });
+
+    overlay.addEventListener("click", (event) => {
+      // Form inputs take their own clicks.
+      if (event.target.closest(".form-field")) {
+        return;
       }
-      if (state.activeTool === "highlight" && activeHighlight) {
-        const current = getOverlayPoint(moveEvent, overlay);
-        activeHighlight.x = Math.min(start.x, current.x);
-        activeHighlight.y = Math.min(start.y, current.y);
-        activeHighlight.width = Math.abs(current.x - start.x);
-        activeHighlight.height = Math.abs(current.y - start.y);
-        renderInkLayers(drawLayer, highlightLayer, overlay, shapeLayer);
+      if (!state.currentBytes) {
+        if (
+          state.activeTool === "text" ||
+          state.activeTool === "signature" ||
+          state.activeTool === "comment" ||
+          state.activeTool === "stamp" ||
+          state.activeTool === "form"
+        ) {
+          setStatus(status, "Load a PDF before adding annotations.", true);
+        }
+        return;
       }
-      if (state.activeTool === "shapes") {
-        const current = getOverlayPoint(moveEvent, overlay);
-        if (activeShape && activeShape.geometry) {
-          const minX = Math.min(start.x, current.x);
-          const minY = Math.min(start.y, current.y);
-          const maxX = Math.max(start.x, current.x);
-          const maxY = Math.max(start.y, current.y);
-          if (activeShape.shapeType === "line" || activeShape.shapeType === "arrow") {
-            activeShape.geometry.points = [start, current];
-          } else {
-            activeShape.geometry.x = minX;
-            activeShape.geometry.y = minY;
-            activeShape.geometry.width = maxX - minX;
-            activeShape.geometry.height = maxY - minY;
-          }
-          renderInkLayers(drawLayer, highlightLayer, overlay, shapeLayer);
+      if (state.activeTool === "text") {
+        if (event.target.closest(".text-annotation") || event.target.closest(".annotation")) {
+          return;
         }
+        const { width: overlayWidth, height: overlayHeight } = getOverlayBounds(overlay);
+        const point = getOverlayPoint(event, overlay);
+        if (!overlayWidth || !overlayHeight) {
+          setStatus(status, "Overlay not ready yet. Try again.", true);
+          return;
+        }
+        const x = clamp(point.x, 0, overlayWidth - 160);
+        const y = clamp(point.y, 0, overlayHeight - 32);
+        const baseStyle = {
+          bold: state.textDefaults.bold,
+          italic: state.textDefaults.italic,
+          underline: state.textDefaults.underline,
+          fontSize: state.textDefaults.fontSize,
+          color: state.textDefaults.color
+        };
+        const annotation = {
+          id: createId("text"),
+          pageNumber: state.currentPage,
+          x,
+          y,
+          width: 160,
+          height: 32,
+          text: "",
+          fontSize: state.textDefaults.fontSize,
+          fontFamily: state.textDefaults.fontFamily,
+          color: state.textDefaults.color,
+          align: state.textDefaults.align,
+          lineHeight: state.textDefaults.lineHeight,
+          spans: [{ text: "", ...baseStyle }],
+          overlayWidth,
+          overlayHeight
+        };
+        state.textAnnotations = [...state.textAnnotations, annotation];
+        state.selectedTextId = annotation.id;
+        renderAnnotations(overlay, status);
+        const created = overlay.querySelector(`[data-annotation-id="${annotation.id}"]`);
+        const content = created?.querySelector(".text-content");
+        if (content) {
+          content.focus();
+        }
+        scheduleSessionSave();
+        return;
+      }
+      if (state.activeTool === "signature") {
         if (
-          state.shapeDraft &&
-          (state.shapeDraft.shapeType === "polygon" ||
-            state.shapeDraft.shapeType === "cloud")
+          event.target.closest(".signature-annotation") ||
+          event.target.closest(".text-annotation") ||
+          event.target.closest(".annotation")
         ) {
-          state.shapeDraft.previewPoint = current;
-          renderInkLayers(drawLayer, highlightLayer, overlay, shapeLayer);
+          return;
+        }
+        if (!state.signatureProfile?.name || !state.signatureProfile?.fontId) {
+          setStatus(status, "Create and select a signature style first.", true);
+          return;
+        }
+        const { width: overlayWidth, height: overlayHeight } = getOverlayBounds(overlay);
+        const point = getOverlayPoint(event, overlay);
+        if (!overlayWidth || !overlayHeight) {
+          setStatus(status, "Overlay not ready yet. Try again.", true);
+          return;
         }
+        const signatureText =
+          state.signaturePlacementMode === "initials" && state.signatureProfile.initials
+            ? state.signatureProfile.initials
+            : state.signatureProfile.name;
+        const width = 220;
+        const height = 72;
+        const x = clamp(point.x - width / 2, 0, overlayWidth - width);
+        const y = clamp(point.y - height / 2, 0, overlayHeight - height);
+        const annotation = {
+          id: createId("signature"),
+          pageNumber: state.currentPage,
+          x,
+          y,
+          width,
+          height,
+          text: signatureText,
+          fontId: state.signatureProfile.fontId,
+          overlayWidth,
+          overlayHeight
+        };
+        state.signatureAnnotations = [...state.signatureAnnotations, annotation];
+        renderAnnotations(overlay, status);
+        scheduleSessionSave();
+        return;
       }
-    };
-
-    const onUp = () => {
-      window.removeEventListener("pointermove", onMove);
-      window.removeEventListener("pointerup", onUp);
-      if (activeHighlight && (activeHighlight.width < 2 || activeHighlight.height < 2)) {
-        state.highlightAnnotations = state.highlightAnnotations.filter(
-          (item) => item.id !== activeHighlight.id
-        );
+      if (state.activeTool === "comment") {
+        if (event.target.closest(".comment-annotation")) {
+          return;
+        }
+        const { width: overlayWidth, height: overlayHeight } = getOverlayBounds(overlay);
+        const point = getOverlayPoint(event, overlay);
+        if (!overlayWidth || !overlayHeight) {
+          setStatus(status, "Overlay not ready yet. Try again.", true);
+          return;
+        }
+        const width = 180;
+        const height = 80;
+        const x = clamp(point.x, 0, overlayWidth - width);
+        const y = clamp(point.y, 0, overlayHeight - height);
+        const annotation = {
+          id: createId("comment"),
+          pageNumber: state.currentPage,
+          x,
+          y,
+          width,
+          height,
+          text: state.toolDefaults.comment.text,
+          color: state.toolDefaults.comment.color,
+          fontSize: 12,
+          overlayWidth,
+          overlayHeight
+        };
+        state.commentAnnotations = [...state.commentAnnotations, annotation];
+        renderAnnotations(overlay, status);
+        scheduleSessionSave();
+        return;
       }
-      activeDraw = null;
-      activeHighlight = null;
-      if (activeShape && activeShape.shapeType !== "polygon" && activeShape.shapeType !== "cloud") {
-        const isLine = activeShape.shapeType === "line" || activeShape.shapeType === "arrow";
-        const hasSize = isLine
-          ? activeShape.geometry.points?.length === 2
-          : activeShape.geometry.width > 2 && activeShape.geometry.height > 2;
-        if (hasSize) {
-          state.shapeAnnotations = [...state.shapeAnnotations, activeShape];
+      if (state.activeTool === "stamp") {
+        if (event.target.closest(".stamp-annotation")) {
+          return;
         }
-        state.shapeDraft = null;
-        activeShape = null;
+        const { width: overlayWidth, height: overlayHeight } = getOverlayBounds(overlay);
+        const point = getOverlayPoint(event, overlay);
+        if (!overlayWidth || !overlayHeight) {
+          setStatus(status, "Overlay not ready yet. Try again.", true);
+          return;
+        }
+        const width = 200;
+        const height = 60;
+        const x = clamp(point.x, 0, overlayWidth - width);
+        const y = clamp(point.y, 0, overlayHeight - height);
+        const annotation = {
+          id: createId("stamp"),
+          pageNumber: state.currentPage,
+          x,
+          y,
+          width,
+          height,
+          text: state.toolDefaults.stamp.text,
+          color: state.toolDefaults.stamp.color,
+          fontSize: 20,
+          overlayWidth,
+          overlayHeight
+        };
+        state.stampAnnotations = [...state.stampAnnotations, annotation];
+        state.selectedStampId = annotation.id;
+        renderAnnotations(overlay, status);
+        scheduleSessionSave();
+        return;
       }
-      renderInkLayers(drawLayer, highlightLayer, overlay, shapeLayer);
-      scheduleSessionSave();
-    };
-
-    window.addEventListener("pointermove", onMove);
-    window.addEventListener("pointerup", onUp);
-  });
+      if (state.activeTool === "form") {
+        if (event.target.closest(".form-field-box")) {
+          return;
+        }
+        const { width: overlayWidth, height: overlayHeight } = getOverlayBounds(overlay);
+        if (!overlayWidth || !overlayHeight) {
+          setStatus(status, "Overlay not ready yet. Try again.", true);
+          return;
+        }
+        const annotation = createFormFieldAnnotation(
+          state.toolDefaults.form.fieldType,
+          getOverlayPoint(event, overlay),
+          { width: overlayWidth, height: overlayHeight }
+        );
+        state.formFieldAnnotations = [...state.formFieldAnnotations, annotation];
+        state.selectedFormFieldId = annotation.id;
+        renderAnnotations(overlay, status);
+        scheduleSessionSave();
+        setStatus(status, `Added ${annotation.name}.`);
+      }
+    });
 
-  overlay.addEventListener("click", (event) => {
-    if (!state.currentBytes) {
+    overlay.addEventListener("pointermove", (event) => {
+      if (state.activeTool !== "shapes") {
+        return;
+      }
       if (
-        state.activeTool === "text" ||
-        state.activeTool === "signature" ||
-        state.activeTool === "comment" ||
-        state.activeTool === "stamp"
+        state.shapeDraft &&
+        (state.shapeDraft.shapeType === "polygon" || state.shapeDraft.shapeType === "cloud")
       ) {
-        setStatus(status, "Load a PDF before adding annotations.", true);
+        state.shapeDraft.previewPoint = getOverlayPoint(event, overlay);
+        renderInkLayers(drawLayer, highlightLayer, overlay, shapeLayer);
       }
-      return;
-    }
-    if (state.activeTool === "text") {
-      if (event.target.closest(".text-annotation") || event.target.closest(".annotation")) {
+    });
+
+    overlay.addEventListener("dblclick", (event) => {
+      if (state.activeTool !== "shapes") {
         return;
       }
-      const rect = overlay.getBoundingClientRect();
-      const overlayWidth = rect.width || overlay.offsetWidth;
-      const overlayHeight = rect.height || overlay.offsetHeight;
-      if (!overlayWidth || !overlayHeight) {
-        setStatus(status, "Overlay not ready yet. Try again.", true);
+      if (
+        !state.shapeDraft ||
+        (state.shapeDraft.shapeType !== "polygon" && state.shapeDraft.shapeType !== "cloud")
+      ) {
+        return;
+      }
+      event.preventDefault();
+      const points = state.shapeDraft.geometry.points ?? [];
+      if (points.length < 3) {
         return;
       }
-      const x = clamp(event.clientX - rect.left, 0, overlayWidth - 160);
-      const y = clamp(event.clientY - rect.top, 0, overlayHeight - 32);
-      const baseStyle = {
-        bold: state.textDefaults.bold,
-        italic: state.textDefaults.italic,
-        underline: state.textDefaults.underline,
-        fontSize: state.textDefaults.fontSize,
-        color: state.textDefaults.color
+      const finalized = {
+        ...state.shapeDraft,
+        previewPoint: null
       };
-      const annotation = {
-        id: createId("text"),
-        pageNumber: state.currentPage,
-        x,
-        y,
-        width: 160,
-        height: 32,
-        text: "",
-        fontSize: state.textDefaults.fontSize,
-        fontFamily: state.textDefaults.fontFamily,
-        color: state.textDefaults.color,
-        spans: [{ text: "", ...baseStyle }],
-        overlayWidth,
-        overlayHeight
-      };
-      state.textAnnotations = [...state.textAnnotations, annotation];
-      state.selectedTextId = annotation.id;
-      renderAnnotations(overlay, status);
-      const created = overlay.querySelector(`[data-annotation-id="${annotation.id}"]`);
-      const content = created?.querySelector(".text-content");
-      if (content) {
-        content.focus();
-      }
+      state.shapeAnnotations = [...state.shapeAnnotations, finalized];
+      state.shapeDraft = null;
+      renderInkLayers(drawLayer, highlightLayer, overlay, shapeLayer);
       scheduleSessionSave();
-      return;
-    }
-    if (state.activeTool === "signature") {
-      if (
-        event.target.closest(".signature-annotation") ||
-        event.target.closest(".text-annotation") ||
-        event.target.closest(".annotation")
-      ) {
+    });
+
+    overlay.addEventListener("drop", (event) => {
+      event.preventDefault();
+      overlay.classList.remove("drag-over");
+      if (!state.currentBytes) {
+        setStatus(status, "Load a PDF before placing images.", true);
+        return;
+      }
+      const assetId = event.dataTransfer?.getData("text/plain");
+      if (!assetId) {
+        setStatus(status, "Drop an image from the asset pane.", true);
         return;
       }
-      if (!state.signatureProfile?.name || !state.signatureProfile?.fontId) {
-        setStatus(status, "Create and select a signature style first.", true);
+      const asset = state.imageAssets.find((item) => item.id === assetId);
+      if (!asset) {
+        setStatus(status, "Image asset not found.", true);
         return;
       }
-      const rect = overlay.getBoundingClientRect();
-      const overlayWidth = rect.width || overlay.offsetWidth;
-      const overlayHeight = rect.height || overlay.offsetHeight;
+
+      const { width: overlayWidth, height: overlayHeight } = getOverlayBounds(overlay);
+      const point = getOverlayPoint(event, overlay);
       if (!overlayWidth || !overlayHeight) {
         setStatus(status, "Overlay not ready yet. Try again.", true);
         return;
       }
-      const signatureText =
-        state.signaturePlacementMode === "initials" && state.signatureProfile.initials
-          ? state.signatureProfile.initials
-          : state.signatureProfile.name;
-      const width = 220;
-      const height = 72;
-      const x = clamp(event.clientX - rect.left - width / 2, 0, overlayWidth - width);
-      const y = clamp(event.clientY - rect.top - height / 2, 0, overlayHeight - height);
+
+      const maxWidth = overlayWidth * 0.3;
+      const scale = Math.min(maxWidth / asset.naturalWidth, 1);
+      const width = asset.naturalWidth * scale;
+      const height = asset.naturalHeight * scale;
+      const dropX = point.x - width / 2;
+      const dropY = point.y - height / 2;
+      const x = clamp(dropX, 0, overlayWidth - width);
+      const y = clamp(dropY, 0, overlayHeight - height);
+
       const annotation = {
-        id: createId("signature"),
+        id: createId("annotation"),
+        assetId,
         pageNumber: state.currentPage,
         x,
         y,
         width,
         height,
-        text: signatureText,
-        fontId: state.signatureProfile.fontId,
         overlayWidth,
         overlayHeight
       };
-      state.signatureAnnotations = [...state.signatureAnnotations, annotation];
+      state.imageAnnotations = [...state.imageAnnotations, annotation];
       renderAnnotations(overlay, status);
       scheduleSessionSave();
+      setStatus(status, "Image placed on page.");
+    });
+
+    const stage = document.createElement("div");
+    stage.className = "page-stage";
+    stage.append(canvas, searchLayer, textLayer, highlightLayer, shapeLayer, overlay, drawLayer);
+    const view = {
+      pageNumber: null,
+      stage,
+      canvas,
+      textLayer,
+      overlay,
+      drawLayer,
+      highlightLayer,
+      shapeLayer
+    };
+    // The page a pointer lands on becomes the current page before the tool
+    // handlers run, so new annotations and the page panes follow it.
+    ["pointerdown", "click", "dragenter", "drop", "focusin"].forEach((type) => {
+      stage.addEventListener(type, () => activateView(view), true);
+    });
+    pageViews.push(view);
+    return view;
+  };
+  const primaryView = createPageView();
+  let { canvas, overlay, drawLayer, highlightLayer, shapeLayer } = primaryView;
+
+  const refreshSearchLayers = async () => {
+    if (state.viewMode !== "continuous") {
+      await renderSearchHits(primaryView.stage, state.currentPage);
       return;
     }
-    if (state.activeTool === "comment") {
-      if (event.target.closest(".comment-annotation")) {
-        return;
+    for (const view of pageViews) {
+      if (view.pageNumber !== null) {
+        await renderSearchHits(view.stage, view.pageNumber);
       }
-      const rect = overlay.getBoundingClientRect();
-      const overlayWidth = rect.width || overlay.offsetWidth;
-      const overlayHeight = rect.height || overlay.offsetHeight;
-      if (!overlayWidth || !overlayHeight) {
-        setStatus(status, "Overlay not ready yet. Try again.", true);
-        return;
+    }
+  };
+
+  // Adds one markup annotation per entry; quads are glyph boxes in PDF space.
+  const addTextMarkup = async (entries) => {
+    const { color, opacity, markupType } = state.toolDefaults.highlight;
+    const created = [];
+    for (const entry of entries) {
+      const rotation = state.pageProperties.rotations[entry.pageNumber] ?? 0;
+      const pageSize = await getPageSize(state.pdfDoc, entry.pageNumber, VIEWER_SCALE, rotation);
+      const rects = mergeLineRects(
+        await convertQuadsToViewportRects(
+          state.pdfDoc,
+          entry.pageNumber,
+          entry.quads,
+          VIEWER_SCALE,
+          rotation
+        )
+      );
+      if (!rects.length) {
+        continue;
       }
-      const width = 180;
-      const height = 80;
-      const x = clamp(event.clientX - rect.left, 0, overlayWidth - width);
-      const y = clamp(event.clientY - rect.top, 0, overlayHeight - height);
-      const annotation = {
-        id: createId("comment"),
-        pageNumber: state.currentPage,
-        x,
-        y,
-        width,
-        height,
-        text: state.toolDefaults.comment.text,
-        color: state.toolDefaults.comment.color,
-        fontSize: 12,
-        overlayWidth,
-        overlayHeight
-      };
-      state.commentAnnotations = [...state.commentAnnotations, annotation];
-      renderAnnotations(overlay, status);
-      scheduleSessionSave();
+      const left = Math.min(...rects.map((rect) => rect.x));
+      const top = Math.min(...rects.map((rect) => rect.y));
+      created.push({
+        id: createId("highlight"),
+        pageNumber: entry.pageNumber,
+        x: left,
+        y: top,
+        width: Math.max(...rects.map((rect) => rect.x + rect.width)) - left,
+        height: Math.max(...rects.map((rect) => rect.y + rect.height)) - top,
+        rects,
+        markupType,
+        text: entry.text,
+        color,
+        opacity: markupType === "highlight" ? opacity : 1,
+        overlayWidth: pageSize.width,
+        overlayHeight: pageSize.height
+      });
+    }
+    if (!created.length) {
+      return 0;
+    }
+    state.highlightAnnotations = [...state.highlightAnnotations, ...created];
+    if (created.every((annotation) => annotation.pageNumber === state.currentPage)) {
+      renderInkLayers(drawLayer, highlightLayer, overlay, shapeLayer);
+    } else {
+      await refreshViewer(
+        canvas,
+        overlay,
+        drawLayer,
+        highlightLayer,
+        shapeLayer,
+        pageLabel,
+        status
+      );
+    }
+    scheduleSessionSave();
+    return created.length;
+  };
+
+  const markSelectedText = async (textLayer, pageNumber) => {
+    const selection = window.getSelection();
+    if (!selection || selection.isCollapsed || !selection.rangeCount) {
       return;
     }
-    if (state.activeTool === "stamp") {
-      if (event.target.closest(".stamp-annotation")) {
-        return;
-      }
-      const rect = overlay.getBoundingClientRect();
-      const overlayWidth = rect.width || overlay.offsetWidth;
-      const overlayHeight = rect.height || overlay.offsetHeight;
-      if (!overlayWidth || !overlayHeight) {
-        setStatus(status, "Overlay not ready yet. Try again.", true);
+    const range = selection.getRangeAt(0);
+    const text = selection.toString().replace(/\s+/g, " ").trim();
+    try {
+      const { items } = await getPageText(pageNumber);
+      const quads = getSelectedTextRanges(range, textLayer, items).flatMap(({ start, end }) =>
+        getTextRangeQuads(items, start, end)
+      );
+      if (!quads.length) {
         return;
       }
-      const width = 200;
-      const height = 60;
-      const x = clamp(event.clientX - rect.left, 0, overlayWidth - width);
-      const y = clamp(event.clientY - rect.top, 0, overlayHeight - height);
-      const annotation = {
-        id: createId("stamp"),
-        pageNumber: state.currentPage,
-        x,
-        y,
-        width,
-        height,
-        text: state.toolDefaults.stamp.text,
-        color: state.toolDefaults.stamp.color,
-        fontSize: 20,
-        overlayWidth,
-        overlayHeight
-      };
-      state.stampAnnotations = [...state.stampAnnotations, annotation];
-      state.selectedStampId = annotation.id;
-      renderAnnotations(overlay, status);
-      scheduleSessionSave();
+      selection.removeAllRanges();
+      await addTextMarkup([{ pageNumber, quads, text }]);
+      setStatus(status, "Text marked up.");
+    } catch (error) {
+      setStatus(status, `Failed to mark text: ${error.message}`, true);
     }
-  });
+  };
 
-  overlay.addEventListener("pointermove", (event) => {
-    if (state.activeTool !== "shapes") {
+  const activateView = (view) => {
+    if (state.viewMode !== "continuous" || view.pageNumber === null) {
       return;
     }
-    if (
-      state.shapeDraft &&
-      (state.shapeDraft.shapeType === "polygon" || state.shapeDraft.shapeType === "cloud")
-    ) {
-      state.shapeDraft.previewPoint = getOverlayPoint(event, overlay);
-      renderInkLayers(drawLayer, highlightLayer, overlay, shapeLayer);
+    ({ canvas, overlay, drawLayer, highlightLayer, shapeLayer } = view);
+    if (state.currentPage !== view.pageNumber) {
+      state.currentPage = view.pageNumber;
+      updatePageLabel(pageLabel);
+      pagePropertiesUi?.update();
     }
-  });
+  };
 
-  overlay.addEventListener("dblclick", (event) => {
-    if (state.activeTool !== "shapes") {
-      return;
+  const pageSizer = document.createElement("div");
+  pageSizer.className = "page-sizer";
+  pageSizer.append(primaryView.stage);
+  const canvasWrap = document.createElement("div");
+  canvasWrap.className = "canvas-wrap";
+  canvasWrap.dataset.role = "viewer";
+  canvasWrap.dataset.viewMode = state.viewMode;
+  canvasWrap.append(pageSizer);
+
+  const pageColumn = document.createElement("div");
+  pageColumn.className = "page-column";
+  let pageSlots = new Map();
+  const pageSizeCache = { pdfDoc: null, sizes: new Map() };
+  const nearPages = new Set();
+  let slotObserver = null;
+  let slotQueue = Promise.resolve();
+  let pointerGesture = false;
+
+  const getCachedPageSize = async (pageNumber) => {
+    if (pageSizeCache.pdfDoc !== state.pdfDoc) {
+      pageSizeCache.pdfDoc = state.pdfDoc;
+      pageSizeCache.sizes.clear();
     }
-    if (
-      !state.shapeDraft ||
-      (state.shapeDraft.shapeType !== "polygon" && state.shapeDraft.shapeType !== "cloud")
-    ) {
-      return;
+    const rotation = state.pageProperties.rotations[pageNumber] ?? 0;
+    const key = `${pageNumber}:${rotation}`;
+    if (!pageSizeCache.sizes.has(key)) {
+      pageSizeCache.sizes.set(
+        key,
+        await getPageSize(state.pdfDoc, pageNumber, VIEWER_SCALE, rotation)
+      );
     }
-    event.preventDefault();
-    const points = state.shapeDraft.geometry.points ?? [];
-    if (points.length < 3) {
+    return pageSizeCache.sizes.get(key);
+  };
+
+  const releaseView = (view) => {
+    view.stage.remove();
+    view.pageNumber = null;
+  };
+
+  const getWantedPages = () => {
+    const pages = [...pageSlots.keys()];
+    const near = slotObserver
+      ? pages.filter((page) => nearPages.has(page))
+      : pages.filter((page, index) => Math.abs(index - pages.indexOf(state.currentPage)) <= 2);
+    return near
+      .sort((a, b) => Math.abs(a - state.currentPage) - Math.abs(b - state.currentPage))
+      .slice(0, CONTINUOUS_VIEW_LIMIT);
+  };
+
+  const renderSlot = async (pageNumber) => {
+    const slot = pageSlots.get(pageNumber);
+    if (state.viewMode !== "continuous" || !slot || !getWantedPages().includes(pageNumber)) {
       return;
     }
-    const finalized = {
-      ...state.shapeDraft,
-      previewPoint: null
-    };
-    state.shapeAnnotations = [...state.shapeAnnotations, finalized];
-    state.shapeDraft = null;
-    renderInkLayers(drawLayer, highlightLayer, overlay, shapeLayer);
-    scheduleSessionSave();
-  });
+    let view = pageViews.find((item) => item.pageNumber === pageNumber);
+    if (!view) {
+      view =
+        pageViews.find((item) => item.pageNumber === null) ??
+        (pageViews.length < CONTINUOUS_VIEW_LIMIT ? createPageView() : null);
+      if (!view) {
+        return;
+      }
+      view.pageNumber = pageNumber;
+      view.overlay.dataset.mode = state.activeTool;
+      slot.append(view.stage);
+    }
+    await renderViewerPage(view.canvas, pageNumber);
+    renderInkLayers(
+      view.drawLayer,
+      view.highlightLayer,
+      view.overlay,
+      view.shapeLayer,
+      pageNumber
+    );
+    renderAnnotations(view.overlay, status, pageNumber);
+    if (pageNumber === state.currentPage) {
+      activateView(view);
+    }
+  };
 
-  overlay.addEventListener("drop", (event) => {
-    event.preventDefault();
-    overlay.classList.remove("drag-over");
-    if (!state.currentBytes) {
-      setStatus(status, "Load a PDF before placing images.", true);
-      return;
+  // pdf.js cannot draw into one canvas twice at once, so slot renders run in turn.
+  const queueSlotRender = (pageNumber) => {
+    slotQueue = slotQueue
+      .then(() => renderSlot(pageNumber))
+      .catch((error) => setStatus(status, `Render failed: ${error.message}`, true));
+    return slotQueue;
+  };
+
+  const syncSlots = () => {
+    const wanted = getWantedPages();
+    pageViews.forEach((view) => {
+      if (view.pageNumber !== null && !wanted.includes(view.pageNumber)) {
+        releaseView(view);
+      }
+    });
+    wanted
+      .filter((page) => !pageViews.some((view) => view.pageNumber === page))
+      .forEach((page) => queueSlotRender(page));
+  };
+
+  const getPageAtScrollPosition = () => {
+    const probe = canvasWrap.scrollTop + canvasWrap.clientHeight / 3;
+    let found = null;
+    pageSlots.forEach((slot, page) => {
+      if (found === null || slot.offsetTop <= probe) {
+        found = page;
+      }
+    });
+    return found;
+  };
+
+  const layoutSlots = async () => {
+    const pages = getVisiblePages();
+    const sizes = await Promise.all(pages.map((page) => getCachedPageSize(page)));
+    if (state.zoomMode !== "custom" && sizes.length) {
+      const index = Math.max(0, pages.indexOf(state.currentPage));
+      const fitted = getFitZoom(canvasWrap, sizes[index], state.zoomMode);
+      if (fitted) {
+        state.zoom = fitted;
+      }
     }
-    const assetId = event.dataTransfer?.getData("text/plain");
-    if (!assetId) {
-      setStatus(status, "Drop an image from the asset pane.", true);
-      return;
+    const slots = new Map();
+    pages.forEach((page, index) => {
+      const slot = pageSlots.get(page) ?? document.createElement("div");
+      slot.className = "page-slot";
+      slot.dataset.pageNumber = String(page);
+      slot.style.width = `${sizes[index].width * state.zoom}px`;
+      slot.style.height = `${sizes[index].height * state.zoom}px`;
+      slots.set(page, slot);
+    });
+    pageSlots = slots;
+    pageViews.forEach((view) => {
+      if (view.pageNumber !== null && !pageSlots.has(view.pageNumber)) {
+        releaseView(view);
+      }
+    });
+    pageColumn.replaceChildren(...pageSlots.values());
+    if (slotObserver) {
+      // Observing again reports every slot afresh, so the near set self-corrects.
+      slotObserver.disconnect();
+      pageSlots.forEach((slot) => slotObserver.observe(slot));
     }
-    const asset = state.imageAssets.find((item) => item.id === assetId);
-    if (!asset) {
-      setStatus(status, "Image asset not found.", true);
-      return;
+  };
+
+  continuousUi = {
+    refresh: async () => {
+      await layoutSlots();
+      if (getPageAtScrollPosition() !== state.currentPage) {
+        const slot = pageSlots.get(state.currentPage);
+        canvasWrap.scrollTop = slot ? slot.offsetTop : 0;
+      }
+      pageViews
+        .filter((view) => view.pageNumber !== null)
+        .forEach((view) => queueSlotRender(view.pageNumber));
+      syncSlots();
+      await slotQueue;
+      zoomUi?.update();
     }
+  };
 
-    const rect = overlay.getBoundingClientRect();
-    const overlayWidth = rect.width || overlay.offsetWidth;
-    const overlayHeight = rect.height || overlay.offsetHeight;
-    if (!overlayWidth || !overlayHeight) {
-      setStatus(status, "Overlay not ready yet. Try again.", true);
+  canvasWrap.addEventListener(
+    "pointerdown",
+    () => {
+      pointerGesture = true;
+    },
+    true
+  );
+  window.addEventListener("pointerup", () => {
+    pointerGesture = false;
+    pageViews.forEach((view) => view.textLayer.classList.remove("selecting"));
+  });
+  canvasWrap.addEventListener("scroll", () => {
+    if (state.viewMode !== "continuous" || pointerGesture) {
       return;
     }
+    const page = getPageAtScrollPosition();
+    if (page !== null && page !== state.currentPage) {
+      state.currentPage = page;
+      updatePageLabel(pageLabel);
+      pagePropertiesUi?.update();
+      thumbnailUi?.update();
+      const view = pageViews.find((item) => item.pageNumber === page);
+      if (view) {
+        activateView(view);
+      }
+    }
+    if (!slotObserver) {
+      syncSlots();
+    }
+  });
 
-    const maxWidth = overlayWidth * 0.3;
-    const scale = Math.min(maxWidth / asset.naturalWidth, 1);
-    const width = asset.naturalWidth * scale;
-    const height = asset.naturalHeight * scale;
-    const dropX = event.clientX - rect.left - width / 2;
-    const dropY = event.clientY - rect.top - height / 2;
-    const x = clamp(dropX, 0, overlayWidth - width);
-    const y = clamp(dropY, 0, overlayHeight - height);
+  const setViewMode = async (mode) => {
+    state.viewMode = mode;
+    canvasWrap.dataset.viewMode = mode;
+    viewModeSelect.value = mode;
+    pageViews.forEach((view) => releaseView(view));
+    if (mode === "continuous") {
+      if (typeof IntersectionObserver === "function") {
+        slotObserver = new IntersectionObserver(
+          (entries) => {
+            entries.forEach((entry) => {
+              const page = Number(entry.target.dataset.pageNumber);
+              if (entry.isIntersecting) {
+                nearPages.add(page);
+              } else {
+                nearPages.delete(page);
+              }
+            });
+            syncSlots();
+          },
+          { root: canvasWrap, rootMargin: "50% 0px" }
+        );
+      }
+      canvasWrap.replaceChildren(pageColumn);
+    } else {
+      slotObserver?.disconnect();
+      slotObserver = null;
+      nearPages.clear();
+      pageSlots = new Map();
+      pageColumn.replaceChildren();
+      // Pooled canvases give their memory back until continuous mode is used again.
+      pageViews
+        .filter((view) => view !== primaryView)
+        .forEach((view) => {
+          view.canvas.width = 0;
+          view.canvas.height = 0;
+          view.textLayer.replaceChildren();
+        });
+      ({ canvas, overlay, drawLayer, highlightLayer, shapeLayer } = primaryView);
+      pageSizer.append(primaryView.stage);
+      canvasWrap.replaceChildren(pageSizer);
+    }
+    await refreshViewer(canvas, overlay, drawLayer, highlightLayer, shapeLayer, pageLabel, status);
+  };
 
-    const annotation = {
-      id: createId("annotation"),
-      assetId,
-      pageNumber: state.currentPage,
-      x,
-      y,
-      width,
-      height,
-      overlayWidth,
-      overlayHeight
-    };
-    state.imageAnnotations = [...state.imageAnnotations, annotation];
-    renderAnnotations(overlay, status);
-    scheduleSessionSave();
-    setStatus(status, "Image placed on page.");
+  const viewModeSelect = document.createElement("select");
+  viewModeSelect.dataset.role = "view-mode";
+  viewModeSelect.setAttribute("aria-label", "Page layout");
+  [
+    { label: "Single page", value: "single" },
+    { label: "Continuous scroll", value: "continuous" }
+  ].forEach((mode) => {
+    const option = document.createElement("option");
+    option.value = mode.value;
+    option.textContent = mode.label;
+    viewModeSelect.append(option);
+  });
+  viewModeSelect.value = state.viewMode;
+  viewModeSelect.addEventListener("change", () => {
+    setViewMode(viewModeSelect.value);
   });
 
-  const canvasWrap = document.createElement("div");
-  canvasWrap.className = "canvas-wrap";
-  canvasWrap.append(canvas, highlightLayer, shapeLayer, overlay, drawLayer);
+  // Wheel zoom fires faster than pages render, so renders are coalesced.
+  let zoomRendering = false;
+  let zoomQueued = false;
+  const setZoom = async (zoom, mode = "custom") => {
+    state.zoomMode = mode;
+    if (mode === "custom") {
+      state.zoom = clampZoom(zoom);
+    }
+    zoomUi.update();
+    if (zoomRendering) {
+      zoomQueued = true;
+      return;
+    }
+    zoomRendering = true;
+    do {
+      zoomQueued = false;
+      await refreshViewer(
+        canvas,
+        overlay,
+        drawLayer,
+        highlightLayer,
+        shapeLayer,
+        pageLabel,
+        status
+      );
+    } while (zoomQueued);
+    zoomRendering = false;
+  };
+  const zoomOutButton = createButton("−", () =>
+    setZoom([...ZOOM_PRESETS].reverse().find((zoom) => zoom < state.zoom - 0.001) ?? MIN_ZOOM)
+  );
+  zoomOutButton.dataset.role = "zoom-out";
+  zoomOutButton.title = "Zoom out";
+  const zoomInButton = createButton("+", () =>
+    setZoom(ZOOM_PRESETS.find((zoom) => zoom > state.zoom + 0.001) ?? MAX_ZOOM)
+  );
+  zoomInButton.dataset.role = "zoom-in";
+  zoomInButton.title = "Zoom in";
+  const zoomSelect = document.createElement("select");
+  zoomSelect.dataset.role = "zoom-select";
+  zoomSelect.setAttribute("aria-label", "Zoom");
+  const customZoomOption = document.createElement("option");
+  customZoomOption.value = "custom";
+  customZoomOption.hidden = true;
+  [
+    { label: "Fit width", value: "fit-width" },
+    { label: "Fit page", value: "fit-page" },
+    ...ZOOM_PRESETS.map((zoom) => ({ label: `${zoom * 100}%`, value: String(zoom) }))
+  ].forEach((preset) => {
+    const option = document.createElement("option");
+    option.value = preset.value;
+    option.textContent = preset.label;
+    zoomSelect.append(option);
+  });
+  zoomSelect.append(customZoomOption);
+  zoomSelect.addEventListener("change", () => {
+    const { value } = zoomSelect;
+    if (value === "fit-width" || value === "fit-page") {
+      setZoom(state.zoom, value);
+    } else if (value !== "custom") {
+      setZoom(Number(value));
+    }
+  });
+  zoomUi = {
+    update: () => {
+      const preset = ZOOM_PRESETS.find((zoom) => Math.abs(zoom - state.zoom) < 0.001);
+      customZoomOption.textContent = `${Math.round(state.zoom * 100)}%`;
+      if (state.zoomMode !== "custom") {
+        zoomSelect.value = state.zoomMode;
+      } else {
+        zoomSelect.value = preset ? String(preset) : "custom";
+      }
+      zoomOutButton.disabled = state.zoom <= MIN_ZOOM;
+      zoomInButton.disabled = state.zoom >= MAX_ZOOM;
+    }
+  };
+  zoomUi.update();
+  const zoomControls = document.createElement("div");
+  zoomControls.className = "zoom-controls";
+  zoomControls.append(zoomOutButton, zoomSelect, zoomInButton, viewModeSelect);
+
+  canvasWrap.addEventListener(
+    "wheel",
+    (event) => {
+      if (!event.ctrlKey && !event.metaKey) {
+        return;
+      }
+      event.preventDefault();
+      setZoom(state.zoom * (event.deltaY < 0 ? 1.1 : 1 / 1.1));
+    },
+    { passive: false }
+  );
+  let resizeTimer = null;
+  window.addEventListener("resize", () => {
+    if (state.zoomMode === "custom" || !container.isConnected) {
+      return;
+    }
+    window.clearTimeout(resizeTimer);
+    resizeTimer = window.setTimeout(() => {
+      refreshViewer(canvas, overlay, drawLayer, highlightLayer, shapeLayer, pageLabel, status);
+    }, 150);
+  });
 
   const nav = document.createElement("div");
   nav.className = "nav";
@@ -2928,7 +5151,7 @@ export function initApp(root) {
   });
   nav.append(prevButton, nextButton);
 
-  viewerGroup.append(pageLabel, canvasWrap, nav);
+  viewerGroup.append(pageLabel, zoomControls, canvasWrap, nav);
 
   const assetGroup = document.createElement("section");
   assetGroup.className = "panel";
@@ -3000,12 +5223,74 @@ export function initApp(root) {
 
   const fontFamilySelect = document.createElement("select");
   fontFamilySelect.dataset.role = "text-font-family";
-  ["Helvetica", "Times", "Courier"].forEach((family) => {
+  const renderFontFamilyOptions = () => {
+    const selected = fontFamilySelect.value || state.textDefaults.fontFamily;
+    fontFamilySelect.innerHTML = "";
+    [
+      ...["Helvetica", "Times", "Courier"].map((family) => ({ value: family, label: family })),
+      ...state.customFonts.map((font) => ({ value: font.id, label: font.name }))
+    ].forEach((family) => {
+      const option = document.createElement("option");
+      option.value = family.value;
+      option.textContent = family.label;
+      fontFamilySelect.append(option);
+    });
+    fontFamilySelect.value = selected;
+  };
+  renderFontFamilyOptions();
+
+  const fontUploadInput = document.createElement("input");
+  fontUploadInput.type = "file";
+  fontUploadInput.accept = ".ttf,.otf,font/ttf,font/otf";
+  fontUploadInput.dataset.role = "text-font-upload";
+  fontUploadInput.addEventListener("change", async () => {
+    const [file] = Array.from(fontUploadInput.files ?? []);
+    if (!file) {
+      return;
+    }
+    try {
+      const bytes = await readFileAsArrayBuffer(file);
+      if (!isFontBytes(bytes)) {
+        setStatus(status, "Choose a TrueType (.ttf) or OpenType (.otf) font file.", true);
+        return;
+      }
+      const font = {
+        id: createId("font"),
+        name: file.name.replace(/\.(ttf|otf)$/i, ""),
+        fontData: new Uint8Array(bytes)
+      };
+      state.customFonts = [...state.customFonts, font];
+      await saveCustomFonts(state.customFonts);
+      await registerCustomFontFace(font);
+      renderFontFamilyOptions();
+      fontFamilySelect.value = font.id;
+      fontFamilySelect.dispatchEvent(new Event("change"));
+      setStatus(status, `Font "${font.name}" added to the text font picker.`);
+    } catch (error) {
+      setStatus(status, `Failed to add font: ${error.message}`, true);
+    } finally {
+      fontUploadInput.value = "";
+    }
+  });
+
+  const alignSelect = document.createElement("select");
+  alignSelect.dataset.role = "text-align";
+  ["left", "center", "right", "justify"].forEach((align) => {
     const option = document.createElement("option");
-    option.value = family;
-    option.textContent = family;
-    fontFamilySelect.append(option);
+    option.value = align;
+    option.textContent = `Align ${align}`;
+    alignSelect.append(option);
   });
+  alignSelect.value = state.textDefaults.align;
+
+  const lineHeightInput = document.createElement("input");
+  lineHeightInput.type = "number";
+  lineHeightInput.min = "0.8";
+  lineHeightInput.max = "3";
+  lineHeightInput.step = "0.1";
+  lineHeightInput.value = String(state.textDefaults.lineHeight);
+  lineHeightInput.title = "Line height";
+  lineHeightInput.dataset.role = "text-line-height";
 
   const colorInput = document.createElement("input");
   colorInput.type = "color";
@@ -3154,6 +5439,28 @@ export function initApp(root) {
     state.textDefaults.fontFamily = fontFamilySelect.value;
   });
 
+  const applyTextBoxChange = (changes) => {
+    const annotation = state.textAnnotations.find((item) => item.id === state.selectedTextId);
+    if (!annotation) {
+      Object.assign(state.textDefaults, changes);
+      return;
+    }
+    Object.assign(annotation, changes);
+    renderAnnotations(overlay, status);
+    scheduleSessionSave();
+  };
+
+  alignSelect.addEventListener("change", () => {
+    applyTextBoxChange({ align: alignSelect.value });
+  });
+
+  lineHeightInput.addEventListener("change", () => {
+    const value = Number.parseFloat(lineHeightInput.value);
+    if (Number.isFinite(value) && value > 0) {
+      applyTextBoxChange({ lineHeight: value });
+    }
+  });
+
   colorInput.addEventListener("input", () => {
     applyTextStyleChange({ color: colorInput.value });
   });
@@ -3185,6 +5492,8 @@ export function initApp(root) {
     state.selectedTextId = annotation.id;
     state.selectedTextElement = wrapper.querySelector(".text-content");
     fontFamilySelect.value = annotation.fontFamily ?? state.textDefaults.fontFamily;
+    alignSelect.value = annotation.align ?? "left";
+    lineHeightInput.value = String(annotation.lineHeight ?? 1.2);
     updateTextControls(getAnnotationBaseStyle(annotation));
   });
 
@@ -3195,6 +5504,9 @@ export function initApp(root) {
     fontSizeInput,
     styleRow,
     fontFamilySelect,
+    fontUploadInput,
+    alignSelect,
+    lineHeightInput,
     colorInput,
     palette,
     removeTextButton
@@ -3209,13 +5521,16 @@ export function initApp(root) {
   const pageList = document.createElement("ul");
   pageList.className = "page-list";
 
-  const applyReorderButton = createButton("Apply Reorder", async () => {
-    if (!state.currentBytes || state.pageOrder.length === 0) {
+  // Rewrites the PDF in the given order and moves annotations and page
+  // properties along with their pages.
+  const applyPageOrder = async (pageOrder) => {
+    if (!state.currentBytes || pageOrder.length === 0) {
       setStatus(status, "Load a PDF before reordering pages.", true);
       return;
     }
     try {
       const currentAssets = state.imageAssets;
+      const currentFormValues = state.formValues;
       const currentImageAnnotations = state.imageAnnotations;
       const currentTextAnnotations = state.textAnnotations;
       const currentDrawAnnotations = state.drawAnnotations;
@@ -3224,9 +5539,11 @@ export function initApp(root) {
       const currentShapeAnnotations = state.shapeAnnotations;
       const currentCommentAnnotations = state.commentAnnotations;
       const currentStampAnnotations = state.stampAnnotations;
+      const currentRedactionAnnotations = state.redactionAnnotations;
+      const currentFormFieldAnnotations = state.formFieldAnnotations;
       const currentPageProperties = state.pageProperties;
       const pageMapping = new Map();
-      state.pageOrder.forEach((oldPageNumber, index) => {
+      pageOrder.forEach((oldPageNumber, index) => {
         pageMapping.set(oldPageNumber, index + 1);
       });
       const remappedImageAnnotations = currentImageAnnotations.map((annotation) => ({
@@ -3261,6 +5578,14 @@ export function initApp(root) {
         ...annotation,
         pageNumber: pageMapping.get(annotation.pageNumber) ?? annotation.pageNumber
       }));
+      const remappedRedactionAnnotations = currentRedactionAnnotations.map((annotation) => ({
+        ...annotation,
+        pageNumber: pageMapping.get(annotation.pageNumber) ?? annotation.pageNumber
+      }));
+      const remappedFormFieldAnnotations = currentFormFieldAnnotations.map((annotation) => ({
+        ...annotation,
+        pageNumber: pageMapping.get(annotation.pageNumber) ?? annotation.pageNumber
+      }));
       const remappedRotations = {};
       Object.entries(currentPageProperties.rotations ?? {}).forEach(([page, rotation]) => {
         const mapped = pageMapping.get(Number(page));
@@ -3289,19 +5614,22 @@ export function initApp(root) {
           remappedDuplicates[mapped] = count;
         }
       });
-      const reorderedBytes = await reorderPdf(state.currentBytes, state.pageOrder);
-      await loadPdfBytes(
-        reorderedBytes,
-        status,
-        canvas,
-        overlay,
-        drawLayer,
-        highlightLayer,
-        shapeLayer,
-        pageLabel,
-        pageList,
-        applyReorderButton
+      const reorderedBytes = await reorderPdf(state.currentBytes, pageOrder);
+      await preserveHistory(() =>
+        loadPdfBytes(
+          reorderedBytes,
+          status,
+          canvas,
+          overlay,
+          drawLayer,
+          highlightLayer,
+          shapeLayer,
+          pageLabel,
+          pageList,
+          applyReorderButton
+        )
       );
+      restoreFormValues(currentFormValues);
       state.imageAssets = currentAssets;
       state.imageAnnotations = remappedImageAnnotations;
       state.textAnnotations = remappedTextAnnotations;
@@ -3311,6 +5639,8 @@ export function initApp(root) {
       state.signatureAnnotations = remappedSignatureAnnotations;
       state.commentAnnotations = remappedCommentAnnotations;
       state.stampAnnotations = remappedStampAnnotations;
+      state.redactionAnnotations = remappedRedactionAnnotations;
+      state.formFieldAnnotations = remappedFormFieldAnnotations;
       state.pageProperties = {
         rotations: remappedRotations,
         hidden: remappedHidden,
@@ -3320,23 +5650,353 @@ export function initApp(root) {
       renderAssetList(assetList, status);
       renderInkLayers(drawLayer, highlightLayer, overlay, shapeLayer);
       renderAnnotations(overlay, status);
+      thumbnailUi?.update();
       setStatus(status, "Reorder applied.");
       scheduleSessionSave();
       if (rememberToggle.checked) {
-        await saveLastPdf(state.currentBytes.slice());
+        await rememberCurrentPdf();
       }
     } catch (error) {
       setStatus(status, `Failed to reorder pages: ${error.message}`, true);
     }
-  }, "primary");
+  };
+
+  const applyReorderButton = createButton(
+    "Apply Reorder",
+    () => applyPageOrder(state.pageOrder),
+    "primary"
+  );
 
   reorderGroup.append(reorderTitle, pageList, applyReorderButton);
 
-  const workspace = document.createElement("div");
-  workspace.className = "workspace";
+  // Thumbnail rail: a low-resolution preview of every page in the pending
+  // order. Dropping thumbnails applies the new order straight away.
+  const thumbnailRail = document.createElement("aside");
+  thumbnailRail.className = "thumbnail-rail";
+  thumbnailRail.dataset.role = "thumbnail-rail";
+  const thumbnailList = document.createElement("ol");
+  thumbnailList.className = "thumbnail-list";
+  const thumbnailMenu = document.createElement("div");
+  thumbnailMenu.className = "thumbnail-menu";
+  thumbnailMenu.dataset.role = "thumbnail-menu";
+  thumbnailMenu.hidden = true;
+  thumbnailRail.append(thumbnailList, thumbnailMenu);
+
+  const thumbnails = new Map();
+  const selectedThumbnails = new Set();
+  let thumbnailAnchor = null;
+  let draggedPages = [];
+  const visibleThumbnails = new Set();
+  let thumbnailRenderQueue = Promise.resolve();
+  const thumbnailObserver =
+    typeof IntersectionObserver === "function"
+      ? new IntersectionObserver(
+          (entries) => {
+            entries.forEach((entry) => {
+              const pageNumber = Number(entry.target.dataset.pageNumber);
+              if (entry.isIntersecting) {
+                visibleThumbnails.add(pageNumber);
+                queueThumbnailRender(pageNumber);
+              } else {
+                visibleThumbnails.delete(pageNumber);
+              }
+            });
+          },
+          { root: thumbnailRail, rootMargin: "200px 0px" }
+        )
+      : null;
+
+  const queueThumbnailRender = (pageNumber) => {
+    const thumbnail = thumbnails.get(pageNumber);
+    const rotation = state.pageProperties.rotations[pageNumber] ?? 0;
+    if (!thumbnail || (thumbnail.pdfDoc === state.pdfDoc && thumbnail.rotation === rotation)) {
+      return;
+    }
+    thumbnail.pdfDoc = state.pdfDoc;
+    thumbnail.rotation = rotation;
+    const pdfDoc = state.pdfDoc;
+    thumbnailRenderQueue = thumbnailRenderQueue.then(async () => {
+      if (pdfDoc !== state.pdfDoc || pageNumber > state.pageCount) {
+        return;
+      }
+      try {
+        await renderPageToCanvas(pdfDoc, pageNumber, thumbnail.canvas, THUMBNAIL_SCALE, rotation);
+      } catch (error) {
+        thumbnail.pdfDoc = null;
+      }
+    });
+  };
 
-  const paneRoot = document.createElement("div");
-  paneRoot.className = "pane-root";
+  const getThumbnail = (pageNumber) => {
+    let thumbnail = thumbnails.get(pageNumber);
+    if (thumbnail) {
+      return thumbnail;
+    }
+    const item = document.createElement("li");
+    item.className = "thumbnail";
+    item.dataset.role = "page-thumbnail";
+    item.dataset.pageNumber = String(pageNumber);
+    item.draggable = true;
+    item.tabIndex = 0;
+    const canvas = document.createElement("canvas");
+    const label = document.createElement("span");
+    label.className = "thumbnail-label";
+    item.append(canvas, label);
+    item.addEventListener("click", (event) => selectThumbnail(pageNumber, event));
+    item.addEventListener("keydown", (event) => {
+      if (event.key === "Enter" || event.key === " ") {
+        event.preventDefault();
+        selectThumbnail(pageNumber, event);
+      }
+    });
+    item.addEventListener("contextmenu", (event) => {
+      event.preventDefault();
+      if (!selectedThumbnails.has(pageNumber)) {
+        selectedThumbnails.clear();
+        selectedThumbnails.add(pageNumber);
+        thumbnailAnchor = pageNumber;
+        updateThumbnailRail();
+      }
+      openThumbnailMenu(event);
+    });
+    item.addEventListener("dragstart", (event) => {
+      if (!selectedThumbnails.has(pageNumber)) {
+        selectedThumbnails.clear();
+        selectedThumbnails.add(pageNumber);
+        updateThumbnailRail();
+      }
+      draggedPages = state.pageOrder.filter((page) => selectedThumbnails.has(page));
+      if (event.dataTransfer) {
+        event.dataTransfer.effectAllowed = "move";
+        event.dataTransfer.setData("application/x-cloud-pdf-pages", draggedPages.join(","));
+      }
+    });
+    item.addEventListener("dragover", (event) => {
+      if (!draggedPages.length) {
+        return;
+      }
+      event.preventDefault();
+      clearDropMarkers();
+      item.classList.add(isDropAfter(item, event) ? "drop-after" : "drop-before");
+    });
+    item.addEventListener("drop", async (event) => {
+      if (!draggedPages.length) {
+        return;
+      }
+      event.preventDefault();
+      const moving = draggedPages;
+      const after = isDropAfter(item, event);
+      draggedPages = [];
+      clearDropMarkers();
+      if (moving.includes(pageNumber)) {
+        return;
+      }
+      const remaining = state.pageOrder.filter((page) => !moving.includes(page));
+      const targetIndex = remaining.indexOf(pageNumber) + (after ? 1 : 0);
+      remaining.splice(targetIndex, 0, ...moving);
+      await applyPageOrder(remaining);
+      // Keep the moved block selected at its new page numbers.
+      selectedThumbnails.clear();
+      moving.forEach((_, index) => selectedThumbnails.add(targetIndex + index + 1));
+      thumbnailAnchor = targetIndex + 1;
+      updateThumbnailRail();
+    });
+    item.addEventListener("dragend", () => {
+      draggedPages = [];
+      clearDropMarkers();
+    });
+    thumbnail = { item, canvas, label, pdfDoc: null, rotation: 0 };
+    thumbnails.set(pageNumber, thumbnail);
+    thumbnailObserver?.observe(item);
+    return thumbnail;
+  };
+
+  const isDropAfter = (item, event) => {
+    const rect = item.getBoundingClientRect();
+    return event.clientY > rect.top + rect.height / 2;
+  };
+
+  const clearDropMarkers = () => {
+    thumbnailList.querySelectorAll(".drop-before, .drop-after").forEach((item) => {
+      item.classList.remove("drop-before", "drop-after");
+    });
+  };
+
+  const selectThumbnail = async (pageNumber, event) => {
+    closeThumbnailMenu();
+    if (event.shiftKey && thumbnailAnchor !== null) {
+      const from = state.pageOrder.indexOf(thumbnailAnchor);
+      const to = state.pageOrder.indexOf(pageNumber);
+      selectedThumbnails.clear();
+      state.pageOrder
+        .slice(Math.min(from, to), Math.max(from, to) + 1)
+        .forEach((page) => selectedThumbnails.add(page));
+    } else if (event.ctrlKey || event.metaKey) {
+      if (selectedThumbnails.has(pageNumber)) {
+        selectedThumbnails.delete(pageNumber);
+      } else {
+        selectedThumbnails.add(pageNumber);
+      }
+      thumbnailAnchor = pageNumber;
+    } else {
+      selectedThumbnails.clear();
+      selectedThumbnails.add(pageNumber);
+      thumbnailAnchor = pageNumber;
+    }
+    updateThumbnailRail();
+    if (selectedThumbnails.size === 1 && !isPageDeleted(pageNumber)) {
+      state.currentPage = pageNumber;
+      await refreshViewer(
+        canvas,
+        overlay,
+        drawLayer,
+        highlightLayer,
+        shapeLayer,
+        pageLabel,
+        status
+      );
+    }
+  };
+
+  const updateThumbnailRail = () => {
+    thumbnailRail.hidden = state.pageOrder.length === 0;
+    [...thumbnails.keys()].forEach((pageNumber) => {
+      if (pageNumber > state.pageCount) {
+        thumbnailObserver?.unobserve(thumbnails.get(pageNumber).item);
+        thumbnails.delete(pageNumber);
+        visibleThumbnails.delete(pageNumber);
+        selectedThumbnails.delete(pageNumber);
+      }
+    });
+    const items = state.pageOrder.map((pageNumber, index) => {
+      const thumbnail = getThumbnail(pageNumber);
+      const isHidden = isPageHidden(pageNumber);
+      const isDeleted = isPageDeleted(pageNumber);
+      const duplicates = state.pageProperties.duplicates[pageNumber] ?? 0;
+      const notes = [];
+      if (isDeleted) {
+        notes.push("deleted");
+      } else if (isHidden) {
+        notes.push("hidden");
+      }
+      if (duplicates) {
+        notes.push(`+${duplicates}`);
+      }
+      thumbnail.label.textContent = notes.length
+        ? `${index + 1} (${notes.join(", ")})`
+        : String(index + 1);
+      thumbnail.item.classList.toggle("is-current", pageNumber === state.currentPage);
+      thumbnail.item.classList.toggle("is-selected", selectedThumbnails.has(pageNumber));
+      thumbnail.item.classList.toggle("is-hidden", isHidden);
+      thumbnail.item.classList.toggle("is-deleted", isDeleted);
+      thumbnail.item.setAttribute("aria-selected", String(selectedThumbnails.has(pageNumber)));
+      // Off-screen thumbnails catch up when the observer sees them.
+      if (!thumbnailObserver || visibleThumbnails.has(pageNumber)) {
+        queueThumbnailRender(pageNumber);
+      }
+      return thumbnail.item;
+    });
+    const unchanged =
+      items.length === thumbnailList.children.length &&
+      items.every((item, index) => thumbnailList.children[index] === item);
+    if (!unchanged) {
+      thumbnailList.replaceChildren(...items);
+    }
+  };
+
+  const getSelectedThumbnailPages = () =>
+    state.pageOrder.filter((page) => selectedThumbnails.has(page));
+
+  const updateSelectedPages = async (change, message) => {
+    const pages = getSelectedThumbnailPages();
+    if (!pages.length) {
+      return;
+    }
+    pages.forEach(change);
+    closeThumbnailMenu();
+    recordHistory();
+    await refreshViewer(canvas, overlay, drawLayer, highlightLayer, shapeLayer, pageLabel, status);
+    setStatus(status, message);
+  };
+
+  const rotateSelectedPages = (delta) =>
+    updateSelectedPages((page) => {
+      const current = state.pageProperties.rotations[page] ?? 0;
+      state.pageProperties.rotations[page] = (current + delta + 360) % 360;
+    }, "Pages rotated.");
+
+  const menuRotateLeft = createButton("Rotate Pages Left", () => rotateSelectedPages(-90));
+  const menuRotateRight = createButton("Rotate Pages Right", () => rotateSelectedPages(90));
+  const menuHide = createButton("Hide Pages", () => {
+    const hide = !getSelectedThumbnailPages().every(isPageHidden);
+    updateSelectedPages(
+      (page) => {
+        if (hide && !isPageDeleted(page)) {
+          state.pageProperties.hidden.add(page);
+        } else {
+          state.pageProperties.hidden.delete(page);
+        }
+      },
+      hide ? "Pages hidden in preview." : "Pages shown in preview."
+    );
+  });
+  const menuDelete = createButton("Delete Pages", () => {
+    const restore = getSelectedThumbnailPages().every(isPageDeleted);
+    if (restore) {
+      updateSelectedPages((page) => state.pageProperties.deleted.delete(page), "Pages restored.");
+      return;
+    }
+    const count = getSelectedThumbnailPages().length;
+    const confirmed = window.confirm(
+      count === 1 ? "Delete this page from the export?" : `Delete ${count} pages from the export?`
+    );
+    if (!confirmed) {
+      return;
+    }
+    updateSelectedPages((page) => {
+      state.pageProperties.deleted.add(page);
+      state.pageProperties.hidden.delete(page);
+    }, "Pages deleted from the export.");
+  });
+  const menuDuplicate = createButton("Duplicate Pages", () =>
+    updateSelectedPages((page) => {
+      state.pageProperties.duplicates[page] = (state.pageProperties.duplicates[page] ?? 0) + 1;
+    }, "Pages duplicated for export.")
+  );
+  menuRotateLeft.dataset.role = "thumbnail-rotate-left";
+  menuRotateRight.dataset.role = "thumbnail-rotate-right";
+  menuHide.dataset.role = "thumbnail-hide";
+  menuDelete.dataset.role = "thumbnail-delete";
+  menuDuplicate.dataset.role = "thumbnail-duplicate";
+  thumbnailMenu.append(menuRotateLeft, menuRotateRight, menuHide, menuDelete, menuDuplicate);
+
+  const openThumbnailMenu = (event) => {
+    const pages = getSelectedThumbnailPages();
+    menuHide.textContent = pages.every(isPageHidden) ? "Show Pages" : "Hide Pages";
+    menuDelete.textContent = pages.every(isPageDeleted) ? "Restore Pages" : "Delete Pages";
+    const railRect = thumbnailRail.getBoundingClientRect();
+    thumbnailMenu.style.left = `${event.clientX - railRect.left}px`;
+    thumbnailMenu.style.top = `${event.clientY - railRect.top + thumbnailRail.scrollTop}px`;
+    thumbnailMenu.hidden = false;
+  };
+
+  const closeThumbnailMenu = () => {
+    thumbnailMenu.hidden = true;
+  };
+
+  window.addEventListener("pointerdown", (event) => {
+    if (!thumbnailMenu.hidden && !thumbnailMenu.contains(event.target)) {
+      closeThumbnailMenu();
+    }
+  });
+
+  thumbnailUi = { update: updateThumbnailRail };
+
+  const workspace = document.createElement("div");
+  workspace.className = "workspace";
+
+  const paneRoot = document.createElement("div");
+  paneRoot.className = "pane-root";
 
   const createPane = (id, titleText, content) => {
     const pane = document.createElement("section");
@@ -3450,10 +6110,70 @@ export function initApp(root) {
     opacity.addEventListener("input", () => {
       state.toolDefaults.highlight.opacity = Number(opacity.value);
     });
-    return placeholderPane("Click and drag on the page to highlight.", [
-      createLabeledField("Tint color", color),
-      createLabeledField("Opacity", opacity)
-    ]);
+    const markupSelect = document.createElement("select");
+    markupSelect.dataset.role = "highlight-markup";
+    [{ id: "rectangle", label: "Free rectangle" }, ...TEXT_MARKUP_TYPES].forEach((type) => {
+      const option = document.createElement("option");
+      option.value = type.id;
+      option.textContent = type.label;
+      markupSelect.append(option);
+    });
+    markupSelect.value = state.toolDefaults.highlight.markupType;
+    markupSelect.addEventListener("change", () => {
+      state.toolDefaults.highlight.markupType = markupSelect.value;
+      pageViews.forEach((view) => {
+        view.overlay.dataset.textMarkup = String(isTextMarkupActive());
+      });
+      syncMatchButtons();
+    });
+
+    const markSearchHits = async (hits) => {
+      if (!hits.length || searchState.pdfDoc !== state.pdfDoc) {
+        setStatus(status, "Search the document first to mark matches.", true);
+        return;
+      }
+      try {
+        const count = await addTextMarkup(
+          hits.map((hit) => ({
+            pageNumber: hit.pageNumber,
+            quads: hit.quads,
+            text: hit.snippet.match
+          }))
+        );
+        setStatus(status, count === 1 ? "Marked 1 match." : `Marked ${count} matches.`);
+      } catch (error) {
+        setStatus(status, `Failed to mark matches: ${error.message}`, true);
+      }
+    };
+    const markMatchButton = createButton("Mark Current Match", () => {
+      const hit = searchState.hits[searchState.activeIndex];
+      markSearchHits(hit ? [hit] : []);
+    }, "secondary");
+    markMatchButton.dataset.role = "markup-search-hit";
+    const markAllButton = createButton(
+      "Mark All Matches",
+      () => markSearchHits(searchState.hits),
+      "secondary"
+    );
+    markAllButton.dataset.role = "markup-search-all";
+    const syncMatchButtons = () => {
+      markMatchButton.disabled = !isTextMarkupActive();
+      markAllButton.disabled = !isTextMarkupActive();
+    };
+    syncMatchButtons();
+    const matchActions = document.createElement("div");
+    matchActions.className = "file-actions";
+    matchActions.append(markMatchButton, markAllButton);
+
+    return placeholderPane(
+      "Drag on the page for a free highlight, or pick a text style and select text on the page.",
+      [
+        createLabeledField("Style", markupSelect),
+        createLabeledField("Tint color", color),
+        createLabeledField("Opacity", opacity),
+        matchActions
+      ]
+    );
   };
 
   const shapesPane = () => {
@@ -3606,6 +6326,7 @@ export function initApp(root) {
     const rotateLeft = createButton("Rotate Left", async () => {
       const current = state.pageProperties.rotations[state.currentPage] ?? 0;
       state.pageProperties.rotations[state.currentPage] = (current - 90 + 360) % 360;
+      recordHistory();
       updatePagePropertiesUi();
       await refreshViewer(
         canvas,
@@ -3620,6 +6341,7 @@ export function initApp(root) {
     const rotateRight = createButton("Rotate Right", async () => {
       const current = state.pageProperties.rotations[state.currentPage] ?? 0;
       state.pageProperties.rotations[state.currentPage] = (current + 90) % 360;
+      recordHistory();
       updatePagePropertiesUi();
       await refreshViewer(
         canvas,
@@ -3640,6 +6362,7 @@ export function initApp(root) {
       } else {
         state.pageProperties.hidden.delete(state.currentPage);
       }
+      recordHistory();
       updatePagePropertiesUi();
       await refreshViewer(
         canvas,
@@ -3660,6 +6383,7 @@ export function initApp(root) {
       }
       state.pageProperties.deleted.add(state.currentPage);
       state.pageProperties.hidden.delete(state.currentPage);
+      recordHistory();
       updatePagePropertiesUi();
       await refreshViewer(
         canvas,
@@ -3675,6 +6399,7 @@ export function initApp(root) {
 
     const restoreButton = createButton("Restore Page", async () => {
       state.pageProperties.deleted.delete(state.currentPage);
+      recordHistory();
       updatePagePropertiesUi();
       await refreshViewer(
         canvas,
@@ -3694,6 +6419,7 @@ export function initApp(root) {
     const duplicateButton = createButton("Duplicate Page", () => {
       const current = state.pageProperties.duplicates[state.currentPage] ?? 0;
       state.pageProperties.duplicates[state.currentPage] = current + 1;
+      recordHistory();
       updatePagePropertiesUi();
       setStatus(status, "Page duplicated for export.");
     });
@@ -3709,6 +6435,7 @@ export function initApp(root) {
       } else {
         state.pageProperties.duplicates[state.currentPage] = next;
       }
+      recordHistory();
       updatePagePropertiesUi();
     });
     removeDuplicateButton.className = "secondary";
@@ -3902,6 +6629,1102 @@ export function initApp(root) {
     return panel;
   };
 
+  const formPane = () => {
+    const fieldType = document.createElement("select");
+    fieldType.dataset.role = "form-field-type";
+    FORM_FIELD_TYPES.forEach((type) => {
+      const option = document.createElement("option");
+      option.value = type.id;
+      option.textContent = type.label;
+      fieldType.append(option);
+    });
+    fieldType.value = state.toolDefaults.form.fieldType;
+    fieldType.addEventListener("change", () => {
+      state.toolDefaults.form.fieldType = fieldType.value;
+    });
+
+    const fieldList = document.createElement("ol");
+    fieldList.className = "form-field-list";
+    fieldList.dataset.role = "form-field-list";
+    const editor = document.createElement("div");
+    editor.className = "panel";
+    editor.dataset.role = "form-field-editor";
+
+    // Widgets are written page by page, so tab order only changes within a page.
+    const orderedFields = () =>
+      [...state.formFieldAnnotations].sort((a, b) => a.pageNumber - b.pageNumber);
+
+    const updateField = (id, changes) => {
+      state.formFieldAnnotations = state.formFieldAnnotations.map((item) =>
+        item.id === id ? { ...item, ...changes } : item
+      );
+      scheduleSessionSave();
+      renderAnnotations(overlay, status);
+    };
+
+    const moveField = (index, offset) => {
+      const ordered = orderedFields();
+      [ordered[index], ordered[index + offset]] = [ordered[index + offset], ordered[index]];
+      state.formFieldAnnotations = ordered;
+      scheduleSessionSave();
+      renderAnnotations(overlay, status);
+    };
+
+    const renderList = () => {
+      const ordered = orderedFields();
+      fieldList.replaceChildren(
+        ...ordered.map((field, index) => {
+          const item = document.createElement("li");
+          item.className = "form-field-list-item";
+          item.dataset.selected = field.id === state.selectedFormFieldId ? "true" : "false";
+          const tabIndex = ordered
+            .slice(0, index + 1)
+            .filter((other) => other.pageNumber === field.pageNumber).length;
+          const show = document.createElement("button");
+          show.type = "button";
+          show.className = "search-result";
+          const page = document.createElement("span");
+          page.className = "search-result-page";
+          page.textContent = `p. ${field.pageNumber} · ${tabIndex}`;
+          show.append(page, document.createTextNode(field.name));
+          show.addEventListener("click", async () => {
+            state.selectedFormFieldId = field.id;
+            state.currentPage = field.pageNumber;
+            await refreshViewer(
+              canvas,
+              overlay,
+              drawLayer,
+              highlightLayer,
+              shapeLayer,
+              pageLabel,
+              status
+            );
+          });
+          const up = createButton("↑", () => moveField(index, -1), "secondary");
+          up.title = "Earlier in tab order";
+          up.dataset.role = "form-field-move-up";
+          up.disabled = ordered[index - 1]?.pageNumber !== field.pageNumber;
+          const down = createButton("↓", () => moveField(index, 1), "secondary");
+          down.title = "Later in tab order";
+          down.dataset.role = "form-field-move-down";
+          down.disabled = ordered[index + 1]?.pageNumber !== field.pageNumber;
+          item.append(show, up, down);
+          return item;
+        })
+      );
+    };
+
+    const createToggle = (labelText, checked, role, onChange) => {
+      const input = document.createElement("input");
+      input.type = "checkbox";
+      input.checked = checked;
+      input.dataset.role = role;
+      input.addEventListener("change", () => onChange(input.checked));
+      const wrap = document.createElement("label");
+      wrap.className = "remember";
+      wrap.append(input, document.createTextNode(labelText));
+      return wrap;
+    };
+
+    const renderEditor = (force = false) => {
+      const field = state.formFieldAnnotations.find(
+        (item) => item.id === state.selectedFormFieldId
+      );
+      // Keep the inputs while they are being edited so focus is not lost.
+      if (!force && field && editor.dataset.fieldId === field.id) {
+        if (editor.contains(document.activeElement)) {
+          return;
+        }
+      }
+      editor.dataset.fieldId = field?.id ?? "";
+      // Handlers read the latest copy since edits replace the annotation object.
+      const current = () => state.formFieldAnnotations.find((item) => item.id === field.id);
+      if (!field) {
+        const hint = document.createElement("p");
+        hint.className = "muted";
+        hint.textContent = "Select a field to edit its properties.";
+        editor.replaceChildren(hint);
+        return;
+      }
+      const summary = document.createElement("p");
+      summary.className = "muted";
+      const { label } = findFormFieldType(field.fieldType);
+      summary.textContent = `${label} on page ${field.pageNumber}`;
+
+      const name = document.createElement("input");
+      name.type = "text";
+      name.value = field.name;
+      name.dataset.role = "form-field-name";
+      name.addEventListener("change", () => {
+        const value = name.value.trim();
+        if (!value) {
+          name.value = current().name;
+          setStatus(status, "Form fields need a name.", true);
+          return;
+        }
+        updateField(field.id, { name: value });
+      });
+      const fields = [summary, createLabeledField("Name", name)];
+
+      if (field.fieldType === "text") {
+        const maxLength = document.createElement("input");
+        maxLength.type = "number";
+        maxLength.min = "0";
+        maxLength.value = field.maxLength ?? "";
+        maxLength.dataset.role = "form-field-max-length";
+        const defaultValue = document.createElement("input");
+        defaultValue.type = "text";
+        defaultValue.value = field.defaultValue;
+        defaultValue.dataset.role = "form-field-default";
+        if (field.maxLength) {
+          defaultValue.maxLength = field.maxLength;
+        }
+        defaultValue.addEventListener("change", () => {
+          updateField(field.id, { defaultValue: defaultValue.value });
+        });
+        maxLength.addEventListener("change", () => {
+          const limit = Math.max(0, Math.floor(Number(maxLength.value) || 0)) || null;
+          if (limit) {
+            defaultValue.maxLength = limit;
+            defaultValue.value = defaultValue.value.slice(0, limit);
+          } else {
+            defaultValue.removeAttribute("maxlength");
+          }
+          updateField(field.id, { maxLength: limit, defaultValue: defaultValue.value });
+        });
+        fields.push(
+          createLabeledField("Default value", defaultValue),
+          createLabeledField("Max length", maxLength),
+          createToggle("Multiple lines", field.multiline, "form-field-multiline", (checked) =>
+            updateField(field.id, { multiline: checked })
+          )
+        );
+      }
+      if (field.fieldType === "dropdown") {
+        const options = document.createElement("textarea");
+        options.rows = 3;
+        options.placeholder = "One option per line";
+        options.value = field.options.join("\n");
+        options.dataset.role = "form-field-options";
+        const defaultValue = document.createElement("select");
+        defaultValue.dataset.role = "form-field-default";
+        ["", ...field.options].forEach((value) => {
+          const option = document.createElement("option");
+          option.value = value;
+          option.textContent = value || "None";
+          defaultValue.append(option);
+        });
+        defaultValue.value = field.options.includes(field.defaultValue) ? field.defaultValue : "";
+        defaultValue.addEventListener("change", () => {
+          updateField(field.id, { defaultValue: defaultValue.value });
+        });
+        options.addEventListener("change", () => {
+          const values = [
+            ...new Set(options.value.split("\n").map((line) => line.trim()).filter(Boolean))
+          ];
+          updateField(field.id, { options: values });
+          renderEditor(true);
+        });
+        fields.push(
+          createLabeledField("Options", options),
+          createLabeledField("Default value", defaultValue)
+        );
+      }
+      if (field.fieldType === "radio") {
+        const exportValue = document.createElement("input");
+        exportValue.type = "text";
+        exportValue.value = field.exportValue;
+        exportValue.dataset.role = "form-field-export-value";
+        exportValue.addEventListener("change", () => {
+          const value = exportValue.value.trim();
+          if (!value) {
+            exportValue.value = current().exportValue;
+            setStatus(status, "Radio buttons need a value.", true);
+            return;
+          }
+          updateField(field.id, { exportValue: value });
+        });
+        fields.push(createLabeledField("Value", exportValue));
+      }
+      if (field.fieldType === "checkbox" || field.fieldType === "radio") {
+        fields.push(
+          createToggle("Selected by default", field.checked, "form-field-checked", (checked) => {
+            // Only one option of a radio group can start out selected.
+            if (checked && field.fieldType === "radio") {
+              state.formFieldAnnotations = state.formFieldAnnotations.map((item) =>
+                item.fieldType === "radio" && item.name === current().name
+                  ? { ...item, checked: false }
+                  : item
+              );
+            }
+            updateField(field.id, { checked });
+          })
+        );
+      }
+      const deleteButton = createButton("Delete field", () => {
+        removeFormFieldAnnotation(field.id);
+        renderAnnotations(overlay, status);
+        setStatus(status, "Form field removed.");
+      });
+      deleteButton.dataset.role = "form-field-delete";
+      fields.push(
+        createToggle("Required", field.required, "form-field-required", (checked) =>
+          updateField(field.id, { required: checked })
+        ),
+        deleteButton
+      );
+      editor.replaceChildren(...fields);
+    };
+
+    formToolUi = {
+      update: () => {
+        renderList();
+        renderEditor();
+      }
+    };
+    formToolUi.update();
+
+    const dataFormat = document.createElement("select");
+    dataFormat.dataset.role = "form-data-format";
+    FORM_DATA_FORMATS.forEach((format) => {
+      const option = document.createElement("option");
+      option.value = format.id;
+      option.textContent = format.label;
+      dataFormat.append(option);
+    });
+    const exportDataButton = createButton("Export Form Data", () => {
+      if (!state.formFields.length) {
+        setStatus(status, "This PDF has no form fields to export.", true);
+        return;
+      }
+      const format = FORM_DATA_FORMATS.find((item) => item.id === dataFormat.value);
+      const names = new Set(state.formFields.map((field) => field.name));
+      const values = Object.fromEntries(
+        Object.entries(state.formValues).filter(([name]) => names.has(name))
+      );
+      const buttons = new Set(
+        state.formFields
+          .filter((field) => field.type === "checkbox" || field.type === "radio")
+          .map((field) => field.name)
+      );
+      const text = serializeFormData(values, format.id, {
+        fileName: state.currentFileName,
+        buttons
+      });
+      const base = state.currentFileName.replace(/\.pdf$/i, "") || "form";
+      downloadBlob(new Blob([text], { type: format.mimeType }), `${base}${format.extension}`);
+      setStatus(status, `Exported ${names.size} form fields as ${format.label}.`);
+    }, "secondary");
+    exportDataButton.dataset.role = "form-data-export";
+    const dataActions = document.createElement("div");
+    dataActions.className = "file-actions";
+    dataActions.append(exportDataButton);
+
+    const importDataInput = document.createElement("input");
+    importDataInput.type = "file";
+    importDataInput.accept = FORM_DATA_FORMATS.map((format) => format.extension).join(",");
+    importDataInput.dataset.role = "form-data-import";
+    importDataInput.addEventListener("change", async () => {
+      const [file] = Array.from(importDataInput.files ?? []);
+      if (!file) {
+        return;
+      }
+      try {
+        if (!state.formFields.length) {
+          setStatus(status, "This PDF has no form fields to fill.", true);
+          return;
+        }
+        const bytes = new Uint8Array(await readFileAsArrayBuffer(file));
+        const data = parseFormData(bytes, detectFormDataFormat(file.name, bytes));
+        const { applied, skipped } = applyImportedFormData(data);
+        scheduleSessionSave();
+        await refreshViewer(
+          canvas,
+          overlay,
+          drawLayer,
+          highlightLayer,
+          shapeLayer,
+          pageLabel,
+          status
+        );
+        setStatus(
+          status,
+          `Imported ${applied} of ${applied + skipped.length} values from ${file.name}.` +
+            (skipped.length ? ` Skipped ${skipped.join(", ")}: no editable field fits.` : "")
+        );
+      } catch (error) {
+        setStatus(status, `Failed to import form data: ${error.message}`, true);
+      } finally {
+        importDataInput.value = "";
+      }
+    });
+
+    return placeholderPane(
+      "Click the page to place a field. Fields with the same name share one value, " +
+        "and the arrows set the tab order on each page.",
+      [
+        createLabeledField("Field type", fieldType),
+        fieldList,
+        editor,
+        createLabeledField("Form data format", dataFormat),
+        dataActions,
+        createLabeledField("Import form data", importDataInput)
+      ]
+    );
+  };
+
+  const mailMergePane = () => {
+    const csvInput = document.createElement("input");
+    csvInput.type = "file";
+    csvInput.accept = ".csv,text/csv";
+    csvInput.dataset.role = "mail-merge-csv";
+
+    const summary = document.createElement("p");
+    summary.className = "muted";
+    summary.dataset.role = "mail-merge-summary";
+    summary.textContent = "Choose a CSV file with a header row.";
+
+    const mappingList = document.createElement("div");
+    mappingList.className = "panel";
+    mappingList.dataset.role = "mail-merge-mapping";
+    let mappingKey = "";
+
+    const renderMapping = () => {
+      const { fields, placeholders } = getMailMergeTargets();
+      const key = JSON.stringify([mailMerge.headers, fields, placeholders]);
+      if (key === mappingKey) {
+        return;
+      }
+      mappingKey = key;
+      autoMapMailMergeColumns();
+      mappingList.hidden = !mailMerge.headers.length;
+      mappingList.replaceChildren(
+        ...mailMerge.headers.map((header) => {
+          const select = document.createElement("select");
+          select.dataset.role = "mail-merge-map";
+          select.dataset.column = header;
+          const unused = document.createElement("option");
+          unused.value = "";
+          unused.textContent = "Not used";
+          select.append(unused);
+          [
+            { label: "Form fields", kind: "field", names: fields },
+            { label: "Placeholders", kind: "placeholder", names: placeholders }
+          ].forEach((group) => {
+            if (!group.names.length) {
+              return;
+            }
+            const optgroup = document.createElement("optgroup");
+            optgroup.label = group.label;
+            group.names.forEach((name) => {
+              const option = document.createElement("option");
+              option.value = `${group.kind}:${name}`;
+              option.textContent = group.kind === "placeholder" ? `{{${name}}}` : name;
+              optgroup.append(option);
+            });
+            select.append(optgroup);
+          });
+          select.value = mailMerge.mapping[header] ?? "";
+          select.addEventListener("change", () => {
+            mailMerge.mapping[header] = select.value;
+          });
+          return createLabeledField(header, select);
+        })
+      );
+    };
+    mailMergeUi = { update: renderMapping };
+    renderMapping();
+
+    csvInput.addEventListener("change", async () => {
+      const [file] = Array.from(csvInput.files ?? []);
+      if (!file) {
+        return;
+      }
+      try {
+        const { headers, rows } = parseCsv(
+          new TextDecoder().decode(await readFileAsArrayBuffer(file))
+        );
+        if (!rows.length) {
+          setStatus(status, "The CSV file needs a header row and at least one data row.", true);
+          return;
+        }
+        Object.assign(mailMerge, { headers, rows, mapping: {} });
+        mappingKey = "";
+        renderMapping();
+        summary.textContent = `${file.name}: ${rows.length} rows, ${headers.length} columns.`;
+        setStatus(status, "CSV loaded. Check the column mapping.");
+      } catch (error) {
+        setStatus(status, `Failed to read CSV: ${error.message}`, true);
+      } finally {
+        csvInput.value = "";
+      }
+    });
+
+    const outputSelect = document.createElement("select");
+    outputSelect.dataset.role = "mail-merge-output";
+    [
+      { value: "zip", label: "One PDF per row (ZIP)" },
+      { value: "merged", label: "One merged PDF" }
+    ].forEach((mode) => {
+      const option = document.createElement("option");
+      option.value = mode.value;
+      option.textContent = mode.label;
+      outputSelect.append(option);
+    });
+
+    const namePattern = document.createElement("input");
+    namePattern.type = "text";
+    namePattern.placeholder = "letter-{{row}}";
+    namePattern.dataset.role = "mail-merge-name";
+    const nameHint = document.createElement("p");
+    nameHint.className = "muted";
+    nameHint.textContent =
+      "Use {{column}} to name files from a column and {{row}} for the row number. " +
+      "Every generated PDF is held in memory until the download starts, so split very " +
+      "large CSV files into smaller batches.";
+    outputSelect.addEventListener("change", () => {
+      namePattern.disabled = outputSelect.value === "merged";
+    });
+
+    const runButton = createButton("Generate PDFs", async () => {
+      if (!state.currentBytes) {
+        setStatus(status, "Load a PDF to use as the template first.", true);
+        return;
+      }
+      if (!mailMerge.rows.length) {
+        setStatus(status, "Choose a CSV file with at least one row.", true);
+        return;
+      }
+      if (!Object.values(mailMerge.mapping).some(Boolean)) {
+        setStatus(status, "Map at least one column to a form field or placeholder.", true);
+        return;
+      }
+      const exportPageOrder = buildExportPageOrder();
+      if (!exportPageOrder.length) {
+        setStatus(status, "No visible pages to export.", true);
+        return;
+      }
+      if (!confirmUnprotectedExport()) {
+        setStatus(status, "Mail merge cancelled. Turn on encryption to keep the PDFs protected.");
+        return;
+      }
+      const encryption = buildExportEncryption();
+      if (encryption && !encryption.userPassword && !encryption.ownerPassword) {
+        setStatus(status, "Enter an open or permissions password to encrypt the export.", true);
+        return;
+      }
+      const merged = outputSelect.value === "merged";
+      const pattern = namePattern.value.trim() || namePattern.placeholder;
+      const base = state.currentFileName.replace(/\.pdf$/i, "") || "mail-merge";
+      const taken = new Set();
+      const files = [];
+      runButton.disabled = true;
+      try {
+        for (const [index, row] of mailMerge.rows.entries()) {
+          setStatus(status, `Generating ${index + 1} of ${mailMerge.rows.length}…`);
+          const rowModel = buildMailMergeRow(row, index + 1);
+          const bytes = await exportDocument(state.currentBytes, {
+            ...(await buildExportEditModel(exportPageOrder, rowModel)),
+            // Merged rows would otherwise share one value per field name.
+            flattenForm: merged || state.exportOptions.flattenForm,
+            // Encrypted rows cannot be merged, so the merged file is encrypted once.
+            encryption: merged ? null : encryption
+          }).catch((error) => {
+            throw new Error(`Row ${index + 1}: ${error.message}`);
+          });
+          files.push({ name: buildMergeFileName(pattern, row, index + 1, taken), bytes });
+        }
+        if (merged) {
+          const mergedBytes = await mergePdfs(files.map((file) => file.bytes));
+          downloadPdfBytes(
+            encryption ? await encryptPdf(mergedBytes, encryption) : mergedBytes,
+            `${base}-merged.pdf`
+          );
+        } else {
+          downloadBlob(new Blob([createZip(files)], { type: "application/zip" }), `${base}.zip`);
+        }
+        setStatus(
+          status,
+          merged
+            ? `Merged ${files.length} filled copies into ${base}-merged.pdf.`
+            : `Generated ${files.length} PDFs in ${base}.zip.`
+        );
+      } catch (error) {
+        setStatus(status, `Mail merge failed: ${error.message}`, true);
+      } finally {
+        runButton.disabled = false;
+      }
+    }, "primary");
+    runButton.dataset.role = "mail-merge-run";
+
+    return placeholderPane(
+      "Fills the loaded PDF once per CSV row. Everything is generated on this device.",
+      [
+        createLabeledField("CSV file", csvInput),
+        summary,
+        mappingList,
+        createLabeledField("Output", outputSelect),
+        createLabeledField("File name pattern", namePattern),
+        nameHint,
+        runButton
+      ]
+    );
+  };
+
+  const redactPane = () => {
+    const labelInput = document.createElement("input");
+    labelInput.type = "text";
+    labelInput.placeholder = "No label";
+    labelInput.value = state.toolDefaults.redact.label;
+    labelInput.dataset.role = "redaction-label";
+    labelInput.addEventListener("input", () => {
+      state.toolDefaults.redact.label = labelInput.value.trim();
+    });
+    const fillColor = document.createElement("input");
+    fillColor.type = "color";
+    fillColor.value = state.toolDefaults.redact.fillColor;
+    fillColor.addEventListener("input", () => {
+      state.toolDefaults.redact.fillColor = fillColor.value;
+    });
+
+    const markMatchesButton = createButton("Mark Search Matches", async () => {
+      if (!searchState.hits.length || searchState.pdfDoc !== state.pdfDoc) {
+        setStatus(status, "Search the document first to mark matches.", true);
+        return;
+      }
+      try {
+        const created = [];
+        for (const hit of searchState.hits) {
+          created.push(...(await createTextRedactions(hit.pageNumber, hit.quads)));
+        }
+        state.redactionAnnotations = [...state.redactionAnnotations, ...created];
+        await refreshRedactionMarks();
+        scheduleSessionSave();
+        setStatus(
+          status,
+          created.length === 1
+            ? "Marked 1 area for redaction."
+            : `Marked ${created.length} areas for redaction.`
+        );
+      } catch (error) {
+        setStatus(status, `Failed to mark matches: ${error.message}`, true);
+      }
+    }, "secondary");
+    markMatchesButton.dataset.role = "redact-search-matches";
+
+    const refreshRedactionMarks = () =>
+      refreshViewer(canvas, overlay, drawLayer, highlightLayer, shapeLayer, pageLabel, status);
+
+    const presetList = document.createElement("div");
+    presetList.className = "redaction-presets";
+    REDACTION_PATTERNS.forEach((preset) => {
+      const input = document.createElement("input");
+      input.type = "checkbox";
+      input.dataset.role = `redact-preset-${preset.id}`;
+      input.checked = redactionReview.presets.has(preset.id);
+      input.addEventListener("change", () => {
+        if (input.checked) {
+          redactionReview.presets.add(preset.id);
+        } else {
+          redactionReview.presets.delete(preset.id);
+        }
+      });
+      const wrap = document.createElement("label");
+      wrap.className = "remember";
+      wrap.append(input, document.createTextNode(preset.label));
+      presetList.append(wrap);
+    });
+    const customPatterns = document.createElement("textarea");
+    customPatterns.rows = 2;
+    customPatterns.placeholder = "One regular expression per line";
+    customPatterns.value = redactionReview.customPatterns;
+    customPatterns.dataset.role = "redact-custom-patterns";
+    customPatterns.addEventListener("input", () => {
+      redactionReview.customPatterns = customPatterns.value;
+    });
+
+    const candidateSummary = document.createElement("p");
+    candidateSummary.className = "muted";
+    candidateSummary.dataset.role = "redaction-candidate-summary";
+    const candidateList = document.createElement("ol");
+    candidateList.className = "redaction-candidates";
+    candidateList.dataset.role = "redaction-candidates";
+
+    const acceptCandidates = async (candidates) => {
+      const created = [];
+      candidates.forEach((candidate) => {
+        candidate.rejected = false;
+        if (getCandidateStatus(candidate) === "accepted") {
+          return;
+        }
+        candidate.marks.forEach((rect) => {
+          created.push({
+            ...rect,
+            id: createId("redaction"),
+            label: state.toolDefaults.redact.label,
+            fillColor: state.toolDefaults.redact.fillColor,
+            candidateId: candidate.id
+          });
+        });
+      });
+      state.redactionAnnotations = [...state.redactionAnnotations, ...created];
+      scheduleSessionSave();
+      await refreshRedactionMarks();
+    };
+
+    const rejectCandidates = async (candidates) => {
+      const ids = new Set(candidates.map((candidate) => candidate.id));
+      candidates.forEach((candidate) => {
+        candidate.rejected = true;
+      });
+      state.redactionAnnotations = state.redactionAnnotations.filter(
+        (annotation) => !ids.has(annotation.candidateId)
+      );
+      scheduleSessionSave();
+      await refreshRedactionMarks();
+    };
+
+    const renderCandidates = () => {
+      candidateList.replaceChildren();
+      const candidates =
+        redactionReview.pdfDoc === state.pdfDoc ? redactionReview.candidates : [];
+      const counts = { pending: 0, accepted: 0, rejected: 0 };
+      candidates.forEach((candidate) => {
+        const candidateStatus = getCandidateStatus(candidate);
+        counts[candidateStatus] += 1;
+        const item = document.createElement("li");
+        item.className = "redaction-candidate-item";
+        item.dataset.status = candidateStatus;
+        const show = document.createElement("button");
+        show.type = "button";
+        show.className = "search-result";
+        const page = document.createElement("span");
+        page.className = "search-result-page";
+        page.textContent = `p. ${candidate.pageNumber} · ${candidate.label}`;
+        const text = document.createElement("mark");
+        text.textContent = candidate.text;
+        show.append(page, text);
+        show.addEventListener("click", async () => {
+          state.currentPage = candidate.pageNumber;
+          await refreshRedactionMarks();
+        });
+        const accept = createButton("Accept", () => acceptCandidates([candidate]), "secondary");
+        accept.dataset.role = "redaction-candidate-accept";
+        accept.disabled = candidateStatus === "accepted";
+        const reject = createButton("Reject", () => rejectCandidates([candidate]), "secondary");
+        reject.dataset.role = "redaction-candidate-reject";
+        reject.disabled = candidateStatus === "rejected";
+        item.append(show, accept, reject);
+        candidateList.append(item);
+      });
+      candidateSummary.textContent = candidates.length
+        ? `${candidates.length} candidates: ${counts.accepted} accepted, ` +
+          `${counts.rejected} rejected, ${counts.pending} to review.`
+        : "";
+    };
+    redactionUi = { update: renderCandidates };
+
+    const findButton = createButton("Find Sensitive Data", async () => {
+      if (!state.pdfDoc) {
+        setStatus(status, "Load a PDF before searching for sensitive data.", true);
+        return;
+      }
+      const pdfDoc = state.pdfDoc;
+      try {
+        const patterns = [
+          ...REDACTION_PATTERNS.filter((preset) => redactionReview.presets.has(preset.id)),
+          ...parseCustomPatterns(redactionReview.customPatterns)
+        ];
+        if (!patterns.length) {
+          setStatus(status, "Pick at least one pattern to look for.", true);
+          return;
+        }
+        const candidates = [];
+        for (let page = 1; page <= state.pageCount; page += 1) {
+          candidateSummary.textContent = `Reading page ${page} of ${state.pageCount}…`;
+          const { text, items } = await getPageText(page);
+          for (const match of findSensitiveMatches(text, patterns)) {
+            const marks = await createTextRedactions(
+              page,
+              getTextRangeQuads(items, match.start, match.end)
+            );
+            if (marks.length) {
+              candidates.push({
+                id: createId("candidate"),
+                pageNumber: page,
+                patternId: match.patternId,
+                label: match.label,
+                text: match.match.replace(/\s+/g, " "),
+                marks,
+                rejected: false
+              });
+            }
+          }
+          if (pdfDoc !== state.pdfDoc) {
+            return;
+          }
+        }
+        redactionReview.pdfDoc = pdfDoc;
+        redactionReview.candidates = candidates;
+        await refreshRedactionMarks();
+        setStatus(
+          status,
+          candidates.length
+            ? `Found ${candidates.length} possible redactions to review.`
+            : "No sensitive data found."
+        );
+      } catch (error) {
+        renderCandidates();
+        setStatus(status, `Failed to find sensitive data: ${error.message}`, true);
+      }
+    }, "secondary");
+    findButton.dataset.role = "redact-find";
+
+    const acceptAllButton = createButton(
+      "Accept All Pending",
+      () =>
+        acceptCandidates(
+          redactionReview.candidates.filter(
+            (candidate) => getCandidateStatus(candidate) === "pending"
+          )
+        ),
+      "secondary"
+    );
+    acceptAllButton.dataset.role = "redact-accept-all";
+    const reviewActions = document.createElement("div");
+    reviewActions.className = "file-actions";
+    reviewActions.append(findButton, acceptAllButton);
+
+    const applyButton = createButton("Apply Redactions", async () => {
+      if (!state.currentBytes) {
+        setStatus(status, "Load a PDF before redacting.", true);
+        return;
+      }
+      const pending = state.redactionAnnotations;
+      if (!pending.length) {
+        setStatus(status, "Mark an area to redact first.", true);
+        return;
+      }
+      const confirmed = window.confirm(
+        "Apply redactions? Text, images and annotations under the marks are removed for good."
+      );
+      if (!confirmed) {
+        return;
+      }
+      try {
+        const areas = await buildRedactionAreas(pending);
+        const { bytes, removed } = await redactPdf(state.currentBytes, areas);
+        // Edit-model markup under a mark is removed along with the page content.
+        const kept = Object.fromEntries(
+          HISTORY_ANNOTATION_KEYS.map((key) => [
+            key,
+            key === "redactionAnnotations"
+              ? []
+              : state[key].filter((annotation) => !isAnnotationRedacted(annotation, pending))
+          ])
+        );
+        const currentAssets = state.imageAssets;
+        const currentFormValues = state.formValues;
+        const currentPageOrder = state.pageOrder;
+        const currentPageProperties = state.pageProperties;
+        await preserveHistory(() =>
+          loadPdfBytes(
+            bytes,
+            status,
+            canvas,
+            overlay,
+            drawLayer,
+            highlightLayer,
+            shapeLayer,
+            pageLabel,
+            pageList,
+            applyReorderButton
+          )
+        );
+        Object.assign(state, kept);
+        restoreFormValues(currentFormValues);
+        redactionReview.candidates = [];
+        state.imageAssets = currentAssets;
+        state.pageOrder = currentPageOrder;
+        state.pageProperties = currentPageProperties;
+        renderPageList(pageList, applyReorderButton);
+        renderAssetList(assetList, status);
+        await refreshViewer(
+          canvas,
+          overlay,
+          drawLayer,
+          highlightLayer,
+          shapeLayer,
+          pageLabel,
+          status
+        );
+        scheduleSessionSave();
+        const countOf = (count, noun) => `${count} ${noun}${count === 1 ? "" : "s"}`;
+        const wholeImages = removed.wholeImages
+          ? " Partly covered images removed whole because their pixels could not be " +
+            `cleared: ${removed.wholeImages}.`
+          : "";
+        setStatus(
+          status,
+          `Redactions applied. Removed ${countOf(removed.glyphs, "character")}, ` +
+            `${countOf(removed.images, "image")} and ` +
+            `${countOf(removed.annotations, "annotation")}.${wholeImages}`
+        );
+      } catch (error) {
+        setStatus(status, `Failed to apply redactions: ${error.message}`, true);
+      }
+    }, "primary");
+    applyButton.dataset.role = "redact-apply";
+
+    const clearButton = createButton("Clear Marks", () => {
+      state.redactionAnnotations = [];
+      refreshRedactionMarks();
+      scheduleSessionSave();
+      setStatus(status, "Redaction marks cleared.");
+    }, "secondary");
+    clearButton.dataset.role = "redact-clear";
+
+    const actions = document.createElement("div");
+    actions.className = "file-actions";
+    actions.append(markMatchesButton, applyButton, clearButton);
+
+    return placeholderPane(
+      "Drag over content to mark it. Applying removes the text, images and annotations " +
+        "underneath; the original content cannot be recovered from the saved file.",
+      [
+        createLabeledField("Overlay label", labelInput),
+        createLabeledField("Fill color", fillColor),
+        actions,
+        createLabeledField("Detect", presetList),
+        createLabeledField("Custom patterns", customPatterns),
+        reviewActions,
+        candidateSummary,
+        candidateList
+      ]
+    );
+  };
+
+  const searchPane = () => {
+    const panel = document.createElement("div");
+    panel.className = "panel";
+
+    const queryInput = document.createElement("input");
+    queryInput.type = "search";
+    queryInput.placeholder = "Find in document";
+    queryInput.dataset.role = "search-query";
+
+    const createOption = (label, key, role) => {
+      const input = document.createElement("input");
+      input.type = "checkbox";
+      input.dataset.role = role;
+      input.checked = searchState.options[key];
+      input.addEventListener("change", () => {
+        searchState.options[key] = input.checked;
+        runSearch();
+      });
+      const wrap = document.createElement("label");
+      wrap.className = "remember";
+      wrap.append(input, document.createTextNode(label));
+      return wrap;
+    };
+
+    const summary = document.createElement("p");
+    summary.className = "muted";
+    summary.dataset.role = "search-summary";
+
+    const results = document.createElement("ol");
+    results.className = "search-results";
+    results.dataset.role = "search-results";
+
+    let searchToken = 0;
+    let searchTimer = null;
+
+    const updateSummary = () => {
+      const total = searchState.hits.length;
+      if (!searchState.query) {
+        summary.textContent = "";
+      } else if (!total) {
+        summary.textContent = "No matches.";
+      } else {
+        summary.textContent = `${searchState.activeIndex + 1} of ${total} matches`;
+      }
+      results.querySelectorAll(".search-result").forEach((button) => {
+        button.dataset.active = String(Number(button.dataset.index) === searchState.activeIndex);
+      });
+    };
+
+    const renderResults = () => {
+      results.replaceChildren();
+      searchState.hits.slice(0, SEARCH_RESULT_LIMIT).forEach((hit, index) => {
+        const item = document.createElement("li");
+        const button = document.createElement("button");
+        button.type = "button";
+        button.className = "search-result";
+        button.dataset.index = String(index);
+        const page = document.createElement("span");
+        page.className = "search-result-page";
+        page.textContent = `p. ${hit.pageNumber}`;
+        const mark = document.createElement("mark");
+        mark.textContent = hit.snippet.match;
+        button.append(
+          page,
+          document.createTextNode(hit.snippet.before),
+          mark,
+          document.createTextNode(hit.snippet.after)
+        );
+        button.addEventListener("click", () => goToSearchHit(index));
+        item.append(button);
+        results.append(item);
+      });
+      if (searchState.hits.length > SEARCH_RESULT_LIMIT) {
+        const more = document.createElement("li");
+        more.className = "muted";
+        more.textContent = `Showing the first ${SEARCH_RESULT_LIMIT} matches.`;
+        results.append(more);
+      }
+      updateSummary();
+    };
+
+    const goToSearchHit = async (index) => {
+      const hit = searchState.hits[index];
+      if (!hit) {
+        return;
+      }
+      searchState.activeIndex = index;
+      updateSummary();
+      if (hit.pageNumber !== state.currentPage) {
+        state.currentPage = hit.pageNumber;
+        await refreshViewer(
+          canvas,
+          overlay,
+          drawLayer,
+          highlightLayer,
+          shapeLayer,
+          pageLabel,
+          status
+        );
+      } else {
+        await refreshSearchLayers();
+      }
+      const active = canvasWrap.querySelector(".search-hit.is-active");
+      active?.scrollIntoView?.({ block: "center", inline: "nearest" });
+    };
+
+    const stepSearch = (direction) => {
+      const total = searchState.hits.length;
+      if (!total) {
+        return;
+      }
+      goToSearchHit((searchState.activeIndex + direction + total) % total);
+    };
+
+    const runSearch = async () => {
+      window.clearTimeout(searchTimer);
+      const token = ++searchToken;
+      const query = queryInput.value;
+      const pdfDoc = state.pdfDoc;
+      searchState.query = query;
+      searchState.hits = [];
+      searchState.activeIndex = -1;
+      if (!query || !pdfDoc) {
+        renderResults();
+        if (query) {
+          summary.textContent = "Load a PDF to search.";
+        }
+        await refreshSearchLayers();
+        return;
+      }
+      try {
+        const pages = [];
+        for (let page = 1; page <= state.pageCount; page += 1) {
+          summary.textContent = `Reading page ${page} of ${state.pageCount}…`;
+          pages[page] = await getPageText(page);
+          if (token !== searchToken || pdfDoc !== state.pdfDoc) {
+            return;
+          }
+        }
+        const hits = [];
+        for (let page = 1; page <= state.pageCount; page += 1) {
+          const { text, items } = pages[page];
+          findTextMatches(text, query, searchState.options).forEach(({ start, end }) => {
+            hits.push({
+              pageNumber: page,
+              start,
+              end,
+              quads: getTextRangeQuads(items, start, end),
+              snippet: {
+                before: `${start > SEARCH_SNIPPET_CHARS ? "…" : ""}${text
+                  .slice(Math.max(0, start - SEARCH_SNIPPET_CHARS), start)
+                  .replace(/\s+/g, " ")}`,
+                match: text.slice(start, end).replace(/\s+/g, " "),
+                after: `${text.slice(end, end + SEARCH_SNIPPET_CHARS).replace(/\s+/g, " ")}${
+                  end + SEARCH_SNIPPET_CHARS < text.length ? "…" : ""
+                }`
+              }
+            });
+          });
+        }
+        searchState.hits = hits;
+      } catch (error) {
+        renderResults();
+        summary.textContent = `Search failed: ${error.message}`;
+        await refreshSearchLayers();
+        return;
+      }
+      renderResults();
+      if (!searchState.hits.length) {
+        await refreshSearchLayers();
+        return;
+      }
+      // Start from the first match at or after the page being viewed.
+      const nextIndex = searchState.hits.findIndex((hit) => hit.pageNumber >= state.currentPage);
+      await goToSearchHit(Math.max(0, nextIndex));
+    };
+
+    queryInput.addEventListener("input", () => {
+      window.clearTimeout(searchTimer);
+      searchTimer = window.setTimeout(runSearch, 250);
+    });
+    queryInput.addEventListener("keydown", (event) => {
+      if (event.key !== "Enter") {
+        return;
+      }
+      event.preventDefault();
+      if (queryInput.value !== searchState.query || searchState.pdfDoc !== state.pdfDoc) {
+        runSearch();
+        return;
+      }
+      stepSearch(event.shiftKey ? -1 : 1);
+    });
+
+    const previousButton = createButton("Previous Match", () => stepSearch(-1), "secondary");
+    previousButton.dataset.role = "search-previous";
+    const nextButton = createButton("Next Match", () => stepSearch(1), "secondary");
+    nextButton.dataset.role = "search-next";
+    const stepRow = document.createElement("div");
+    stepRow.className = "file-actions";
+    stepRow.append(previousButton, nextButton);
+
+    panel.append(
+      createLabeledField("Find", queryInput),
+      createOption("Match case", "caseSensitive", "search-case"),
+      createOption("Whole words", "wholeWord", "search-whole-word"),
+      createOption("Regular expression", "regex", "search-regex"),
+      stepRow,
+      summary,
+      results
+    );
+
+    searchUi = {
+      focus: () => {
+        queryInput.focus();
+        queryInput.select();
+      }
+    };
+
+    return panel;
+  };
+
   const splitPane = () => {
     const panel = document.createElement("div");
     panel.className = "panel";
@@ -3998,18 +7821,27 @@ export function initApp(root) {
   panes.set("shapes", createPane("shapes", "Shapes", shapesPane()));
   panes.set("comment", createPane("comment", "Comment", commentPane()));
   panes.set("stamp", createPane("stamp", "Stamp", stampPane()));
+  panes.set("redact", createPane("redact", "Redact", redactPane()));
   panes.set("page-properties", createPane("page-properties", "Page Properties", pagePropertiesPane()));
   panes.set("signature", createPane("signature", "Signature", signaturePane()));
+  panes.set("form", createPane("form", "Form", formPane()));
+  panes.set("mail-merge", createPane("mail-merge", "Mail Merge", mailMergePane()));
   panes.set("split", createPane("split", "Split", splitPane()));
   panes.set("settings", createPane("settings", "Settings", settingsPanel));
+  panes.set("export", createPane("export", "Export", exportPanel));
+  panes.set("search", createPane("search", "Search", searchPane()));
 
   renderPanes = () => {
     paneRoot.innerHTML = "";
     const activePaneId = state.paneOpen.settings
       ? "settings"
-      : state.activeTool !== "select" && state.paneOpen[state.activeTool]
-        ? state.activeTool
-        : null;
+      : state.paneOpen.export
+        ? "export"
+        : state.paneOpen.search
+          ? "search"
+          : state.activeTool !== "select" && state.paneOpen[state.activeTool]
+            ? state.activeTool
+            : null;
     if (!activePaneId) {
       return;
     }
@@ -4023,18 +7855,91 @@ export function initApp(root) {
     paneRoot.append(pane);
   };
 
-  workspace.append(viewerGroup, paneRoot);
+  workspace.append(thumbnailRail, viewerGroup, paneRoot);
 
   topBar.append(brand, fileActions, toolBar, actions);
 
   setActiveTool("select");
   renderPanes();
 
+  let historyStepping = false;
+  const stepHistory = async (direction) => {
+    // A step that reloads the PDF takes a while; steps asked for meanwhile are dropped.
+    if (historyStepping) {
+      return;
+    }
+    historyStepping = true;
+    try {
+      await applyHistoryStep(direction);
+    } catch (error) {
+      setStatus(status, `Failed to ${direction}: ${error.message}`, true);
+    } finally {
+      historyStepping = false;
+    }
+  };
+
+  const applyHistoryStep = async (direction) => {
+    const from = direction === "undo" ? history.undoStack : history.redoStack;
+    const to = direction === "undo" ? history.redoStack : history.undoStack;
+    const command = from.pop();
+    if (!command) {
+      return;
+    }
+    to.push(command);
+    const snapshot = direction === "undo" ? command.before : command.after;
+    if (snapshot.bytes !== state.currentBytes) {
+      // Applying a reorder rewrote the PDF, so stepping across it reloads the bytes.
+      await preserveHistory(() =>
+        loadPdfBytes(
+          snapshot.bytes,
+          status,
+          canvas,
+          overlay,
+          drawLayer,
+          highlightLayer,
+          shapeLayer,
+          pageLabel,
+          pageList,
+          applyReorderButton,
+          { fileName: state.currentFileName, fileHash: state.currentFileHash }
+        )
+      );
+      state.currentBytes = snapshot.bytes;
+    }
+    applyHistoryState(snapshot);
+    historyUi.update();
+    renderPageList(pageList, applyReorderButton);
+    renderAssetList(assetList, status);
+    syncStampDeleteButton();
+    await refreshViewer(canvas, overlay, drawLayer, highlightLayer, shapeLayer, pageLabel, status);
+    scheduleSessionSave();
+    setStatus(status, direction === "undo" ? "Undone." : "Redone.");
+  };
+
   window.addEventListener("keydown", (event) => {
     if (event.key === "Escape") {
       setActiveTool("select");
       renderPanes();
+      return;
+    }
+    if (!(event.ctrlKey || event.metaKey) || !container.isConnected) {
+      return;
+    }
+    if (event.key.toLowerCase() === "f") {
+      event.preventDefault();
+      openSearch();
+      return;
     }
+    if (event.key.toLowerCase() !== "z") {
+      return;
+    }
+    // Form fields and text boxes keep the browser's own text undo.
+    const target = event.target;
+    if (target?.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(target?.tagName)) {
+      return;
+    }
+    event.preventDefault();
+    stepHistory(event.shiftKey ? "redo" : "undo");
   });
 
   ensureSignatureFontsLoaded();
@@ -4048,6 +7953,11 @@ export function initApp(root) {
       }
     }
   });
+  loadCustomFonts().then((fonts) => {
+    state.customFonts = fonts ?? [];
+    state.customFonts.forEach((font) => registerCustomFontFace(font));
+    renderFontFamilyOptions();
+  });
   loadSessionHistory().then((entries) => {
     if (state.sessionEntries.length === 0) {
       state.sessionEntries = entries ?? [];
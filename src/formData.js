@@ -0,0 +1,525 @@
+export const FORM_DATA_FORMATS = [
+  { id: "xfdf", label: "XFDF", extension: ".xfdf", mimeType: "application/vnd.adobe.xfdf" },
+  { id: "fdf", label: "FDF", extension: ".fdf", mimeType: "application/vnd.fdf" },
+  { id: "json", label: "JSON", extension: ".json", mimeType: "application/json" }
+];
+
+const XFDF_NAMESPACE = "http://ns.adobe.com/xfdf/";
+
+export function detectFormDataFormat(fileName, bytes) {
+  const extension = String(fileName ?? "").toLowerCase().match(/\.[a-z]+$/)?.[0];
+  const known = FORM_DATA_FORMATS.find((format) => format.extension === extension);
+  if (known) {
+    return known.id;
+  }
+  const head = new TextDecoder("latin1").decode(bytes.subarray(0, 64)).trimStart();
+  if (head.startsWith("%FDF")) {
+    return "fdf";
+  }
+  if (head.startsWith("<")) {
+    return "xfdf";
+  }
+  if (head.startsWith("{")) {
+    return "json";
+  }
+  throw new Error("Form data must be an XFDF, FDF or JSON file.");
+}
+
+// Dotted names are nested the way XFDF and FDF describe field hierarchies.
+function buildFieldTree(values) {
+  const root = new Map();
+  Object.entries(values).forEach(([name, value]) => {
+    const parts = name.split(".");
+    let level = root;
+    parts.forEach((part, index) => {
+      if (!level.has(part)) {
+        level.set(part, { children: new Map(), value: undefined });
+      }
+      const node = level.get(part);
+      if (index === parts.length - 1) {
+        node.value = value;
+      }
+      level = node.children;
+    });
+  });
+  return root;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// PDF strings stay ASCII literals where possible and become UTF-16 hex otherwise.
+function encodePdfString(value) {
+  const text = String(value);
+  if (/^[\x20-\x7e\n\r\t]*$/.test(text)) {
+    const escaped = text
+      .replace(/\\/g, "\\\\")
+      .replace(/\(/g, "\\(")
+      .replace(/\)/g, "\\)")
+      .replace(/\r/g, "\\r")
+      .replace(/\n/g, "\\n");
+    return `(${escaped})`;
+  }
+  let hex = "FEFF";
+  for (let index = 0; index < text.length; index += 1) {
+    hex += text.charCodeAt(index).toString(16).padStart(4, "0").toUpperCase();
+  }
+  return `<${hex}>`;
+}
+
+function encodePdfName(value) {
+  let name = "/";
+  new TextEncoder().encode(value).forEach((byte) => {
+    const char = String.fromCharCode(byte);
+    name +=
+      byte > 0x20 && byte < 0x7f && !/[#()<>[\]{}/%]/.test(char)
+        ? char
+        : `#${byte.toString(16).padStart(2, "0").toUpperCase()}`;
+  });
+  return name;
+}
+
+function serializeXfdfFields(tree, depth) {
+  const indent = "  ".repeat(depth);
+  return [...tree.entries()]
+    .map(([name, node]) => {
+      const lines = [`${indent}<field name="${escapeXml(name)}">`];
+      if (node.value !== undefined) {
+        const list = Array.isArray(node.value) ? node.value : [node.value];
+        list.forEach((item) => lines.push(`${indent}  <value>${escapeXml(item)}</value>`));
+      }
+      if (node.children.size) {
+        lines.push(serializeXfdfFields(node.children, depth + 1));
+      }
+      lines.push(`${indent}</field>`);
+      return lines.join("\n");
+    })
+    .join("\n");
+}
+
+function serializeFdfFields(tree, buttons, prefix) {
+  return [...tree.entries()]
+    .map(([name, node]) => {
+      const fullName = prefix ? `${prefix}.${name}` : name;
+      const entries = [`/T ${encodePdfString(name)}`];
+      if (node.value !== undefined) {
+        if (buttons.has(fullName)) {
+          entries.push(`/V ${encodePdfName(node.value || "Off")}`);
+        } else if (Array.isArray(node.value)) {
+          entries.push(`/V [${node.value.map(encodePdfString).join(" ")}]`);
+        } else {
+          entries.push(`/V ${encodePdfString(node.value)}`);
+        }
+      }
+      if (node.children.size) {
+        entries.push(`/Kids [${serializeFdfFields(node.children, buttons, fullName)}]`);
+      }
+      return `<< ${entries.join(" ")} >>`;
+    })
+    .join("\n");
+}
+
+// Checkbox and radio values are the name of their on state; "" means off.
+export function serializeFormData(values, format, { fileName = "", buttons = new Set() } = {}) {
+  if (format === "json") {
+    return `${JSON.stringify(values, null, 2)}\n`;
+  }
+  const exported = Object.fromEntries(
+    Object.entries(values).map(([name, value]) => [
+      name,
+      buttons.has(name) && !value ? "Off" : value
+    ])
+  );
+  const tree = buildFieldTree(exported);
+  if (format === "xfdf") {
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<xfdf xmlns="${XFDF_NAMESPACE}" xml:space="preserve">`,
+      fileName ? `  <f href="${escapeXml(fileName)}"/>` : null,
+      "  <fields>",
+      serializeXfdfFields(tree, 2),
+      "  </fields>",
+      "</xfdf>"
+    ]
+      .filter(Boolean)
+      .join("\n")
+      .concat("\n");
+  }
+  if (format === "fdf") {
+    const file = fileName ? ` /F ${encodePdfString(fileName)}` : "";
+    return [
+      "%FDF-1.2",
+      "1 0 obj",
+      `<< /FDF << /Fields [\n${serializeFdfFields(tree, buttons, "")}\n]${file} >> >>`,
+      "endobj",
+      "trailer",
+      "<< /Root 1 0 R >>",
+      "%%EOF",
+      ""
+    ].join("\n");
+  }
+  throw new Error(`Unknown form data format: ${format}`);
+}
+
+function flattenJsonValues(object, prefix, values) {
+  Object.entries(object).forEach(([key, value]) => {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === "object" && !Array.isArray(value)) {
+      flattenJsonValues(value, name, values);
+    } else if (Array.isArray(value)) {
+      values[name] = value.map((item) => String(item ?? ""));
+    } else if (typeof value === "boolean") {
+      values[name] = value;
+    } else {
+      values[name] = value === null || value === undefined ? "" : String(value);
+    }
+  });
+  return values;
+}
+
+function parseJsonFormData(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Form data JSON is not valid: ${error.message}`);
+  }
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new Error("Form data JSON must map field names to values.");
+  }
+  return flattenJsonValues(data, "", {});
+}
+
+function parseXfdfFormData(text) {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  const root = doc.documentElement;
+  if (!root || root.localName !== "xfdf" || doc.getElementsByTagName("parsererror").length) {
+    throw new Error("Form data is not a valid XFDF document.");
+  }
+  const values = {};
+  const visit = (element, prefix) => {
+    Array.from(element.children)
+      .filter((child) => child.localName === "field")
+      .forEach((field) => {
+        const partial = field.getAttribute("name") ?? "";
+        const name = prefix ? `${prefix}.${partial}` : partial;
+        const items = Array.from(field.children)
+          .filter((child) => child.localName === "value" || child.localName === "value-richtext")
+          .map((child) => child.textContent);
+        if (items.length) {
+          values[name] = items.length > 1 ? items : items[0];
+        }
+        visit(field, name);
+      });
+  };
+  Array.from(root.children)
+    .filter((child) => child.localName === "fields")
+    .forEach((fields) => visit(fields, ""));
+  return values;
+}
+
+function decodePdfTextBytes(bytes) {
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+    return new TextDecoder("utf-16be").decode(bytes.subarray(2));
+  }
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) {
+    return new TextDecoder("utf-8").decode(bytes.subarray(3));
+  }
+  return new TextDecoder("latin1").decode(bytes);
+}
+
+const PDF_DELIMITERS = "()<>[]{}/%";
+const PDF_ESCAPES = { n: "\n", r: "\r", t: "\t", b: "\b", f: "\f" };
+
+// Reads the handful of object types an FDF file uses. Strings and names come back
+// decoded; indirect references are resolved by the caller.
+function createPdfTokenizer(source) {
+  let position = 0;
+
+  const isWhitespace = (char) => /[\0\t\n\f\r ]/.test(char);
+  const skipWhitespace = () => {
+    while (position < source.length) {
+      if (isWhitespace(source[position])) {
+        position += 1;
+      } else if (source[position] === "%") {
+        while (position < source.length && !/[\r\n]/.test(source[position])) {
+          position += 1;
+        }
+      } else {
+        return;
+      }
+    }
+  };
+
+  const readWord = () => {
+    const start = position;
+    while (
+      position < source.length &&
+      !isWhitespace(source[position]) &&
+      !PDF_DELIMITERS.includes(source[position])
+    ) {
+      position += 1;
+    }
+    return source.slice(start, position);
+  };
+
+  const readLiteralString = () => {
+    const bytes = [];
+    let depth = 1;
+    position += 1;
+    while (position < source.length) {
+      let char = source[position];
+      position += 1;
+      if (char === "\\") {
+        char = source[position];
+        position += 1;
+        if (char in PDF_ESCAPES) {
+          bytes.push(PDF_ESCAPES[char].charCodeAt(0));
+        } else if (/[0-7]/.test(char)) {
+          let octal = char;
+          while (octal.length < 3 && /[0-7]/.test(source[position])) {
+            octal += source[position];
+            position += 1;
+          }
+          bytes.push(parseInt(octal, 8) & 0xff);
+        } else if (char === "\r") {
+          if (source[position] === "\n") {
+            position += 1;
+          }
+        } else if (char !== "\n") {
+          bytes.push(char.charCodeAt(0));
+        }
+        continue;
+      }
+      if (char === "(") {
+        depth += 1;
+      } else if (char === ")") {
+        depth -= 1;
+        if (depth === 0) {
+          break;
+        }
+      }
+      bytes.push(char.charCodeAt(0));
+    }
+    return decodePdfTextBytes(Uint8Array.from(bytes));
+  };
+
+  const readHexString = () => {
+    const end = source.indexOf(">", position);
+    const digits = source.slice(position + 1, end).replace(/[^0-9a-f]/gi, "");
+    position = end + 1;
+    const padded = digits.length % 2 ? `${digits}0` : digits;
+    const bytes = new Uint8Array(padded.length / 2);
+    for (let index = 0; index < bytes.length; index += 1) {
+      bytes[index] = parseInt(padded.slice(index * 2, index * 2 + 2), 16);
+    }
+    return decodePdfTextBytes(bytes);
+  };
+
+  const readName = () => {
+    position += 1;
+    const raw = readWord();
+    const bytes = [];
+    for (let index = 0; index < raw.length; index += 1) {
+      if (raw[index] === "#" && /^[0-9a-f]{2}$/i.test(raw.slice(index + 1, index + 3))) {
+        bytes.push(parseInt(raw.slice(index + 1, index + 3), 16));
+        index += 2;
+      } else {
+        bytes.push(raw.charCodeAt(index));
+      }
+    }
+    return { name: new TextDecoder().decode(Uint8Array.from(bytes)) };
+  };
+
+  const readValue = () => {
+    skipWhitespace();
+    const char = source[position];
+    if (char === "(") {
+      return readLiteralString();
+    }
+    if (char === "<" && source[position + 1] === "<") {
+      position += 2;
+      const dict = {};
+      for (;;) {
+        skipWhitespace();
+        if (position >= source.length) {
+          throw new Error("Form data ends inside a dictionary.");
+        }
+        if (source.startsWith(">>", position)) {
+          position += 2;
+          return dict;
+        }
+        const key = readValue();
+        dict[key.name] = readValue();
+      }
+    }
+    if (char === "<") {
+      return readHexString();
+    }
+    if (char === "/") {
+      return readName();
+    }
+    if (char === "[") {
+      position += 1;
+      const list = [];
+      for (;;) {
+        skipWhitespace();
+        if (position >= source.length) {
+          throw new Error("Form data ends inside an array.");
+        }
+        if (source[position] === "]") {
+          position += 1;
+          return list;
+        }
+        list.push(readValue());
+      }
+    }
+    const word = readWord();
+    if (!word) {
+      position += 1;
+      return null;
+    }
+    if (/^[+-]?\d+$/.test(word)) {
+      // Two integers followed by R refer to another object.
+      const saved = position;
+      skipWhitespace();
+      const generation = readWord();
+      skipWhitespace();
+      if (/^\d+$/.test(generation) && source[position] === "R") {
+        position += 1;
+        return { ref: `${word} ${generation}` };
+      }
+      position = saved;
+      return Number(word);
+    }
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) {
+      return Number(word);
+    }
+    if (word === "true" || word === "false") {
+      return word === "true";
+    }
+    return word === "null" ? null : { keyword: word };
+  };
+
+  return {
+    skipPast: (keyword) => {
+      const index = source.indexOf(keyword, position);
+      position = index === -1 ? source.length : index + keyword.length;
+    },
+    done: () => {
+      skipWhitespace();
+      return position >= source.length;
+    },
+    readValue
+  };
+}
+
+function parseFdfFormData(text) {
+  if (!text.trimStart().startsWith("%FDF")) {
+    throw new Error("Form data is not a valid FDF file.");
+  }
+  const tokenizer = createPdfTokenizer(text);
+  const objects = new Map();
+  let trailer = null;
+  const pending = [];
+  while (!tokenizer.done()) {
+    const value = tokenizer.readValue();
+    if (value?.keyword === "obj" && pending.length >= 2) {
+      const [number, generation] = pending.slice(-2);
+      objects.set(`${number} ${generation}`, tokenizer.readValue());
+      pending.length = 0;
+    } else if (value?.keyword === "stream") {
+      tokenizer.skipPast("endstream");
+    } else if (value?.keyword === "trailer") {
+      trailer = tokenizer.readValue();
+    } else {
+      pending.push(value);
+    }
+  }
+  const resolve = (value) => (value?.ref ? objects.get(value.ref) : value);
+  const fields = resolve(resolve(resolve(trailer?.Root)?.FDF)?.Fields);
+  if (!Array.isArray(fields)) {
+    throw new Error("Form data FDF has no fields.");
+  }
+  const values = {};
+  const visit = (list, prefix) => {
+    list.map(resolve).forEach((field) => {
+      const partial = resolve(field?.T);
+      if (typeof partial !== "string") {
+        return;
+      }
+      const name = prefix ? `${prefix}.${partial}` : partial;
+      const value = resolve(field.V);
+      if (typeof value === "string") {
+        values[name] = value;
+      } else if (value?.name !== undefined) {
+        values[name] = value.name;
+      } else if (Array.isArray(value)) {
+        values[name] = value.map(resolve).filter((item) => typeof item === "string");
+      }
+      const kids = resolve(field.Kids);
+      if (Array.isArray(kids)) {
+        visit(kids, name);
+      }
+    });
+  };
+  visit(fields, "");
+  return values;
+}
+
+// Returns field name to value; hierarchical names are joined with dots.
+export function parseFormData(bytes, format) {
+  if (format === "fdf") {
+    return parseFdfFormData(new TextDecoder("latin1").decode(bytes));
+  }
+  const text = new TextDecoder().decode(bytes);
+  if (format === "xfdf") {
+    return parseXfdfFormData(text);
+  }
+  if (format === "json") {
+    return parseJsonFormData(text);
+  }
+  throw new Error(`Unknown form data format: ${format}`);
+}
+
+// Fits an imported value to the widgets sharing a field name, or returns
+// undefined when it cannot be applied.
+export function coerceFormValue(widgets, value) {
+  const [field] = widgets;
+  if (!field || field.readOnly) {
+    return undefined;
+  }
+  const first = Array.isArray(value) ? value[0] ?? "" : value;
+  if (field.type === "checkbox" || field.type === "radio") {
+    if (first === false || first === "" || first === "Off") {
+      return "";
+    }
+    const onValues = widgets.map((widget) => widget.onValue).filter(Boolean);
+    if (first === true) {
+      return field.type === "checkbox" ? onValues[0] : undefined;
+    }
+    return onValues.includes(first) ? first : undefined;
+  }
+  // Choices may be given by export value or by the text shown to the user.
+  const matchOption = (item) => {
+    const option = field.options.find(
+      (entry) => entry.value === item || entry.label === item
+    );
+    return option ? option.value : undefined;
+  };
+  if (field.type === "list") {
+    const items = (Array.isArray(value) ? value : [value])
+      .filter((item) => item !== "")
+      .map((item) => matchOption(String(item)));
+    return items.includes(undefined) ? undefined : items;
+  }
+  if (field.type === "combo") {
+    return matchOption(String(first)) ?? String(first);
+  }
+  return String(first);
+}
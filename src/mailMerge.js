@@ -0,0 +1,120 @@
+const PLACEHOLDER_PATTERN = /\{\{\s*([^{}]+?)\s*\}\}/g;
+const CSV_DELIMITERS = [",", ";", "\t"];
+const CHECKED_VALUES = /^(1|true|yes|y|x|on|checked)$/i;
+const UNCHECKED_VALUES = /^(0|false|no|n|off|)$/i;
+
+// Spreadsheets exported with a comma as the decimal mark use semicolons, so the
+// delimiter is whichever one splits the header row the most.
+function detectDelimiter(text) {
+  const header = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, "");
+  return CSV_DELIMITERS.reduce((best, delimiter) =>
+    header.split(delimiter).length > header.split(best).length ? delimiter : best
+  );
+}
+
+export function parseCsv(text) {
+  const source = text.replace(/^\uFEFF/, "");
+  const delimiter = detectDelimiter(source);
+  const records = [];
+  let record = [];
+  let cell = "";
+  let quoted = false;
+  for (let index = 0; index < source.length; index += 1) {
+    const char = source[index];
+    if (quoted) {
+      if (char === '"' && source[index + 1] === '"') {
+        cell += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === "") {
+      quoted = true;
+    } else if (char === delimiter) {
+      record.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[index + 1] === "\n") {
+        index += 1;
+      }
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) {
+    throw new Error("The CSV file ends inside a quoted value.");
+  }
+  if (cell !== "" || record.length) {
+    record.push(cell);
+    records.push(record);
+  }
+  const [headerRecord = [], ...rows] = records.filter((item) =>
+    item.some((value) => value.trim() !== "")
+  );
+  // Blank or repeated headers still need distinct names to map them.
+  const headers = [];
+  headerRecord.forEach((value, index) => {
+    const base = value.trim() || `Column ${index + 1}`;
+    let name = base;
+    for (let copy = 2; headers.includes(name); copy += 1) {
+      name = `${base} (${copy})`;
+    }
+    headers.push(name);
+  });
+  return {
+    headers,
+    rows: rows.map((values) =>
+      Object.fromEntries(headers.map((header, index) => [header, values[index] ?? ""]))
+    )
+  };
+}
+
+export function findPlaceholders(texts) {
+  const names = new Set();
+  texts.forEach((text) => {
+    for (const match of String(text ?? "").matchAll(PLACEHOLDER_PATTERN)) {
+      names.add(match[1]);
+    }
+  });
+  return [...names];
+}
+
+// Tokens without a value are left in place so a missing mapping stays visible.
+export function fillPlaceholders(text, values) {
+  return String(text ?? "").replace(PLACEHOLDER_PATTERN, (token, name) =>
+    Object.hasOwn(values, name) ? values[name] : token
+  );
+}
+
+// Checkbox columns usually hold yes/no style words rather than on-state names.
+export function csvValueToFormValue(widgets, value) {
+  if (widgets[0]?.type === "checkbox" && !widgets.some((widget) => widget.onValue === value)) {
+    if (CHECKED_VALUES.test(value.trim())) {
+      return true;
+    }
+    if (UNCHECKED_VALUES.test(value.trim())) {
+      return false;
+    }
+  }
+  return value;
+}
+
+export function buildMergeFileName(pattern, row, rowNumber, taken = new Set()) {
+  const name = fillPlaceholders(pattern, { row: String(rowNumber), ...row })
+    .replace(/\.pdf$/i, "")
+    .replace(/[\\/:*?"<>|\u0000-\u001f]+/g, "_")
+    .trim();
+  const base = name || `row-${rowNumber}`;
+  let fileName = `${base}.pdf`;
+  for (let copy = 2; taken.has(fileName.toLowerCase()); copy += 1) {
+    fileName = `${base}-${copy}.pdf`;
+  }
+  taken.add(fileName.toLowerCase());
+  return fileName;
+}
@@ -0,0 +1,671 @@
+import {
+  PDFArray,
+  PDFDict,
+  PDFHexString,
+  PDFName,
+  PDFObjectStreamParser,
+  PDFParser,
+  PDFRawStream,
+  PDFRef,
+  PDFString,
+  PDFWriter
+} from "pdf-lib";
+
+// The standard security handler: RC4 and AES-128 files (revisions 2-4) and
+// AES-256 files (revisions 5 and 6). Certificate-based handlers are rejected.
+
+const PASSWORD_PADDING = new Uint8Array([
+  0x28, 0xbf, 0x4e, 0x5e, 0x4e, 0x75, 0x8a, 0x41, 0x64, 0x00, 0x4e, 0x56, 0xff, 0xfa, 0x01, 0x08,
+  0x2e, 0x2e, 0x00, 0xb6, 0xd0, 0x68, 0x3e, 0x80, 0x2f, 0x0c, 0xa9, 0xfe, 0x64, 0x53, 0x69, 0x7a
+]);
+
+// Permission bits from the /P entry, named the way the status bar reports them.
+const PERMISSIONS = [
+  { bit: 3, label: "printing" },
+  { bit: 4, label: "editing" },
+  { bit: 5, label: "copying text" },
+  { bit: 6, label: "commenting" },
+  { bit: 9, label: "filling forms" },
+  { bit: 11, label: "assembling pages" }
+];
+
+// Export options grant /P bits; editing also covers comments and page assembly.
+const PERMISSION_GRANTS = {
+  printing: [3, 12],
+  editing: [4, 6, 11],
+  copying: [5],
+  formFilling: [9]
+};
+
+// Object streams are parsed only after their contents are decrypted, so the
+// parser tags them instead of expanding them.
+const DEFERRED_OBJECT_STREAM = PDFName.of("EncryptedObjStm");
+
+const MD5_SHIFTS = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21];
+const MD5_TABLE = Array.from(
+  { length: 64 },
+  (_, index) => Math.floor(Math.abs(Math.sin(index + 1)) * 2 ** 32) >>> 0
+);
+
+export function md5(data) {
+  const paddedLength = Math.ceil((data.length + 9) / 64) * 64;
+  const padded = new Uint8Array(paddedLength);
+  padded.set(data);
+  padded[data.length] = 0x80;
+  const view = new DataView(padded.buffer);
+  view.setUint32(paddedLength - 8, (data.length * 8) >>> 0, true);
+  view.setUint32(paddedLength - 4, Math.floor((data.length * 8) / 2 ** 32), true);
+  const state = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476];
+  for (let offset = 0; offset < paddedLength; offset += 64) {
+    let [a, b, c, d] = state;
+    for (let index = 0; index < 64; index += 1) {
+      const round = index >> 4;
+      let f;
+      let word;
+      if (round === 0) {
+        f = (b & c) | (~b & d);
+        word = index;
+      } else if (round === 1) {
+        f = (d & b) | (~d & c);
+        word = (5 * index + 1) % 16;
+      } else if (round === 2) {
+        f = b ^ c ^ d;
+        word = (3 * index + 5) % 16;
+      } else {
+        f = c ^ (b | ~d);
+        word = (7 * index) % 16;
+      }
+      const sum = (a + f + MD5_TABLE[index] + view.getUint32(offset + word * 4, true)) >>> 0;
+      const shift = MD5_SHIFTS[round * 4 + (index % 4)];
+      a = d;
+      d = c;
+      c = b;
+      b = (b + ((sum << shift) | (sum >>> (32 - shift)))) >>> 0;
+    }
+    state[0] = (state[0] + a) >>> 0;
+    state[1] = (state[1] + b) >>> 0;
+    state[2] = (state[2] + c) >>> 0;
+    state[3] = (state[3] + d) >>> 0;
+  }
+  const digest = new Uint8Array(16);
+  const digestView = new DataView(digest.buffer);
+  state.forEach((value, index) => digestView.setUint32(index * 4, value, true));
+  return digest;
+}
+
+export function rc4(key, data) {
+  const box = new Uint8Array(256);
+  for (let index = 0; index < 256; index += 1) {
+    box[index] = index;
+  }
+  let j = 0;
+  for (let index = 0; index < 256; index += 1) {
+    j = (j + box[index] + key[index % key.length]) & 0xff;
+    [box[index], box[j]] = [box[j], box[index]];
+  }
+  const output = new Uint8Array(data.length);
+  let i = 0;
+  j = 0;
+  for (let index = 0; index < data.length; index += 1) {
+    i = (i + 1) & 0xff;
+    j = (j + box[i]) & 0xff;
+    [box[i], box[j]] = [box[j], box[i]];
+    output[index] = data[index] ^ box[(box[i] + box[j]) & 0xff];
+  }
+  return output;
+}
+
+function concatBytes(...parts) {
+  const output = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  parts.forEach((part) => {
+    output.set(part, offset);
+    offset += part.length;
+  });
+  return output;
+}
+
+function randomBytes(length) {
+  return crypto.getRandomValues(new Uint8Array(length));
+}
+
+function sameBytes(a, b) {
+  return a.length === b.length && a.every((value, index) => value === b[index]);
+}
+
+function toHex(bytes) {
+  return Array.from(bytes, (value) => value.toString(16).padStart(2, "0")).join("");
+}
+
+async function digest(algorithm, data) {
+  return new Uint8Array(await crypto.subtle.digest(algorithm, data));
+}
+
+function importAesKey(key) {
+  return crypto.subtle.importKey("raw", key, "AES-CBC", false, ["encrypt", "decrypt"]);
+}
+
+export async function aesEncrypt(key, iv, data, { padding = true } = {}) {
+  const encrypted = new Uint8Array(
+    await crypto.subtle.encrypt({ name: "AES-CBC", iv }, await importAesKey(key), data)
+  );
+  // WebCrypto always pads; the last block is exactly that padding for
+  // block-aligned input.
+  return padding ? encrypted : encrypted.subarray(0, data.length);
+}
+
+export async function aesDecrypt(key, iv, data, { padding = true } = {}) {
+  const cryptoKey = await importAesKey(key);
+  const blocks = data.subarray(0, data.length - (data.length % 16));
+  if (!blocks.length) {
+    return new Uint8Array(0);
+  }
+  if (padding) {
+    try {
+      return new Uint8Array(
+        await crypto.subtle.decrypt({ name: "AES-CBC", iv }, cryptoKey, blocks)
+      );
+    } catch (error) {
+      // Broken padding is common in the wild; fall through and keep every byte.
+    }
+  }
+  // Appending a block that decrypts to full padding lets WebCrypto decrypt
+  // unpadded data.
+  const lastBlock = blocks.subarray(blocks.length - 16);
+  const tail = new Uint8Array(
+    await crypto.subtle.encrypt({ name: "AES-CBC", iv: lastBlock }, cryptoKey, new Uint8Array(0))
+  );
+  return new Uint8Array(
+    await crypto.subtle.decrypt(
+      { name: "AES-CBC", iv },
+      cryptoKey,
+      concatBytes(blocks, tail)
+    )
+  );
+}
+
+function padPassword(password) {
+  const bytes = new Uint8Array(32);
+  const source = password.subarray(0, 32);
+  bytes.set(source);
+  bytes.set(PASSWORD_PADDING.subarray(0, 32 - source.length), source.length);
+  return bytes;
+}
+
+function encodeLegacyPassword(password) {
+  return Uint8Array.from(password, (char) => char.charCodeAt(0) & 0xff);
+}
+
+function encodePassword(password) {
+  return new TextEncoder().encode(password.normalize("NFKC")).subarray(0, 127);
+}
+
+function readBytes(object) {
+  return object instanceof PDFString || object instanceof PDFHexString
+    ? object.asBytes()
+    : new Uint8Array(0);
+}
+
+export function readSecuritySettings(encrypt, fileId) {
+  const number = (key, fallback) => encrypt.lookup(PDFName.of(key))?.asNumber?.() ?? fallback;
+  const filter = encrypt.lookup(PDFName.of("Filter"));
+  if (filter !== PDFName.of("Standard")) {
+    throw new Error("This PDF uses a certificate-based security handler, which is not supported.");
+  }
+  const version = number("V", 0);
+  const revision = number("R", 2);
+  const settings = {
+    version,
+    revision,
+    keyLength: revision === 2 ? 5 : number("Length", 40) / 8,
+    owner: readBytes(encrypt.lookup(PDFName.of("O"))),
+    user: readBytes(encrypt.lookup(PDFName.of("U"))),
+    ownerKey: readBytes(encrypt.lookup(PDFName.of("OE"))),
+    userKey: readBytes(encrypt.lookup(PDFName.of("UE"))),
+    permissions: number("P", -1) | 0,
+    encryptMetadata: encrypt.lookup(PDFName.of("EncryptMetadata"))?.asBoolean?.() ?? true,
+    fileId,
+    stringMethod: "RC4",
+    streamMethod: "RC4"
+  };
+  if (version >= 4) {
+    const filters = encrypt.lookup(PDFName.of("CF"));
+    const methodOf = (key) => {
+      const name = encrypt.lookup(PDFName.of(key))?.decodeText?.() ?? "Identity";
+      if (name === "Identity") {
+        return "None";
+      }
+      const filterDict = filters?.lookup?.(PDFName.of(name));
+      const method = filterDict?.lookup(PDFName.of("CFM"))?.decodeText?.() ?? "None";
+      if (method === "V2") {
+        const length = filterDict.lookup(PDFName.of("Length"))?.asNumber?.();
+        if (length) {
+          settings.keyLength = length > 40 ? length / 8 : length;
+        }
+        return "RC4";
+      }
+      return method;
+    };
+    settings.stringMethod = methodOf("StrF");
+    settings.streamMethod = methodOf("StmF");
+  }
+  if (revision >= 5) {
+    settings.keyLength = 32;
+  }
+  const supported = ["None", "RC4", "AESV2", "AESV3"];
+  if (
+    ![settings.stringMethod, settings.streamMethod].every((method) => supported.includes(method))
+  ) {
+    throw new Error("This PDF uses an unsupported encryption method.");
+  }
+  return settings;
+}
+
+function computeLegacyFileKey(settings, passwordBytes) {
+  const parts = [
+    padPassword(passwordBytes),
+    settings.owner.subarray(0, 32),
+    new Uint8Array(new Int32Array([settings.permissions]).buffer),
+    settings.fileId
+  ];
+  if (settings.revision >= 4 && !settings.encryptMetadata) {
+    parts.push(new Uint8Array([0xff, 0xff, 0xff, 0xff]));
+  }
+  let hash = md5(concatBytes(...parts));
+  if (settings.revision >= 3) {
+    for (let round = 0; round < 50; round += 1) {
+      hash = md5(hash.subarray(0, settings.keyLength));
+    }
+  }
+  return hash.slice(0, settings.keyLength);
+}
+
+function xorKey(key, value) {
+  return key.map((byte) => byte ^ value);
+}
+
+export function computeLegacyUserHash(settings, fileKey) {
+  if (settings.revision === 2) {
+    return rc4(fileKey, PASSWORD_PADDING);
+  }
+  let hash = rc4(fileKey, md5(concatBytes(PASSWORD_PADDING, settings.fileId)));
+  for (let round = 1; round <= 19; round += 1) {
+    hash = rc4(xorKey(fileKey, round), hash);
+  }
+  return concatBytes(hash, new Uint8Array(16));
+}
+
+export function computeLegacyOwnerKey(settings, passwordBytes) {
+  let hash = md5(padPassword(passwordBytes));
+  if (settings.revision >= 3) {
+    for (let round = 0; round < 50; round += 1) {
+      hash = md5(hash);
+    }
+  }
+  return hash.slice(0, settings.keyLength);
+}
+
+function authenticateLegacyUser(settings, passwordBytes) {
+  const fileKey = computeLegacyFileKey(settings, passwordBytes);
+  const expected = computeLegacyUserHash(settings, fileKey);
+  const length = settings.revision === 2 ? 32 : 16;
+  return sameBytes(expected.subarray(0, length), settings.user.subarray(0, length))
+    ? fileKey
+    : null;
+}
+
+function authenticateLegacyOwner(settings, passwordBytes) {
+  const ownerKey = computeLegacyOwnerKey(settings, passwordBytes);
+  let userPassword = settings.owner.subarray(0, 32);
+  if (settings.revision === 2) {
+    userPassword = rc4(ownerKey, userPassword);
+  } else {
+    for (let round = 19; round >= 0; round -= 1) {
+      userPassword = rc4(xorKey(ownerKey, round), userPassword);
+    }
+  }
+  return authenticateLegacyUser(settings, userPassword);
+}
+
+// Algorithm 2.B of ISO 32000-2; revision 5 uses a single SHA-256.
+export async function computeModernHash(revision, password, salt, userData = new Uint8Array(0)) {
+  let key = await digest("SHA-256", concatBytes(password, salt, userData));
+  if (revision === 5) {
+    return key;
+  }
+  let round = 0;
+  let encrypted = new Uint8Array(0);
+  while (round < 64 || encrypted[encrypted.length - 1] > round - 32) {
+    const block = concatBytes(password, key, userData);
+    const repeated = new Uint8Array(block.length * 64);
+    for (let index = 0; index < 64; index += 1) {
+      repeated.set(block, index * block.length);
+    }
+    encrypted = await aesEncrypt(key.subarray(0, 16), key.subarray(16, 32), repeated, {
+      padding: false
+    });
+    const remainder = encrypted.subarray(0, 16).reduce((total, value) => total + value, 0) % 3;
+    key = await digest(["SHA-256", "SHA-384", "SHA-512"][remainder], encrypted);
+    round += 1;
+  }
+  return key.slice(0, 32);
+}
+
+async function authenticateModern(settings, passwordBytes, asOwner) {
+  const hashSource = asOwner ? settings.owner : settings.user;
+  const userData = asOwner ? settings.user.subarray(0, 48) : new Uint8Array(0);
+  const check = await computeModernHash(
+    settings.revision,
+    passwordBytes,
+    hashSource.subarray(32, 40),
+    userData
+  );
+  if (!sameBytes(check, hashSource.subarray(0, 32))) {
+    return null;
+  }
+  const intermediate = await computeModernHash(
+    settings.revision,
+    passwordBytes,
+    hashSource.subarray(40, 48),
+    userData
+  );
+  return aesDecrypt(
+    intermediate,
+    new Uint8Array(16),
+    asOwner ? settings.ownerKey : settings.userKey,
+    { padding: false }
+  );
+}
+
+async function authenticate(settings, password) {
+  if (settings.revision >= 5) {
+    const passwordBytes = encodePassword(password);
+    const ownerKey = await authenticateModern(settings, passwordBytes, true);
+    if (ownerKey) {
+      return { fileKey: ownerKey, openedWith: "owner" };
+    }
+    const userKey = await authenticateModern(settings, passwordBytes, false);
+    return userKey ? { fileKey: userKey, openedWith: "user" } : null;
+  }
+  const passwordBytes = encodeLegacyPassword(password);
+  const ownerKey = authenticateLegacyOwner(settings, passwordBytes);
+  if (ownerKey) {
+    return { fileKey: ownerKey, openedWith: "owner" };
+  }
+  const userKey = authenticateLegacyUser(settings, passwordBytes);
+  return userKey ? { fileKey: userKey, openedWith: "user" } : null;
+}
+
+export function getObjectKey(fileKey, ref, method) {
+  if (method === "AESV3") {
+    return fileKey;
+  }
+  const salt = method === "AESV2" ? [0x73, 0x41, 0x6c, 0x54] : [];
+  const data = concatBytes(
+    fileKey,
+    new Uint8Array([
+      ref.objectNumber & 0xff,
+      (ref.objectNumber >> 8) & 0xff,
+      (ref.objectNumber >> 16) & 0xff,
+      ref.generationNumber & 0xff,
+      (ref.generationNumber >> 8) & 0xff,
+      ...salt
+    ])
+  );
+  return md5(data).slice(0, Math.min(fileKey.length + 5, 16));
+}
+
+async function decryptData(fileKey, ref, method, data) {
+  if (method === "None") {
+    return data;
+  }
+  const key = getObjectKey(fileKey, ref, method);
+  if (method === "RC4") {
+    return rc4(key, data);
+  }
+  if (data.length < 16) {
+    return new Uint8Array(0);
+  }
+  return aesDecrypt(key, data.subarray(0, 16), data.subarray(16));
+}
+
+// Walks a parsed object and replaces every string with its transformed bytes.
+async function transformStrings(object, transform) {
+  if (object instanceof PDFString || object instanceof PDFHexString) {
+    return PDFHexString.of(toHex(await transform(object.asBytes())));
+  }
+  if (object instanceof PDFDict) {
+    // Signature values are the one string a handler leaves in the clear.
+    const signed = object.has(PDFName.of("ByteRange"));
+    for (const [key, value] of object.entries()) {
+      if (signed && key === PDFName.of("Contents")) {
+        continue;
+      }
+      const next = await transformStrings(value, transform);
+      if (next !== value) {
+        object.set(key, next);
+      }
+    }
+  } else if (object instanceof PDFArray) {
+    for (let index = 0; index < object.size(); index += 1) {
+      const value = object.get(index);
+      const next = await transformStrings(value, transform);
+      if (next !== value) {
+        object.set(index, next);
+      }
+    }
+  }
+  return object;
+}
+
+function usesIdentityCryptFilter(dict) {
+  const filter = dict.lookup(PDFName.of("Filter"));
+  const filters = filter instanceof PDFArray ? filter.asArray() : [filter];
+  return filters.includes(PDFName.of("Crypt"));
+}
+
+class DeferredObjectStreamParser extends PDFParser {
+  parseObject() {
+    const object = super.parseObject();
+    if (
+      object instanceof PDFRawStream &&
+      object.dict.get(PDFName.of("Type")) === PDFName.of("ObjStm")
+    ) {
+      object.dict.set(PDFName.of("Type"), DEFERRED_OBJECT_STREAM);
+    }
+    return object;
+  }
+}
+
+function describeMethod(settings) {
+  if (settings.revision >= 5) {
+    return "AES-256";
+  }
+  return settings.streamMethod === "AESV2" ? "AES-128" : "RC4";
+}
+
+function describeSecurity(settings, openedWith, userPasswordRequired) {
+  const restrictions =
+    openedWith === "owner"
+      ? []
+      : PERMISSIONS.filter(({ bit }) => !(settings.permissions & (1 << (bit - 1)))).map(
+          ({ label }) => label
+        );
+  return {
+    encrypted: true,
+    openedWith,
+    userPasswordRequired,
+    restrictions,
+    method: describeMethod(settings)
+  };
+}
+
+// Returns the decrypted bytes when the password opens the file, or a locked
+// result so the caller can ask again.
+export async function unlockPdf(bytes, password = "") {
+  const source = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+  const context = await new DeferredObjectStreamParser(source).parseDocument();
+  const encryptRef = context.trailerInfo.Encrypt;
+  const encrypt = context.lookup(encryptRef);
+  if (!(encrypt instanceof PDFDict)) {
+    return { status: "unencrypted", bytes: source };
+  }
+  const ids = context.lookup(context.trailerInfo.ID);
+  const fileId = ids instanceof PDFArray ? readBytes(ids.lookup(0)) : new Uint8Array(0);
+  const settings = readSecuritySettings(encrypt, fileId);
+  const access = await authenticate(settings, password);
+  if (!access) {
+    return { status: "locked" };
+  }
+  const userPasswordRequired = password === "" ? false : !(await authenticate(settings, ""));
+
+  const objectStreams = [];
+  for (const [ref, object] of context.enumerateIndirectObjects()) {
+    if (ref === encryptRef || object === encrypt) {
+      continue;
+    }
+    const decryptString = (data) =>
+      decryptData(access.fileKey, ref, settings.stringMethod, data);
+    if (object instanceof PDFRawStream) {
+      await transformStrings(object.dict, decryptString);
+      const type = object.dict.get(PDFName.of("Type"));
+      const clearMetadata = type === PDFName.of("Metadata") && !settings.encryptMetadata;
+      const contents =
+        clearMetadata || usesIdentityCryptFilter(object.dict)
+          ? object.contents
+          : await decryptData(access.fileKey, ref, settings.streamMethod, object.contents);
+      const stream = PDFRawStream.of(object.dict, contents);
+      if (type === DEFERRED_OBJECT_STREAM) {
+        stream.dict.set(PDFName.of("Type"), PDFName.of("ObjStm"));
+        objectStreams.push([ref, stream]);
+      } else {
+        context.assign(ref, stream);
+      }
+    } else {
+      const next = await transformStrings(object, decryptString);
+      if (next !== object) {
+        context.assign(ref, next);
+      }
+    }
+  }
+  // Objects inside object streams were encrypted with the stream, so they are
+  // only added once everything else has been decrypted.
+  for (const [ref, stream] of objectStreams) {
+    context.delete(ref);
+    await PDFObjectStreamParser.forStream(stream).parseIntoContext();
+  }
+  if (encryptRef instanceof PDFRef) {
+    context.delete(encryptRef);
+  }
+  context.trailerInfo.Encrypt = undefined;
+  const plain = await PDFWriter.forContext(context, 50).serializeToBuffer();
+  return {
+    status: "unlocked",
+    bytes: plain,
+    security: describeSecurity(settings, access.openedWith, userPasswordRequired)
+  };
+}
+
+export function computePermissionFlags(permissions = {}) {
+  // Bits 7-8 and 13-32 are reserved and must be set; accessibility
+  // extraction (bit 10) is always granted.
+  let flags = 0xfffff0c0 | (1 << 9);
+  Object.entries(PERMISSION_GRANTS).forEach(([key, bits]) => {
+    if (permissions[key]) {
+      bits.forEach((bit) => {
+        flags |= 1 << (bit - 1);
+      });
+    }
+  });
+  return flags | 0;
+}
+
+async function createPasswordEntries(password, fileKey, userData) {
+  const validationSalt = randomBytes(8);
+  const keySalt = randomBytes(8);
+  const hash = await computeModernHash(6, password, validationSalt, userData);
+  const intermediate = await computeModernHash(6, password, keySalt, userData);
+  return {
+    hash: concatBytes(hash, validationSalt, keySalt),
+    key: await aesEncrypt(intermediate, new Uint8Array(16), fileKey, { padding: false })
+  };
+}
+
+// Encrypts saved bytes with AES-256 (revision 6). The output has no object
+// streams because they would have to be encrypted as a whole.
+export async function encryptPdf(bytes, { userPassword = "", ownerPassword = "", permissions }) {
+  const source = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+  const context = await PDFParser.forBytesWithOptions(source).parseDocument();
+  if (context.trailerInfo.Encrypt) {
+    throw new Error("This PDF is already encrypted.");
+  }
+  const fileKey = randomBytes(32);
+  const flags = computePermissionFlags(permissions);
+  // Without an owner password anyone could lift the restrictions, so a random
+  // one takes its place.
+  const owner = encodePassword(ownerPassword || toHex(randomBytes(16)));
+  const user = await createPasswordEntries(
+    encodePassword(userPassword),
+    fileKey,
+    new Uint8Array(0)
+  );
+  const ownerEntries = await createPasswordEntries(owner, fileKey, user.hash);
+  const permissionBlock = new Uint8Array(16);
+  new DataView(permissionBlock.buffer).setInt32(0, flags, true);
+  permissionBlock.set([0xff, 0xff, 0xff, 0xff, 0x54, 0x61, 0x64, 0x62], 4);
+  permissionBlock.set(randomBytes(4), 12);
+
+  const encryptData = async (data) => {
+    const iv = randomBytes(16);
+    return concatBytes(iv, await aesEncrypt(fileKey, iv, data));
+  };
+  for (const [ref, object] of context.enumerateIndirectObjects()) {
+    if (object instanceof PDFRawStream) {
+      await transformStrings(object.dict, encryptData);
+      context.assign(ref, PDFRawStream.of(object.dict, await encryptData(object.contents)));
+    } else {
+      const next = await transformStrings(object, encryptData);
+      if (next !== object) {
+        context.assign(ref, next);
+      }
+    }
+  }
+  const hexOf = (data) => PDFHexString.of(toHex(data));
+  context.trailerInfo.Encrypt = context.register(
+    context.obj({
+      Filter: "Standard",
+      V: 5,
+      R: 6,
+      Length: 256,
+      CF: { StdCF: { CFM: "AESV3", AuthEvent: "DocOpen", Length: 32 } },
+      StmF: "StdCF",
+      StrF: "StdCF",
+      P: flags,
+      U: hexOf(user.hash),
+      UE: hexOf(user.key),
+      O: hexOf(ownerEntries.hash),
+      OE: hexOf(ownerEntries.key),
+      Perms: hexOf(
+        await aesEncrypt(fileKey, new Uint8Array(16), permissionBlock, { padding: false })
+      )
+    })
+  );
+  if (!context.trailerInfo.ID) {
+    const fileId = hexOf(randomBytes(16));
+    context.trailerInfo.ID = context.obj([fileId, fileId]);
+  }
+  return PDFWriter.forContext(context, 50).serializeToBuffer();
+}
+
+// A cheap scan that avoids a full parse for the common unencrypted file: the
+// trailer and cross-reference stream dictionaries are never compressed.
+export function hasEncryptionDictionary(bytes) {
+  const source = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+  const marker = [0x2f, 0x45, 0x6e, 0x63, 0x72, 0x79, 0x70, 0x74];
+  for (let index = 0; index <= source.length - marker.length; index += 1) {
+    if (marker.every((value, offset) => source[index + offset] === value)) {
+      return true;
+    }
+  }
+  return false;
+}
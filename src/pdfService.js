@@ -1,8 +1,73 @@
 import * as pdfjsLib from "pdfjs-dist/build/pdf";
 import pdfjsWorker from "pdfjs-dist/build/pdf.worker?worker";
-import { PDFDocument, StandardFonts, degrees, rgb } from "pdf-lib";
+import {
+  LineCapStyle,
+  LineJoinStyle,
+  PDFArray,
+  PDFCheckBox,
+  PDFCrossRefSection,
+  PDFCrossRefStream,
+  PDFDict,
+  PDFDocument,
+  PDFDropdown,
+  PDFHexString,
+  PDFName,
+  PDFNull,
+  PDFNumber,
+  PDFOptionList,
+  PDFPage,
+  PDFPageLeaf,
+  PDFRadioGroup,
+  PDFRawStream,
+  PDFRef,
+  PDFStream,
+  PDFSignature,
+  PDFString,
+  PDFTextField,
+  PDFTrailer,
+  PDFTrailerDict,
+  StandardFonts,
+  appendQuadraticCurve,
+  beginText,
+  closePath,
+  degrees,
+  drawEllipse,
+  drawLine,
+  drawRectangle,
+  endText,
+  fill,
+  fillAndStroke,
+  lineTo,
+  moveTo,
+  popGraphicsState,
+  pushGraphicsState,
+  rectangle,
+  rgb,
+  setFillingRgbColor,
+  setFontAndSize,
+  setGraphicsState,
+  setLineCap,
+  setLineJoin,
+  setLineWidth,
+  setStrokingRgbColor,
+  setTextMatrix,
+  showText,
+  stroke
+} from "pdf-lib";
 import fontkit from "@pdf-lib/fontkit";
 import { SIGNATURE_LAYOUT, SIGNATURE_VARIANTS, getSignatureVariant } from "./signatureData.js";
+import { getMarkupStroke, getTextMarkupType } from "./textMarkup.js";
+import {
+  IDENTITY,
+  bytesToBinary,
+  multiply,
+  parseContentStream,
+  readImagePixels,
+  readPageContent,
+  readStreamBytes,
+  redactPageContent
+} from "./redaction.js";
+import { encryptPdf } from "./pdfSecurity.js";
 
 if (typeof window !== "undefined") {
   const WorkerCtor =
@@ -36,12 +101,28 @@ export function isPdfBytes(bytes) {
   return header === "%PDF";
 }
 
+export function isFontBytes(bytes) {
+  if (!bytes || bytes.byteLength < 4) {
+    return false;
+  }
+  const header = new Uint8Array(bytes.slice(0, 4));
+  const tag = String.fromCharCode(...header);
+  const isTrueType = header[0] === 0 && header[1] === 1 && header[2] === 0 && header[3] === 0;
+  return isTrueType || tag === "true" || tag === "OTTO";
+}
+
 export async function loadPdfDocument(bytes) {
   const task = pdfjsLib.getDocument({ data: bytes });
   const pdfDoc = await task.promise;
   return pdfDoc;
 }
 
+export async function getPageSize(pdfDoc, pageNumber, scale = 1, rotation = 0) {
+  const page = await pdfDoc.getPage(pageNumber);
+  const viewport = page.getViewport({ scale, rotation });
+  return { width: viewport.width, height: viewport.height };
+}
+
 export async function renderPageToCanvas(
   pdfDoc,
   pageNumber,
@@ -54,25 +135,724 @@ export async function renderPageToCanvas(
   const context = canvas.getContext("2d");
   canvas.width = viewport.width;
   canvas.height = viewport.height;
-  await page.render({ canvasContext: context, viewport }).promise;
+  await page.render({
+    canvasContext: context,
+    viewport,
+    annotationMode: pdfjsLib.AnnotationMode.ENABLE_STORAGE
+  }).promise;
+  return { width: viewport.width, height: viewport.height };
+}
+
+const textLayerTasks = new WeakMap();
+
+// Lays pdf.js's selectable text spans over a page rendered at the same scale
+// and rotation. The container is sized in CSS pixels through --scale-factor.
+// Returns false when a newer render for the same container took over.
+export async function renderTextLayer(pdfDoc, pageNumber, container, scale = 1.2, rotation = 0) {
+  const page = await pdfDoc.getPage(pageNumber);
+  const viewport = page.getViewport({ scale, rotation });
+  textLayerTasks.get(container)?.cancel();
+  container.replaceChildren();
+  container.style.setProperty("--scale-factor", String(scale));
+  const textLayer = new pdfjsLib.TextLayer({
+    textContentSource: page.streamTextContent(),
+    container,
+    viewport
+  });
+  textLayerTasks.set(container, textLayer);
+  try {
+    await textLayer.render();
+  } catch (error) {
+    if (error?.name === "AbortException") {
+      return false;
+    }
+    throw error;
+  } finally {
+    if (textLayerTasks.get(container) === textLayer) {
+      textLayerTasks.delete(container);
+    }
+  }
+  // Spans follow the text items in order, which lets a DOM selection be traced
+  // back to the items returned by extractPageText.
+  textLayer.textDivs.forEach((div, index) => {
+    div.dataset.itemIndex = String(index);
+  });
+  const endOfContent = document.createElement("div");
+  endOfContent.className = "endOfContent";
+  container.append(endOfContent);
+  return true;
+}
+
+// Joins a page's text items into one string and remembers where each item
+// starts, so a match in the string can be traced back to glyph positions.
+export async function extractPageText(pdfDoc, pageNumber) {
+  const page = await pdfDoc.getPage(pageNumber);
+  const content = await page.getTextContent();
+  let text = "";
+  const items = [];
+  let index = 0;
+  content.items.forEach((item) => {
+    if (typeof item.str !== "string") {
+      return;
+    }
+    if (item.str) {
+      items.push({
+        index,
+        start: text.length,
+        str: item.str,
+        transform: item.transform,
+        width: item.width,
+        height: item.height
+      });
+      text += item.str;
+    }
+    if (item.hasEOL) {
+      text += "\n";
+    }
+    index += 1;
+  });
+  return { text, items };
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+export function findTextMatches(text, query, options = {}) {
+  if (!query) {
+    return [];
+  }
+  const source = options.regex ? query : escapeRegExp(query);
+  const pattern = options.wholeWord
+    ? `(?<![\\p{L}\\p{N}_])(?:${source})(?![\\p{L}\\p{N}_])`
+    : source;
+  const expression = new RegExp(pattern, options.caseSensitive ? "gu" : "giu");
+  const matches = [];
+  let match = expression.exec(text);
+  while (match) {
+    if (match[0].length === 0) {
+      expression.lastIndex += 1;
+    } else {
+      matches.push({ start: match.index, end: match.index + match[0].length });
+    }
+    match = expression.exec(text);
+  }
+  return matches;
+}
+
+// Quads are in PDF user space, ordered upper-left, upper-right, lower-left,
+// lower-right like QuadPoints. Partial items are split by character count.
+export function getTextRangeQuads(items, start, end) {
+  const quads = [];
+  items.forEach((item) => {
+    const itemEnd = item.start + item.str.length;
+    if (itemEnd <= start || item.start >= end) {
+      return;
+    }
+    const [a, b, c, d, e, f] = item.transform;
+    const scaleX = Math.hypot(a, b) || 1;
+    const scaleY = Math.hypot(c, d) || 1;
+    const along = [a / scaleX, b / scaleX];
+    const up = [c / scaleY, d / scaleY];
+    const height = item.height || scaleY;
+    const from = (Math.max(start, item.start) - item.start) / item.str.length;
+    const to = (Math.min(end, itemEnd) - item.start) / item.str.length;
+    const point = (offset, rise) => [
+      e + along[0] * item.width * offset + up[0] * height * rise,
+      f + along[1] * item.width * offset + up[1] * height * rise
+    ];
+    // Glyphs sit on the baseline, so the box reaches a little below it for descenders.
+    quads.push([
+      ...point(from, 0.8),
+      ...point(to, 0.8),
+      ...point(from, -0.2),
+      ...point(to, -0.2)
+    ]);
+  });
+  return quads;
+}
+
+// Converts PDF quads into axis-aligned rectangles in viewport pixels.
+export async function convertQuadsToViewportRects(pdfDoc, pageNumber, quads, scale, rotation) {
+  const page = await pdfDoc.getPage(pageNumber);
+  const viewport = page.getViewport({ scale, rotation });
+  return quads.map((quad) => {
+    const xs = [];
+    const ys = [];
+    for (let index = 0; index < 8; index += 2) {
+      const [x, y] = viewport.convertToViewportPoint(quad[index], quad[index + 1]);
+      xs.push(x);
+      ys.push(y);
+    }
+    const x = Math.min(...xs);
+    const y = Math.min(...ys);
+    return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+  });
+}
+
+// Maps a rectangle in viewport pixels back to PDF user space, so redaction
+// areas follow the page box and rotation the viewer used.
+export async function convertViewportRectToPdfRect(pdfDoc, pageNumber, rect, scale, rotation) {
+  const page = await pdfDoc.getPage(pageNumber);
+  const viewport = page.getViewport({ scale, rotation });
+  const [x1, y1] = viewport.convertToPdfPoint(rect.x, rect.y);
+  const [x2, y2] = viewport.convertToPdfPoint(rect.x + rect.width, rect.y + rect.height);
+  return {
+    x: Math.min(x1, x2),
+    y: Math.min(y1, y2),
+    width: Math.abs(x2 - x1),
+    height: Math.abs(y2 - y1)
+  };
+}
+
+function toHexColor(components, fallback = "#111111") {
+  if (!components || components.length < 3) {
+    return fallback;
+  }
+  return `#${Array.from(components)
+    .slice(0, 3)
+    .map((value) => Math.round(value).toString(16).padStart(2, "0"))
+    .join("")}`;
+}
+
+function toPointList(coords) {
+  const points = [];
+  if (!coords) {
+    return points;
+  }
+  const list = Array.from(coords);
+  if (typeof list[0] === "object") {
+    return list.map((point) => ({ x: point.x, y: point.y }));
+  }
+  for (let i = 0; i + 1 < list.length; i += 2) {
+    points.push({ x: list[i], y: list[i + 1] });
+  }
+  return points;
+}
+
+async function readLineCoordinates(getSourceDocument, annotation) {
+  const match = /^(\d+)R(\d*)$/.exec(annotation.id ?? "");
+  const sourceDoc = match ? await getSourceDocument() : null;
+  if (sourceDoc) {
+    const dict = sourceDoc.context.lookup(
+      PDFRef.of(Number(match[1]), Number(match[2] || 0))
+    );
+    const coords = dict?.lookup?.(PDFName.of("L"));
+    if (coords && coords.size?.() === 4) {
+      return coords.asArray().map((value) => value.asNumber());
+    }
+  }
+  // pdf.js normalizes the line rectangle, which loses its direction.
+  return Array.from(annotation.lineCoordinates ?? []);
+}
+
+export async function importPdfAnnotations(pdfDoc, scale = 1.2, sourceBytes = null) {
+  let sourceDocPromise = null;
+  const getSourceDocument = () => {
+    if (!sourceBytes) {
+      return Promise.resolve(null);
+    }
+    sourceDocPromise ??= loadEditableDocument(sourceBytes).catch(() => null);
+    return sourceDocPromise;
+  };
+  const imported = {
+    highlightAnnotations: [],
+    drawAnnotations: [],
+    shapeAnnotations: [],
+    commentAnnotations: [],
+    textAnnotations: [],
+    importedIds: []
+  };
+
+  for (let pageNumber = 1; pageNumber <= pdfDoc.numPages; pageNumber += 1) {
+    const page = await pdfDoc.getPage(pageNumber);
+    const viewport = page.getViewport({ scale, rotation: 0 });
+    const annotations = await page.getAnnotations({ intent: "display" });
+    const base = {
+      pageNumber,
+      overlayWidth: viewport.width,
+      overlayHeight: viewport.height
+    };
+    const toOverlayPoint = (point) => {
+      const [x, y] = viewport.convertToViewportPoint(point.x, point.y);
+      return { x, y };
+    };
+    const toOverlayRect = (rect) => {
+      const [x1, y1] = viewport.convertToViewportPoint(rect[0], rect[1]);
+      const [x2, y2] = viewport.convertToViewportPoint(rect[2], rect[3]);
+      return {
+        x: Math.min(x1, x2),
+        y: Math.min(y1, y2),
+        width: Math.abs(x2 - x1),
+        height: Math.abs(y2 - y1)
+      };
+    };
+
+    for (const annotation of annotations) {
+      const id = `imported-${annotation.id}`;
+      const color = toHexColor(annotation.color);
+      const text = annotation.contentsObj?.str ?? "";
+      const strokeWidth = (annotation.borderStyle?.width || 1) * scale;
+      const shapeStyle = {
+        shapeType: "rect",
+        strokeColor: color,
+        strokeWidth,
+        fillColor: "",
+        opacity: annotation.opacity ?? 1
+      };
+
+      if (annotation.subtype === "Highlight") {
+        const quads = toPointList(annotation.quadPoints);
+        const boxes = [];
+        for (let i = 0; i + 3 < quads.length; i += 4) {
+          const xs = quads.slice(i, i + 4).map((point) => point.x);
+          const ys = quads.slice(i, i + 4).map((point) => point.y);
+          boxes.push([Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)]);
+        }
+        if (!boxes.length) {
+          boxes.push(annotation.rect);
+        }
+        boxes.forEach((box, index) => {
+          imported.highlightAnnotations.push({
+            id: boxes.length > 1 ? `${id}-${index + 1}` : id,
+            ...base,
+            ...toOverlayRect(box),
+            color: toHexColor(annotation.color, "#f59e0b"),
+            opacity: annotation.opacity ?? 0.35
+          });
+        });
+      } else if (annotation.subtype === "Ink" || annotation.subtype === "PolyLine") {
+        const lists =
+          annotation.subtype === "Ink" ? annotation.inkLists ?? [] : [annotation.vertices];
+        lists.forEach((list, index) => {
+          const points = toPointList(list).map(toOverlayPoint);
+          if (points.length < 2) {
+            return;
+          }
+          imported.drawAnnotations.push({
+            id: lists.length > 1 ? `${id}-${index + 1}` : id,
+            ...base,
+            points,
+            strokeColor: color,
+            strokeWidth,
+            opacity: annotation.opacity ?? 1
+          });
+        });
+      } else if (annotation.subtype === "Square" || annotation.subtype === "Circle") {
+        const rect = toOverlayRect(annotation.rect);
+        const shapeType = annotation.subtype === "Square" ? "rect" : "ellipse";
+        imported.shapeAnnotations.push({
+          id,
+          ...base,
+          shapeType,
+          geometry: {
+            ...rect,
+            points: [
+              { x: rect.x, y: rect.y },
+              { x: rect.x + rect.width, y: rect.y + rect.height }
+            ]
+          },
+          style: { ...shapeStyle, shapeType }
+        });
+      } else if (annotation.subtype === "Line" && annotation.lineCoordinates) {
+        const [x1, y1, x2, y2] = await readLineCoordinates(getSourceDocument, annotation);
+        const isArrow = String(annotation.lineEndings?.[1] ?? "").includes("Arrow");
+        const shapeType = isArrow ? "arrow" : "line";
+        imported.shapeAnnotations.push({
+          id,
+          ...base,
+          shapeType,
+          geometry: {
+            points: [toOverlayPoint({ x: x1, y: y1 }), toOverlayPoint({ x: x2, y: y2 })]
+          },
+          style: { ...shapeStyle, shapeType }
+        });
+      } else if (annotation.subtype === "Polygon") {
+        const points = toPointList(annotation.vertices).map(toOverlayPoint);
+        if (points.length < 3) {
+          continue;
+        }
+        imported.shapeAnnotations.push({
+          id,
+          ...base,
+          shapeType: "polygon",
+          geometry: { points },
+          style: { ...shapeStyle, shapeType: "polygon" }
+        });
+      } else if (annotation.subtype === "Text") {
+        const rect = toOverlayRect(annotation.rect);
+        imported.commentAnnotations.push({
+          id,
+          ...base,
+          x: rect.x,
+          y: rect.y,
+          width: 180,
+          height: 80,
+          text,
+          color: "#111111",
+          fontSize: 12
+        });
+      } else if (annotation.subtype === "FreeText") {
+        const appearance = annotation.defaultAppearanceData ?? {};
+        imported.textAnnotations.push({
+          id,
+          ...base,
+          ...toOverlayRect(annotation.rect),
+          text,
+          fontSize: appearance.fontSize || 12,
+          fontFamily: "Helvetica",
+          color: toHexColor(appearance.fontColor, "#111111")
+        });
+      } else {
+        continue;
+      }
+      imported.importedIds.push(annotation.id);
+    }
+  }
+
+  return imported;
+}
+
+export function hidePdfAnnotations(pdfDoc, annotationIds) {
+  annotationIds.forEach((annotationId) => {
+    pdfDoc.annotationStorage?.setValue(annotationId, { noView: true });
+  });
+}
+
+function getFormFieldType(annotation) {
+  if (annotation.fieldType === "Tx") {
+    return "text";
+  }
+  if (annotation.fieldType === "Btn") {
+    if (annotation.checkBox) {
+      return "checkbox";
+    }
+    return annotation.radioButton ? "radio" : null;
+  }
+  if (annotation.fieldType === "Ch") {
+    return annotation.combo ? "combo" : "list";
+  }
+  return null;
+}
+
+function readFormFieldValue(type, annotation) {
+  const value = annotation.fieldValue;
+  if (type === "list") {
+    return Array.isArray(value) ? value : value ? [value] : [];
+  }
+  const text = Array.isArray(value) ? value[0] ?? "" : value ?? "";
+  // Buttons hold the name of their on state, and "Off" when cleared.
+  return (type === "checkbox" || type === "radio") && text === "Off" ? "" : text;
+}
+
+// Widgets the viewer can show as inputs. Push buttons and signature fields
+// stay part of the rendered page.
+export async function readFormFields(pdfDoc, scale = 1.2) {
+  const fields = [];
+  const values = {};
+  for (let pageNumber = 1; pageNumber <= pdfDoc.numPages; pageNumber += 1) {
+    const page = await pdfDoc.getPage(pageNumber);
+    const viewport = page.getViewport({ scale, rotation: 0 });
+    const annotations = await page.getAnnotations({ intent: "display" });
+    annotations.forEach((annotation) => {
+      const type = getFormFieldType(annotation);
+      if (annotation.subtype !== "Widget" || !type || !annotation.fieldName) {
+        return;
+      }
+      if (annotation.hidden) {
+        return;
+      }
+      const [x1, y1] = viewport.convertToViewportPoint(annotation.rect[0], annotation.rect[1]);
+      const [x2, y2] = viewport.convertToViewportPoint(annotation.rect[2], annotation.rect[3]);
+      fields.push({
+        id: `field-${annotation.id}`,
+        annotationId: annotation.id,
+        name: annotation.fieldName,
+        type,
+        pageNumber,
+        x: Math.min(x1, x2),
+        y: Math.min(y1, y2),
+        width: Math.abs(x2 - x1),
+        height: Math.abs(y2 - y1),
+        overlayWidth: viewport.width,
+        overlayHeight: viewport.height,
+        readOnly: Boolean(annotation.readOnly),
+        multiline: Boolean(annotation.multiLine),
+        maxLength: annotation.maxLen || null,
+        multiSelect: Boolean(annotation.multiSelect),
+        onValue: type === "radio" ? annotation.buttonValue : annotation.exportValue ?? null,
+        options: (annotation.options ?? []).map((option) => ({
+          value: option.exportValue,
+          label: option.displayValue
+        })),
+        fontSize: (annotation.defaultAppearanceData?.fontSize || 0) * scale
+      });
+      if (!(annotation.fieldName in values)) {
+        values[annotation.fieldName] = readFormFieldValue(type, annotation);
+      }
+    });
+  }
+  return { fields, values };
+}
+
+// Field appearances default to Helvetica, which only covers WinAnsi, so other
+// values are drawn with the first custom font that has all their characters.
+async function updateTextFieldFonts(pdfDoc, fields, customFonts = []) {
+  const form = pdfDoc.getForm();
+  const getFont = createTextFontResolver(pdfDoc, customFonts);
+  const characterSets = new Map();
+  for (const field of fields) {
+    const text = field.getText() ?? "";
+    if (!findUnencodableCharacters(form.getDefaultFont(), text).length) {
+      continue;
+    }
+    const customFont = customFonts.find((candidate) => {
+      if (!characterSets.has(candidate.id)) {
+        characterSets.set(candidate.id, new Set(fontkit.create(candidate.fontData).characterSet));
+      }
+      const characters = characterSets.get(candidate.id);
+      return [...text.replace(/[\r\n]/g, "")].every((char) =>
+        characters.has(char.codePointAt(0))
+      );
+    });
+    if (!customFont) {
+      assertEncodable(form.getDefaultFont(), `The form field "${field.getName()}"`, text);
+    }
+    field.updateAppearances((await getFont(customFont.id)).font);
+  }
+}
+
+// Only values that differ from the file are written, so untouched fields keep
+// their original appearance.
+async function fillFormFields(pdfDoc, values, flatten = false, customFonts = []) {
+  if (!pdfDoc.catalog.has(PDFName.of("AcroForm"))) {
+    return;
+  }
+  const form = pdfDoc.getForm();
+  const textFields = [];
+  Object.entries(values ?? {}).forEach(([name, value]) => {
+    const field = form.getFieldMaybe(name);
+    if (!field || field.isReadOnly()) {
+      return;
+    }
+    if (field instanceof PDFTextField) {
+      if ((field.getText() ?? "") !== value) {
+        field.setText(value || undefined);
+        textFields.push(field);
+      }
+    } else if (field instanceof PDFCheckBox || field instanceof PDFRadioGroup) {
+      // The value is the on-state name of one widget, which is what /V holds.
+      if (field.acroField.getValue().decodeText() === (value || "Off")) {
+        return;
+      }
+      if (value) {
+        field.acroField.setValue(PDFName.of(value));
+        form.markFieldAsDirty(field.ref);
+      } else if (field instanceof PDFCheckBox) {
+        field.uncheck();
+      } else {
+        field.clear();
+      }
+    } else if (field instanceof PDFDropdown || field instanceof PDFOptionList) {
+      // pdf-lib matches choices by their display text rather than export value.
+      const options = field.acroField.getOptions();
+      const selected = (Array.isArray(value) ? value : [value]).filter(Boolean).map((item) => {
+        const option = options.find((entry) => entry.value.decodeText() === item);
+        return (option?.display ?? option?.value)?.decodeText() ?? item;
+      });
+      if (selected.join("\n") === field.getSelected().join("\n")) {
+        return;
+      }
+      if (selected.length) {
+        field.select(selected);
+      } else {
+        field.clear();
+      }
+    }
+  });
+  await updateTextFieldFonts(pdfDoc, textFields, customFonts);
+  if (flatten) {
+    flattenFormFields(pdfDoc);
+  }
+}
+
+function flattenFormFields(pdfDoc) {
+  const form = pdfDoc.getForm();
+  // Unsigned signature fields have no appearance to draw, and pdf-lib cannot
+  // remove them either, so their objects are deleted and unlinked below.
+  form.getFields().forEach((field) => {
+    if (
+      field instanceof PDFSignature &&
+      field.acroField.getWidgets().every((widget) => !widget.getAppearances())
+    ) {
+      const widgetRefs = field.acroField.Kids()?.asArray() ?? [];
+      form.acroForm.removeField(field.acroField);
+      [...widgetRefs, field.ref].forEach((ref) => pdfDoc.context.delete(ref));
+    }
+  });
+  form.flatten();
+  // pdf-lib deletes flattened widgets without always unlinking them from the page.
+  pdfDoc.getPages().forEach((page) => {
+    const annots = page.node.Annots();
+    for (let index = (annots?.size() ?? 0) - 1; index >= 0; index -= 1) {
+      const ref = annots.get(index);
+      if (ref instanceof PDFRef && !pdfDoc.context.lookup(ref)) {
+        annots.remove(index);
+      }
+    }
+  });
+}
+
+// Authored fields arrive in tab order, and widgets are appended to their page in
+// that order so readers tab through them the same way. Entries sharing a name
+// become widgets of one field, which is how radio options form a group.
+async function addFormFields(pdfDoc, fields, customFonts = [], flatten = false) {
+  if (!fields.length) {
+    return;
+  }
+  const form = pdfDoc.getForm();
+  const created = new Map();
+  [...fields]
+    .sort((a, b) => a.pageNumber - b.pageNumber)
+    .forEach((field) => {
+      const name = String(field.name ?? "").trim();
+      if (!name) {
+        throw new Error("Every form field needs a name.");
+      }
+      let entry = created.get(name);
+      if (!entry) {
+        if (form.getFieldMaybe(name)) {
+          throw new Error(`A form field named "${name}" already exists in this PDF.`);
+        }
+        entry = { type: field.fieldType, field: createAuthoredField(pdfDoc, form, name, field) };
+        created.set(name, entry);
+      } else if (entry.type !== field.fieldType) {
+        throw new Error(`Form fields named "${name}" must all be the same type.`);
+      }
+      const { page, pageSize, overlaySize } = getAnnotationTarget(pdfDoc, field, "form field");
+      const rect = convertOverlayRectToPdfRect(field, pageSize, overlaySize);
+      if (field.fieldType === "signature") {
+        const widgetRef = registerPageAnnotation(pdfDoc, page, {
+          Subtype: "Widget",
+          Rect: [rect.x, rect.y, rect.x + rect.width, rect.y + rect.height],
+          MK: { BC: [0, 0, 0] },
+          Parent: entry.field.ref
+        });
+        entry.field.kids.push(widgetRef);
+      } else if (field.fieldType === "radio") {
+        entry.field.addOptionToPage(field.exportValue || "On", page, rect);
+      } else {
+        entry.field.addToPage(page, rect);
+      }
+      entry.required = entry.required || Boolean(field.required);
+      if (field.checked) {
+        entry.selected = field.exportValue || "On";
+      }
+    });
+
+  // Defaults go on once every widget exists so each one gets its appearance.
+  created.forEach((entry) => {
+    if (entry.type === "signature") {
+      if (entry.required) {
+        entry.field.dict.set(PDFName.of("Ff"), PDFNumber.of(2));
+      }
+      return;
+    }
+    if (entry.type === "checkbox" && entry.selected) {
+      entry.field.check();
+    } else if (entry.type === "radio" && entry.selected) {
+      entry.field.select(entry.selected);
+    }
+    if (entry.required) {
+      entry.field.enableRequired();
+    }
+  });
+  await updateTextFieldFonts(
+    pdfDoc,
+    [...created.values()]
+      .map((entry) => entry.field)
+      .filter((field) => field instanceof PDFTextField),
+    customFonts
+  );
+  if (flatten) {
+    flattenFormFields(pdfDoc);
+  }
+}
+
+function createAuthoredField(pdfDoc, form, name, field) {
+  if (field.fieldType === "signature") {
+    // pdf-lib cannot create signature fields, so the dictionary is built here.
+    const kids = pdfDoc.context.obj([]);
+    const dict = pdfDoc.context.obj({ FT: "Sig", T: PDFHexString.fromText(name), Kids: kids });
+    const ref = pdfDoc.context.register(dict);
+    form.acroForm.addField(ref);
+    return { ref, dict, kids };
+  }
+  if (field.fieldType === "checkbox") {
+    return form.createCheckBox(name);
+  }
+  if (field.fieldType === "radio") {
+    return form.createRadioGroup(name);
+  }
+  if (field.fieldType === "dropdown") {
+    const dropdown = form.createDropdown(name);
+    const options = (field.options ?? []).filter(Boolean);
+    dropdown.setOptions(options);
+    if (options.includes(field.defaultValue)) {
+      dropdown.select(field.defaultValue);
+    }
+    return dropdown;
+  }
+  const textField = form.createTextField(name);
+  if (field.multiline) {
+    textField.enableMultiline();
+  }
+  if (field.maxLength) {
+    textField.setMaxLength(field.maxLength);
+  }
+  if (field.defaultValue) {
+    textField.setText(field.defaultValue);
+  }
+  return textField;
+}
+
+function toPdfjsAnnotationId(ref) {
+  return ref.generationNumber === 0
+    ? `${ref.objectNumber}R`
+    : `${ref.objectNumber}R${ref.generationNumber}`;
+}
+
+function removePdfAnnotations(pdfDoc, annotationIds) {
+  if (!annotationIds?.length) {
+    return;
+  }
+  const ids = new Set(annotationIds);
+  pdfDoc.getPages().forEach((page) => {
+    const annots = page.node.Annots();
+    if (!annots) {
+      return;
+    }
+    for (let index = annots.size() - 1; index >= 0; index -= 1) {
+      const ref = annots.get(index);
+      if (ref instanceof PDFRef && ids.has(toPdfjsAnnotationId(ref))) {
+        annots.remove(index);
+      }
+    }
+  });
 }
 
 export async function reorderPdf(bytes, pageOrder) {
   const source = await PDFDocument.load(bytes);
-  const target = await PDFDocument.create();
-  const indices = pageOrder.map((pageNumber) => pageNumber - 1);
-  const pages = await target.copyPages(source, indices);
-  pages.forEach((page) => target.addPage(page));
+  const target = await assembleDocument([{ source, pageOrder }]);
   return target.save();
 }
 
 export async function mergePdfs(listOfBytes) {
-  const target = await PDFDocument.create();
+  const selections = [];
   for (const bytes of listOfBytes) {
-    const source = await PDFDocument.load(bytes);
-    const copied = await target.copyPages(source, source.getPageIndices());
-    copied.forEach((page) => target.addPage(page));
+    selections.push({ source: await PDFDocument.load(bytes) });
   }
+  const target = await assembleDocument(selections);
   return target.save();
 }
 
@@ -135,85 +915,398 @@ export async function insertImage(bytes, imageBytes, options = {}) {
   return pdfDoc.save();
 }
 
-export async function applyImageAnnotations(bytes, assets, annotations) {
-  if (!annotations.length) {
-    return bytes;
-  }
+async function loadEditableDocument(bytes, options) {
   const sourceBytes = bytes instanceof Uint8Array ? bytes.slice() : new Uint8Array(bytes);
-  const pdfDoc = await PDFDocument.load(sourceBytes);
-  const assetMap = new Map(assets.map((asset) => [asset.id, asset]));
-
-  for (const annotation of annotations) {
-    const asset = assetMap.get(annotation.assetId);
-    if (!asset) {
-      continue;
-    }
-    const imageData =
-      asset.imageData instanceof Uint8Array
-        ? asset.imageData
-        : new Uint8Array(await asset.imageData.arrayBuffer());
-    const pngOrJpg = detectImageType(imageData);
-    if (!pngOrJpg) {
-      throw new Error("Only PNG and JPEG images are supported.");
-    }
-    const embed = pngOrJpg === "png" ? pdfDoc.embedPng : pdfDoc.embedJpg;
-    const image = await embed.call(pdfDoc, imageData);
-    const pageIndex = Math.max(
-      0,
-      Math.min(annotation.pageNumber - 1, pdfDoc.getPageCount() - 1)
-    );
-    const page = pdfDoc.getPage(pageIndex);
-    const { width: pageWidth, height: pageHeight } = page.getSize();
-    if (!annotation.overlayWidth || !annotation.overlayHeight) {
-      throw new Error("Missing overlay size for image placement.");
-    }
-    const overlaySize = {
-      width: annotation.overlayWidth,
-      height: annotation.overlayHeight
-    };
-    const pdfRect = convertOverlayRectToPdfRect(
-      {
-        x: annotation.x,
-        y: annotation.y,
-        width: annotation.width,
-        height: annotation.height
-      },
-      { width: pageWidth, height: pageHeight },
-      overlaySize
-    );
+  return PDFDocument.load(sourceBytes, options);
+}
 
-    page.drawImage(image, {
-      x: pdfRect.x,
-      y: pdfRect.y,
-      width: pdfRect.width,
-      height: pdfRect.height
-    });
+function hashImageBytes(bytes) {
+  let hash = 0x811c9dc5;
+  for (let index = 0; index < bytes.length; index += 1) {
+    hash = Math.imul(hash ^ bytes[index], 0x01000193) >>> 0;
   }
+  return `${bytes.length}:${hash.toString(16)}`;
+}
 
-  return pdfDoc.save();
+function sameBytes(a, b) {
+  return a.length === b.length && a.every((value, index) => value === b[index]);
 }
 
-function parseHexColor(color) {
-  if (!color || typeof color !== "string") {
-    return rgb(0, 0, 0);
+async function reencodeImage(bytes, type, { maxWidth, maxHeight, quality }) {
+  if (typeof createImageBitmap !== "function" || typeof OffscreenCanvas !== "function") {
+    return null;
   }
-  const rgbMatch = color.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)/i);
-  if (rgbMatch) {
-    const r = Number.parseInt(rgbMatch[1], 10);
-    const g = Number.parseInt(rgbMatch[2], 10);
-    const b = Number.parseInt(rgbMatch[3], 10);
-    if ([r, g, b].some((value) => Number.isNaN(value))) {
-      return rgb(0, 0, 0);
-    }
-    return rgb(r / 255, g / 255, b / 255);
+  const bitmap = await createImageBitmap(
+    new Blob([bytes], { type: type === "png" ? "image/png" : "image/jpeg" })
+  );
+  const scale = Math.min(1, maxWidth / bitmap.width, maxHeight / bitmap.height);
+  const width = Math.max(1, Math.round(bitmap.width * scale));
+  const height = Math.max(1, Math.round(bitmap.height * scale));
+  const canvas = new OffscreenCanvas(width, height);
+  const context = canvas.getContext("2d");
+  context.drawImage(bitmap, 0, 0, width, height);
+  bitmap.close?.();
+  // JPEG has no alpha channel, so transparent PNGs stay PNG.
+  const pixels = context.getImageData(0, 0, width, height).data;
+  let opaque = true;
+  for (let index = 3; opaque && index < pixels.length; index += 4) {
+    opaque = pixels[index] === 255;
   }
-  const cleaned = color.startsWith("#") ? color.slice(1) : color;
-  if (cleaned.length !== 6) {
-    return rgb(0, 0, 0);
+  const blob = await canvas.convertToBlob(
+    opaque ? { type: "image/jpeg", quality } : { type: "image/png" }
+  );
+  return {
+    bytes: new Uint8Array(await blob.arrayBuffer()),
+    type: opaque ? "jpg" : "png",
+    width,
+    height
+  };
+}
+
+// Canvas decoding hands back RGBA whatever the JPEG held, so redaction rewrites
+// the image as 8-bit RGB.
+async function decodeJpegPixels(bytes) {
+  if (typeof createImageBitmap !== "function" || typeof OffscreenCanvas !== "function") {
+    return null;
   }
-  const r = Number.parseInt(cleaned.slice(0, 2), 16);
-  const g = Number.parseInt(cleaned.slice(2, 4), 16);
-  const b = Number.parseInt(cleaned.slice(4, 6), 16);
+  try {
+    const bitmap = await createImageBitmap(new Blob([bytes], { type: "image/jpeg" }));
+    const { width, height } = bitmap;
+    const canvas = new OffscreenCanvas(width, height);
+    const context = canvas.getContext("2d");
+    context.drawImage(bitmap, 0, 0);
+    bitmap.close?.();
+    const rgba = context.getImageData(0, 0, width, height).data;
+    const pixels = new Uint8Array(width * height * 3);
+    for (let source = 0, target = 0; source < rgba.length; source += 4, target += 3) {
+      pixels[target] = rgba[source];
+      pixels[target + 1] = rgba[source + 1];
+      pixels[target + 2] = rgba[source + 2];
+    }
+    return { width, height, components: 3, pixels, colorSpace: "DeviceRGB" };
+  } catch {
+    return null;
+  }
+}
+
+const MAX_PLACEMENT_DEPTH = 8;
+
+function collectJpegImages(context, resources, found, depth = 0) {
+  const xobjects = resources?.lookup?.(PDFName.of("XObject"));
+  if (!(xobjects instanceof PDFDict)) {
+    return;
+  }
+  xobjects.values().forEach((value) => {
+    const xobject = context.lookup(value);
+    if (!(xobject instanceof PDFStream)) {
+      return;
+    }
+    const subtype = xobject.dict.lookup(PDFName.of("Subtype"))?.asString?.();
+    const filter = xobject.dict.lookup(PDFName.of("Filter"));
+    if (
+      subtype === "/Image" &&
+      xobject instanceof PDFRawStream &&
+      filter instanceof PDFName &&
+      filter.asString() === "/DCTDecode"
+    ) {
+      found.add(xobject);
+    } else if (subtype === "/Form" && depth < MAX_PLACEMENT_DEPTH) {
+      collectJpegImages(context, xobject.dict.lookup(PDFName.of("Resources")), found, depth + 1);
+    }
+  });
+}
+
+// Records the largest size in points at which each image XObject is drawn.
+function collectImagePlacements(context, source, resources, ctm, placements, depth = 0) {
+  const stack = [];
+  let current = ctm;
+  parseContentStream(source).operations.forEach(({ operator, operands }) => {
+    if (operator === "q") {
+      stack.push(current);
+    } else if (operator === "Q") {
+      current = stack.pop() ?? current;
+    } else if (operator === "cm" && operands.length === 6) {
+      current = multiply(operands.map((operand) => operand.value), current);
+    } else if (operator === "Do") {
+      const ref = resources?.lookup(PDFName.of("XObject"))?.get?.(PDFName.of(operands[0]?.value));
+      const xobject = context.lookup(ref);
+      if (!(ref instanceof PDFRef) || !(xobject instanceof PDFStream)) {
+        return;
+      }
+      const subtype = xobject.dict.lookup(PDFName.of("Subtype"))?.asString?.();
+      if (subtype === "/Image") {
+        const size = {
+          width: Math.hypot(current[0], current[1]),
+          height: Math.hypot(current[2], current[3])
+        };
+        // A soft mask is drawn wherever its image is.
+        const mask = xobject.dict.get(PDFName.of("SMask"));
+        [ref, mask instanceof PDFRef ? mask : null].filter(Boolean).forEach((target) => {
+          const placed = placements.get(target) ?? { width: 0, height: 0 };
+          placements.set(target, {
+            width: Math.max(placed.width, size.width),
+            height: Math.max(placed.height, size.height)
+          });
+        });
+      } else if (subtype === "/Form" && depth < MAX_PLACEMENT_DEPTH) {
+        const matrix =
+          xobject.dict
+            .lookup(PDFName.of("Matrix"))
+            ?.asArray?.()
+            .map((value) => context.lookup(value).asNumber()) ?? IDENTITY;
+        const formResources = xobject.dict.lookup(PDFName.of("Resources"));
+        let formSource;
+        try {
+          formSource = bytesToBinary(readStreamBytes(xobject));
+        } catch {
+          return;
+        }
+        collectImagePlacements(
+          context,
+          formSource,
+          formResources instanceof PDFDict ? formResources : resources,
+          multiply(matrix, current),
+          placements,
+          depth + 1
+        );
+      }
+    }
+  });
+}
+
+function downsamplePixels({ width, height, components, pixels }, targetWidth, targetHeight) {
+  const output = new Uint8Array(targetWidth * targetHeight * components);
+  const sums = new Array(components);
+  for (let row = 0; row < targetHeight; row += 1) {
+    const top = Math.floor((row * height) / targetHeight);
+    const bottom = Math.max(top + 1, Math.floor(((row + 1) * height) / targetHeight));
+    for (let column = 0; column < targetWidth; column += 1) {
+      const left = Math.floor((column * width) / targetWidth);
+      const right = Math.max(left + 1, Math.floor(((column + 1) * width) / targetWidth));
+      sums.fill(0);
+      for (let y = top; y < bottom; y += 1) {
+        for (let x = left; x < right; x += 1) {
+          const offset = (y * width + x) * components;
+          for (let channel = 0; channel < components; channel += 1) {
+            sums[channel] += pixels[offset + channel];
+          }
+        }
+      }
+      const count = (bottom - top) * (right - left);
+      const offset = (row * targetWidth + column) * components;
+      for (let channel = 0; channel < components; channel += 1) {
+        output[offset + channel] = Math.round(sums[channel] / count);
+      }
+    }
+  }
+  return output;
+}
+
+function copyImageDict(image, dropped) {
+  const dict = {};
+  image.dict.entries().forEach(([key, value]) => {
+    if (![...dropped, "/Length"].includes(key.asString())) {
+      dict[key.asString().slice(1)] = value;
+    }
+  });
+  return dict;
+}
+
+// Returns a smaller stream for an image above maxWidth x maxHeight pixels, or
+// null when it is small enough or its encoding cannot be resampled here.
+async function downsampleEmbeddedImage(context, image, { maxWidth, maxHeight, quality }) {
+  const width = image.dict.lookup(PDFName.of("Width"))?.asNumber?.();
+  const height = image.dict.lookup(PDFName.of("Height"))?.asNumber?.();
+  const scale = Math.min(1, maxWidth / width, maxHeight / height);
+  if (!width || !height || !(scale < 1)) {
+    return null;
+  }
+  const filter = image.dict.lookup(PDFName.of("Filter"));
+  if (filter instanceof PDFName && filter.asString() === "/DCTDecode") {
+    if (!(image instanceof PDFRawStream)) {
+      return null;
+    }
+    const reencoded = await reencodeImage(image.contents, "jpg", {
+      maxWidth,
+      maxHeight,
+      quality
+    });
+    if (!reencoded || reencoded.type !== "jpg" || reencoded.bytes.length >= image.contents.length) {
+      return null;
+    }
+    // The canvas hands back RGB whatever the original color space was.
+    return context.stream(reencoded.bytes, {
+      ...copyImageDict(image, ["/Filter", "/DecodeParms", "/ColorSpace", "/Decode"]),
+      Width: reencoded.width,
+      Height: reencoded.height,
+      ColorSpace: "DeviceRGB",
+      BitsPerComponent: 8,
+      Filter: "DCTDecode"
+    });
+  }
+  const decoded = readImagePixels(context, image);
+  if (!decoded) {
+    return null;
+  }
+  const targetWidth = Math.max(1, Math.round(width * scale));
+  const targetHeight = Math.max(1, Math.round(height * scale));
+  return context.flateStream(downsamplePixels(decoded, targetWidth, targetHeight), {
+    ...copyImageDict(image, ["/Filter", "/DecodeParms"]),
+    Width: targetWidth,
+    Height: targetHeight
+  });
+}
+
+// Images already in the document are resampled to the DPI they are drawn at,
+// so scanned pages shrink as well as newly placed images.
+async function optimizeEmbeddedImages(pdfDoc, optimize) {
+  const { context } = pdfDoc;
+  const placements = new Map();
+  pdfDoc.getPages().forEach((page) => {
+    collectImagePlacements(
+      context,
+      readPageContent(context, page),
+      page.node.Resources(),
+      IDENTITY,
+      placements
+    );
+  });
+  for (const [ref, size] of placements) {
+    const smaller = await downsampleEmbeddedImage(context, context.lookup(ref), {
+      maxWidth: Math.ceil((size.width / 72) * optimize.imageDpi),
+      maxHeight: Math.ceil((size.height / 72) * optimize.imageDpi),
+      quality: optimize.jpegQuality
+    });
+    if (smaller) {
+      context.assign(ref, smaller);
+    }
+  }
+}
+
+export async function applyImageAnnotations(bytes, assets, annotations) {
+  if (!annotations.length) {
+    return bytes;
+  }
+  const pdfDoc = await loadEditableDocument(bytes);
+  await drawImageAnnotations(pdfDoc, assets, annotations);
+  return pdfDoc.save();
+}
+
+async function drawImageAnnotations(pdfDoc, assets, annotations, optimize = null) {
+  const assetMap = new Map(assets.map((asset) => [asset.id, asset]));
+  const placementSizes = new Map();
+  const embedded = new Map();
+  const imageCache = new Map();
+
+  if (optimize) {
+    for (const annotation of annotations) {
+      const { pageSize, overlaySize } = getAnnotationTarget(pdfDoc, annotation, "image");
+      const width = (annotation.width * pageSize.width) / overlaySize.width;
+      const height = (annotation.height * pageSize.height) / overlaySize.height;
+      const current = placementSizes.get(annotation.assetId) ?? { width: 0, height: 0 };
+      placementSizes.set(annotation.assetId, {
+        width: Math.max(current.width, width),
+        height: Math.max(current.height, height)
+      });
+    }
+  }
+
+  const embedAsset = async (asset) => {
+    let imageData =
+      asset.imageData instanceof Uint8Array
+        ? asset.imageData
+        : new Uint8Array(await asset.imageData.arrayBuffer());
+    let pngOrJpg = detectImageType(imageData);
+    if (!pngOrJpg) {
+      throw new Error("Only PNG and JPEG images are supported.");
+    }
+    const size = placementSizes.get(asset.id);
+    if (size) {
+      const reencoded = await reencodeImage(imageData, pngOrJpg, {
+        maxWidth: Math.ceil((size.width / 72) * optimize.imageDpi),
+        maxHeight: Math.ceil((size.height / 72) * optimize.imageDpi),
+        quality: optimize.jpegQuality
+      });
+      if (reencoded && reencoded.bytes.length < imageData.length) {
+        imageData = reencoded.bytes;
+        pngOrJpg = reencoded.type;
+      }
+    }
+    // Identical bytes are embedded once and shared by every placement.
+    const key = hashImageBytes(imageData);
+    const cached = (imageCache.get(key) ?? []).find((entry) => sameBytes(entry.bytes, imageData));
+    if (cached) {
+      return cached.image;
+    }
+    const embed = pngOrJpg === "png" ? pdfDoc.embedPng : pdfDoc.embedJpg;
+    const image = await embed.call(pdfDoc, imageData);
+    imageCache.set(key, [...(imageCache.get(key) ?? []), { bytes: imageData, image }]);
+    return image;
+  };
+
+  for (const annotation of annotations) {
+    const asset = assetMap.get(annotation.assetId);
+    if (!asset) {
+      continue;
+    }
+    if (!embedded.has(asset.id)) {
+      embedded.set(asset.id, await embedAsset(asset));
+    }
+    const image = embedded.get(asset.id);
+    const pageIndex = Math.max(
+      0,
+      Math.min(annotation.pageNumber - 1, pdfDoc.getPageCount() - 1)
+    );
+    const page = pdfDoc.getPage(pageIndex);
+    const { width: pageWidth, height: pageHeight } = page.getSize();
+    if (!annotation.overlayWidth || !annotation.overlayHeight) {
+      throw new Error("Missing overlay size for image placement.");
+    }
+    const overlaySize = {
+      width: annotation.overlayWidth,
+      height: annotation.overlayHeight
+    };
+    const pdfRect = convertOverlayRectToPdfRect(
+      {
+        x: annotation.x,
+        y: annotation.y,
+        width: annotation.width,
+        height: annotation.height
+      },
+      { width: pageWidth, height: pageHeight },
+      overlaySize
+    );
+
+    page.drawImage(image, {
+      x: pdfRect.x,
+      y: pdfRect.y,
+      width: pdfRect.width,
+      height: pdfRect.height
+    });
+  }
+}
+
+function parseHexColor(color) {
+  if (!color || typeof color !== "string") {
+    return rgb(0, 0, 0);
+  }
+  const rgbMatch = color.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)/i);
+  if (rgbMatch) {
+    const r = Number.parseInt(rgbMatch[1], 10);
+    const g = Number.parseInt(rgbMatch[2], 10);
+    const b = Number.parseInt(rgbMatch[3], 10);
+    if ([r, g, b].some((value) => Number.isNaN(value))) {
+      return rgb(0, 0, 0);
+    }
+    return rgb(r / 255, g / 255, b / 255);
+  }
+  const cleaned = color.startsWith("#") ? color.slice(1) : color;
+  if (cleaned.length !== 6) {
+    return rgb(0, 0, 0);
+  }
+  const r = Number.parseInt(cleaned.slice(0, 2), 16);
+  const g = Number.parseInt(cleaned.slice(2, 4), 16);
+  const b = Number.parseInt(cleaned.slice(4, 6), 16);
   if ([r, g, b].some((value) => Number.isNaN(value))) {
     return rgb(0, 0, 0);
   }
@@ -292,10 +1385,7 @@ export async function splitPdf(bytes, pageGroups) {
     if (!group.length) {
       continue;
     }
-    const target = await PDFDocument.create();
-    const indices = group.map((pageNumber) => pageNumber - 1);
-    const pages = await target.copyPages(source, indices);
-    pages.forEach((page) => target.addPage(page));
+    const target = await assembleDocument([{ source, pageOrder: group }]);
     outputs.push(await target.save());
   }
   return outputs;
@@ -306,206 +1396,848 @@ export async function applyPageProperties(bytes, pageOrder, rotations = {}) {
     return bytes;
   }
   const source = await PDFDocument.load(bytes);
-  const target = await PDFDocument.create();
-  const indices = pageOrder.map((pageNumber) => pageNumber - 1);
-  const pages = await target.copyPages(source, indices);
-  pages.forEach((page, index) => {
-    const pageNumber = pageOrder[index];
-    const rotation = rotations[pageNumber] ?? 0;
+  const target = await copyPagesWithProperties(source, pageOrder, rotations);
+  return target.save();
+}
+
+async function copyPagesWithProperties(source, pageOrder, rotations = {}) {
+  const target = await assembleDocument([{ source, pageOrder }]);
+  target.getPages().forEach((page, index) => {
+    const rotation = rotations[pageOrder[index]] ?? 0;
     if (rotation) {
       page.setRotation(degrees(rotation));
     }
-    target.addPage(page);
   });
-  return target.save();
+  return target;
 }
 
-function fitSignatureFontSize(font, text, width, height, letterSpacingFactor) {
-  const paddedWidth = Math.max(10, width - SIGNATURE_LAYOUT.paddingX * 2);
-  const paddedHeight = Math.max(10, height - SIGNATURE_LAYOUT.paddingY * 2);
-  const maxSize = Math.max(SIGNATURE_LAYOUT.minFontSize, paddedHeight);
-  let size = maxSize;
-  const spacingFactor = letterSpacingFactor ?? 0;
-  while (size > SIGNATURE_LAYOUT.minFontSize) {
-    const spacing = size * spacingFactor;
-    const textWidth =
-      font.widthOfTextAtSize(text, size) + spacing * Math.max(0, text.length - 1);
-    if (textWidth <= paddedWidth) {
-      return size;
+// Builds a new document from pages of one or more sources. A single object
+// copier per source maps every reference to a kept page onto its copy and
+// every reference to a dropped page onto null, so outline entries, links,
+// named destinations and form widgets follow the pages they point at.
+// Same copy semantics as pdf-lib's PDFObjectCopier, but the ref map is our own so
+// pages can be mapped to reserved refs, or dropped, before anything is copied.
+function createObjectCopier(source, target, refs = new Map()) {
+  const copied = new Map();
+  const copy = (object) => {
+    if (object instanceof PDFRef) {
+      if (!refs.has(object)) {
+        const ref = target.nextRef();
+        refs.set(object, ref);
+        const value = source.lookup(object);
+        if (value) {
+          target.assign(ref, copy(value));
+        }
+      }
+      return refs.get(object);
     }
-    size -= 1;
-  }
-  return SIGNATURE_LAYOUT.minFontSize;
+    if (!(object instanceof PDFDict || object instanceof PDFArray || object instanceof PDFStream)) {
+      return object.clone();
+    }
+    if (copied.has(object)) {
+      return copied.get(object);
+    }
+    // Pages are copied afresh each time, so a page placed twice gets two nodes.
+    const isPage = object instanceof PDFPageLeaf;
+    const original = isPage ? clonePageLeaf(object) : object;
+    const clone = original.clone(target);
+    if (!isPage) {
+      copied.set(object, clone);
+    }
+    if (clone instanceof PDFArray) {
+      for (let index = 0; index < original.size(); index += 1) {
+        clone.set(index, copy(original.get(index)));
+      }
+    } else {
+      const dict = clone instanceof PDFStream ? clone.dict : clone;
+      const entries = (original instanceof PDFStream ? original.dict : original).entries();
+      entries.forEach(([key, value]) => dict.set(key, copy(value)));
+    }
+    return clone;
+  };
+  return { copy, refs, target };
 }
 
-function resolveFontKey(fontFamily, bold, italic) {
-  const family = FONT_MAP[fontFamily] ?? FONT_MAP.Helvetica;
-  if (bold && italic) {
-    return family.boldItalic;
-  }
-  if (bold) {
-    return family.bold;
-  }
-  if (italic) {
-    return family.italic;
-  }
-  return family.regular;
+// Inherited entries are moved onto the page and its parent dropped, so the copy
+// does not pull in the rest of the page tree.
+function clonePageLeaf(node) {
+  const clone = node.clone();
+  PDFPageLeaf.InheritableEntries.forEach((key) => {
+    const value = clone.getInheritableAttribute(PDFName.of(key));
+    if (!clone.get(PDFName.of(key)) && value) {
+      clone.set(PDFName.of(key), value);
+    }
+  });
+  clone.delete(PDFName.of("Parent"));
+  return clone;
 }
 
-export async function applyTextAnnotations(bytes, annotations) {
-  if (!annotations.length) {
-    return bytes;
-  }
-  const sourceBytes = bytes instanceof Uint8Array ? bytes.slice() : new Uint8Array(bytes);
-  const pdfDoc = await PDFDocument.load(sourceBytes);
-  const fontCache = new Map();
+const INHERITED_FIELD_KEYS = ["FT", "Ff", "V", "DV", "DA", "Q", "Opt", "MaxLen", "TU"];
 
-  for (const annotation of annotations) {
-    const spans =
-      annotation.spans && annotation.spans.length
-        ? annotation.spans
-        : [
-            {
-              text: annotation.text ?? "",
-              fontSize: annotation.fontSize,
-              color: annotation.color
-            }
-          ];
-    const pageIndex = Math.max(
-      0,
-      Math.min(annotation.pageNumber - 1, pdfDoc.getPageCount() - 1)
-    );
-    const page = pdfDoc.getPage(pageIndex);
-    const { width: pageWidth, height: pageHeight } = page.getSize();
-    if (!annotation.overlayWidth || !annotation.overlayHeight) {
-      throw new Error("Missing overlay size for text placement.");
+// A page placed twice gets annotation dictionaries of its own, and each widget
+// becomes a separate field, so editing the copy leaves the original alone. The
+// copier's ref map is changed, so it should not be shared with other copies.
+function copyDuplicateAnnotations(sourceContext, sourceNode, copier, pageRef, copyNumber) {
+  const annots = sourceNode.Annots();
+  const annotationRefs = [];
+  const fieldRefs = [];
+  for (let index = 0; annots && index < annots.size(); index += 1) {
+    annotationRefs.push(annots.get(index));
+  }
+  annotationRefs.forEach((ref) => copier.refs.delete(ref));
+  const copied = annotationRefs.map((ref) => {
+    const annotation = sourceContext.lookup(ref);
+    if (
+      !(annotation instanceof PDFDict) ||
+      annotation.lookup(PDFName.of("Subtype")) !== PDFName.of("Widget")
+    ) {
+      return copier.copy(ref);
     }
-    const overlaySize = {
-      width: annotation.overlayWidth,
-      height: annotation.overlayHeight
-    };
-    const pdfRect = convertOverlayRectToPdfRect(
-      {
-        x: annotation.x,
-        y: annotation.y,
-        width: annotation.width,
-        height: annotation.height
-      },
-      { width: pageWidth, height: pageHeight },
-      overlaySize
-    );
+    const names = [];
+    const widget = annotation.clone();
+    const seen = new Set();
+    for (let field = annotation; field instanceof PDFDict && !seen.has(field); ) {
+      seen.add(field);
+      const name = field.lookup(PDFName.of("T"));
+      if (name?.decodeText) {
+        names.unshift(name.decodeText());
+      }
+      INHERITED_FIELD_KEYS.forEach((key) => {
+        if (!widget.has(PDFName.of(key)) && field.has(PDFName.of(key))) {
+          widget.set(PDFName.of(key), field.get(PDFName.of(key)));
+        }
+      });
+      field = field.lookup(PDFName.of("Parent"));
+    }
+    widget.delete(PDFName.of("Parent"));
+    widget.delete(PDFName.of("Kids"));
+    if (names.length) {
+      widget.set(PDFName.of("T"), PDFHexString.fromText(`${names.join(".")}_${copyNumber}`));
+    }
+    const widgetRef = copier.target.nextRef();
+    copier.refs.set(ref, widgetRef);
+    copier.target.assign(widgetRef, copier.copy(widget));
+    if (names.length) {
+      fieldRefs.push(widgetRef);
+    }
+    return widgetRef;
+  });
+  copied.forEach((ref) => {
+    const annotation = copier.target.lookup(ref);
+    if (annotation instanceof PDFDict && annotation.has(PDFName.of("P"))) {
+      annotation.set(PDFName.of("P"), pageRef);
+    }
+  });
+  return { annots: copier.target.obj(copied), fieldRefs };
+}
 
-    const baseFontSize = annotation.fontSize ?? 16;
-    const baseColor = annotation.color ?? "#000000";
-    let cursorX = pdfRect.x;
-    let cursorY = pdfRect.y + pdfRect.height - baseFontSize;
-    let lineHeight = baseFontSize * 1.2;
+async function assembleDocument(selections) {
+  const target = await PDFDocument.create();
+  const { context } = target;
+  const outlineItems = [];
+  const namedDestinations = new Map();
+  const pageLabels = [];
+  const form = { fields: [], entries: new Map() };
 
-    const advanceLine = () => {
-      cursorY -= lineHeight;
-      cursorX = pdfRect.x;
-      lineHeight = baseFontSize * 1.2;
-    };
+  for (const { source, pageOrder } of selections) {
+    const sourcePages = source.getPages();
+    const order = pageOrder ?? source.getPageIndices().map((index) => index + 1);
+    const destinations = collectNamedDestinations(source);
+    makeDestinationsExplicit(source, destinations);
 
-    for (const span of spans) {
-      const fontSize = span.fontSize ?? baseFontSize;
-      const color = parseHexColor(span.color ?? baseColor);
-      const fontKey = resolveFontKey(annotation.fontFamily, span.bold, span.italic);
-      if (!fontCache.has(fontKey)) {
-        fontCache.set(fontKey, await pdfDoc.embedFont(fontKey));
+    const reserved = new Map();
+    order.forEach((pageNumber) => {
+      const page = sourcePages[pageNumber - 1];
+      if (!reserved.has(page.ref)) {
+        reserved.set(page.ref, context.nextRef());
       }
-      const font = fontCache.get(fontKey);
-      const parts = String(span.text ?? "").split("\n");
-      parts.forEach((part, index) => {
-        if (part) {
-          page.drawText(part, {
-            x: cursorX,
-            y: cursorY,
-            size: fontSize,
-            font,
-            color
-          });
-          const width = font.widthOfTextAtSize(part, fontSize);
-          if (span.underline) {
-            const underlineOffset = fontSize * 0.15;
-            page.drawLine({
-              start: { x: cursorX, y: cursorY - underlineOffset },
-              end: { x: cursorX + width, y: cursorY - underlineOffset },
-              thickness: Math.max(1, fontSize / 12),
-              color
-            });
-          }
-          cursorX += width;
-          lineHeight = Math.max(lineHeight, fontSize * 1.2);
-        }
-        if (index < parts.length - 1) {
-          advanceLine();
+    });
+    // Dropped pages map to null, which marks destinations to them as dead.
+    const copier = createObjectCopier(
+      source.context,
+      context,
+      new Map(sourcePages.map((page) => [page.ref, reserved.get(page.ref) ?? PDFNull]))
+    );
+
+    const readLabel = readPageLabels(source);
+    const placedRefs = new Set();
+    const copyNumbers = new Map();
+    const duplicateFields = [];
+    const annotationRefs = new Set();
+    order.forEach((pageNumber) => {
+      const sourcePage = sourcePages[pageNumber - 1];
+      const node = copier.copy(sourcePage.node);
+      const reservedRef = reserved.get(sourcePage.ref);
+      let ref;
+      if (placedRefs.has(reservedRef)) {
+        ref = context.register(node);
+        copyNumbers.set(reservedRef, (copyNumbers.get(reservedRef) ?? 1) + 1);
+        const duplicate = copyDuplicateAnnotations(
+          source.context,
+          sourcePage.node,
+          createObjectCopier(source.context, context, new Map(copier.refs)),
+          ref,
+          copyNumbers.get(reservedRef)
+        );
+        if (duplicate.annots.size()) {
+          node.set(PDFName.of("Annots"), duplicate.annots);
         }
-      });
+        duplicateFields.push(...duplicate.fieldRefs);
+      } else {
+        ref = reservedRef;
+        context.assign(ref, node);
+        placedRefs.add(ref);
+      }
+      const page = PDFPage.of(node, ref, target);
+      target.addPage(page);
+      pruneDeadLinks(page);
+      const annots = page.node.Annots();
+      for (let index = 0; annots && index < annots.size(); index += 1) {
+        annotationRefs.add(annots.get(index));
+      }
+      pageLabels.push(readLabel?.(pageNumber - 1) ?? null);
+    });
+
+    const outlines = source.catalog.lookup(PDFName.of("Outlines"));
+    if (outlines instanceof PDFDict && outlines.has(PDFName.of("First"))) {
+      const copiedRoot = copier.copy(source.catalog.get(PDFName.of("Outlines")));
+      const items = readOutlineItems(context, context.lookup(copiedRoot));
+      outlineItems.push(...pruneOutlineItems(context, items));
+      if (copiedRoot instanceof PDFRef) {
+        context.delete(copiedRoot);
+      }
     }
+
+    destinations.forEach((destination, name) => {
+      const copied = copier.copy(destination);
+      if (!isDeadDestination(copied) && !namedDestinations.has(name)) {
+        namedDestinations.set(name, copied);
+      }
+    });
+
+    copyFormFields(source, copier, context, annotationRefs, form);
+    form.fields.push(...duplicateFields);
   }
 
-  return pdfDoc.save();
+  if (outlineItems.length) {
+    const root = context.obj({ Type: "Outlines" });
+    const rootRef = context.register(root);
+    linkOutlineItems(rootRef, root, outlineItems);
+    root.set(PDFName.of("Count"), PDFNumber.of(countVisibleOutlineItems(outlineItems)));
+    target.catalog.set(PDFName.of("Outlines"), rootRef);
+  }
+  if (namedDestinations.size) {
+    const names = [...namedDestinations.keys()].sort().flatMap((name) => [
+      encodePdfName(name),
+      namedDestinations.get(name)
+    ]);
+    const tree = context.register(context.obj({ Names: names }));
+    target.catalog.set(PDFName.of("Names"), context.obj({ Dests: tree }));
+  }
+  if (pageLabels.some(Boolean)) {
+    target.catalog.set(PDFName.of("PageLabels"), buildPageLabelTree(context, pageLabels));
+  }
+  if (form.fields.length) {
+    const acroForm = context.obj({ Fields: form.fields });
+    form.entries.forEach((value, key) => acroForm.set(PDFName.of(key), value));
+    target.catalog.set(PDFName.of("AcroForm"), context.register(acroForm));
+  }
+  return target;
 }
 
-export async function applyDrawAnnotations(bytes, annotations) {
-  if (!annotations.length) {
-    return bytes;
+function walkPdfTree(node, key, visit, seen = new Set()) {
+  if (!(node instanceof PDFDict) || seen.has(node)) {
+    return;
   }
-  const sourceBytes = bytes instanceof Uint8Array ? bytes.slice() : new Uint8Array(bytes);
-  const pdfDoc = await PDFDocument.load(sourceBytes);
+  seen.add(node);
+  const items = node.lookup(PDFName.of(key));
+  if (items instanceof PDFArray) {
+    for (let index = 0; index + 1 < items.size(); index += 2) {
+      visit(items.lookup(index), items.get(index + 1));
+    }
+  }
+  const kids = node.lookup(PDFName.of("Kids"));
+  if (kids instanceof PDFArray) {
+    for (let index = 0; index < kids.size(); index += 1) {
+      walkPdfTree(kids.lookup(index), key, visit, seen);
+    }
+  }
+}
 
-  for (const annotation of annotations) {
-    const pageIndex = Math.max(
-      0,
-      Math.min(annotation.pageNumber - 1, pdfDoc.getPageCount() - 1)
-    );
-    const page = pdfDoc.getPage(pageIndex);
-    const { width: pageWidth, height: pageHeight } = page.getSize();
-    if (!annotation.overlayWidth || !annotation.overlayHeight) {
-      throw new Error("Missing overlay size for draw placement.");
+function toExplicitDestination(context, value, namedDestinations) {
+  const destination = context.lookup(value);
+  if (destination instanceof PDFArray) {
+    return destination;
+  }
+  if (destination instanceof PDFDict) {
+    return toExplicitDestination(context, destination.get(PDFName.of("D")), namedDestinations);
+  }
+  if (destination?.decodeText) {
+    return namedDestinations.get(destination.decodeText()) ?? null;
+  }
+  return null;
+}
+
+function collectNamedDestinations(pdfDoc) {
+  const { catalog, context } = pdfDoc;
+  const destinations = new Map();
+  const add = (name, value) => {
+    const destination = toExplicitDestination(context, value, destinations);
+    if (name?.decodeText && destination) {
+      destinations.set(name.decodeText(), destination);
     }
-    if (!annotation.points || annotation.points.length < 2) {
-      continue;
+  };
+  const legacy = catalog.lookup(PDFName.of("Dests"));
+  if (legacy instanceof PDFDict) {
+    legacy.entries().forEach(([name, value]) => add(name, value));
+  }
+  const names = catalog.lookup(PDFName.of("Names"));
+  if (names instanceof PDFDict) {
+    walkPdfTree(names.lookup(PDFName.of("Dests")), "Names", add);
+  }
+  return destinations;
+}
+
+function makeDestinationsExplicit(pdfDoc, namedDestinations) {
+  const { context } = pdfDoc;
+  const rewrite = (dict) => {
+    const destKey = PDFName.of("Dest");
+    if (dict.has(destKey)) {
+      const destination = toExplicitDestination(context, dict.get(destKey), namedDestinations);
+      if (destination) {
+        dict.set(destKey, destination);
+      } else {
+        dict.delete(destKey);
+      }
     }
-    const overlaySize = {
-      width: annotation.overlayWidth,
-      height: annotation.overlayHeight
-    };
-    const scaleX = pageWidth / overlaySize.width;
-    const scaleY = pageHeight / overlaySize.height;
-    const strokeScale = (scaleX + scaleY) / 2;
-    const color = parseHexColor(annotation.strokeColor);
-    for (let i = 1; i < annotation.points.length; i += 1) {
-      const start = convertOverlayPointToPdfPoint(
-        annotation.points[i - 1],
-        { width: pageWidth, height: pageHeight },
-        overlaySize
-      );
-      const end = convertOverlayPointToPdfPoint(
-        annotation.points[i],
-        { width: pageWidth, height: pageHeight },
-        overlaySize
+    const action = dict.lookup(PDFName.of("A"));
+    if (action instanceof PDFDict && action.lookup(PDFName.of("S")) === PDFName.of("GoTo")) {
+      const destination = toExplicitDestination(
+        context,
+        action.get(PDFName.of("D")),
+        namedDestinations
       );
-      page.drawLine({
-        start,
-        end,
-        thickness: annotation.strokeWidth * strokeScale,
-        color,
-        opacity: annotation.opacity ?? 1
-      });
+      if (destination) {
+        action.set(PDFName.of("D"), destination);
+      } else {
+        dict.delete(PDFName.of("A"));
+      }
+    }
+  };
+
+  pdfDoc.getPages().forEach((page) => {
+    const annots = page.node.Annots();
+    for (let index = 0; annots && index < annots.size(); index += 1) {
+      const annotation = annots.lookup(index);
+      if (
+        annotation instanceof PDFDict &&
+        annotation.lookup(PDFName.of("Subtype")) === PDFName.of("Link")
+      ) {
+        rewrite(annotation);
+      }
     }
+  });
+
+  const outlines = pdfDoc.catalog.lookup(PDFName.of("Outlines"));
+  const visit = (items) =>
+    items.forEach((item) => {
+      // Structure elements would drag the whole tagged tree into the copy.
+      item.dict.delete(PDFName.of("SE"));
+      rewrite(item.dict);
+      visit(item.children);
+    });
+  if (outlines instanceof PDFDict) {
+    visit(readOutlineItems(context, outlines));
   }
+}
 
-  return pdfDoc.save();
+function isDeadDestination(destination) {
+  return destination instanceof PDFArray && destination.get(0) === PDFNull;
 }
 
-export async function applyHighlightAnnotations(bytes, annotations) {
+function hasDeadDestination(dict, isDead = isDeadDestination) {
+  if (isDead(dict.lookup(PDFName.of("Dest")))) {
+    return true;
+  }
+  const action = dict.lookup(PDFName.of("A"));
+  return action instanceof PDFDict && isDead(action.lookup(PDFName.of("D")));
+}
+
+function pruneDeadLinks(page, isDead = isDeadDestination) {
+  const annots = page.node.Annots();
+  if (!annots) {
+    return;
+  }
+  for (let index = annots.size() - 1; index >= 0; index -= 1) {
+    const annotation = annots.lookup(index);
+    if (
+      annotation instanceof PDFDict &&
+      annotation.lookup(PDFName.of("Subtype")) === PDFName.of("Link") &&
+      hasDeadDestination(annotation, isDead)
+    ) {
+      annots.remove(index);
+    }
+  }
+}
+
+function readOutlineItems(context, parent, seen = new Set()) {
+  const items = [];
+  let ref = parent.get(PDFName.of("First"));
+  while (ref instanceof PDFRef && !seen.has(ref)) {
+    seen.add(ref);
+    const dict = context.lookup(ref);
+    if (!(dict instanceof PDFDict)) {
+      break;
+    }
+    const count = dict.lookup(PDFName.of("Count"));
+    items.push({
+      ref,
+      dict,
+      open: count instanceof PDFNumber && count.asNumber() > 0,
+      children: readOutlineItems(context, dict, seen)
+    });
+    ref = dict.get(PDFName.of("Next"));
+  }
+  return items;
+}
+
+function pruneOutlineItems(context, items, isDead = isDeadDestination) {
+  return items.flatMap((item) => {
+    item.children = pruneOutlineItems(context, item.children, isDead);
+    if (!hasDeadDestination(item.dict, isDead)) {
+      return [item];
+    }
+    // Headings keep their surviving children but lose the dropped target.
+    if (item.children.length) {
+      item.dict.delete(PDFName.of("Dest"));
+      item.dict.delete(PDFName.of("A"));
+      return [item];
+    }
+    context.delete(item.ref);
+    return [];
+  });
+}
+
+function countVisibleOutlineItems(items) {
+  return items.reduce(
+    (total, item) => total + 1 + (item.open ? countVisibleOutlineItems(item.children) : 0),
+    0
+  );
+}
+
+function linkOutlineItems(parentRef, parent, items) {
+  items.forEach((item, index) => {
+    const { dict } = item;
+    dict.set(PDFName.of("Parent"), parentRef);
+    if (index > 0) {
+      dict.set(PDFName.of("Prev"), items[index - 1].ref);
+    } else {
+      dict.delete(PDFName.of("Prev"));
+    }
+    if (index < items.length - 1) {
+      dict.set(PDFName.of("Next"), items[index + 1].ref);
+    } else {
+      dict.delete(PDFName.of("Next"));
+    }
+    linkOutlineItems(item.ref, dict, item.children);
+    if (item.children.length) {
+      const visible = countVisibleOutlineItems(item.children);
+      dict.set(PDFName.of("Count"), PDFNumber.of(item.open ? visible : -visible));
+    } else {
+      dict.delete(PDFName.of("Count"));
+    }
+  });
+  if (items.length) {
+    parent.set(PDFName.of("First"), items[0].ref);
+    parent.set(PDFName.of("Last"), items[items.length - 1].ref);
+  } else {
+    parent.delete(PDFName.of("First"));
+    parent.delete(PDFName.of("Last"));
+  }
+}
+
+function pruneNameTree(node, isDead, seen = new Set()) {
+  if (!(node instanceof PDFDict) || seen.has(node)) {
+    return;
+  }
+  seen.add(node);
+  const items = node.lookup(PDFName.of("Names"));
+  if (items instanceof PDFArray) {
+    for (let index = items.size() - 2; index >= 0; index -= 2) {
+      if (isDead(items.lookup(index + 1))) {
+        items.remove(index + 1);
+        items.remove(index);
+      }
+    }
+  }
+  const kids = node.lookup(PDFName.of("Kids"));
+  if (kids instanceof PDFArray) {
+    for (let index = 0; index < kids.size(); index += 1) {
+      pruneNameTree(kids.lookup(index), isDead, seen);
+    }
+  }
+}
+
+// Pages removed in place stay in the file as objects, so outline items, links
+// and named destinations still resolve to them unless they are pruned here.
+function pruneRemovedPageTargets(pdfDoc) {
+  const { catalog, context } = pdfDoc;
+  const livePages = new Set(pdfDoc.getPages().map((page) => page.ref));
+  const namedDestinations = collectNamedDestinations(pdfDoc);
+  const isDead = (value) => {
+    const target = toExplicitDestination(context, value, namedDestinations)?.get(0);
+    return target instanceof PDFRef && !livePages.has(target);
+  };
+  pdfDoc.getPages().forEach((page) => pruneDeadLinks(page, isDead));
+
+  const outlinesRef = catalog.get(PDFName.of("Outlines"));
+  const outlines = catalog.lookup(PDFName.of("Outlines"));
+  if (outlinesRef instanceof PDFRef && outlines instanceof PDFDict) {
+    const items = pruneOutlineItems(context, readOutlineItems(context, outlines), isDead);
+    linkOutlineItems(outlinesRef, outlines, items);
+    outlines.set(PDFName.of("Count"), PDFNumber.of(countVisibleOutlineItems(items)));
+  }
+
+  const legacy = catalog.lookup(PDFName.of("Dests"));
+  if (legacy instanceof PDFDict) {
+    legacy.entries().forEach(([name, value]) => {
+      if (isDead(value)) {
+        legacy.delete(name);
+      }
+    });
+  }
+  const names = catalog.lookup(PDFName.of("Names"));
+  if (names instanceof PDFDict) {
+    pruneNameTree(names.lookup(PDFName.of("Dests")), isDead);
+  }
+}
+
+function encodePdfName(name) {
+  if (!/^[\x20-\x7e]*$/.test(name)) {
+    return PDFHexString.fromText(name);
+  }
+  return PDFHexString.of(
+    Array.from(name, (char) => char.charCodeAt(0).toString(16).padStart(2, "0")).join("")
+  );
+}
+
+function readPageLabels(pdfDoc) {
+  const tree = pdfDoc.catalog.lookup(PDFName.of("PageLabels"));
+  if (!(tree instanceof PDFDict)) {
+    return null;
+  }
+  const ranges = [];
+  walkPdfTree(tree, "Nums", (start, value) => {
+    const dict = pdfDoc.context.lookup(value);
+    if (start instanceof PDFNumber && dict instanceof PDFDict) {
+      ranges.push({ start: start.asNumber(), dict });
+    }
+  });
+  ranges.sort((a, b) => a.start - b.start);
+  return (pageIndex) => {
+    const range = ranges.filter((item) => item.start <= pageIndex).pop();
+    if (!range) {
+      return null;
+    }
+    const style = range.dict.lookup(PDFName.of("S"));
+    const prefix = range.dict.lookup(PDFName.of("P"));
+    const start = range.dict.lookup(PDFName.of("St"));
+    return {
+      style: style instanceof PDFName ? style.decodeText() : null,
+      prefix: prefix?.decodeText ? prefix.decodeText() : "",
+      number: (start instanceof PDFNumber ? start.asNumber() : 1) + pageIndex - range.start
+    };
+  };
+}
+
+function buildPageLabelTree(context, labels) {
+  const nums = [];
+  let previous = null;
+  labels.forEach((label, index) => {
+    // Pages without a label keep showing their plain page number.
+    const current = label ?? { style: "D", prefix: "", number: index + 1 };
+    const continues =
+      previous &&
+      previous.style === current.style &&
+      previous.prefix === current.prefix &&
+      previous.number + 1 === current.number;
+    if (!continues) {
+      const entry = context.obj({});
+      if (current.style) {
+        entry.set(PDFName.of("S"), PDFName.of(current.style));
+      }
+      if (current.prefix) {
+        entry.set(PDFName.of("P"), PDFHexString.fromText(current.prefix));
+      }
+      if (current.number !== 1) {
+        entry.set(PDFName.of("St"), PDFNumber.of(current.number));
+      }
+      nums.push(PDFNumber.of(index), entry);
+    }
+    previous = current;
+  });
+  return context.obj({ Nums: nums });
+}
+
+function pruneFormField(context, ref, annotationRefs) {
+  const field = context.lookup(ref);
+  if (!(field instanceof PDFDict)) {
+    return false;
+  }
+  const kids = field.lookup(PDFName.of("Kids"));
+  if (kids instanceof PDFArray) {
+    for (let index = kids.size() - 1; index >= 0; index -= 1) {
+      if (!pruneFormField(context, kids.get(index), annotationRefs)) {
+        kids.remove(index);
+      }
+    }
+    return kids.size() > 0;
+  }
+  return annotationRefs.has(ref);
+}
+
+function copyFormFields(source, copier, context, annotationRefs, form) {
+  const acroForm = source.catalog.lookup(PDFName.of("AcroForm"));
+  const fields = acroForm instanceof PDFDict ? acroForm.lookup(PDFName.of("Fields")) : null;
+  if (!(fields instanceof PDFArray)) {
+    return;
+  }
+  for (let index = 0; index < fields.size(); index += 1) {
+    const copied = copier.copy(fields.get(index));
+    if (pruneFormField(context, copied, annotationRefs)) {
+      form.fields.push(copied);
+    }
+  }
+  ["DA", "DR", "NeedAppearances", "SigFlags", "Q"].forEach((key) => {
+    const value = acroForm.get(PDFName.of(key));
+    if (value && !form.entries.has(key)) {
+      form.entries.set(key, copier.copy(value));
+    }
+  });
+}
+
+function fitSignatureFontSize(font, text, width, height, letterSpacingFactor) {
+  const paddedWidth = Math.max(10, width - SIGNATURE_LAYOUT.paddingX * 2);
+  const paddedHeight = Math.max(10, height - SIGNATURE_LAYOUT.paddingY * 2);
+  const maxSize = Math.max(SIGNATURE_LAYOUT.minFontSize, paddedHeight);
+  let size = maxSize;
+  const spacingFactor = letterSpacingFactor ?? 0;
+  while (size > SIGNATURE_LAYOUT.minFontSize) {
+    const spacing = size * spacingFactor;
+    const textWidth =
+      font.widthOfTextAtSize(text, size) + spacing * Math.max(0, text.length - 1);
+    if (textWidth <= paddedWidth) {
+      return size;
+    }
+    size -= 1;
+  }
+  return SIGNATURE_LAYOUT.minFontSize;
+}
+
+function resolveFontKey(fontFamily, bold, italic) {
+  const family = FONT_MAP[fontFamily] ?? FONT_MAP.Helvetica;
+  if (bold && italic) {
+    return family.boldItalic;
+  }
+  if (bold) {
+    return family.bold;
+  }
+  if (italic) {
+    return family.italic;
+  }
+  return family.regular;
+}
+
+function createTextFontResolver(pdfDoc, customFonts = []) {
+  const customFontMap = new Map(customFonts.map((font) => [font.id, font]));
+  const fontCache = new Map();
+  return async (fontFamily, bold, italic) => {
+    const customFont = customFontMap.get(fontFamily);
+    const cacheKey = customFont ? customFont.id : resolveFontKey(fontFamily, bold, italic);
+    if (!fontCache.has(cacheKey)) {
+      if (customFont) {
+        pdfDoc.registerFontkit(fontkit);
+        const font = await pdfDoc.embedFont(customFont.fontData, { subset: true });
+        fontCache.set(cacheKey, { font, label: customFont.name, family: customFont.name });
+      } else {
+        fontCache.set(cacheKey, {
+          font: await pdfDoc.embedFont(cacheKey),
+          label: cacheKey,
+          family: FONT_MAP[fontFamily] ? fontFamily : "Helvetica"
+        });
+      }
+    }
+    return fontCache.get(cacheKey);
+  };
+}
+
+export function findUnencodableCharacters(font, text) {
+  const supported = new Set(font.getCharacterSet());
+  const missing = [];
+  for (const char of String(text ?? "")) {
+    if (char === "\n" || char === "\r") {
+      continue;
+    }
+    if (!supported.has(char.codePointAt(0)) && !missing.includes(char)) {
+      missing.push(char);
+    }
+  }
+  return missing;
+}
+
+function assertEncodable(font, label, text) {
+  const missing = findUnencodableCharacters(font, text);
+  if (missing.length) {
+    throw new Error(
+      `${label} cannot encode these characters: ${missing.join(" ")}. ` +
+        "Load a custom font that includes them."
+    );
+  }
+}
+
+const DEFAULT_LINE_HEIGHT = 1.2;
+
+function layoutTextRuns(runs, maxWidth, fallbackFontSize) {
+  const lines = [];
+  let line = null;
+  const startLine = (wrapped) => {
+    line = { tokens: [], width: 0, fontSize: 0, wrapped, paragraphEnd: false };
+  };
+  const finishLine = (paragraphEnd) => {
+    while (line.tokens.length && line.tokens[line.tokens.length - 1].isSpace) {
+      line.width -= line.tokens.pop().width;
+    }
+    line.paragraphEnd = paragraphEnd;
+    line.fontSize = line.fontSize || fallbackFontSize;
+    lines.push(line);
+  };
+  const addToken = (run, text, width, isSpace) => {
+    line.tokens.push({ ...run, text, width, isSpace });
+    line.width += width;
+    line.fontSize = Math.max(line.fontSize, run.fontSize);
+  };
+
+  startLine(false);
+  for (const run of runs) {
+    String(run.text ?? "")
+      .split("\n")
+      .forEach((paragraph, paragraphIndex) => {
+        if (paragraphIndex > 0) {
+          finishLine(true);
+          startLine(false);
+        }
+        for (const word of paragraph.split(/(\s+)/)) {
+          if (!word) {
+            continue;
+          }
+          const isSpace = /^\s+$/.test(word);
+          if (isSpace && line.wrapped && !line.tokens.length) {
+            continue;
+          }
+          const width = run.font.widthOfTextAtSize(word, run.fontSize);
+          if (isSpace || line.width + width <= maxWidth) {
+            addToken(run, word, width, isSpace);
+            continue;
+          }
+          if (line.tokens.length) {
+            finishLine(false);
+            startLine(true);
+          }
+          if (width <= maxWidth) {
+            addToken(run, word, width, false);
+            continue;
+          }
+          // Words wider than the box are broken between characters.
+          let chunk = "";
+          for (const char of word) {
+            const next = chunk + char;
+            if (chunk && run.font.widthOfTextAtSize(next, run.fontSize) > maxWidth) {
+              addToken(run, chunk, run.font.widthOfTextAtSize(chunk, run.fontSize), false);
+              finishLine(false);
+              startLine(true);
+              chunk = char;
+            } else {
+              chunk = next;
+            }
+          }
+          addToken(run, chunk, run.font.widthOfTextAtSize(chunk, run.fontSize), false);
+        }
+      });
+  }
+  finishLine(true);
+  return lines;
+}
+
+export function layoutTextBox(runs, box) {
+  const lines = layoutTextRuns(runs, box.width, box.fontSize);
+  const lineHeight = box.lineHeight ?? DEFAULT_LINE_HEIGHT;
+  const placed = [];
+  let baseline = box.top;
+  lines.forEach((line, index) => {
+    baseline -= index === 0 ? line.fontSize : line.fontSize * lineHeight;
+    const free = Math.max(0, box.width - line.width);
+    const spaces = line.tokens.filter((token) => token.isSpace).length;
+    const justify = box.align === "justify" && !line.paragraphEnd && spaces > 0;
+    const extraSpace = justify ? free / spaces : 0;
+    let x = box.x;
+    if (box.align === "center") {
+      x += free / 2;
+    } else if (box.align === "right") {
+      x += free;
+    }
+    for (const token of line.tokens) {
+      const advance = token.width + (token.isSpace ? extraSpace : 0);
+      placed.push({ ...token, x, y: baseline, advance });
+      x += advance;
+    }
+  });
+  return placed;
+}
+
+export async function applyTextAnnotations(bytes, annotations, customFonts = []) {
   if (!annotations.length) {
     return bytes;
   }
-  const sourceBytes = bytes instanceof Uint8Array ? bytes.slice() : new Uint8Array(bytes);
-  const pdfDoc = await PDFDocument.load(sourceBytes);
+  const pdfDoc = await loadEditableDocument(bytes);
+  await drawTextAnnotations(pdfDoc, annotations, customFonts);
+  return pdfDoc.save();
+}
+
+// Font sizes are overlay pixels; scale turns them into points so text wraps
+// inside the PDF box at the same words as in the editor.
+async function buildTextRuns(getFont, annotation, scale = 1) {
+  const spans =
+    annotation.spans && annotation.spans.length
+      ? annotation.spans
+      : [
+          {
+            text: annotation.text ?? "",
+            fontSize: annotation.fontSize,
+            color: annotation.color
+          }
+        ];
+  const baseFontSize = annotation.fontSize ?? 16;
+  const baseColor = annotation.color ?? "#000000";
+  const runs = [];
+  for (const span of spans) {
+    const { font, label, family } = await getFont(annotation.fontFamily, span.bold, span.italic);
+    assertEncodable(font, label, span.text);
+    runs.push({
+      text: span.text,
+      font,
+      family,
+      fontSize: (span.fontSize ?? baseFontSize) * scale,
+      color: span.color ?? baseColor,
+      bold: Boolean(span.bold),
+      italic: Boolean(span.italic),
+      underline: Boolean(span.underline)
+    });
+  }
+  return runs;
+}
+
+async function drawTextAnnotations(pdfDoc, annotations, customFonts = []) {
+  const getFont = createTextFontResolver(pdfDoc, customFonts);
 
   for (const annotation of annotations) {
     const pageIndex = Math.max(
@@ -515,7 +2247,7 @@ export async function applyHighlightAnnotations(bytes, annotations) {
     const page = pdfDoc.getPage(pageIndex);
     const { width: pageWidth, height: pageHeight } = page.getSize();
     if (!annotation.overlayWidth || !annotation.overlayHeight) {
-      throw new Error("Missing overlay size for highlight placement.");
+      throw new Error("Missing overlay size for text placement.");
     }
     const overlaySize = {
       width: annotation.overlayWidth,
@@ -531,26 +2263,51 @@ export async function applyHighlightAnnotations(bytes, annotations) {
       { width: pageWidth, height: pageHeight },
       overlaySize
     );
-    page.drawRectangle({
+
+    const scale = pageHeight / annotation.overlayHeight;
+    const runs = await buildTextRuns(getFont, annotation, scale);
+    const placed = layoutTextBox(runs, {
       x: pdfRect.x,
-      y: pdfRect.y,
+      top: pdfRect.y + pdfRect.height,
       width: pdfRect.width,
-      height: pdfRect.height,
-      color: parseHexColor(annotation.color),
-      opacity: annotation.opacity ?? 0.3
+      fontSize: (annotation.fontSize ?? 16) * scale,
+      align: annotation.align,
+      lineHeight: annotation.lineHeight
     });
+    for (const token of placed) {
+      const color = parseHexColor(token.color);
+      if (!token.isSpace) {
+        page.drawText(token.text, {
+          x: token.x,
+          y: token.y,
+          size: token.fontSize,
+          font: token.font,
+          color
+        });
+      }
+      if (token.underline) {
+        const underlineOffset = token.fontSize * 0.15;
+        page.drawLine({
+          start: { x: token.x, y: token.y - underlineOffset },
+          end: { x: token.x + token.advance, y: token.y - underlineOffset },
+          thickness: Math.max(1, token.fontSize / 12),
+          color
+        });
+      }
+    }
   }
-
-  return pdfDoc.save();
 }
 
-export async function applyShapeAnnotations(bytes, annotations) {
+export async function applyDrawAnnotations(bytes, annotations) {
   if (!annotations.length) {
     return bytes;
   }
-  const sourceBytes = bytes instanceof Uint8Array ? bytes.slice() : new Uint8Array(bytes);
-  const pdfDoc = await PDFDocument.load(sourceBytes);
+  const pdfDoc = await loadEditableDocument(bytes);
+  drawInkAnnotations(pdfDoc, annotations);
+  return pdfDoc.save();
+}
 
+function drawInkAnnotations(pdfDoc, annotations) {
   for (const annotation of annotations) {
     const pageIndex = Math.max(
       0,
@@ -559,31 +2316,145 @@ export async function applyShapeAnnotations(bytes, annotations) {
     const page = pdfDoc.getPage(pageIndex);
     const { width: pageWidth, height: pageHeight } = page.getSize();
     if (!annotation.overlayWidth || !annotation.overlayHeight) {
-      throw new Error("Missing overlay size for shape placement.");
+      throw new Error("Missing overlay size for draw placement.");
+    }
+    if (!annotation.points || annotation.points.length < 2) {
+      continue;
     }
     const overlaySize = {
       width: annotation.overlayWidth,
       height: annotation.overlayHeight
     };
-    const style = annotation.style ?? {};
-    const strokeColor = parseHexColor(style.strokeColor ?? "#111111");
-    const fillColor = style.fillColor ? parseHexColor(style.fillColor) : null;
-    const opacity = style.opacity ?? 1;
     const scaleX = pageWidth / overlaySize.width;
     const scaleY = pageHeight / overlaySize.height;
     const strokeScale = (scaleX + scaleY) / 2;
-    const strokeWidth = (style.strokeWidth ?? 2) * strokeScale;
-
-    if (annotation.shapeType === "rect") {
-      const pdfRect = convertOverlayRectToPdfRect(
-        {
-          x: annotation.geometry.x ?? 0,
-          y: annotation.geometry.y ?? 0,
-          width: annotation.geometry.width ?? 0,
-          height: annotation.geometry.height ?? 0
-        },
-        { width: pageWidth, height: pageHeight },
-        overlaySize
+    const color = parseHexColor(annotation.strokeColor);
+    for (let i = 1; i < annotation.points.length; i += 1) {
+      const start = convertOverlayPointToPdfPoint(
+        annotation.points[i - 1],
+        { width: pageWidth, height: pageHeight },
+        overlaySize
+      );
+      const end = convertOverlayPointToPdfPoint(
+        annotation.points[i],
+        { width: pageWidth, height: pageHeight },
+        overlaySize
+      );
+      page.drawLine({
+        start,
+        end,
+        thickness: annotation.strokeWidth * strokeScale,
+        color,
+        opacity: annotation.opacity ?? 1
+      });
+    }
+  }
+}
+
+export async function applyHighlightAnnotations(bytes, annotations) {
+  if (!annotations.length) {
+    return bytes;
+  }
+  const pdfDoc = await loadEditableDocument(bytes);
+  drawHighlightAnnotations(pdfDoc, annotations);
+  return pdfDoc.save();
+}
+
+// Text markup carries one rect per line run; free highlights are a single rect.
+function getHighlightRects(annotation) {
+  return annotation.rects?.length ? annotation.rects : [annotation];
+}
+
+function drawHighlightAnnotations(pdfDoc, annotations) {
+  for (const annotation of annotations) {
+    const pageIndex = Math.max(
+      0,
+      Math.min(annotation.pageNumber - 1, pdfDoc.getPageCount() - 1)
+    );
+    const page = pdfDoc.getPage(pageIndex);
+    const { width: pageWidth, height: pageHeight } = page.getSize();
+    if (!annotation.overlayWidth || !annotation.overlayHeight) {
+      throw new Error("Missing overlay size for highlight placement.");
+    }
+    const overlaySize = {
+      width: annotation.overlayWidth,
+      height: annotation.overlayHeight
+    };
+    const pageSize = { width: pageWidth, height: pageHeight };
+    const color = parseHexColor(annotation.color);
+    getHighlightRects(annotation).forEach((rect) => {
+      const markupStroke = getMarkupStroke(annotation.markupType, rect);
+      if (markupStroke) {
+        const points = markupStroke.points.map((point) =>
+          convertOverlayPointToPdfPoint(point, pageSize, overlaySize)
+        );
+        for (let index = 1; index < points.length; index += 1) {
+          page.drawLine({
+            start: points[index - 1],
+            end: points[index],
+            thickness: markupStroke.width * (pageHeight / overlaySize.height),
+            color,
+            opacity: annotation.opacity ?? 1
+          });
+        }
+        return;
+      }
+      const pdfRect = convertOverlayRectToPdfRect(rect, pageSize, overlaySize);
+      page.drawRectangle({
+        x: pdfRect.x,
+        y: pdfRect.y,
+        width: pdfRect.width,
+        height: pdfRect.height,
+        color,
+        opacity: annotation.opacity ?? 0.3
+      });
+    });
+  }
+}
+
+export async function applyShapeAnnotations(bytes, annotations) {
+  if (!annotations.length) {
+    return bytes;
+  }
+  const pdfDoc = await loadEditableDocument(bytes);
+  drawShapeAnnotations(pdfDoc, annotations);
+  return pdfDoc.save();
+}
+
+function drawShapeAnnotations(pdfDoc, annotations) {
+  for (const annotation of annotations) {
+    const pageIndex = Math.max(
+      0,
+      Math.min(annotation.pageNumber - 1, pdfDoc.getPageCount() - 1)
+    );
+    const page = pdfDoc.getPage(pageIndex);
+    const { width: pageWidth, height: pageHeight } = page.getSize();
+    if (!annotation.overlayWidth || !annotation.overlayHeight) {
+      throw new Error("Missing overlay size for shape placement.");
+    }
+    const overlaySize = {
+      width: annotation.overlayWidth,
+      height: annotation.overlayHeight
+    };
+    const style = annotation.style ?? {};
+    const strokeColor = parseHexColor(style.strokeColor ?? "#111111");
+    const fillColor = style.fillColor ? parseHexColor(style.fillColor) : null;
+    const opacity = style.opacity ?? 1;
+    const scaleX = pageWidth / overlaySize.width;
+    const scaleY = pageHeight / overlaySize.height;
+    const strokeScale = (scaleX + scaleY) / 2;
+    const strokeWidth = (style.strokeWidth ?? 2) * strokeScale;
+
+    if (annotation.shapeType === "rect") {
+      const pdfRect = convertOverlayRectToPdfRect(
+        {
+          x: annotation.geometry.x ?? 0,
+          y: annotation.geometry.y ?? 0,
+          width: annotation.geometry.width ?? 0,
+          height: annotation.geometry.height ?? 0
+        },
+        { width: pageWidth, height: pageHeight },
+        overlaySize
       );
       page.drawRectangle({
         x: pdfRect.x,
@@ -690,8 +2561,6 @@ export async function applyShapeAnnotations(bytes, annotations) {
       });
     }
   }
-
-  return pdfDoc.save();
 }
 
 function buildPdfShapePath(points, isCloud) {
@@ -730,8 +2599,12 @@ export async function applySignatureAnnotations(bytes, annotations) {
   if (!annotations.length) {
     return bytes;
   }
-  const sourceBytes = bytes instanceof Uint8Array ? bytes.slice() : new Uint8Array(bytes);
-  const pdfDoc = await PDFDocument.load(sourceBytes);
+  const pdfDoc = await loadEditableDocument(bytes);
+  await drawSignatureAnnotations(pdfDoc, annotations);
+  return pdfDoc.save();
+}
+
+async function drawSignatureAnnotations(pdfDoc, annotations) {
   pdfDoc.registerFontkit(fontkit);
   const fontCache = new Map();
 
@@ -806,6 +2679,1095 @@ export async function applySignatureAnnotations(bytes, annotations) {
       cursorX += font.widthOfTextAtSize(char, fontSize) + letterSpacing;
     }
   }
+}
 
-  return pdfDoc.save();
+export async function redactPdf(bytes, redactions) {
+  const pdfDoc = await loadEditableDocument(bytes);
+  const removed = await applyRedactions(pdfDoc, redactions);
+  // The replaced content streams would otherwise still be written out.
+  await pdfDoc.flush();
+  removeUnreachableObjects(pdfDoc);
+  return { bytes: await pdfDoc.save(), removed };
+}
+
+// Redaction areas are in PDF user space. Content under them is removed first,
+// then the area is filled and labelled so the page shows what was taken out.
+async function applyRedactions(pdfDoc, redactions) {
+  const removed = { glyphs: 0, images: 0, wholeImages: 0, annotations: 0 };
+  if (!redactions.length) {
+    return removed;
+  }
+  // Fonts embedded by pdf-lib are only written on flush, and their widths are
+  // needed to place the glyphs they draw.
+  await pdfDoc.flush();
+  const font = redactions.some((area) => area.label)
+    ? await pdfDoc.embedFont(StandardFonts.Helvetica)
+    : null;
+  const areasByPage = new Map();
+  redactions.forEach((area) => {
+    const pageIndex = Math.max(0, Math.min(area.pageNumber - 1, pdfDoc.getPageCount() - 1));
+    areasByPage.set(pageIndex, [...(areasByPage.get(pageIndex) ?? []), area]);
+  });
+  for (const [pageIndex, areas] of areasByPage) {
+    const page = pdfDoc.getPage(pageIndex);
+    // JPEG scans can only have covered pixels cleared once they are decoded.
+    const jpegImages = new Set();
+    collectJpegImages(pdfDoc.context, page.node.Resources(), jpegImages);
+    const decodedImages = new Map();
+    for (const image of jpegImages) {
+      const decoded = await decodeJpegPixels(image.contents);
+      if (decoded) {
+        decodedImages.set(image, decoded);
+      }
+    }
+    const stats = redactPageContent(pdfDoc, page, areas, decodedImages);
+    removed.glyphs += stats.glyphs;
+    removed.images += stats.images;
+    removed.wholeImages += stats.wholeImages;
+    removed.annotations += stats.annotations;
+    areas.forEach((area) => {
+      page.drawRectangle({
+        x: area.x,
+        y: area.y,
+        width: area.width,
+        height: area.height,
+        color: parseHexColor(area.fillColor ?? "#000000")
+      });
+      if (!area.label) {
+        return;
+      }
+      let size = Math.min(area.height * 0.7, 14);
+      const textWidth = font.widthOfTextAtSize(area.label, size);
+      if (textWidth > area.width * 0.9) {
+        size *= (area.width * 0.9) / textWidth;
+      }
+      if (size < 4) {
+        return;
+      }
+      page.drawText(area.label, {
+        x: area.x + (area.width - font.widthOfTextAtSize(area.label, size)) / 2,
+        y: area.y + (area.height - size * 0.7) / 2,
+        size,
+        font,
+        color: rgb(1, 1, 1)
+      });
+    });
+  }
+  return removed;
+}
+
+export async function exportDocument(bytes, editModel = {}) {
+  const incremental = editModel.saveMode === "incremental";
+  if (incremental && editModel.stripMetadata) {
+    throw new Error(
+      "Metadata cannot be stripped in an incremental update because the original revision keeps it."
+    );
+  }
+  if (incremental && editModel.optimize) {
+    throw new Error(
+      "An incremental update cannot be optimized because it appends to the original bytes."
+    );
+  }
+  const redactions = editModel.redactions ?? [];
+  if (incremental && redactions.length) {
+    throw new Error(
+      "Redactions need a full save because an incremental update keeps the original content."
+    );
+  }
+  if (incremental && editModel.encryption) {
+    throw new Error(
+      "Encryption needs a full save because an incremental update appends to the original bytes."
+    );
+  }
+  const source = await loadEditableDocument(
+    bytes,
+    incremental ? { updateMetadata: false } : undefined
+  );
+  const snapshot = incremental ? prepareIncrementalUpdate(source, bytes) : null;
+  // Imported markup lives in the edit model now, so the originals are dropped
+  // before it is written back out.
+  removePdfAnnotations(source, editModel.removeAnnotationIds);
+  await fillFormFields(
+    source,
+    editModel.formValues,
+    editModel.flattenForm,
+    editModel.customFonts ?? []
+  );
+  let pdfDoc = source;
+  if (incremental) {
+    await arrangePagesInPlace(source, editModel.pageOrder, editModel.rotations);
+  } else if (editModel.pageOrder?.length) {
+    pdfDoc = await copyPagesWithProperties(source, editModel.pageOrder, editModel.rotations);
+  }
+  if (editModel.optimize) {
+    await optimizeEmbeddedImages(pdfDoc, editModel.optimize);
+  }
+  const saveDocument = async () => {
+    if (incremental) {
+      return saveIncrementalUpdate(pdfDoc, bytes, snapshot);
+    }
+    if (editModel.optimize || redactions.length) {
+      await pdfDoc.flush();
+      removeUnreachableObjects(pdfDoc);
+    }
+    const saved = await pdfDoc.save({ useObjectStreams: true });
+    return editModel.encryption ? encryptPdf(saved, editModel.encryption) : saved;
+  };
+
+  if (editModel.annotationMode === "editable") {
+    // Images and signatures stay part of the page; markup becomes /Annot objects
+    // that other readers can select, edit and delete.
+    await drawImageAnnotations(
+      pdfDoc,
+      editModel.imageAssets ?? [],
+      editModel.imageAnnotations ?? [],
+      editModel.optimize
+    );
+    await drawSignatureAnnotations(pdfDoc, editModel.signatureAnnotations ?? []);
+    addHighlightAnnotations(pdfDoc, editModel.highlightAnnotations ?? []);
+    await addFreeTextAnnotations(
+      pdfDoc,
+      editModel.textAnnotations ?? [],
+      editModel.customFonts ?? []
+    );
+    addInkAnnotations(pdfDoc, editModel.drawAnnotations ?? []);
+    addShapeAnnotations(pdfDoc, editModel.shapeAnnotations ?? []);
+    await addFormFields(
+      pdfDoc,
+      editModel.formFieldAnnotations ?? [],
+      editModel.customFonts ?? [],
+      editModel.flattenForm
+    );
+    await applyRedactions(pdfDoc, redactions);
+    finalizeDocumentMetadata(pdfDoc, editModel);
+    return saveDocument();
+  }
+
+  // Layers are painted bottom to top, so later kinds cover earlier ones.
+  drawHighlightAnnotations(pdfDoc, editModel.highlightAnnotations ?? []);
+  await drawImageAnnotations(
+    pdfDoc,
+    editModel.imageAssets ?? [],
+    editModel.imageAnnotations ?? [],
+    editModel.optimize
+  );
+  await drawTextAnnotations(
+    pdfDoc,
+    editModel.textAnnotations ?? [],
+    editModel.customFonts ?? []
+  );
+  await drawSignatureAnnotations(pdfDoc, editModel.signatureAnnotations ?? []);
+  drawInkAnnotations(pdfDoc, editModel.drawAnnotations ?? []);
+  drawShapeAnnotations(pdfDoc, editModel.shapeAnnotations ?? []);
+  // Authored fields stay interactive in both modes unless the form is flattened.
+  await addFormFields(
+    pdfDoc,
+    editModel.formFieldAnnotations ?? [],
+    editModel.customFonts ?? [],
+    editModel.flattenForm
+  );
+  // Redaction runs last so markup placed over the area is removed with it.
+  await applyRedactions(pdfDoc, redactions);
+  finalizeDocumentMetadata(pdfDoc, editModel);
+
+  return saveDocument();
+}
+
+async function arrangePagesInPlace(pdfDoc, pageOrder, rotations = {}) {
+  const pages = pdfDoc.getPages();
+  const order = pageOrder?.length ? pageOrder : pages.map((_, index) => index + 1);
+  const unchanged =
+    order.length === pages.length && order.every((pageNumber, index) => pageNumber === index + 1);
+  if (!unchanged) {
+    const { context } = pdfDoc;
+    const placed = new Set();
+    const copyNumbers = new Map();
+    const arranged = [];
+    for (const pageNumber of order) {
+      const page = pages[pageNumber - 1];
+      if (placed.has(page)) {
+        // Content and resources are shared within the file; only the
+        // annotations need copies of their own.
+        const node = clonePageLeaf(page.node);
+        const ref = context.register(node);
+        copyNumbers.set(page, (copyNumbers.get(page) ?? 1) + 1);
+        const refs = new Map(context.enumerateIndirectObjects().map(([objectRef]) => [
+          objectRef,
+          objectRef
+        ]));
+        const duplicate = copyDuplicateAnnotations(
+          context,
+          page.node,
+          createObjectCopier(context, context, refs),
+          ref,
+          copyNumbers.get(page)
+        );
+        if (duplicate.annots.size()) {
+          node.set(PDFName.of("Annots"), duplicate.annots);
+        }
+        duplicate.fieldRefs.forEach((fieldRef) => pdfDoc.getForm().acroForm.addField(fieldRef));
+        arranged.push(PDFPage.of(node, ref, pdfDoc));
+      } else {
+        placed.add(page);
+        arranged.push(page);
+      }
+    }
+    for (let index = pages.length - 1; index >= 0; index -= 1) {
+      pdfDoc.removePage(index);
+    }
+    arranged.forEach((page) => pdfDoc.addPage(page));
+    if (pages.some((page) => !placed.has(page))) {
+      pruneRemovedPageTargets(pdfDoc);
+    }
+  }
+  pdfDoc.getPages().forEach((page, index) => {
+    const rotation = rotations[order[index]] ?? 0;
+    if (rotation) {
+      page.setRotation(degrees(rotation));
+    }
+  });
+}
+
+function objectFingerprint(object) {
+  // Stream data is replaced rather than edited in place, so its dictionary is
+  // enough to notice a change.
+  return object instanceof PDFStream ? object.dict.toString() : object.toString();
+}
+
+function findStartXref(bytes) {
+  const tail = new TextDecoder("latin1").decode(bytes.subarray(Math.max(0, bytes.length - 1024)));
+  const match = tail.match(/startxref\s+(\d+)\s+%%EOF\s*$/);
+  if (!match) {
+    throw new Error("The original PDF has no readable cross-reference offset.");
+  }
+  return Number(match[1]);
+}
+
+function prepareIncrementalUpdate(pdfDoc, bytes) {
+  const original = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+  const lastSection = new TextDecoder("latin1").decode(original.subarray(findStartXref(original)));
+  const size = Number(lastSection.match(/\/Size\s+(\d+)/)?.[1] ?? 0);
+  const { context } = pdfDoc;
+  // pdf-lib drops object and xref streams while parsing, so their numbers have
+  // to be reserved before new objects are registered.
+  context.largestObjectNumber = Math.max(context.largestObjectNumber, size - 1);
+  const snapshot = new Map();
+  for (const [ref, object] of context.enumerateIndirectObjects()) {
+    snapshot.set(ref.tag, { ref, object, fingerprint: objectFingerprint(object) });
+  }
+  return snapshot;
+}
+
+function serializePdfObject(object) {
+  const buffer = new Uint8Array(object.sizeInBytes());
+  object.copyBytesInto(buffer, 0);
+  return buffer;
+}
+
+async function saveIncrementalUpdate(pdfDoc, bytes, snapshot) {
+  // pdf-lib only redraws changed fields inside save(), which is bypassed here.
+  if (pdfDoc.catalog.has(PDFName.of("AcroForm"))) {
+    pdfDoc.getForm().updateFieldAppearances();
+  }
+  await pdfDoc.flush();
+  const original = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+  const { context } = pdfDoc;
+  const previousXref = findStartXref(original);
+  const usesXrefStream =
+    new TextDecoder("latin1").decode(original.subarray(previousXref, previousXref + 4)) !== "xref";
+
+  const changed = context
+    .enumerateIndirectObjects()
+    .filter(([ref, object]) => {
+      const before = snapshot.get(ref.tag);
+      return (
+        !before || before.object !== object || before.fingerprint !== objectFingerprint(object)
+      );
+    })
+    .sort(([a], [b]) => a.objectNumber - b.objectNumber);
+  const deleted = [...snapshot.values()]
+    .filter(({ ref }) => !context.lookup(ref))
+    .map(({ ref }) => ref);
+
+  if (!changed.length && !deleted.length) {
+    return original.slice();
+  }
+
+  const encoder = new TextEncoder();
+  const chunks = [];
+  let offset = original.length;
+  const push = (chunk) => {
+    const data = typeof chunk === "string" ? encoder.encode(chunk) : chunk;
+    chunks.push(data);
+    offset += data.length;
+  };
+  if (original[original.length - 1] !== 0x0a) {
+    push("\n");
+  }
+  const offsets = new Map();
+  const writeObject = (ref, object) => {
+    offsets.set(ref.tag, offset);
+    push(`${ref.objectNumber} ${ref.generationNumber} obj\n`);
+    push(serializePdfObject(object));
+    push("\nendobj\n");
+  };
+  changed.forEach(([ref, object]) => writeObject(ref, object));
+  const entries = [
+    ...changed.map(([ref]) => ({ ref, offset: offsets.get(ref.tag) })),
+    ...deleted.map((ref) => ({
+      ref: PDFRef.of(ref.objectNumber, ref.generationNumber + 1),
+      deleted: true
+    }))
+  ].sort((a, b) => a.ref.objectNumber - b.ref.objectNumber);
+
+  const trailerEntries = {
+    Root: context.trailerInfo.Root,
+    Info: context.trailerInfo.Info,
+    ID: context.trailerInfo.ID,
+    Prev: previousXref
+  };
+  let xrefOffset;
+  if (usesXrefStream) {
+    const xrefRef = context.nextRef();
+    const xrefStream = PDFCrossRefStream.create(
+      context.obj({ ...trailerEntries, Size: context.largestObjectNumber + 1 })
+    );
+    entries.forEach((entry) => {
+      if (entry.deleted) {
+        xrefStream.addDeletedEntry(entry.ref, 0);
+      } else {
+        xrefStream.addUncompressedEntry(entry.ref, entry.offset);
+      }
+    });
+    xrefOffset = offset;
+    xrefStream.addUncompressedEntry(xrefRef, xrefOffset);
+    writeObject(xrefRef, xrefStream);
+  } else {
+    const section = PDFCrossRefSection.createEmpty();
+    entries.forEach((entry) => {
+      if (entry.deleted) {
+        section.addDeletedEntry(entry.ref, 0);
+      } else {
+        section.addEntry(entry.ref, entry.offset);
+      }
+    });
+    xrefOffset = offset;
+    push(serializePdfObject(section));
+    push("\n");
+    push(
+      serializePdfObject(
+        PDFTrailerDict.of(
+          context.obj({ ...trailerEntries, Size: context.largestObjectNumber + 1 })
+        )
+      )
+    );
+    push("\n");
+  }
+  push(serializePdfObject(PDFTrailer.forLastCrossRefSectionOffset(xrefOffset)));
+
+  const output = new Uint8Array(offset);
+  output.set(original, 0);
+  let position = original.length;
+  chunks.forEach((chunk) => {
+    output.set(chunk, position);
+    position += chunk.length;
+  });
+  return output;
+}
+
+export async function readPdfMetadata(bytes) {
+  const pdfDoc = await loadEditableDocument(bytes, { updateMetadata: false });
+  return {
+    title: pdfDoc.getTitle() ?? "",
+    author: pdfDoc.getAuthor() ?? "",
+    subject: pdfDoc.getSubject() ?? "",
+    keywords: pdfDoc.getKeywords() ?? "",
+    creator: pdfDoc.getCreator() ?? "",
+    producer: pdfDoc.getProducer() ?? "",
+    creationDate: pdfDoc.getCreationDate() ?? null,
+    modificationDate: pdfDoc.getModificationDate() ?? null
+  };
+}
+
+function toValidDate(value) {
+  if (!value) {
+    return null;
+  }
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function applyDocumentMetadata(pdfDoc, metadata) {
+  const info = pdfDoc.getInfoDict();
+  const setOrClear = (key, value, setter) => {
+    if (value) {
+      setter(value);
+    } else {
+      info.delete(PDFName.of(key));
+    }
+  };
+  setOrClear("Title", metadata.title, (value) => pdfDoc.setTitle(value));
+  setOrClear("Author", metadata.author, (value) => pdfDoc.setAuthor(value));
+  setOrClear("Subject", metadata.subject, (value) => pdfDoc.setSubject(value));
+  setOrClear("Keywords", metadata.keywords, (value) => pdfDoc.setKeywords([value]));
+  setOrClear("Creator", metadata.creator, (value) => pdfDoc.setCreator(value));
+  setOrClear("Producer", metadata.producer, (value) => pdfDoc.setProducer(value));
+  setOrClear("CreationDate", toValidDate(metadata.creationDate), (value) =>
+    pdfDoc.setCreationDate(value)
+  );
+  setOrClear("ModDate", toValidDate(metadata.modificationDate), (value) =>
+    pdfDoc.setModificationDate(value)
+  );
+}
+
+function stripDocumentMetadata(pdfDoc) {
+  const { context } = pdfDoc;
+  // Deleting the objects as well keeps the old values out of the saved file.
+  if (context.trailerInfo.Info instanceof PDFRef) {
+    context.delete(context.trailerInfo.Info);
+  }
+  context.trailerInfo.Info = undefined;
+  const dropXmp = (dict) => {
+    const xmp = dict.get(PDFName.of("Metadata"));
+    if (xmp instanceof PDFRef) {
+      context.delete(xmp);
+    }
+    dict.delete(PDFName.of("Metadata"));
+  };
+  dropXmp(pdfDoc.catalog);
+  pdfDoc.getPages().forEach((page) => dropXmp(page.node));
+}
+
+function removeUnreachableObjects(pdfDoc) {
+  const { context } = pdfDoc;
+  const reachable = new Set();
+  const pending = [context.trailerInfo.Root, context.trailerInfo.Info];
+  while (pending.length) {
+    const value = pending.pop();
+    if (value instanceof PDFRef) {
+      if (!reachable.has(value)) {
+        reachable.add(value);
+        pending.push(context.lookup(value));
+      }
+    } else if (value instanceof PDFDict) {
+      pending.push(...value.values());
+    } else if (value instanceof PDFArray) {
+      pending.push(...value.asArray());
+    } else if (value instanceof PDFStream) {
+      pending.push(value.dict);
+    }
+  }
+  for (const [ref] of context.enumerateIndirectObjects()) {
+    if (!reachable.has(ref)) {
+      context.delete(ref);
+    }
+  }
+}
+
+function finalizeDocumentMetadata(pdfDoc, editModel) {
+  if (editModel.stripMetadata) {
+    stripDocumentMetadata(pdfDoc);
+  } else if (editModel.metadata) {
+    applyDocumentMetadata(pdfDoc, editModel.metadata);
+  }
+}
+
+function getAnnotationTarget(pdfDoc, annotation, label) {
+  const pageIndex = Math.max(0, Math.min(annotation.pageNumber - 1, pdfDoc.getPageCount() - 1));
+  const page = pdfDoc.getPage(pageIndex);
+  const { width, height } = page.getSize();
+  if (!annotation.overlayWidth || !annotation.overlayHeight) {
+    throw new Error(`Missing overlay size for ${label} placement.`);
+  }
+  return {
+    page,
+    pageSize: { width, height },
+    overlaySize: { width: annotation.overlayWidth, height: annotation.overlayHeight }
+  };
+}
+
+function colorComponents(color) {
+  const parsed = parseHexColor(color);
+  return [parsed.red, parsed.green, parsed.blue];
+}
+
+function boundsOfPoints(points, padding = 0) {
+  const xs = points.map((point) => point.x);
+  const ys = points.map((point) => point.y);
+  return [
+    Math.min(...xs) - padding,
+    Math.min(...ys) - padding,
+    Math.max(...xs) + padding,
+    Math.max(...ys) + padding
+  ];
+}
+
+function registerPageAnnotation(pdfDoc, page, fields, appearance) {
+  const { context } = pdfDoc;
+  const annotation = context.obj({
+    Type: "Annot",
+    F: 4,
+    P: page.ref,
+    M: PDFString.fromDate(new Date()),
+    ...fields
+  });
+  if (appearance) {
+    const stream = context.formXObject(appearance.operators, {
+      BBox: fields.Rect,
+      Resources: appearance.resources ?? {}
+    });
+    annotation.set(PDFName.of("AP"), context.obj({ N: context.register(stream) }));
+  }
+  const ref = context.register(annotation);
+  page.node.addAnnot(ref);
+  return ref;
+}
+
+function opacityResources(opacity, blendMode) {
+  const state = { Type: "ExtGState", CA: opacity, ca: opacity };
+  if (blendMode) {
+    state.BM = blendMode;
+  }
+  return { ExtGState: { GS0: state } };
+}
+
+function addHighlightAnnotations(pdfDoc, annotations) {
+  for (const annotation of annotations) {
+    const { page, pageSize, overlaySize } = getAnnotationTarget(pdfDoc, annotation, "highlight");
+    const subtype = getTextMarkupType(annotation.markupType)?.subtype ?? "Highlight";
+    const color = colorComponents(annotation.color);
+    const opacity = annotation.opacity ?? 0.3;
+    const quadPoints = [];
+    const operators = [pushGraphicsState(), setGraphicsState("GS0")];
+    let bounds = null;
+    getHighlightRects(annotation).forEach((rect) => {
+      const pdfRect = convertOverlayRectToPdfRect(rect, pageSize, overlaySize);
+      const x1 = pdfRect.x;
+      const y1 = pdfRect.y;
+      const x2 = pdfRect.x + pdfRect.width;
+      const y2 = pdfRect.y + pdfRect.height;
+      quadPoints.push(x1, y2, x2, y2, x1, y1, x2, y1);
+      bounds = bounds
+        ? [
+            Math.min(bounds[0], x1),
+            Math.min(bounds[1], y1),
+            Math.max(bounds[2], x2),
+            Math.max(bounds[3], y2)
+          ]
+        : [x1, y1, x2, y2];
+      const markupStroke = getMarkupStroke(annotation.markupType, rect);
+      if (!markupStroke) {
+        operators.push(
+          setFillingRgbColor(...color),
+          rectangle(x1, y1, pdfRect.width, pdfRect.height),
+          fill()
+        );
+        return;
+      }
+      const points = markupStroke.points.map((point) =>
+        convertOverlayPointToPdfPoint(point, pageSize, overlaySize)
+      );
+      operators.push(
+        setStrokingRgbColor(...color),
+        setLineWidth(markupStroke.width * (pageSize.height / overlaySize.height)),
+        moveTo(points[0].x, points[0].y),
+        ...points.slice(1).map((point) => lineTo(point.x, point.y)),
+        stroke()
+      );
+    });
+    operators.push(popGraphicsState());
+    const fields = {
+      Subtype: subtype,
+      Rect: bounds,
+      QuadPoints: quadPoints,
+      C: color,
+      CA: opacity
+    };
+    if (annotation.text) {
+      fields.Contents = PDFHexString.fromText(annotation.text);
+    }
+    registerPageAnnotation(pdfDoc, page, fields, {
+      resources: opacityResources(opacity, subtype === "Highlight" ? "Multiply" : null),
+      operators
+    });
+  }
+}
+
+function addInkAnnotations(pdfDoc, annotations) {
+  for (const annotation of annotations) {
+    const { page, pageSize, overlaySize } = getAnnotationTarget(pdfDoc, annotation, "draw");
+    if (!annotation.points || annotation.points.length < 2) {
+      continue;
+    }
+    const strokeScale =
+      (pageSize.width / overlaySize.width + pageSize.height / overlaySize.height) / 2;
+    const width = annotation.strokeWidth * strokeScale;
+    const points = annotation.points.map((point) =>
+      convertOverlayPointToPdfPoint(point, pageSize, overlaySize)
+    );
+    const color = colorComponents(annotation.strokeColor);
+    const opacity = annotation.opacity ?? 1;
+    registerPageAnnotation(
+      pdfDoc,
+      page,
+      {
+        Subtype: "Ink",
+        Rect: boundsOfPoints(points, width),
+        InkList: [points.flatMap((point) => [point.x, point.y])],
+        BS: { W: width },
+        C: color,
+        CA: opacity
+      },
+      {
+        resources: opacityResources(opacity),
+        operators: [
+          pushGraphicsState(),
+          setGraphicsState("GS0"),
+          setStrokingRgbColor(...color),
+          setLineWidth(width),
+          setLineCap(LineCapStyle.Round),
+          setLineJoin(LineJoinStyle.Round),
+          moveTo(points[0].x, points[0].y),
+          ...points.slice(1).map((point) => lineTo(point.x, point.y)),
+          stroke(),
+          popGraphicsState()
+        ]
+      }
+    );
+  }
+}
+
+function addShapeAnnotations(pdfDoc, annotations) {
+  for (const annotation of annotations) {
+    const { page, pageSize, overlaySize } = getAnnotationTarget(pdfDoc, annotation, "shape");
+    const style = annotation.style ?? {};
+    const strokeColor = colorComponents(style.strokeColor ?? "#111111");
+    const fillColor = style.fillColor ? colorComponents(style.fillColor) : null;
+    const opacity = style.opacity ?? 1;
+    const strokeScale =
+      (pageSize.width / overlaySize.width + pageSize.height / overlaySize.height) / 2;
+    const strokeWidth = (style.strokeWidth ?? 2) * strokeScale;
+    const common = {
+      C: strokeColor,
+      CA: opacity,
+      BS: { W: strokeWidth }
+    };
+    if (fillColor) {
+      common.IC = fillColor;
+    }
+    const resources = opacityResources(opacity);
+    const rgbStroke = rgb(...strokeColor);
+    const rgbFill = fillColor ? rgb(...fillColor) : undefined;
+
+    if (annotation.shapeType === "rect" || annotation.shapeType === "ellipse") {
+      const pdfRect = convertOverlayRectToPdfRect(
+        {
+          x: annotation.geometry.x ?? 0,
+          y: annotation.geometry.y ?? 0,
+          width: annotation.geometry.width ?? 0,
+          height: annotation.geometry.height ?? 0
+        },
+        pageSize,
+        overlaySize
+      );
+      const half = strokeWidth / 2;
+      const isRect = annotation.shapeType === "rect";
+      const operators = isRect
+        ? drawRectangle({
+            x: pdfRect.x,
+            y: pdfRect.y,
+            width: pdfRect.width,
+            height: pdfRect.height,
+            borderWidth: strokeWidth,
+            borderColor: rgbStroke,
+            color: rgbFill,
+            rotate: degrees(0),
+            xSkew: degrees(0),
+            ySkew: degrees(0),
+            graphicsState: "GS0"
+          })
+        : drawEllipse({
+            x: pdfRect.x + pdfRect.width / 2,
+            y: pdfRect.y + pdfRect.height / 2,
+            xScale: pdfRect.width / 2,
+            yScale: pdfRect.height / 2,
+            borderWidth: strokeWidth,
+            borderColor: rgbStroke,
+            color: rgbFill,
+            graphicsState: "GS0"
+          });
+      registerPageAnnotation(
+        pdfDoc,
+        page,
+        {
+          Subtype: isRect ? "Square" : "Circle",
+          Rect: [
+            pdfRect.x - half,
+            pdfRect.y - half,
+            pdfRect.x + pdfRect.width + half,
+            pdfRect.y + pdfRect.height + half
+          ],
+          ...common
+        },
+        { resources, operators }
+      );
+      continue;
+    }
+
+    const points = (annotation.geometry.points ?? []).map((point) =>
+      convertOverlayPointToPdfPoint(point, pageSize, overlaySize)
+    );
+    if (points.length < 2) {
+      continue;
+    }
+
+    if (annotation.shapeType === "line" || annotation.shapeType === "arrow") {
+      const start = points[0];
+      const end = points[points.length - 1];
+      const operators = drawLine({
+        start,
+        end,
+        thickness: strokeWidth,
+        color: rgbStroke,
+        graphicsState: "GS0"
+      });
+      const size = Math.max(8, strokeWidth * 3);
+      let headPoints = [];
+      if (annotation.shapeType === "arrow") {
+        const angle = Math.atan2(end.y - start.y, end.x - start.x);
+        headPoints = [angle - Math.PI / 6, angle + Math.PI / 6].map((side) => ({
+          x: end.x - size * Math.cos(side),
+          y: end.y - size * Math.sin(side)
+        }));
+        headPoints.forEach((point) => {
+          operators.push(
+            ...drawLine({
+              start: point,
+              end,
+              thickness: strokeWidth,
+              color: rgbStroke,
+              graphicsState: "GS0"
+            })
+          );
+        });
+      }
+      registerPageAnnotation(
+        pdfDoc,
+        page,
+        {
+          Subtype: "Line",
+          Rect: boundsOfPoints([start, end, ...headPoints], strokeWidth),
+          L: [start.x, start.y, end.x, end.y],
+          LE: ["None", annotation.shapeType === "arrow" ? "OpenArrow" : "None"],
+          ...common
+        },
+        { resources, operators }
+      );
+      continue;
+    }
+
+    if (annotation.shapeType === "polygon" || annotation.shapeType === "cloud") {
+      const isCloud = annotation.shapeType === "cloud";
+      const pathOperators = [moveTo(points[0].x, points[0].y)];
+      for (let i = 0; i < points.length; i += 1) {
+        const current = points[i];
+        const next = points[(i + 1) % points.length];
+        if (isCloud) {
+          const controlX = (current.x + next.x) / 2 + (next.y - current.y) * 0.15;
+          const controlY = (current.y + next.y) / 2 + (current.x - next.x) * 0.15;
+          pathOperators.push(appendQuadraticCurve(controlX, controlY, next.x, next.y));
+        } else if (i < points.length - 1) {
+          pathOperators.push(lineTo(next.x, next.y));
+        }
+      }
+      pathOperators.push(closePath());
+      const paint = [setStrokingRgbColor(...strokeColor), setLineWidth(strokeWidth)];
+      if (fillColor) {
+        paint.push(setFillingRgbColor(...fillColor));
+      }
+      const fields = {
+        Subtype: "Polygon",
+        Rect: boundsOfPoints(points, strokeWidth * 2 + (isCloud ? 8 : 0)),
+        Vertices: points.flatMap((point) => [point.x, point.y]),
+        ...common
+      };
+      if (isCloud) {
+        fields.BE = { S: "C", I: 1 };
+      }
+      registerPageAnnotation(pdfDoc, page, fields, {
+        resources,
+        operators: [
+          pushGraphicsState(),
+          setGraphicsState("GS0"),
+          ...paint,
+          ...pathOperators,
+          fillColor ? fillAndStroke() : stroke(),
+          popGraphicsState()
+        ]
+      });
+    }
+  }
+}
+
+function annotationPlainText(annotation) {
+  if (annotation.spans && annotation.spans.length) {
+    return annotation.spans.map((span) => span.text ?? "").join("");
+  }
+  return String(annotation.text ?? "");
+}
+
+function buildTextLinesOperators(font, fontName, lines, options) {
+  const operators = [setFillingRgbColor(...options.color), beginText()];
+  lines.forEach((line, index) => {
+    if (!line) {
+      return;
+    }
+    operators.push(
+      setFontAndSize(fontName, options.fontSize),
+      setTextMatrix(1, 0, 0, 1, options.x(line), options.y - index * options.lineHeight),
+      showText(font.encodeText(line))
+    );
+  });
+  operators.push(endText());
+  return operators;
+}
+
+function buildPlacedTextOperators(placed, fontNames) {
+  const operators = [];
+  for (const token of placed) {
+    const color = colorComponents(token.color);
+    if (!token.isSpace) {
+      operators.push(
+        setFillingRgbColor(...color),
+        beginText(),
+        setFontAndSize(fontNames.get(token.font), token.fontSize),
+        setTextMatrix(1, 0, 0, 1, token.x, token.y),
+        showText(token.font.encodeText(token.text)),
+        endText()
+      );
+    }
+    if (token.underline) {
+      const underlineOffset = token.fontSize * 0.15;
+      operators.push(
+        setStrokingRgbColor(...color),
+        setLineWidth(Math.max(1, token.fontSize / 12)),
+        moveTo(token.x, token.y - underlineOffset),
+        lineTo(token.x + token.advance, token.y - underlineOffset),
+        stroke()
+      );
+    }
+  }
+  return operators;
+}
+
+function escapeMarkup(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function formatCssColor(color) {
+  return `#${colorComponents(color)
+    .map((value) => Math.round(value * 255).toString(16).padStart(2, "0"))
+    .join("")}`;
+}
+
+function richTextStyle(run) {
+  return [
+    `font-family:${run.family}`,
+    `font-size:${Number(run.fontSize.toFixed(2))}pt`,
+    `font-weight:${run.bold ? "bold" : "normal"}`,
+    `font-style:${run.italic ? "italic" : "normal"}`,
+    `text-decoration:${run.underline ? "underline" : "none"}`,
+    `color:${formatCssColor(run.color)}`
+  ].join(";");
+}
+
+// The /RC entry lets viewers that re-layout FreeText keep each span's styling.
+function buildRichText(runs, align) {
+  const paragraphs = [[]];
+  runs.forEach((run) => {
+    String(run.text ?? "")
+      .split("\n")
+      .forEach((part, index) => {
+        if (index > 0) {
+          paragraphs.push([]);
+        }
+        if (part) {
+          paragraphs[paragraphs.length - 1].push({ ...run, text: part });
+        }
+      });
+  });
+  const body = paragraphs
+    .map(
+      (parts) =>
+        `<p dir="ltr" style="text-align:${align}">` +
+        parts
+          .map((part) => `<span style="${richTextStyle(part)}">${escapeMarkup(part.text)}</span>`)
+          .join("") +
+        "</p>"
+    )
+    .join("");
+  return (
+    '<?xml version="1.0"?><body xmlns="http://www.w3.org/1999/xhtml" ' +
+    'xmlns:xfa="http://www.xfa.org/schema/xfa-data/1.0/" ' +
+    `xfa:APIVersion="Acrobat:11.0.0" xfa:spec="2.0.2">${body}</body>`
+  );
+}
+
+const STANDARD_STAMP_NAMES = [
+  "Approved",
+  "Experimental",
+  "NotApproved",
+  "AsIs",
+  "Expired",
+  "NotForPublicRelease",
+  "Confidential",
+  "Final",
+  "Sold",
+  "Departmental",
+  "ForComment",
+  "TopSecret",
+  "Draft",
+  "ForPublicRelease"
+];
+
+export function findStandardStampName(text) {
+  const key = String(text ?? "")
+    .replace(/[^a-z]/gi, "")
+    .toLowerCase();
+  return STANDARD_STAMP_NAMES.find((name) => name.toLowerCase() === key) ?? null;
+}
+
+async function addFreeTextAnnotations(pdfDoc, annotations, customFonts = []) {
+  const getFont = createTextFontResolver(pdfDoc, customFonts);
+
+  for (const annotation of annotations) {
+    const { page, pageSize, overlaySize } = getAnnotationTarget(pdfDoc, annotation, "text");
+    const pdfRect = convertOverlayRectToPdfRect(annotation, pageSize, overlaySize);
+    const rect = [pdfRect.x, pdfRect.y, pdfRect.x + pdfRect.width, pdfRect.y + pdfRect.height];
+    const text = annotationPlainText(annotation);
+    const scale = pageSize.height / overlaySize.height;
+    const fontSize = Number(((annotation.fontSize ?? 16) * scale).toFixed(2));
+    const color = colorComponents(annotation.color ?? "#000000");
+    const colorOperands = color.map((value) => Number(value.toFixed(3))).join(" ");
+
+    if (annotation.kind === "comment") {
+      const iconSize = 20;
+      const top = rect[3];
+      const iconRect = [rect[0], top - iconSize, rect[0] + iconSize, top];
+      registerPageAnnotation(
+        pdfDoc,
+        page,
+        {
+          Subtype: "Text",
+          Rect: iconRect,
+          Name: "Comment",
+          Contents: PDFHexString.fromText(text),
+          C: [1, 0.85, 0.3],
+          Open: false
+        },
+        {
+          operators: [
+            pushGraphicsState(),
+            setFillingRgbColor(1, 0.85, 0.3),
+            setStrokingRgbColor(...color),
+            setLineWidth(1),
+            rectangle(iconRect[0] + 0.5, iconRect[1] + 0.5, iconSize - 1, iconSize - 1),
+            fillAndStroke(),
+            ...[0.3, 0.5, 0.7].flatMap((ratio) => [
+              moveTo(iconRect[0] + 4, iconRect[1] + iconSize * ratio),
+              lineTo(iconRect[2] - 4, iconRect[1] + iconSize * ratio)
+            ]),
+            stroke(),
+            popGraphicsState()
+          ]
+        }
+      );
+      continue;
+    }
+
+    if (annotation.kind === "stamp") {
+      const { font, label } = await getFont("Helvetica", true, false);
+      assertEncodable(font, label, text);
+      const textWidth = font.widthOfTextAtSize(text, fontSize);
+      // Custom stamp text has no standard icon, so Name is left out and the
+      // appearance stream alone describes it.
+      const stampName = findStandardStampName(text);
+      registerPageAnnotation(
+        pdfDoc,
+        page,
+        {
+          Subtype: "Stamp",
+          Rect: rect,
+          ...(stampName ? { Name: stampName } : {}),
+          Contents: PDFHexString.fromText(text)
+        },
+        {
+          resources: { Font: { F0: font.ref } },
+          operators: [
+            pushGraphicsState(),
+            setStrokingRgbColor(...color),
+            setLineWidth(2),
+            rectangle(rect[0] + 1, rect[1] + 1, pdfRect.width - 2, pdfRect.height - 2),
+            stroke(),
+            ...buildTextLinesOperators(font, "F0", [text], {
+              color,
+              fontSize,
+              lineHeight: fontSize * 1.2,
+              x: () => rect[0] + (pdfRect.width - textWidth) / 2,
+              y: rect[1] + (pdfRect.height - fontSize * 0.7) / 2
+            }),
+            popGraphicsState()
+          ]
+        }
+      );
+      continue;
+    }
+
+    const runs = await buildTextRuns(getFont, annotation, scale);
+    const placed = layoutTextBox(runs, {
+      x: rect[0],
+      top: rect[3],
+      width: pdfRect.width,
+      fontSize,
+      align: annotation.align,
+      lineHeight: annotation.lineHeight
+    });
+    const fontNames = new Map();
+    runs.forEach((run) => {
+      if (!fontNames.has(run.font)) {
+        fontNames.set(run.font, `F${fontNames.size}`);
+      }
+    });
+    const align = annotation.align ?? "left";
+    registerPageAnnotation(
+      pdfDoc,
+      page,
+      {
+        Subtype: "FreeText",
+        Rect: rect,
+        Contents: PDFHexString.fromText(text),
+        DA: PDFString.of(`/F0 ${fontSize} Tf ${colorOperands} rg`),
+        DS: PDFString.of(
+          `font: ${runs[0].family} ${fontSize}pt; text-align:${align}; ` +
+            `color:${formatCssColor(annotation.color ?? "#000000")}`
+        ),
+        RC: PDFHexString.fromText(buildRichText(runs, align)),
+        Q: { center: 1, right: 2 }[annotation.align] ?? 0
+      },
+      {
+        resources: {
+          Font: Object.fromEntries([...fontNames].map(([font, name]) => [name, font.ref]))
+        },
+        operators: [
+          pushGraphicsState(),
+          ...buildPlacedTextOperators(placed, fontNames),
+          popGraphicsState()
+        ]
+      }
+    );
+  }
 }
@@ -0,0 +1,937 @@
+import {
+  PDFArray,
+  PDFDict,
+  PDFName,
+  PDFNumber,
+  PDFRawStream,
+  PDFRef,
+  PDFStream,
+  StandardFontEmbedder,
+  StandardFonts,
+  decodePDFRawStream
+} from "pdf-lib";
+
+// True redaction works on the page content itself: glyphs under a redaction
+// area are dropped from the text operators (their advance is kept so the rest
+// of the line does not move), images are cleared or removed, and annotations
+// that overlap are deleted. Rects are in PDF user space: { x, y, width, height }.
+
+export const IDENTITY = [1, 0, 0, 1, 0, 0];
+const WHITESPACE = new Set(["\0", "\t", "\n", "\f", "\r", " "]);
+const DELIMITERS = new Set(["(", ")", "<", ">", "[", "]", "{", "}", "/", "%"]);
+const MAX_FORM_DEPTH = 8;
+// A glyph counts as covered once this share of its box is under a redaction.
+const GLYPH_COVERAGE = 0.2;
+
+export function multiply(m1, m2) {
+  return [
+    m1[0] * m2[0] + m1[1] * m2[2],
+    m1[0] * m2[1] + m1[1] * m2[3],
+    m1[2] * m2[0] + m1[3] * m2[2],
+    m1[2] * m2[1] + m1[3] * m2[3],
+    m1[4] * m2[0] + m1[5] * m2[2] + m2[4],
+    m1[4] * m2[1] + m1[5] * m2[3] + m2[5]
+  ];
+}
+
+function transformPoint(m, x, y) {
+  return [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+}
+
+function invert(m) {
+  const det = m[0] * m[3] - m[1] * m[2];
+  if (!det) {
+    return null;
+  }
+  return [
+    m[3] / det,
+    -m[1] / det,
+    -m[2] / det,
+    m[0] / det,
+    (m[2] * m[5] - m[3] * m[4]) / det,
+    (m[1] * m[4] - m[0] * m[5]) / det
+  ];
+}
+
+function transformBox(m, x1, y1, x2, y2) {
+  const points = [
+    transformPoint(m, x1, y1),
+    transformPoint(m, x2, y1),
+    transformPoint(m, x1, y2),
+    transformPoint(m, x2, y2)
+  ];
+  const xs = points.map((point) => point[0]);
+  const ys = points.map((point) => point[1]);
+  return {
+    x: Math.min(...xs),
+    y: Math.min(...ys),
+    width: Math.max(...xs) - Math.min(...xs),
+    height: Math.max(...ys) - Math.min(...ys)
+  };
+}
+
+function overlapArea(a, b) {
+  const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+  const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+  return width > 0 && height > 0 ? width * height : 0;
+}
+
+function touchesAny(box, rects) {
+  return rects.some((rect) => overlapArea(box, rect) > 0);
+}
+
+function coveredByAny(box, rects) {
+  return rects.some(
+    (rect) =>
+      rect.x <= box.x &&
+      rect.y <= box.y &&
+      rect.x + rect.width >= box.x + box.width &&
+      rect.y + rect.height >= box.y + box.height
+  );
+}
+
+function isGlyphRedacted(box, rects) {
+  const area = box.width * box.height;
+  if (!area) {
+    return rects.some(
+      (rect) =>
+        box.x >= rect.x &&
+        box.x <= rect.x + rect.width &&
+        box.y >= rect.y &&
+        box.y <= rect.y + rect.height
+    );
+  }
+  return rects.some((rect) => overlapArea(box, rect) >= area * GLYPH_COVERAGE);
+}
+
+export function bytesToBinary(bytes) {
+  let result = "";
+  for (let index = 0; index < bytes.length; index += 0x8000) {
+    result += String.fromCharCode(...bytes.subarray(index, index + 0x8000));
+  }
+  return result;
+}
+
+function binaryToBytes(binary) {
+  const bytes = new Uint8Array(binary.length);
+  for (let index = 0; index < binary.length; index += 1) {
+    bytes[index] = binary.charCodeAt(index) & 0xff;
+  }
+  return bytes;
+}
+
+export function readStreamBytes(stream) {
+  if (stream instanceof PDFRawStream) {
+    return decodePDFRawStream(stream).decode();
+  }
+  if (typeof stream.getUnencodedContents === "function") {
+    return stream.getUnencodedContents();
+  }
+  return stream.getContents();
+}
+
+export function readPageContent(context, page) {
+  const contents = page.node.Contents();
+  const streams =
+    contents instanceof PDFArray
+      ? contents.asArray().map((ref) => context.lookup(ref))
+      : [contents];
+  return streams
+    .filter((stream) => stream instanceof PDFStream)
+    .map((stream) => bytesToBinary(readStreamBytes(stream)))
+    .join("\n");
+}
+
+// Tokenizes a content stream into operators with their operands. Each entry
+// keeps its source range so untouched operators are copied back verbatim.
+export function parseContentStream(source) {
+  let pos = 0;
+  const length = source.length;
+
+  const skipSpace = () => {
+    while (pos < length) {
+      const char = source[pos];
+      if (WHITESPACE.has(char)) {
+        pos += 1;
+      } else if (char === "%") {
+        while (pos < length && source[pos] !== "\n" && source[pos] !== "\r") {
+          pos += 1;
+        }
+      } else {
+        break;
+      }
+    }
+  };
+
+  const readLiteralString = () => {
+    let depth = 1;
+    let value = "";
+    pos += 1;
+    while (pos < length && depth > 0) {
+      const char = source[pos];
+      if (char === "\\") {
+        const next = source[pos + 1];
+        pos += 2;
+        const escapes = { n: "\n", r: "\r", t: "\t", b: "\b", f: "\f" };
+        if (next in escapes) {
+          value += escapes[next];
+        } else if (next >= "0" && next <= "7") {
+          let digits = next;
+          while (digits.length < 3 && source[pos] >= "0" && source[pos] <= "7") {
+            digits += source[pos];
+            pos += 1;
+          }
+          value += String.fromCharCode(parseInt(digits, 8) & 0xff);
+        } else if (next === "\r") {
+          if (source[pos] === "\n") {
+            pos += 1;
+          }
+        } else if (next !== "\n" && next !== undefined) {
+          value += next;
+        }
+        continue;
+      }
+      if (char === "(") {
+        depth += 1;
+      } else if (char === ")") {
+        depth -= 1;
+        if (depth === 0) {
+          pos += 1;
+          break;
+        }
+      }
+      value += char;
+      pos += 1;
+    }
+    return value;
+  };
+
+  const readHexString = () => {
+    const end = source.indexOf(">", pos);
+    const close = end === -1 ? length : end;
+    let hex = source.slice(pos + 1, close).replace(/[^0-9a-fA-F]/g, "");
+    pos = close + 1;
+    if (hex.length % 2) {
+      hex += "0";
+    }
+    let value = "";
+    for (let index = 0; index < hex.length; index += 2) {
+      value += String.fromCharCode(parseInt(hex.slice(index, index + 2), 16));
+    }
+    return value;
+  };
+
+  const readToken = () => {
+    skipSpace();
+    if (pos >= length) {
+      return null;
+    }
+    const start = pos;
+    const char = source[pos];
+    if (char === "(") {
+      return { type: "string", value: readLiteralString(), start, end: pos };
+    }
+    if (char === "<" && source[pos + 1] === "<") {
+      pos += 2;
+      const entries = [];
+      for (;;) {
+        skipSpace();
+        if (pos >= length || source.startsWith(">>", pos)) {
+          pos += 2;
+          break;
+        }
+        const token = readToken();
+        if (!token) {
+          break;
+        }
+        entries.push(token);
+      }
+      return { type: "dict", entries, start, end: pos };
+    }
+    if (char === "<") {
+      return { type: "string", value: readHexString(), start, end: pos };
+    }
+    if (char === "[") {
+      pos += 1;
+      const items = [];
+      for (;;) {
+        skipSpace();
+        if (pos >= length || source[pos] === "]") {
+          pos += 1;
+          break;
+        }
+        const token = readToken();
+        if (!token) {
+          break;
+        }
+        items.push(token);
+      }
+      return { type: "array", items, start, end: pos };
+    }
+    if (char === "/") {
+      pos += 1;
+      while (pos < length && !WHITESPACE.has(source[pos]) && !DELIMITERS.has(source[pos])) {
+        pos += 1;
+      }
+      const value = source
+        .slice(start + 1, pos)
+        .replace(/#([0-9a-fA-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+      return { type: "name", value, start, end: pos };
+    }
+    if (DELIMITERS.has(char)) {
+      pos += 1;
+      return { type: "keyword", value: char, start, end: pos };
+    }
+    while (pos < length && !WHITESPACE.has(source[pos]) && !DELIMITERS.has(source[pos])) {
+      pos += 1;
+    }
+    const word = source.slice(start, pos);
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) {
+      return { type: "number", value: Number(word), start, end: pos };
+    }
+    if (word === "true" || word === "false" || word === "null") {
+      return { type: "literal", value: word, start, end: pos };
+    }
+    return { type: "keyword", value: word, start, end: pos };
+  };
+
+  const operations = [];
+  let operands = [];
+  let start = null;
+  for (;;) {
+    const token = readToken();
+    if (!token) {
+      break;
+    }
+    start ??= token.start;
+    if (token.type !== "keyword") {
+      operands.push(token);
+      continue;
+    }
+    if (token.value === "BI") {
+      // Inline image data is binary; it runs from ID to the next whitespace-delimited EI.
+      const entries = [];
+      for (;;) {
+        const entry = readToken();
+        if (!entry || (entry.type === "keyword" && entry.value === "ID")) {
+          break;
+        }
+        entries.push(entry);
+      }
+      let search = pos + 1;
+      let end = length;
+      while (search < length) {
+        const found = source.indexOf("EI", search);
+        if (found === -1) {
+          break;
+        }
+        const after = source[found + 2];
+        if (WHITESPACE.has(source[found - 1]) && (after === undefined || WHITESPACE.has(after))) {
+          end = found + 2;
+          break;
+        }
+        search = found + 2;
+      }
+      pos = end;
+      operations.push({ operator: "BI", operands: entries, start, end });
+    } else {
+      operations.push({ operator: token.value, operands, start, end: token.end });
+    }
+    operands = [];
+    start = null;
+  }
+  return { source, operations };
+}
+
+function formatNumber(value) {
+  return String(Number(value.toFixed(4)));
+}
+
+function formatHexString(value) {
+  let hex = "";
+  for (let index = 0; index < value.length; index += 1) {
+    hex += value.charCodeAt(index).toString(16).padStart(2, "0");
+  }
+  return `<${hex}>`;
+}
+
+const STANDARD_FONT_NAMES = new Set(Object.values(StandardFonts));
+
+function getFontInfo(context, fontDict, cache) {
+  if (!(fontDict instanceof PDFDict)) {
+    return { codeLength: 1, width: () => 0.5, ascent: 0.8, descent: -0.2 };
+  }
+  if (cache.has(fontDict)) {
+    return cache.get(fontDict);
+  }
+  const subtype = fontDict.lookup(PDFName.of("Subtype"))?.asString?.();
+  const numberAt = (dict, key) => dict?.lookup(PDFName.of(key))?.asNumber?.();
+  let descriptor = fontDict.lookup(PDFName.of("FontDescriptor"));
+  let info;
+  if (subtype === "/Type0") {
+    const descendant = fontDict.lookup(PDFName.of("DescendantFonts"))?.lookup?.(0, PDFDict);
+    descriptor = descendant?.lookup(PDFName.of("FontDescriptor"));
+    const defaultWidth = numberAt(descendant, "DW") ?? 1000;
+    const widths = new Map();
+    const list = descendant?.lookup(PDFName.of("W"));
+    if (list instanceof PDFArray) {
+      const values = list.asArray().map((item) => context.lookup(item));
+      for (let index = 0; index < values.length; ) {
+        const first = values[index]?.asNumber?.();
+        const next = values[index + 1];
+        if (next instanceof PDFArray) {
+          next.asArray().forEach((width, offset) => {
+            widths.set(first + offset, context.lookup(width).asNumber());
+          });
+          index += 2;
+        } else {
+          const last = next?.asNumber?.();
+          const width = values[index + 2]?.asNumber?.() ?? defaultWidth;
+          for (let cid = first; cid <= last; cid += 1) {
+            widths.set(cid, width);
+          }
+          index += 3;
+        }
+      }
+    }
+    info = { codeLength: 2, width: (code) => (widths.get(code) ?? defaultWidth) / 1000 };
+  } else {
+    const firstChar = numberAt(fontDict, "FirstChar") ?? 0;
+    const widthArray = fontDict.lookup(PDFName.of("Widths"));
+    const unitScale =
+      subtype === "/Type3"
+        ? fontDict.lookup(PDFName.of("FontMatrix"))?.lookup?.(0)?.asNumber?.() ?? 0.001
+        : 0.001;
+    const missingWidth = numberAt(descriptor, "MissingWidth");
+    const baseFont = fontDict.lookup(PDFName.of("BaseFont"))?.asString?.().slice(1) ?? "";
+    const standardName = baseFont.replace(/^[A-Z]{6}\+/, "");
+    const embedder = STANDARD_FONT_NAMES.has(standardName)
+      ? StandardFontEmbedder.for(standardName)
+      : null;
+    info = {
+      codeLength: 1,
+      width: (code) => {
+        const entry = widthArray instanceof PDFArray ? widthArray.lookup(code - firstChar) : null;
+        if (entry instanceof PDFNumber) {
+          return entry.asNumber() * unitScale;
+        }
+        if (embedder && (code < 128 || code >= 160)) {
+          try {
+            return embedder.widthOfTextAtSize(String.fromCharCode(code), 1000) / 1000;
+          } catch (error) {
+            return 0.5;
+          }
+        }
+        return missingWidth !== undefined ? missingWidth * unitScale : 0.5;
+      }
+    };
+  }
+  const ascent = numberAt(descriptor, "Ascent");
+  const descent = numberAt(descriptor, "Descent");
+  info.ascent = ascent > 0 ? ascent / 1000 : 0.8;
+  info.descent = descent < 0 ? descent / 1000 : -0.2;
+  cache.set(fontDict, info);
+  return info;
+}
+
+function lookupResource(resources, category, name) {
+  return resources?.lookup(PDFName.of(category))?.lookup?.(PDFName.of(name));
+}
+
+// Pages and forms can share resource dictionaries, so redaction works on a copy
+// it can add XObjects to and drop the redacted originals from.
+function copyResources(context, resources) {
+  const copy = resources instanceof PDFDict ? resources.clone(context) : context.obj({});
+  const xobjects = copy.lookup(PDFName.of("XObject"));
+  if (xobjects instanceof PDFDict) {
+    copy.set(PDFName.of("XObject"), xobjects.clone(context));
+  }
+  return copy;
+}
+
+function addResource(context, resources, category, prefix, value) {
+  let group = resources.lookup(PDFName.of(category));
+  if (!(group instanceof PDFDict)) {
+    group = context.obj({});
+    resources.set(PDFName.of(category), group);
+  }
+  let index = 1;
+  while (group.has(PDFName.of(`${prefix}${index}`))) {
+    index += 1;
+  }
+  const name = `${prefix}${index}`;
+  group.set(PDFName.of(name), value);
+  return name;
+}
+
+function getImageComponents(context, image) {
+  const colorSpace = image.lookup(PDFName.of("ColorSpace"));
+  const name = colorSpace instanceof PDFName ? colorSpace.asString() : null;
+  if (name === "/DeviceGray") {
+    return 1;
+  }
+  if (name === "/DeviceRGB") {
+    return 3;
+  }
+  if (name === "/DeviceCMYK") {
+    return 4;
+  }
+  if (colorSpace instanceof PDFArray && colorSpace.lookup(0)?.asString?.() === "/ICCBased") {
+    return context.lookup(colorSpace.get(1))?.dict?.lookup(PDFName.of("N"))?.asNumber?.() ?? null;
+  }
+  return null;
+}
+
+// Reads the samples of a plain 8-bit image. Returns null for encodings that
+// cannot be rewritten sample by sample.
+export function readImagePixels(context, image) {
+  const width = image.dict.lookup(PDFName.of("Width"))?.asNumber?.();
+  const height = image.dict.lookup(PDFName.of("Height"))?.asNumber?.();
+  const bits = image.dict.lookup(PDFName.of("BitsPerComponent"))?.asNumber?.();
+  const components = getImageComponents(context, image.dict);
+  const filter = image.dict.lookup(PDFName.of("Filter"));
+  const supportedFilter =
+    !filter || (filter instanceof PDFName && filter.asString() === "/FlateDecode");
+  if (
+    !width ||
+    !height ||
+    bits !== 8 ||
+    !components ||
+    !supportedFilter ||
+    image.dict.has(PDFName.of("DecodeParms")) ||
+    image.dict.has(PDFName.of("ImageMask"))
+  ) {
+    return null;
+  }
+  let pixels;
+  try {
+    pixels = new Uint8Array(readStreamBytes(image));
+  } catch (error) {
+    return null;
+  }
+  if (pixels.length < width * height * components) {
+    return null;
+  }
+  return { width, height, components, pixels };
+}
+
+// Clears the covered pixels of a plain 8-bit image, or of one the caller
+// decoded up front, into a new image stream. Returns null when the image cannot
+// be rewritten, so the caller removes it.
+function redactImagePixels(context, image, ctm, rects, decodedImages) {
+  const inverse = invert(ctm);
+  if (!inverse) {
+    return null;
+  }
+  const width = image.dict.lookup(PDFName.of("Width"))?.asNumber?.();
+  const height = image.dict.lookup(PDFName.of("Height"))?.asNumber?.();
+  const preDecoded = decodedImages.get(image);
+  const decoded =
+    preDecoded?.width === width && preDecoded?.height === height
+      ? { ...preDecoded, pixels: preDecoded.pixels.slice() }
+      : readImagePixels(context, image);
+  if (!decoded) {
+    return null;
+  }
+  const { components, pixels, colorSpace } = decoded;
+  rects.forEach((rect) => {
+    const box = transformBox(inverse, rect.x, rect.y, rect.x + rect.width, rect.y + rect.height);
+    const left = Math.max(0, Math.floor(box.x * width));
+    const right = Math.min(width, Math.ceil((box.x + box.width) * width));
+    const top = Math.max(0, Math.floor((1 - box.y - box.height) * height));
+    const bottom = Math.min(height, Math.ceil((1 - box.y) * height));
+    for (let row = top; row < bottom; row += 1) {
+      pixels.fill(0, (row * width + left) * components, (row * width + right) * components);
+    }
+  });
+  // Decoded JPEGs come back in their own color space, which replaces the original.
+  const dropped = colorSpace
+    ? ["/Filter", "/DecodeParms", "/Length", "/ColorSpace", "/Decode"]
+    : ["/Filter", "/DecodeParms", "/Length"];
+  const dict = {};
+  image.dict.entries().forEach(([key, value]) => {
+    if (!dropped.includes(key.asString())) {
+      dict[key.asString().slice(1)] = value;
+    }
+  });
+  if (colorSpace) {
+    dict.ColorSpace = colorSpace;
+    dict.BitsPerComponent = 8;
+  }
+  return context.register(context.flateStream(pixels, dict));
+}
+
+function redactContent(context, parsed, resources, rects, baseCtm, depth, stats, decodedImages) {
+  const fontCache = new Map();
+  const output = [];
+  const stack = [];
+  let graphics = {
+    ctm: baseCtm,
+    font: null,
+    fontSize: 0,
+    charSpacing: 0,
+    wordSpacing: 0,
+    scale: 1,
+    leading: 0,
+    rise: 0
+  };
+  let textMatrix = IDENTITY;
+  let lineMatrix = IDENTITY;
+  const usedXObjects = new Set();
+  const replacedXObjects = new Set();
+
+  const moveLine = (tx, ty) => {
+    lineMatrix = multiply([1, 0, 0, 1, tx, ty], lineMatrix);
+    textMatrix = lineMatrix;
+  };
+
+  // Walks the glyphs of one string, advancing the text matrix, and returns the
+  // TJ parts that keep the visible glyphs and replace the others with spacing.
+  const showString = (value) => {
+    const font = graphics.font ?? getFontInfo(context, null, fontCache);
+    const parts = [];
+    let kept = "";
+    let removed = false;
+    const size = graphics.fontSize;
+    for (let index = 0; index < value.length; index += font.codeLength) {
+      const bytes = value.slice(index, index + font.codeLength);
+      const code =
+        font.codeLength === 2
+          ? (bytes.charCodeAt(0) << 8) | (bytes.charCodeAt(1) || 0)
+          : bytes.charCodeAt(0);
+      const glyphWidth = font.width(code);
+      const spacing =
+        graphics.charSpacing + (font.codeLength === 1 && code === 32 ? graphics.wordSpacing : 0);
+      const advance = (glyphWidth * size + spacing) * graphics.scale;
+      const renderMatrix = multiply(
+        multiply([size * graphics.scale, 0, 0, size, 0, graphics.rise], textMatrix),
+        graphics.ctm
+      );
+      const box = transformBox(renderMatrix, 0, font.descent, glyphWidth, font.ascent);
+      if (isGlyphRedacted(box, rects)) {
+        removed = true;
+        stats.glyphs += 1;
+        if (kept) {
+          parts.push({ text: kept });
+          kept = "";
+        }
+        if (size) {
+          parts.push({ adjust: -((glyphWidth * size + spacing) * 1000) / size });
+        }
+      } else {
+        kept += bytes;
+      }
+      textMatrix = multiply([1, 0, 0, 1, advance, 0], textMatrix);
+    }
+    if (kept) {
+      parts.push({ text: kept });
+    }
+    return { parts, removed };
+  };
+
+  const formatPart = (part) =>
+    part.text !== undefined ? formatHexString(part.text) : formatNumber(part.adjust);
+  const formatParts = (parts) => `[${parts.map(formatPart).join(" ")}] TJ`;
+
+  const showTextArray = (items) => {
+    const parts = [];
+    let removed = false;
+    items.forEach((item) => {
+      if (item.type === "string") {
+        const shown = showString(item.value);
+        removed = removed || shown.removed;
+        parts.push(...shown.parts);
+      } else if (item.type === "number") {
+        textMatrix = multiply(
+          [1, 0, 0, 1, (-item.value / 1000) * graphics.fontSize * graphics.scale, 0],
+          textMatrix
+        );
+        parts.push({ adjust: item.value });
+      }
+    });
+    return { parts, removed };
+  };
+
+  parsed.operations.forEach((operation) => {
+    const { operator, operands } = operation;
+    const numbers = operands.map((operand) => operand.value);
+    const raw = parsed.source.slice(operation.start, operation.end);
+    let replacement = raw;
+    switch (operator) {
+      case "q":
+        stack.push(graphics);
+        graphics = { ...graphics };
+        break;
+      case "Q":
+        graphics = stack.pop() ?? graphics;
+        break;
+      case "cm":
+        if (numbers.length === 6) {
+          graphics.ctm = multiply(numbers, graphics.ctm);
+        }
+        break;
+      case "BT":
+        textMatrix = IDENTITY;
+        lineMatrix = IDENTITY;
+        break;
+      case "Tf": {
+        const fontDict = lookupResource(resources, "Font", operands[0]?.value);
+        graphics.font = getFontInfo(context, fontDict, fontCache);
+        graphics.fontSize = numbers[1] ?? 0;
+        break;
+      }
+      case "Tc":
+        graphics.charSpacing = numbers[0] ?? 0;
+        break;
+      case "Tw":
+        graphics.wordSpacing = numbers[0] ?? 0;
+        break;
+      case "Tz":
+        graphics.scale = (numbers[0] ?? 100) / 100;
+        break;
+      case "TL":
+        graphics.leading = numbers[0] ?? 0;
+        break;
+      case "Ts":
+        graphics.rise = numbers[0] ?? 0;
+        break;
+      case "Td":
+        moveLine(numbers[0] ?? 0, numbers[1] ?? 0);
+        break;
+      case "TD":
+        graphics.leading = -(numbers[1] ?? 0);
+        moveLine(numbers[0] ?? 0, numbers[1] ?? 0);
+        break;
+      case "Tm":
+        if (numbers.length === 6) {
+          textMatrix = numbers;
+          lineMatrix = numbers;
+        }
+        break;
+      case "T*":
+        moveLine(0, -graphics.leading);
+        break;
+      case "Tj":
+      case "'":
+      case '"': {
+        let prefix = "";
+        if (operator === '"') {
+          graphics.wordSpacing = numbers[0] ?? 0;
+          graphics.charSpacing = numbers[1] ?? 0;
+          prefix =
+            `${formatNumber(graphics.wordSpacing)} Tw ` +
+            `${formatNumber(graphics.charSpacing)} Tc `;
+        }
+        if (operator !== "Tj") {
+          moveLine(0, -graphics.leading);
+          prefix += "T* ";
+        }
+        const text = operands.find((operand) => operand.type === "string");
+        const shown = text ? showString(text.value) : { parts: [], removed: false };
+        if (shown.removed) {
+          replacement = `${prefix}${formatParts(shown.parts)}`;
+        }
+        break;
+      }
+      case "TJ": {
+        const array = operands.find((operand) => operand.type === "array");
+        const shown = array ? showTextArray(array.items) : { parts: [], removed: false };
+        if (shown.removed) {
+          replacement = formatParts(shown.parts);
+        }
+        break;
+      }
+      case "BI": {
+        const box = transformBox(graphics.ctm, 0, 0, 1, 1);
+        if (touchesAny(box, rects)) {
+          replacement = "";
+          stats.images += 1;
+        }
+        break;
+      }
+      case "Do": {
+        const name = operands[0]?.value;
+        const ref = resources?.lookup(PDFName.of("XObject"))?.get?.(PDFName.of(name));
+        const xobject = context.lookup(ref);
+        if (!(xobject instanceof PDFStream)) {
+          break;
+        }
+        const subtype = xobject.dict.lookup(PDFName.of("Subtype"))?.asString?.();
+        if (subtype === "/Image") {
+          const box = transformBox(graphics.ctm, 0, 0, 1, 1);
+          if (!touchesAny(box, rects)) {
+            break;
+          }
+          stats.images += 1;
+          const covered = coveredByAny(box, rects);
+          const cleared = covered
+            ? null
+            : redactImagePixels(context, xobject, graphics.ctm, rects, decodedImages);
+          if (!covered && !cleared) {
+            stats.wholeImages += 1;
+          }
+          replacement = cleared
+            ? `/${addResource(context, resources, "XObject", "RedactedIm", cleared)} Do`
+            : "";
+          replacedXObjects.add(name);
+        } else if (subtype === "/Form") {
+          const matrix =
+            xobject.dict
+              .lookup(PDFName.of("Matrix"))
+              ?.asArray?.()
+              .map((value) => context.lookup(value).asNumber()) ?? IDENTITY;
+          const bbox = xobject.dict
+            .lookup(PDFName.of("BBox"))
+            ?.asArray?.()
+            .map((value) => context.lookup(value).asNumber());
+          const formCtm = multiply(matrix, graphics.ctm);
+          const box = bbox
+            ? transformBox(formCtm, bbox[0], bbox[1], bbox[2], bbox[3])
+            : transformBox(graphics.ctm, -1e6, -1e6, 1e6, 1e6);
+          if (!touchesAny(box, rects)) {
+            break;
+          }
+          if (depth >= MAX_FORM_DEPTH) {
+            replacement = "";
+            replacedXObjects.add(name);
+            break;
+          }
+          const ownResources = xobject.dict.lookup(PDFName.of("Resources"));
+          const formResources = copyResources(
+            context,
+            ownResources instanceof PDFDict ? ownResources : resources
+          );
+          const formContent = parseContentStream(bytesToBinary(readStreamBytes(xobject)));
+          const redacted = redactContent(
+            context,
+            formContent,
+            formResources,
+            rects,
+            formCtm,
+            depth + 1,
+            stats,
+            decodedImages
+          );
+          if (redacted.changed) {
+            // Forms can be shared with other pages, so the redacted copy gets its own name.
+            const dict = {};
+            xobject.dict.entries().forEach(([key, value]) => {
+              if (!["/Filter", "/DecodeParms", "/Length"].includes(key.asString())) {
+                dict[key.asString().slice(1)] = value;
+              }
+            });
+            dict.Resources = formResources;
+            const form = context.register(
+              context.flateStream(binaryToBytes(redacted.content), dict)
+            );
+            replacement = `/${addResource(context, resources, "XObject", "RedactedFm", form)} Do`;
+            replacedXObjects.add(name);
+          }
+        }
+        break;
+      }
+      default:
+        break;
+    }
+    if (operator === "Do" && replacement === raw) {
+      usedXObjects.add(operands[0]?.value);
+    }
+    output.push(replacement);
+  });
+  const changed = output.some(
+    (entry, index) =>
+      entry !==
+      parsed.source.slice(parsed.operations[index].start, parsed.operations[index].end)
+  );
+  // A redacted original that nothing else here draws would still carry the
+  // removed content into the file, so its entry goes.
+  const xobjects = resources.lookup(PDFName.of("XObject"));
+  replacedXObjects.forEach((name) => {
+    if (!usedXObjects.has(name) && xobjects instanceof PDFDict) {
+      xobjects.delete(PDFName.of(name));
+    }
+  });
+  return { content: output.join("\n"), changed };
+}
+
+function removeAcroFormField(pdfDoc, ref) {
+  const acroForm = pdfDoc.catalog.lookup(PDFName.of("AcroForm"));
+  const fields = acroForm?.lookup?.(PDFName.of("Fields"));
+  if (!(fields instanceof PDFArray)) {
+    return;
+  }
+  const prune = (array) => {
+    for (let index = array.size() - 1; index >= 0; index -= 1) {
+      const entry = array.get(index);
+      if (entry instanceof PDFRef && entry === ref) {
+        array.remove(index);
+        continue;
+      }
+      const kids = pdfDoc.context.lookup(entry)?.lookup?.(PDFName.of("Kids"));
+      if (kids instanceof PDFArray) {
+        prune(kids);
+        if (kids.size() === 0) {
+          array.remove(index);
+        }
+      }
+    }
+  };
+  prune(fields);
+}
+
+function removeAnnotations(pdfDoc, page, rects, stats) {
+  const annots = page.node.Annots();
+  if (!annots) {
+    return;
+  }
+  for (let index = annots.size() - 1; index >= 0; index -= 1) {
+    const ref = annots.get(index);
+    const annotation = pdfDoc.context.lookup(ref);
+    const rect = annotation?.lookup?.(PDFName.of("Rect"))?.asArray?.();
+    if (!rect) {
+      continue;
+    }
+    const [x1, y1, x2, y2] = rect.map((value) => pdfDoc.context.lookup(value).asNumber());
+    const box = {
+      x: Math.min(x1, x2),
+      y: Math.min(y1, y2),
+      width: Math.abs(x2 - x1),
+      height: Math.abs(y2 - y1)
+    };
+    if (!touchesAny(box, rects)) {
+      continue;
+    }
+    annots.remove(index);
+    stats.annotations += 1;
+    if (annotation.lookup(PDFName.of("Subtype"))?.asString?.() === "/Widget") {
+      removeAcroFormField(pdfDoc, ref);
+    }
+  }
+}
+
+// Rewrites a page's content without the covered text and images, drops
+// overlapping annotations and reports what was removed. decodedImages maps image
+// streams this module cannot decode itself to their pixels.
+export function redactPageContent(pdfDoc, page, rects, decodedImages = new Map()) {
+  const stats = { glyphs: 0, images: 0, wholeImages: 0, annotations: 0 };
+  const { context } = pdfDoc;
+  const resources = copyResources(context, page.node.Resources());
+  const parsed = parseContentStream(readPageContent(context, page));
+  const redacted = redactContent(
+    context,
+    parsed,
+    resources,
+    rects,
+    IDENTITY,
+    0,
+    stats,
+    decodedImages
+  );
+  if (redacted.changed) {
+    const stream = context.register(context.flateStream(binaryToBytes(redacted.content)));
+    page.node.set(PDFName.of("Contents"), stream);
+    page.node.set(PDFName.of("Resources"), resources);
+  }
+  removeAnnotations(pdfDoc, page, rects, stats);
+  return stats;
+}
@@ -0,0 +1,134 @@
+const MONTHS =
+  "Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|" +
+  "Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?";
+
+// Earlier presets win when matches overlap, so the stricter checks come first.
+export const REDACTION_PATTERNS = [
+  {
+    id: "card",
+    label: "Card numbers",
+    pattern: /(?<![\d-])\d(?:[ -]?\d){12,18}(?![\d-])/g,
+    validate: (match) => isValidLuhn(match.replace(/\D/g, ""))
+  },
+  {
+    id: "iban",
+    label: "IBANs",
+    pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}\b/g,
+    validate: (match) => isValidIban(match)
+  },
+  {
+    id: "ssn",
+    label: "US Social Security numbers",
+    // Both separators must match, so "123-45 6789" is not taken for one number.
+    pattern: /(?<![\d-])(?!000|666|9\d\d)\d{3}([- ]?)(?!00)\d{2}\1(?!0000)\d{4}(?![\d-])/g
+  },
+  {
+    id: "email",
+    label: "Email addresses",
+    pattern: /[\p{L}\p{N}._%+-]+@[\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)*\.\p{L}{2,}/gu
+  },
+  {
+    id: "date",
+    label: "Dates",
+    pattern: new RegExp(
+      [
+        "\\b\\d{4}-\\d{1,2}-\\d{1,2}\\b",
+        "\\b\\d{1,2}[/.-]\\d{1,2}[/.-](?:\\d{4}|\\d{2})\\b",
+        `\\b(?:${MONTHS})\\.? \\d{1,2}(?:st|nd|rd|th)?,? \\d{4}\\b`,
+        `\\b\\d{1,2}(?:st|nd|rd|th)? (?:${MONTHS})\\.?,? \\d{4}\\b`
+      ].join("|"),
+      "gi"
+    )
+  },
+  {
+    id: "phone",
+    label: "Phone numbers",
+    pattern: new RegExp(
+      "(?<![\\w+-])(?:\\+\\d{1,3}[ .-]?)?(?:\\(\\d{1,4}\\)[ .-]?)?" +
+        "\\d{2,4}(?:[ .-]?\\d{2,4}){1,3}(?![\\w-])",
+      "g"
+    ),
+    validate: (match) => {
+      const digits = match.replace(/\D/g, "").length;
+      return digits >= 7 && digits <= 15 && /[ .()+-]/.test(match);
+    }
+  }
+];
+
+export function isValidLuhn(digits) {
+  if (!/^\d{13,19}$/.test(digits)) {
+    return false;
+  }
+  let sum = 0;
+  for (let index = 0; index < digits.length; index += 1) {
+    let digit = Number(digits[digits.length - 1 - index]);
+    if (index % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+export function isValidIban(value) {
+  const iban = value.replace(/ /g, "").toUpperCase();
+  if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(iban)) {
+    return false;
+  }
+  // Mod 97 over the rearranged number, one digit at a time to stay in range.
+  const rearranged = `${iban.slice(4)}${iban.slice(0, 4)}`;
+  let remainder = 0;
+  for (const char of rearranged) {
+    const value = char >= "A" ? String(char.charCodeAt(0) - 55) : char;
+    for (const digit of value) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+  }
+  return remainder === 1;
+}
+
+// Custom patterns come one per line; each line is compiled on its own so a bad
+// one can be reported by line number.
+export function parseCustomPatterns(source) {
+  const patterns = [];
+  source.split("\n").forEach((line, index) => {
+    const expression = line.trim();
+    if (!expression) {
+      return;
+    }
+    try {
+      patterns.push({
+        id: `custom-${index + 1}`,
+        label: "Custom pattern",
+        // Unicode mode rejects common escapes like \-, so it is only used when asked for.
+        pattern: new RegExp(expression, /\\[pPu]\{/.test(expression) ? "gu" : "g")
+      });
+    } catch (error) {
+      throw new Error(`Custom pattern on line ${index + 1} is not valid: ${error.message}`);
+    }
+  });
+  return patterns;
+}
+
+// Returns non-overlapping matches in text order, each tagged with its preset.
+export function findSensitiveMatches(text, patterns) {
+  const taken = [];
+  patterns.forEach((preset) => {
+    const pattern = new RegExp(preset.pattern.source, preset.pattern.flags);
+    for (const match of text.matchAll(pattern)) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (end === start || (preset.validate && !preset.validate(match[0]))) {
+        continue;
+      }
+      if (taken.some((entry) => start < entry.end && end > entry.start)) {
+        continue;
+      }
+      taken.push({ start, end, patternId: preset.id, label: preset.label, match: match[0] });
+    }
+  });
+  return taken.sort((a, b) => a.start - b.start);
+}
@@ -3,6 +3,7 @@ const STORE_NAME = "pdfs";
 const LAST_KEY = "last-session";
 const SIGNATURE_KEY = "signature-profile";
 const SESSION_HISTORY_KEY = "session-history";
+const CUSTOM_FONTS_KEY = "custom-fonts";
 
 function openDb() {
   if (typeof indexedDB === "undefined") {
@@ -124,3 +125,29 @@ export async function clearSessionHistory() {
     tx.objectStore(STORE_NAME).delete(SESSION_HISTORY_KEY);
   });
 }
+
+export async function saveCustomFonts(fonts) {
+  const db = await openDb();
+  if (!db) {
+    return false;
+  }
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_NAME, "readwrite");
+    tx.oncomplete = () => resolve(true);
+    tx.onerror = () => reject(tx.error);
+    tx.objectStore(STORE_NAME).put(fonts, CUSTOM_FONTS_KEY);
+  });
+}
+
+export async function loadCustomFonts() {
+  const db = await openDb();
+  if (!db) {
+    return [];
+  }
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_NAME, "readonly");
+    const request = tx.objectStore(STORE_NAME).get(CUSTOM_FONTS_KEY);
+    request.onsuccess = () => resolve(request.result ?? []);
+    request.onerror = () => reject(request.error);
+  });
+}
@@ -0,0 +1,64 @@
+export const TEXT_MARKUP_TYPES = [
+  { id: "highlight", label: "Highlight text", subtype: "Highlight" },
+  { id: "underline", label: "Underline", subtype: "Underline" },
+  { id: "strikeout", label: "Strikethrough", subtype: "StrikeOut" },
+  { id: "squiggly", label: "Squiggly underline", subtype: "Squiggly" }
+];
+
+export function getTextMarkupType(id) {
+  return TEXT_MARKUP_TYPES.find((type) => type.id === id) ?? null;
+}
+
+// Line markup is drawn in overlay coordinates, where y grows downward. Text
+// rects reach from the descent to the ascent, so the baseline sits at 80%.
+export function getMarkupStroke(markupType, rect) {
+  const width = Math.max(1, rect.height * 0.07);
+  const left = rect.x;
+  const right = rect.x + rect.width;
+  if (markupType === "underline") {
+    const y = rect.y + rect.height * 0.86;
+    return { width, points: [{ x: left, y }, { x: right, y }] };
+  }
+  if (markupType === "strikeout") {
+    const y = rect.y + rect.height * 0.55;
+    return { width, points: [{ x: left, y }, { x: right, y }] };
+  }
+  if (markupType === "squiggly") {
+    const y = rect.y + rect.height * 0.9;
+    const amplitude = Math.max(1, rect.height * 0.05);
+    const step = Math.max(2, rect.height * 0.15);
+    const points = [];
+    for (let x = left, index = 0; x < right; x += step, index += 1) {
+      points.push({ x, y: index % 2 ? y - amplitude : y + amplitude });
+    }
+    points.push({ x: right, y: points.length % 2 ? y - amplitude : y + amplitude });
+    return { width, points };
+  }
+  return null;
+}
+
+// Glyph boxes of one line arrive per text item; joining neighbours keeps the
+// markup to one rect per line run.
+export function mergeLineRects(rects) {
+  const merged = [];
+  rects.forEach((rect) => {
+    const last = merged[merged.length - 1];
+    if (
+      last &&
+      Math.abs(last.y - rect.y) < rect.height * 0.3 &&
+      Math.abs(last.height - rect.height) < rect.height * 0.3 &&
+      rect.x >= last.x - 1 &&
+      rect.x <= last.x + last.width + rect.height * 0.5
+    ) {
+      const right = Math.max(last.x + last.width, rect.x + rect.width);
+      const top = Math.min(last.y, rect.y);
+      const bottom = Math.max(last.y + last.height, rect.y + rect.height);
+      last.width = right - last.x;
+      last.y = top;
+      last.height = bottom - top;
+      return;
+    }
+    merged.push({ ...rect });
+  });
+  return merged;
+}
@@ -4,16 +4,22 @@ import { clearSessionHistory } from "../src/storage.js";
 
 vi.mock("../src/pdfService.js", () => {
   return {
+    isFontBytes: () => true,
     isPdfBytes: () => true,
     isPdfFile: () => true,
     loadPdfDocument: async () => ({ numPages: 2 }),
     mergePdfs: async (bytes) => bytes,
-    readFileAsArrayBuffer: async () => new Uint8Array([37, 80, 68, 70]).buffer,
+    readFileAsArrayBuffer: vi.fn(async () => new Uint8Array([37, 80, 68, 70]).buffer),
     renderPageToCanvas: async (_doc, _page, canvas) => {
       canvas.width = 600;
       canvas.height = 800;
     },
-    reorderPdf: async (bytes) => bytes,
+    renderTextLayer: vi.fn(async () => true),
+    reorderPdf: vi.fn(async (bytes) => bytes),
+    redactPdf: vi.fn(async (bytes) => ({
+      bytes,
+      removed: { glyphs: 9, images: 1, wholeImages: 1, annotations: 0 }
+    })),
     applyImageAnnotations: async (bytes) => bytes,
     applyPageProperties: async (bytes) => bytes,
     applyShapeAnnotations: async (bytes) => bytes,
@@ -21,10 +27,57 @@ vi.mock("../src/pdfService.js", () => {
     applySignatureAnnotations: async (bytes) => bytes,
     applyDrawAnnotations: async (bytes) => bytes,
     applyHighlightAnnotations: async (bytes) => bytes,
+    exportDocument: vi.fn(async (bytes) => bytes),
+    extractPageText: async (_doc, page) => {
+      const text = page === 1 ? "The quick brown fox" : "A lazy fox sleeps";
+      return { text, items: [{ index: 0, start: 0, str: text }] };
+    },
+    findTextMatches: (text, query) => {
+      const start = text.indexOf(query);
+      return start === -1 ? [] : [{ start, end: start + query.length }];
+    },
+    getTextRangeQuads: vi.fn(() => [[0, 10, 20, 10, 0, 0, 20, 0]]),
+    convertViewportRectToPdfRect: async (_doc, _page, rect) => ({
+      x: rect.x,
+      y: 700 - rect.y - rect.height,
+      width: rect.width,
+      height: rect.height
+    }),
+    convertQuadsToViewportRects: async (_doc, _page, quads) =>
+      quads.map(() => ({ x: 10, y: 20, width: 30, height: 12 })),
+    getPageSize: async () => ({ width: 500, height: 700 }),
+    readFormFields: vi.fn(async () => ({ fields: [], values: {} })),
+    readPdfMetadata: async () => ({
+      title: "Service Contract",
+      author: "Legal",
+      subject: "",
+      keywords: "",
+      creator: "",
+      producer: "",
+      creationDate: new Date(2024, 0, 2, 3, 4),
+      modificationDate: null
+    }),
+    importPdfAnnotations: vi.fn(async () => ({
+      highlightAnnotations: [],
+      drawAnnotations: [],
+      shapeAnnotations: [],
+      commentAnnotations: [],
+      textAnnotations: [],
+      importedIds: []
+    })),
+    hidePdfAnnotations: () => {},
     splitPdf: async (bytes, groups) => groups.map(() => bytes)
   };
 });
 
+vi.mock("../src/pdfSecurity.js", () => {
+  return {
+    encryptPdf: vi.fn(async (bytes) => bytes),
+    hasEncryptionDictionary: vi.fn(() => false),
+    unlockPdf: vi.fn()
+  };
+});
+
 let initApp;
 
 beforeAll(async () => {
@@ -264,6 +317,492 @@ describe("app shell", () => {
     expect(overlay.querySelectorAll(".annotation").length).toBe(1);
   });
 
+  it("refuses an incremental save once a reorder rewrote the PDF", async () => {
+    const { exportDocument } = await import("../src/pdfService.js");
+    const root = setupDom();
+    initApp(root);
+    const loadInput = root.querySelector("[data-role=\"pdf-load\"]");
+    setInputFiles(loadInput, [new File(["%PDF-1.4"], "signed.pdf", { type: "application/pdf" })]);
+    loadInput.dispatchEvent(new Event("change", { bubbles: true }));
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    root.querySelector("[data-role=\"export-button\"]").click();
+    const saveModeSelect = root.querySelector("[data-role=\"export-save-mode\"]");
+    saveModeSelect.value = "incremental";
+    saveModeSelect.dispatchEvent(new Event("change"));
+    const clickSpy = vi.spyOn(HTMLAnchorElement.prototype, "click").mockImplementation(() => {});
+    exportDocument.mockClear();
+    root.querySelector("[data-role=\"export-confirm\"]").click();
+    await waitFor(() => exportDocument.mock.calls.length, 10);
+    expect(exportDocument).toHaveBeenCalledTimes(1);
+
+    root.querySelector("[data-role=\"tool-page-properties\"]").click();
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    Array.from(root.querySelectorAll("button"))
+      .find((button) => button.textContent === "Down")
+      .click();
+    Array.from(root.querySelectorAll("button"))
+      .find((button) => button.textContent === "Apply Reorder")
+      .click();
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    exportDocument.mockClear();
+    root.querySelector("[data-role=\"export-button\"]").click();
+    root.querySelector("[data-role=\"export-confirm\"]").click();
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    clickSpy.mockRestore();
+    expect(exportDocument).not.toHaveBeenCalled();
+    expect(root.querySelector(".status").textContent).toBe(
+      "This PDF was rewritten by reordering, redacting or merging, so it needs a full save."
+    );
+    saveModeSelect.value = "full";
+    saveModeSelect.dispatchEvent(new Event("change"));
+  });
+
+  it("keeps export settings and drops extra steps while undoing a reorder", async () => {
+    const { reorderPdf } = await import("../src/pdfService.js");
+    const root = setupDom();
+    initApp(root);
+    const loadInput = root.querySelector("[data-role=\"pdf-load\"]");
+    setInputFiles(loadInput, [new File(["%PDF-1.4"], "draft.pdf", { type: "application/pdf" })]);
+    loadInput.dispatchEvent(new Event("change", { bubbles: true }));
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    root.querySelector("[data-role=\"export-button\"]").click();
+    const fileNameInput = root.querySelector("[data-role=\"export-filename\"]");
+    fileNameInput.value = "final.pdf";
+    fileNameInput.dispatchEvent(new Event("change"));
+
+    root.querySelector("[data-role=\"tool-page-properties\"]").click();
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    const findButton = (label) =>
+      Array.from(root.querySelectorAll("button")).find((button) => button.textContent === label);
+    findButton("Down").click();
+    reorderPdf.mockImplementationOnce(async () => new Uint8Array([37, 80, 68, 70, 50]));
+    findButton("Apply Reorder").click();
+    await waitFor(() => root.querySelector(".page-item span").textContent === "Page 1");
+
+    const undoButton = root.querySelector("[data-role=\"undo-button\"]");
+    undoButton.click();
+    undoButton.click();
+    await waitFor(() => root.querySelector(".status").textContent === "Undone.");
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    expect(root.querySelector(".page-item span").textContent).toBe("Page 2");
+
+    root.querySelector("[data-role=\"export-button\"]").click();
+    expect(fileNameInput.value).toBe("final.pdf");
+  });
+
+  it("reorders pages by dragging thumbnails and acts on a multi-selection", async () => {
+    const root = setupDom();
+    initApp(root);
+    const loadInput = root.querySelector("[data-role=\"pdf-load\"]");
+    setInputFiles(loadInput, [
+      new File(["%PDF-1.4"], "test.pdf", { type: "application/pdf" })
+    ]);
+    loadInput.dispatchEvent(new Event("change", { bubbles: true }));
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    root.querySelector("[data-role=\"tool-image\"]").click();
+    const assetInput = root.querySelector("[data-role=\"image-assets\"]");
+    setInputFiles(assetInput, [new File(["img"], "photo.png", { type: "image/png" })]);
+    assetInput.dispatchEvent(new Event("change", { bubbles: true }));
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    const assetItem = root.querySelector(".asset-item");
+    const overlay = root.querySelector("[data-role=\"page-overlay\"]");
+    overlay.getBoundingClientRect = () => ({ width: 600, height: 800, left: 0, top: 0 });
+    const dropEvent = new Event("drop", { bubbles: true });
+    Object.defineProperty(dropEvent, "clientX", { value: 100 });
+    Object.defineProperty(dropEvent, "clientY", { value: 120 });
+    Object.defineProperty(dropEvent, "dataTransfer", {
+      value: { getData: () => assetItem.dataset.assetId }
+    });
+    overlay.dispatchEvent(dropEvent);
+    expect(overlay.querySelectorAll(".annotation").length).toBe(1);
+
+    const thumbnails = () =>
+      Array.from(root.querySelectorAll("[data-role=\"page-thumbnail\"]"));
+    expect(thumbnails().length).toBe(2);
+    const [first, second] = thumbnails();
+    second.getBoundingClientRect = () => ({ top: 0, height: 100 });
+    first.dispatchEvent(new Event("dragstart", { bubbles: true }));
+    const thumbnailDrop = new Event("drop", { bubbles: true, cancelable: true });
+    Object.defineProperty(thumbnailDrop, "clientY", { value: 80 });
+    second.dispatchEvent(thumbnailDrop);
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    expect(overlay.querySelectorAll(".annotation").length).toBe(0);
+    expect(root.querySelector(".status").textContent).toBe("Reorder applied.");
+    expect(thumbnails()[1].classList.contains("is-selected")).toBe(true);
+
+    thumbnails()[0].dispatchEvent(new MouseEvent("click", { bubbles: true, ctrlKey: true }));
+    expect(root.querySelectorAll(".thumbnail.is-selected").length).toBe(2);
+    thumbnails()[0].dispatchEvent(new MouseEvent("contextmenu", { bubbles: true }));
+    const menu = root.querySelector("[data-role=\"thumbnail-menu\"]");
+    expect(menu.hidden).toBe(false);
+    root.querySelector("[data-role=\"thumbnail-hide\"]").click();
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    expect(root.querySelectorAll(".thumbnail.is-hidden").length).toBe(2);
+    expect(menu.hidden).toBe(true);
+  });
+
+  it("renders a rotated text layer between the page and the overlay", async () => {
+    const { renderTextLayer } = await import("../src/pdfService.js");
+    const root = setupDom();
+    initApp(root);
+    const loadInput = root.querySelector("[data-role=\"pdf-load\"]");
+    setInputFiles(loadInput, [
+      new File(["%PDF-1.4"], "test.pdf", { type: "application/pdf" })
+    ]);
+    loadInput.dispatchEvent(new Event("change", { bubbles: true }));
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    const textLayer = root.querySelector("[data-role=\"text-layer\"]");
+    const layers = Array.from(textLayer.parentElement.children);
+    expect(layers.indexOf(textLayer)).toBeGreaterThan(
+      layers.indexOf(root.querySelector(".pdf-canvas"))
+    );
+    expect(layers.indexOf(textLayer)).toBeLessThan(
+      layers.indexOf(root.querySelector("[data-role=\"page-overlay\"]"))
+    );
+    expect(root.querySelector("[data-role=\"page-overlay\"]").dataset.mode).toBe("select");
+
+    renderTextLayer.mockClear();
+    root.querySelector("[data-role=\"tool-page-properties\"]").click();
+    const rotateRight = Array.from(root.querySelectorAll("button")).find(
+      (button) => button.textContent === "Rotate Right"
+    );
+    rotateRight.click();
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    expect(renderTextLayer).toHaveBeenLastCalledWith(expect.anything(), 1, textLayer, 1.2, 90);
+  });
+
+  it("searches the document and steps through highlighted matches", async () => {
+    const root = setupDom();
+    initApp(root);
+    const loadInput = root.querySelector("[data-role=\"pdf-load\"]");
+    setInputFiles(loadInput, [
+      new File(["%PDF-1.4"], "test.pdf", { type: "application/pdf" })
+    ]);
+    loadInput.dispatchEvent(new Event("change", { bubbles: true }));
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    document.body.dispatchEvent(
+      new KeyboardEvent("keydown", { key: "f", ctrlKey: true, bubbles: true })
+    );
+    const query = root.querySelector("[data-role=\"search-query\"]");
+    expect(document.activeElement).toBe(query);
+    query.value = "fox";
+    query.dispatchEvent(new KeyboardEvent("keydown", { key: "Enter", bubbles: true }));
+    await waitFor(() => root.querySelectorAll(".search-result").length === 2);
+
+    const summary = root.querySelector("[data-role=\"search-summary\"]");
+    expect(summary.textContent).toBe("1 of 2 matches");
+    expect(root.querySelector(".search-result").textContent).toBe("p. 1The quick brown fox");
+    expect(root.querySelectorAll(".search-hit.is-active").length).toBe(1);
+
+    root.querySelector("[data-role=\"search-next\"]").click();
+    await waitFor(() => summary.textContent === "2 of 2 matches");
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    expect(root.textContent).toContain("Page 2 of 2");
+    expect(root.querySelectorAll(".search-hit.is-active").length).toBe(1);
+  });
+
+  it("turns selected page text into underline markup", async () => {
+    const { getTextRangeQuads } = await import("../src/pdfService.js");
+    const root = setupDom();
+    initApp(root);
+    const loadInput = root.querySelector("[data-role=\"pdf-load\"]");
+    setInputFiles(loadInput, [
+      new File(["%PDF-1.4"], "test.pdf", { type: "application/pdf" })
+    ]);
+    loadInput.dispatchEvent(new Event("change", { bubbles: true }));
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    root.querySelector("[data-role=\"tool-highlight\"]").click();
+    const markupSelect = root.querySelector("[data-role=\"highlight-markup\"]");
+    markupSelect.value = "underline";
+    markupSelect.dispatchEvent(new Event("change", { bubbles: true }));
+    const overlay = root.querySelector("[data-role=\"page-overlay\"]");
+    expect(overlay.dataset.textMarkup).toBe("true");
+
+    const textLayer = root.querySelector("[data-role=\"text-layer\"]");
+    const span = document.createElement("span");
+    span.dataset.itemIndex = "0";
+    span.textContent = "The quick brown fox";
+    textLayer.replaceChildren(span);
+    const range = document.createRange();
+    range.setStart(span.firstChild, 4);
+    range.setEnd(span.firstChild, 9);
+    window.getSelection().removeAllRanges();
+    window.getSelection().addRange(range);
+    getTextRangeQuads.mockClear();
+    span.dispatchEvent(new Event("pointerup", { bubbles: true }));
+    await waitFor(() => root.querySelector("[data-role=\"markup-line\"]"));
+
+    expect(getTextRangeQuads).toHaveBeenCalledWith(expect.any(Array), 4, 9);
+    expect(root.querySelectorAll("[data-role=\"markup-line\"]").length).toBe(1);
+    expect(root.querySelector(".status").textContent).toBe("Text marked up.");
+    expect(window.getSelection().isCollapsed).toBe(true);
+
+    markupSelect.value = "rectangle";
+    markupSelect.dispatchEvent(new Event("change", { bubbles: true }));
+  });
+
+  it("marks an area for redaction and applies it to the document", async () => {
+    const { redactPdf } = await import("../src/pdfService.js");
+    const root = setupDom();
+    initApp(root);
+    const loadInput = root.querySelector("[data-role=\"pdf-load\"]");
+    setInputFiles(loadInput, [
+      new File(["%PDF-1.4"], "test.pdf", { type: "application/pdf" })
+    ]);
+    loadInput.dispatchEvent(new Event("change", { bubbles: true }));
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    const overlay = root.querySelector("[data-role=\"page-overlay\"]");
+    overlay.getBoundingClientRect = () => ({
+      width: 600,
+      height: 800,
+      left: 0,
+      top: 0,
+      right: 600,
+      bottom: 800
+    });
+    root.querySelector("[data-role=\"tool-redact\"]").click();
+    const down = new Event("pointerdown", { bubbles: true });
+    Object.defineProperty(down, "clientX", { value: 100 });
+    Object.defineProperty(down, "clientY", { value: 200 });
+    Object.defineProperty(down, "button", { value: 0 });
+    overlay.dispatchEvent(down);
+    const move = new Event("pointermove");
+    Object.defineProperty(move, "clientX", { value: 220 });
+    Object.defineProperty(move, "clientY", { value: 230 });
+    window.dispatchEvent(move);
+    window.dispatchEvent(new Event("pointerup"));
+    const mark = root.querySelector("[data-role=\"redaction-mark\"]");
+    expect(mark.textContent).toBe("REDACTED");
+    expect(mark.style.width).toBe("120px");
+
+    vi.spyOn(window, "confirm").mockReturnValue(true);
+    redactPdf.mockClear();
+    root.querySelector("[data-role=\"redact-apply\"]").click();
+    await waitFor(() => !root.querySelector("[data-role=\"redaction-mark\"]"));
+
+    expect(redactPdf).toHaveBeenCalledWith(expect.any(Uint8Array), [
+      expect.objectContaining({ pageNumber: 1, x: 100, y: 470, width: 120, height: 30 })
+    ]);
+    await waitFor(() => root.querySelector(".status").textContent.startsWith("Redactions"));
+    expect(root.querySelector(".status").textContent).toBe(
+      "Redactions applied. Removed 9 characters, 1 image and 0 annotations. " +
+        "Partly covered images removed whole because their pixels could not be cleared: 1."
+    );
+    window.confirm.mockRestore();
+  });
+
+  it("reviews detected redaction candidates one by one", async () => {
+    const root = setupDom();
+    initApp(root);
+    const loadInput = root.querySelector("[data-role=\"pdf-load\"]");
+    setInputFiles(loadInput, [
+      new File(["%PDF-1.4"], "test.pdf", { type: "application/pdf" })
+    ]);
+    loadInput.dispatchEvent(new Event("change", { bubbles: true }));
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    root.querySelector("[data-role=\"tool-redact\"]").click();
+    const custom = root.querySelector("[data-role=\"redact-custom-patterns\"]");
+    custom.value = "fox";
+    custom.dispatchEvent(new Event("input", { bubbles: true }));
+    root.querySelector("[data-role=\"redact-find\"]").click();
+    await waitFor(() => root.querySelectorAll(".redaction-candidate-item").length === 2);
+    expect(root.querySelectorAll("[data-role=\"redaction-candidate\"]").length).toBe(1);
+
+    const items = () => Array.from(root.querySelectorAll(".redaction-candidate-item"));
+    items()[0].querySelector("[data-role=\"redaction-candidate-accept\"]").click();
+    await waitFor(() => root.querySelector("[data-role=\"redaction-mark\"]"));
+    items()[1].querySelector("[data-role=\"redaction-candidate-reject\"]").click();
+    await waitFor(() => items()[1].dataset.status === "rejected");
+
+    expect(items()[0].dataset.status).toBe("accepted");
+    expect(root.querySelectorAll("[data-role=\"redaction-candidate\"]").length).toBe(0);
+    expect(root.querySelector("[data-role=\"redaction-candidate-summary\"]").textContent).toBe(
+      "2 candidates: 1 accepted, 1 rejected, 0 to review."
+    );
+    const mark = root.querySelector("[data-role=\"redaction-mark\"]");
+    expect(mark.style.left).toBe("9px");
+    mark.dispatchEvent(new KeyboardEvent("keydown", { key: "Delete", bubbles: true }));
+    expect(items()[0].dataset.status).toBe("pending");
+  });
+
+  it("undoes and redoes annotation and page edits", async () => {
+    const root = setupDom();
+    initApp(root);
+    const loadInput = root.querySelector("[data-role=\"pdf-load\"]");
+    setInputFiles(loadInput, [
+      new File(["%PDF-1.4"], "test.pdf", { type: "application/pdf" })
+    ]);
+    loadInput.dispatchEvent(new Event("change", { bubbles: true }));
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    const undoButton = root.querySelector("[data-role=\"undo-button\"]");
+    const redoButton = root.querySelector("[data-role=\"redo-button\"]");
+    expect(undoButton.disabled).toBe(true);
+
+    root.querySelector("[data-role=\"tool-image\"]").click();
+    const assetInput = root.querySelector("[data-role=\"image-assets\"]");
+    setInputFiles(assetInput, [new File(["img"], "photo.png", { type: "image/png" })]);
+    assetInput.dispatchEvent(new Event("change", { bubbles: true }));
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    const assetItem = root.querySelector(".asset-item");
+    const overlay = root.querySelector("[data-role=\"page-overlay\"]");
+    overlay.getBoundingClientRect = () => ({
+      width: 600,
+      height: 800,
+      left: 0,
+      top: 0,
+      right: 600,
+      bottom: 800
+    });
+    const dropEvent = new Event("drop", { bubbles: true });
+    Object.defineProperty(dropEvent, "clientX", { value: 100 });
+    Object.defineProperty(dropEvent, "clientY", { value: 120 });
+    Object.defineProperty(dropEvent, "dataTransfer", {
+      value: { getData: () => assetItem.dataset.assetId }
+    });
+    overlay.dispatchEvent(dropEvent);
+    overlay
+      .querySelector(".annotation")
+      .dispatchEvent(new KeyboardEvent("keydown", { key: "Backspace", bubbles: true }));
+    expect(overlay.querySelectorAll(".annotation").length).toBe(0);
+
+    const pressUndo = async (shiftKey = false) => {
+      document.body.dispatchEvent(
+        new KeyboardEvent("keydown", { key: "z", ctrlKey: true, shiftKey, bubbles: true })
+      );
+      await new Promise((resolve) => setTimeout(resolve, 0));
+    };
+    await pressUndo();
+    expect(overlay.querySelectorAll(".annotation").length).toBe(1);
+    await pressUndo(true);
+    expect(overlay.querySelectorAll(".annotation").length).toBe(0);
+
+    root.querySelector("[data-role=\"tool-page-properties\"]").click();
+    const findButton = (label) =>
+      Array.from(root.querySelectorAll("button")).find((button) => button.textContent === label);
+    findButton("Rotate Right").click();
+    findButton("Down").click();
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    expect(root.querySelector(".page-item span").textContent).toBe("Page 2");
+    undoButton.click();
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    expect(root.querySelector(".page-item span").textContent).toBe("Page 1");
+    expect(root.textContent).toContain("Rotation: 90°");
+    undoButton.click();
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    expect(root.textContent).toContain("Rotation: 0°");
+    expect(redoButton.disabled).toBe(false);
+  });
+
+  it("keeps dropped annotations in page coordinates while zoomed", async () => {
+    const root = setupDom();
+    initApp(root);
+    const loadInput = root.querySelector("[data-role=\"pdf-load\"]");
+    setInputFiles(loadInput, [
+      new File(["%PDF-1.4"], "test.pdf", { type: "application/pdf" })
+    ]);
+    loadInput.dispatchEvent(new Event("change", { bubbles: true }));
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    const zoomSelect = root.querySelector("[data-role=\"zoom-select\"]");
+    zoomSelect.value = "2";
+    zoomSelect.dispatchEvent(new Event("change", { bubbles: true }));
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    const stage = root.querySelector(".page-stage");
+    expect(stage.style.transform).toBe("scale(2)");
+    expect(stage.style.width).toBe("300px");
+    root.querySelector("[data-role=\"zoom-in\"]").click();
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    expect(zoomSelect.value).toBe("3");
+    root.querySelector("[data-role=\"zoom-out\"]").click();
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    root.querySelector("[data-role=\"tool-image\"]").click();
+    const assetInput = root.querySelector("[data-role=\"image-assets\"]");
+    setInputFiles(assetInput, [new File(["img"], "photo.png", { type: "image/png" })]);
+    assetInput.dispatchEvent(new Event("change", { bubbles: true }));
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    const assetItem = root.querySelector(".asset-item");
+    const overlay = root.querySelector("[data-role=\"page-overlay\"]");
+    overlay.getBoundingClientRect = () => ({
+      width: 1200,
+      height: 1600,
+      left: 0,
+      top: 0,
+      right: 1200,
+      bottom: 1600
+    });
+    const dropEvent = new Event("drop", { bubbles: true });
+    Object.defineProperty(dropEvent, "clientX", { value: 200 });
+    Object.defineProperty(dropEvent, "clientY", { value: 240 });
+    Object.defineProperty(dropEvent, "dataTransfer", {
+      value: { getData: () => assetItem.dataset.assetId }
+    });
+    overlay.dispatchEvent(dropEvent);
+    const annotation = overlay.querySelector(".annotation");
+    expect(annotation.style.left).toBe("40px");
+    expect(annotation.style.top).toBe("75px");
+  });
+
+  it("scrolls through every page and annotates any visible one", async () => {
+    const root = setupDom();
+    initApp(root);
+    const loadInput = root.querySelector("[data-role=\"pdf-load\"]");
+    setInputFiles(loadInput, [
+      new File(["%PDF-1.4"], "test.pdf", { type: "application/pdf" })
+    ]);
+    loadInput.dispatchEvent(new Event("change", { bubbles: true }));
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    const viewMode = root.querySelector("[data-role=\"view-mode\"]");
+    viewMode.value = "continuous";
+    viewMode.dispatchEvent(new Event("change", { bubbles: true }));
+    await waitFor(() => root.querySelectorAll(".page-slot .page-stage").length === 2, 10);
+    const slots = root.querySelectorAll(".page-slot");
+    expect(slots).toHaveLength(2);
+    expect(slots[1].querySelector("canvas")).not.toBeNull();
+
+    root.querySelector("[data-role=\"tool-image\"]").click();
+    const assetInput = root.querySelector("[data-role=\"image-assets\"]");
+    setInputFiles(assetInput, [new File(["img"], "photo.png", { type: "image/png" })]);
+    assetInput.dispatchEvent(new Event("change", { bubbles: true }));
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    const assetItem = root.querySelector(".asset-item");
+    const secondOverlay = slots[1].querySelector("[data-role=\"page-overlay\"]");
+    secondOverlay.getBoundingClientRect = () => ({
+      width: 600,
+      height: 800,
+      left: 0,
+      top: 0,
+      right: 600,
+      bottom: 800
+    });
+    const dropEvent = new Event("drop", { bubbles: true });
+    Object.defineProperty(dropEvent, "clientX", { value: 100 });
+    Object.defineProperty(dropEvent, "clientY", { value: 120 });
+    Object.defineProperty(dropEvent, "dataTransfer", {
+      value: { getData: () => assetItem.dataset.assetId }
+    });
+    secondOverlay.dispatchEvent(dropEvent);
+    expect(secondOverlay.querySelectorAll(".annotation")).toHaveLength(1);
+    expect(slots[0].querySelectorAll(".annotation")).toHaveLength(0);
+    expect(root.querySelector(".page-label").textContent).toContain("Page 2 of 2");
+
+    viewMode.value = "single";
+    viewMode.dispatchEvent(new Event("change", { bubbles: true }));
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    expect(root.querySelectorAll("[data-role=\"page-overlay\"]")).toHaveLength(1);
+    expect(root.querySelector("[data-role=\"page-overlay\"] .annotation")).not.toBeNull();
+  });
+
   it("creates and edits a text annotation", async () => {
     const root = setupDom();
     initApp(root);
@@ -484,6 +1023,16 @@ describe("app shell", () => {
       (node) => node.style.fontSize === "22px"
     );
     expect(sizedSpan).toBeTruthy();
+
+    const alignSelect = root.querySelector("[data-role=\"text-align\"]");
+    alignSelect.value = "center";
+    alignSelect.dispatchEvent(new Event("change"));
+    const lineHeightInput = root.querySelector("[data-role=\"text-line-height\"]");
+    lineHeightInput.value = "1.6";
+    lineHeightInput.dispatchEvent(new Event("change"));
+    const aligned = root.querySelector("[data-role=\"text-annotation\"]");
+    expect(aligned.style.textAlign).toBe("center");
+    expect(aligned.querySelector(".text-content").style.lineHeight).toBe("1.6");
   });
 
   it("creates draw and highlight annotations", async () => {
@@ -709,6 +1258,66 @@ describe("app shell", () => {
     expect(restored).toBeTruthy();
   });
 
+  it("keeps file markup that a restored session never took over", async () => {
+    const { exportDocument, importPdfAnnotations } = await import("../src/pdfService.js");
+    await clearSessionHistory();
+    window.localStorage.setItem("cloud-pdf-history", "true");
+    const root = setupDom();
+    initApp(root);
+    const historyToggle = root.querySelector(".recent-panel input[type=\"checkbox\"]");
+    historyToggle.checked = true;
+    historyToggle.dispatchEvent(new Event("change"));
+    const loadInput = root.querySelector("[data-role=\"pdf-load\"]");
+    setInputFiles(loadInput, [new File(["%PDF-1.4"], "notes.pdf", { type: "application/pdf" })]);
+    loadInput.dispatchEvent(new Event("change", { bubbles: true }));
+    const status = root.querySelector(".status");
+    await waitFor(() => status.textContent.includes("PDF loaded"), 10);
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    const recentList = root.querySelector("[data-role=\"recent-list\"]");
+    await waitFor(() => recentList.textContent.includes("notes.pdf"), 20);
+
+    const importedHighlight = {
+      id: "imported-9R",
+      pageNumber: 1,
+      x: 10,
+      y: 10,
+      width: 80,
+      height: 20,
+      color: "#f59e0b",
+      opacity: 0.35,
+      overlayWidth: 600,
+      overlayHeight: 800
+    };
+    importPdfAnnotations.mockResolvedValueOnce({
+      highlightAnnotations: [importedHighlight],
+      drawAnnotations: [],
+      shapeAnnotations: [],
+      commentAnnotations: [],
+      textAnnotations: [],
+      importedIds: ["9R"]
+    });
+    const openButton = Array.from(recentList.querySelectorAll("button")).find(
+      (button) => button.textContent === "Open"
+    );
+    const resumeInput = root.querySelector("[data-role=\"resume-input\"]");
+    setInputFiles(resumeInput, [new File(["%PDF-1.4"], "notes.pdf", { type: "application/pdf" })]);
+    openButton.click();
+    resumeInput.dispatchEvent(new Event("change", { bubbles: true }));
+    await waitFor(() => status.textContent.includes("Session restored"), 20);
+
+    exportDocument.mockClear();
+    const clickSpy = vi.spyOn(HTMLAnchorElement.prototype, "click").mockImplementation(() => {});
+    root.querySelector("[data-role=\"export-button\"]").click();
+    root.querySelector("[data-role=\"export-confirm\"]").click();
+    await waitFor(() => exportDocument.mock.calls.length, 10);
+    clickSpy.mockRestore();
+    const [, editModel] = exportDocument.mock.calls[0];
+    expect(editModel.removeAnnotationIds).toEqual(["9R"]);
+    expect(editModel.highlightAnnotations.map((annotation) => annotation.id)).toEqual([
+      "imported-9R"
+    ]);
+  });
+
   it("toggles comment visibility without affecting other annotations", async () => {
     const root = setupDom();
     initApp(root);
@@ -743,4 +1352,711 @@ describe("app shell", () => {
     expect(document.documentElement.dataset.commentsVisible).toBe("false");
     expect(overlay.querySelector("[data-role=\"text-annotation\"]")).toBeTruthy();
   });
+
+  it("opens the export pane with an annotation mode choice", async () => {
+    const root = setupDom();
+    initApp(root);
+    const exportButton = root.querySelector("[data-role=\"export-button\"]");
+    exportButton.click();
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    expect(root.querySelector("[data-role=\"pane-export\"]")).toBeTruthy();
+    const modeSelect = root.querySelector("[data-role=\"export-annotation-mode\"]");
+    expect(Array.from(modeSelect.options).map((option) => option.value)).toEqual([
+      "flatten",
+      "editable"
+    ]);
+
+    const settingsButton = root.querySelector("[data-role=\"settings-button\"]");
+    settingsButton.click();
+    expect(root.querySelector("[data-role=\"pane-export\"]")).toBeFalsy();
+    expect(root.querySelector("[data-role=\"pane-settings\"]")).toBeTruthy();
+  });
+
+  it("defaults the export filename and edits document metadata", async () => {
+    const { exportDocument } = await import("../src/pdfService.js");
+    const root = setupDom();
+    initApp(root);
+    const loadInput = root.querySelector("[data-role=\"pdf-load\"]");
+    setInputFiles(loadInput, [
+      new File(["%PDF-1.4"], "contract.pdf", { type: "application/pdf" })
+    ]);
+    loadInput.dispatchEvent(new Event("change", { bubbles: true }));
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    root.querySelector("[data-role=\"export-button\"]").click();
+    expect(root.querySelector("[data-role=\"export-filename\"]").value).toBe(
+      "contract-edited.pdf"
+    );
+    const titleInput = root.querySelector("[data-role=\"export-meta-title\"]");
+    expect(titleInput.value).toBe("Service Contract");
+    expect(root.querySelector("[data-role=\"export-meta-creationDate\"]").value).toBe(
+      "2024-01-02T03:04"
+    );
+    titleInput.value = "Signed Contract";
+    titleInput.dispatchEvent(new Event("change"));
+
+    const stripInput = root.querySelector("[data-role=\"export-strip-metadata\"]");
+    stripInput.checked = true;
+    stripInput.dispatchEvent(new Event("change"));
+    expect(titleInput.disabled).toBe(true);
+
+    exportDocument.mockClear();
+    const clickSpy = vi.spyOn(HTMLAnchorElement.prototype, "click").mockImplementation(() => {});
+    root.querySelector("[data-role=\"export-confirm\"]").click();
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    expect(exportDocument).toHaveBeenCalledTimes(1);
+    const [, editModel] = exportDocument.mock.calls[0];
+    expect(editModel.metadata.title).toBe("Signed Contract");
+    expect(editModel.stripMetadata).toBe(true);
+    expect(clickSpy.mock.contexts[0].download).toBe("contract-edited.pdf");
+    clickSpy.mockRestore();
+  });
+
+  it("asks for the password of a protected PDF and reports its restrictions", async () => {
+    const { hasEncryptionDictionary, unlockPdf } = await import("../src/pdfSecurity.js");
+    const { exportDocument } = await import("../src/pdfService.js");
+    hasEncryptionDictionary.mockReturnValueOnce(true);
+    unlockPdf.mockResolvedValueOnce({ status: "locked" }).mockResolvedValueOnce({
+      status: "unlocked",
+      bytes: new Uint8Array([37, 80, 68, 70]),
+      security: {
+        encrypted: true,
+        openedWith: "user",
+        userPasswordRequired: true,
+        restrictions: ["editing", "copying text"],
+        method: "AES-256"
+      }
+    });
+    const root = setupDom();
+    initApp(root);
+    const loadInput = root.querySelector("[data-role=\"pdf-load\"]");
+    setInputFiles(loadInput, [
+      new File(["%PDF-1.7"], "payroll.pdf", { type: "application/pdf" })
+    ]);
+    loadInput.dispatchEvent(new Event("change", { bubbles: true }));
+
+    const passwordInput = await waitFor(() =>
+      document.querySelector("[data-role=\"pdf-password\"]")
+    );
+    expect(document.querySelector(".password-prompt").textContent).toContain(
+      "payroll.pdf is password protected."
+    );
+    passwordInput.value = "open sesame";
+    document.querySelector("[data-role=\"pdf-password-submit\"]").click();
+    await waitFor(() => root.querySelector(".status").textContent.startsWith("Opened"), 20);
+    expect(unlockPdf).toHaveBeenLastCalledWith(expect.any(Uint8Array), "open sesame");
+    expect(document.querySelector(".password-prompt")).toBeNull();
+    expect(root.querySelector(".status").textContent).toBe(
+      "Opened with the user password (AES-256). " +
+        "The owner password restricts editing, copying text, " +
+        "but these restrictions are informational only and are not enforced here."
+    );
+
+    root.querySelector("[data-role=\"export-button\"]").click();
+    const restrictionsHint = root.querySelector("[data-role=\"export-restrictions-hint\"]");
+    expect(restrictionsHint.hidden).toBe(false);
+    expect(restrictionsHint.textContent).toContain("restricts editing, copying text.");
+    const saveModeSelect = root.querySelector("[data-role=\"export-save-mode\"]");
+    saveModeSelect.value = "incremental";
+    saveModeSelect.dispatchEvent(new Event("change"));
+    exportDocument.mockClear();
+    root.querySelector("[data-role=\"export-confirm\"]").click();
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    expect(exportDocument).not.toHaveBeenCalled();
+    expect(root.querySelector(".status").textContent).toContain("need a full save");
+    saveModeSelect.value = "full";
+    saveModeSelect.dispatchEvent(new Event("change"));
+  });
+
+  it("fills form fields as inputs and exports their values", async () => {
+    const { exportDocument, readFormFields } = await import("../src/pdfService.js");
+    const base = { pageNumber: 1, overlayWidth: 600, overlayHeight: 800, height: 20 };
+    readFormFields.mockResolvedValueOnce({
+      fields: [
+        { ...base, id: "field-1", name: "name", type: "text", x: 10, y: 10, width: 200 },
+        { ...base, id: "field-2", name: "agree", type: "checkbox", onValue: "Yes", x: 10, y: 40 },
+        { ...base, id: "field-3", name: "plan", type: "radio", onValue: "0", x: 10, y: 70 },
+        { ...base, id: "field-4", name: "plan", type: "radio", onValue: "1", x: 40, y: 70 },
+        {
+          ...base,
+          id: "field-5",
+          name: "country",
+          type: "combo",
+          x: 10,
+          y: 100,
+          options: [
+            { value: "AT", label: "Austria" },
+            { value: "BE", label: "Belgium" }
+          ]
+        }
+      ],
+      values: { name: "Ada", agree: "", plan: "1", country: "AT" }
+    });
+    const root = setupDom();
+    initApp(root);
+    const loadInput = root.querySelector("[data-role=\"pdf-load\"]");
+    setInputFiles(loadInput, [new File(["%PDF-1.4"], "form.pdf", { type: "application/pdf" })]);
+    loadInput.dispatchEvent(new Event("change", { bubbles: true }));
+    const overlay = root.querySelector("[data-role=\"page-overlay\"]");
+    await waitFor(() => overlay.querySelector(".form-field"));
+
+    const inputs = Object.fromEntries(
+      Array.from(overlay.querySelectorAll(".form-field"), (el) => [el.dataset.fieldId, el])
+    );
+    expect(inputs["field-1"].value).toBe("Ada");
+    expect(inputs["field-2"].checked).toBe(false);
+    expect(inputs["field-4"].checked).toBe(true);
+    expect(inputs["field-5"].value).toBe("AT");
+
+    inputs["field-1"].value = "Ada Lovelace";
+    inputs["field-1"].dispatchEvent(new Event("input", { bubbles: true }));
+    inputs["field-2"].click();
+    inputs["field-3"].click();
+    expect(inputs["field-4"].checked).toBe(false);
+    inputs["field-5"].value = "BE";
+    inputs["field-5"].dispatchEvent(new Event("change", { bubbles: true }));
+
+    root.querySelector("[data-role=\"export-button\"]").click();
+    const flattenInput = root.querySelector("[data-role=\"export-flatten-form\"]");
+    flattenInput.checked = true;
+    flattenInput.dispatchEvent(new Event("change"));
+    exportDocument.mockClear();
+    const clickSpy = vi.spyOn(HTMLAnchorElement.prototype, "click").mockImplementation(() => {});
+    root.querySelector("[data-role=\"export-confirm\"]").click();
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    clickSpy.mockRestore();
+    const [, editModel] = exportDocument.mock.calls[0];
+    expect(editModel.formValues).toEqual({
+      name: "Ada Lovelace",
+      agree: "Yes",
+      plan: "0",
+      country: "BE"
+    });
+    expect(editModel.flattenForm).toBe(true);
+
+    root.querySelector("[data-role=\"undo-button\"]").click();
+    await waitFor(() => overlay.querySelector("select.form-field")?.value === "AT");
+    expect(overlay.querySelector("select.form-field").value).toBe("AT");
+  });
+
+  it("authors form fields with the form tool and exports them in tab order", async () => {
+    const { exportDocument } = await import("../src/pdfService.js");
+    const root = setupDom();
+    initApp(root);
+    const loadInput = root.querySelector("[data-role=\"pdf-load\"]");
+    setInputFiles(loadInput, [new File(["%PDF-1.4"], "intake.pdf", { type: "application/pdf" })]);
+    loadInput.dispatchEvent(new Event("change", { bubbles: true }));
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    const overlay = root.querySelector("[data-role=\"page-overlay\"]");
+    overlay.getBoundingClientRect = () => ({ width: 600, height: 800, left: 0, top: 0 });
+    root.querySelector("[data-role=\"tool-form\"]").click();
+    const place = (clientX, clientY) =>
+      overlay.dispatchEvent(new MouseEvent("click", { bubbles: true, clientX, clientY }));
+    place(40, 100);
+    const nameInput = root.querySelector("[data-role=\"form-field-name\"]");
+    expect(nameInput.value).toBe("text_1");
+    nameInput.value = "email";
+    nameInput.dispatchEvent(new Event("change"));
+    root.querySelector("[data-role=\"form-field-required\"]").click();
+    const maxLengthInput = root.querySelector("[data-role=\"form-field-max-length\"]");
+    maxLengthInput.value = "40";
+    maxLengthInput.dispatchEvent(new Event("change"));
+
+    const typeSelect = root.querySelector("[data-role=\"form-field-type\"]");
+    typeSelect.value = "radio";
+    typeSelect.dispatchEvent(new Event("change"));
+    place(40, 200);
+    place(80, 200);
+    expect(
+      Array.from(overlay.querySelectorAll("[data-role=\"form-field-box\"]"), (box) => box.title)
+    ).toEqual(["Text field: email", "Radio button: radio_1", "Radio button: radio_1"]);
+    expect(overlay.querySelector(".form-field-box-name").textContent).toBe("email *");
+
+    const moveUp = root.querySelectorAll("[data-role=\"form-field-move-up\"]");
+    expect(moveUp[0].disabled).toBe(true);
+    moveUp[1].click();
+
+    root.querySelector("[data-role=\"export-button\"]").click();
+    exportDocument.mockClear();
+    const clickSpy = vi.spyOn(HTMLAnchorElement.prototype, "click").mockImplementation(() => {});
+    root.querySelector("[data-role=\"export-confirm\"]").click();
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    clickSpy.mockRestore();
+    const [, editModel] = exportDocument.mock.calls[0];
+    expect(
+      editModel.formFieldAnnotations.map((field) => [
+        field.fieldType,
+        field.name,
+        field.exportValue
+      ])
+    ).toEqual([
+      ["radio", "radio_1", "Choice 1"],
+      ["text", "email", ""],
+      ["radio", "radio_1", "Choice 2"]
+    ]);
+    const email = editModel.formFieldAnnotations[1];
+    expect(email).toMatchObject({ required: true, maxLength: 40 });
+    // Earlier tests may leave the viewer zoomed, so the position is checked relative.
+    expect(email.x / email.overlayWidth).toBeCloseTo(40 / 600);
+  });
+
+  it("imports and exports form data for the loaded fields", async () => {
+    const { readFileAsArrayBuffer, readFormFields } = await import("../src/pdfService.js");
+    const base = { pageNumber: 1, overlayWidth: 600, overlayHeight: 800, height: 20 };
+    readFormFields.mockResolvedValueOnce({
+      fields: [
+        { ...base, id: "field-1", name: "name", type: "text", x: 10, y: 10, width: 200 },
+        { ...base, id: "field-2", name: "agree", type: "checkbox", onValue: "Yes", x: 10, y: 40 }
+      ],
+      values: { name: "", agree: "" }
+    });
+    const root = setupDom();
+    initApp(root);
+    const loadInput = root.querySelector("[data-role=\"pdf-load\"]");
+    setInputFiles(loadInput, [new File(["%PDF-1.4"], "intake.pdf", { type: "application/pdf" })]);
+    loadInput.dispatchEvent(new Event("change", { bubbles: true }));
+    const overlay = root.querySelector("[data-role=\"page-overlay\"]");
+    await waitFor(() => overlay.querySelector(".form-field"));
+
+    root.querySelector("[data-role=\"tool-form\"]").click();
+    const json = JSON.stringify({ name: "Ada", agree: true, missing: "x" });
+    readFileAsArrayBuffer.mockResolvedValueOnce(new TextEncoder().encode(json).buffer);
+    const importInput = root.querySelector("[data-role=\"form-data-import\"]");
+    setInputFiles(importInput, [new File([json], "row.json", { type: "application/json" })]);
+    importInput.dispatchEvent(new Event("change"));
+    await waitFor(() => root.querySelector(".status").textContent.startsWith("Imported"));
+    expect(root.querySelector(".status").textContent).toBe(
+      "Imported 2 of 3 values from row.json. Skipped missing: no editable field fits."
+    );
+    expect(overlay.querySelector("[data-field-id=\"field-1\"]").value).toBe("Ada");
+    expect(overlay.querySelector("[data-field-id=\"field-2\"]").checked).toBe(true);
+
+    const blobs = [];
+    URL.createObjectURL.mockImplementation((blob) => {
+      blobs.push(blob);
+      return "blob:mock";
+    });
+    const clickSpy = vi.spyOn(HTMLAnchorElement.prototype, "click").mockImplementation(() => {});
+    const formatSelect = root.querySelector("[data-role=\"form-data-format\"]");
+    formatSelect.value = "fdf";
+    root.querySelector("[data-role=\"form-data-export\"]").click();
+    expect(clickSpy.mock.contexts[0].download).toBe("intake.fdf");
+    clickSpy.mockRestore();
+    const reader = new FileReader();
+    reader.readAsText(blobs[0]);
+    await new Promise((resolve) => reader.addEventListener("load", resolve));
+    const fdf = reader.result;
+    expect(fdf).toContain("<< /T (name) /V (Ada) >>\n<< /T (agree) /V /Yes >>");
+  });
+
+  it("generates one filled PDF per CSV row into a ZIP", async () => {
+    const { exportDocument, readFileAsArrayBuffer, readFormFields } = await import(
+      "../src/pdfService.js"
+    );
+    const base = { pageNumber: 1, overlayWidth: 600, overlayHeight: 800, height: 20 };
+    readFormFields.mockResolvedValueOnce({
+      fields: [
+        { ...base, id: "field-1", name: "name", type: "text", x: 10, y: 10, width: 200 },
+        { ...base, id: "field-2", name: "agree", type: "checkbox", onValue: "Yes", x: 10, y: 40 }
+      ],
+      values: { name: "", agree: "" }
+    });
+    const root = setupDom();
+    initApp(root);
+    const loadInput = root.querySelector("[data-role=\"pdf-load\"]");
+    setInputFiles(loadInput, [new File(["%PDF-1.4"], "intake.pdf", { type: "application/pdf" })]);
+    loadInput.dispatchEvent(new Event("change", { bubbles: true }));
+    await waitFor(() => root.querySelector(".form-field"));
+
+    root.querySelector("[data-role=\"tool-mail-merge\"]").click();
+    const csv = "Name,agree,Town\nAda,yes,Wien\nBob,no,Graz\n";
+    readFileAsArrayBuffer.mockResolvedValueOnce(new TextEncoder().encode(csv).buffer);
+    const csvInput = root.querySelector("[data-role=\"mail-merge-csv\"]");
+    setInputFiles(csvInput, [new File([csv], "people.csv", { type: "text/csv" })]);
+    csvInput.dispatchEvent(new Event("change"));
+    await waitFor(() => root.querySelector(".status").textContent.startsWith("CSV loaded"));
+    expect(root.querySelector("[data-role=\"mail-merge-summary\"]").textContent).toBe(
+      "people.csv: 2 rows, 3 columns."
+    );
+    expect(
+      Array.from(root.querySelectorAll("[data-role=\"mail-merge-map\"]"), (select) => select.value)
+    ).toEqual(["field:name", "field:agree", ""]);
+
+    const nameInput = root.querySelector("[data-role=\"mail-merge-name\"]");
+    nameInput.value = "{{Name}}-{{Town}}";
+    const blobs = [];
+    URL.createObjectURL.mockImplementation((blob) => {
+      blobs.push(blob);
+      return "blob:mock";
+    });
+    const clickSpy = vi.spyOn(HTMLAnchorElement.prototype, "click").mockImplementation(() => {});
+    exportDocument.mockClear();
+    root.querySelector("[data-role=\"mail-merge-run\"]").click();
+    await waitFor(() => root.querySelector(".status").textContent.startsWith("Generated"));
+    expect(clickSpy.mock.contexts[0].download).toBe("intake.zip");
+    clickSpy.mockRestore();
+    expect(root.querySelector(".status").textContent).toBe("Generated 2 PDFs in intake.zip.");
+    expect(exportDocument.mock.calls.map(([, editModel]) => editModel.formValues)).toEqual([
+      { name: "Ada", agree: "Yes" },
+      { name: "Bob", agree: "" }
+    ]);
+
+    const reader = new FileReader();
+    reader.readAsText(blobs[0]);
+    await new Promise((resolve) => reader.addEventListener("load", resolve));
+    expect(reader.result).toContain("Ada-Wien.pdf");
+    expect(reader.result).toContain("Bob-Graz.pdf");
+
+    exportDocument.mockRejectedValueOnce(
+      new Error('The form field "name" cannot encode these characters: Ł.')
+    );
+    root.querySelector("[data-role=\"mail-merge-run\"]").click();
+    await waitFor(() => root.querySelector(".status").textContent.startsWith("Mail merge"));
+    expect(root.querySelector(".status").textContent).toBe(
+      'Mail merge failed: Row 1: The form field "name" cannot encode these characters: Ł.'
+    );
+  });
+
+  it("fills authored form fields per CSV row and flattens them when merging", async () => {
+    const { exportDocument, readFileAsArrayBuffer } = await import("../src/pdfService.js");
+    const root = setupDom();
+    initApp(root);
+    const loadInput = root.querySelector("[data-role=\"pdf-load\"]");
+    setInputFiles(loadInput, [new File(["%PDF-1.4"], "badge.pdf", { type: "application/pdf" })]);
+    loadInput.dispatchEvent(new Event("change", { bubbles: true }));
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    const overlay = root.querySelector("[data-role=\"page-overlay\"]");
+    overlay.getBoundingClientRect = () => ({ width: 600, height: 800, left: 0, top: 0 });
+    root.querySelector("[data-role=\"tool-form\"]").click();
+    const place = (clientX, clientY) =>
+      overlay.dispatchEvent(new MouseEvent("click", { bubbles: true, clientX, clientY }));
+    place(40, 100);
+    const nameInput = root.querySelector("[data-role=\"form-field-name\"]");
+    nameInput.value = "email";
+    nameInput.dispatchEvent(new Event("change"));
+    const typeSelect = root.querySelector("[data-role=\"form-field-type\"]");
+    typeSelect.value = "checkbox";
+    typeSelect.dispatchEvent(new Event("change"));
+    place(40, 200);
+    typeSelect.value = "signature";
+    typeSelect.dispatchEvent(new Event("change"));
+    place(40, 300);
+
+    root.querySelector("[data-role=\"tool-mail-merge\"]").click();
+    const csv = "email,checkbox_1\na@b.co,yes\nc@d.co,no\n";
+    readFileAsArrayBuffer.mockResolvedValueOnce(new TextEncoder().encode(csv).buffer);
+    const csvInput = root.querySelector("[data-role=\"mail-merge-csv\"]");
+    setInputFiles(csvInput, [new File([csv], "people.csv", { type: "text/csv" })]);
+    csvInput.dispatchEvent(new Event("change"));
+    await waitFor(() => root.querySelector(".status").textContent.startsWith("CSV loaded"));
+    const mapSelects = root.querySelectorAll("[data-role=\"mail-merge-map\"]");
+    expect(Array.from(mapSelects, (select) => select.value)).toEqual([
+      "field:email",
+      "field:checkbox_1"
+    ]);
+    expect(Array.from(mapSelects[0].options, (option) => option.value)).not.toContain(
+      "field:signature_1"
+    );
+
+    const outputSelect = root.querySelector("[data-role=\"mail-merge-output\"]");
+    outputSelect.value = "merged";
+    outputSelect.dispatchEvent(new Event("change"));
+    const clickSpy = vi.spyOn(HTMLAnchorElement.prototype, "click").mockImplementation(() => {});
+    exportDocument.mockClear();
+    root.querySelector("[data-role=\"mail-merge-run\"]").click();
+    await waitFor(() => root.querySelector(".status").textContent.startsWith("Merged"), 10);
+    clickSpy.mockRestore();
+    expect(
+      exportDocument.mock.calls.map(([, editModel]) => [
+        editModel.flattenForm,
+        ...editModel.formFieldAnnotations.map((field) =>
+          field.fieldType === "checkbox" ? field.checked : field.defaultValue
+        )
+      ])
+    ).toEqual([
+      [true, "a@b.co", true, ""],
+      [true, "c@d.co", false, ""]
+    ]);
+  });
+
+  it("keeps mail merge output from a protected template encrypted", async () => {
+    const { exportDocument, readFileAsArrayBuffer, readFormFields } = await import(
+      "../src/pdfService.js"
+    );
+    const { encryptPdf, hasEncryptionDictionary, unlockPdf } = await import(
+      "../src/pdfSecurity.js"
+    );
+    hasEncryptionDictionary.mockReturnValueOnce(true);
+    unlockPdf.mockResolvedValueOnce({
+      status: "unlocked",
+      bytes: new Uint8Array([37, 80, 68, 70]),
+      security: {
+        encrypted: true,
+        openedWith: "user",
+        userPasswordRequired: false,
+        restrictions: [],
+        method: "AES-256"
+      }
+    });
+    readFormFields.mockResolvedValueOnce({
+      fields: [{ id: "field-1", name: "name", type: "text", pageNumber: 1, x: 10, y: 10 }],
+      values: { name: "" }
+    });
+    const root = setupDom();
+    initApp(root);
+    const status = root.querySelector(".status");
+    const loadInput = root.querySelector("[data-role=\"pdf-load\"]");
+    setInputFiles(loadInput, [new File(["%PDF-1.7"], "letter.pdf", { type: "application/pdf" })]);
+    loadInput.dispatchEvent(new Event("change", { bubbles: true }));
+    await waitFor(() => status.textContent.startsWith("Opened"), 20);
+
+    root.querySelector("[data-role=\"tool-mail-merge\"]").click();
+    const csv = "name\nAda\nBob\n";
+    readFileAsArrayBuffer.mockResolvedValueOnce(new TextEncoder().encode(csv).buffer);
+    const csvInput = root.querySelector("[data-role=\"mail-merge-csv\"]");
+    setInputFiles(csvInput, [new File([csv], "people.csv", { type: "text/csv" })]);
+    csvInput.dispatchEvent(new Event("change"));
+    await waitFor(() => status.textContent.startsWith("CSV loaded"));
+
+    const confirmSpy = vi.spyOn(window, "confirm").mockReturnValue(false);
+    const clickSpy = vi.spyOn(HTMLAnchorElement.prototype, "click").mockImplementation(() => {});
+    const runButton = root.querySelector("[data-role=\"mail-merge-run\"]");
+    const outputSelect = root.querySelector("[data-role=\"mail-merge-output\"]");
+    try {
+      exportDocument.mockClear();
+      runButton.click();
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      expect(status.textContent).toBe(
+        "Enter an open or permissions password to encrypt the export."
+      );
+
+      root.querySelector("[data-role=\"export-button\"]").click();
+      const encryptInput = root.querySelector("[data-role=\"export-encrypt\"]");
+      encryptInput.checked = false;
+      encryptInput.dispatchEvent(new Event("change"));
+      runButton.click();
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      expect(confirmSpy).toHaveBeenCalledTimes(1);
+      expect(status.textContent).toBe(
+        "Mail merge cancelled. Turn on encryption to keep the PDFs protected."
+      );
+      expect(exportDocument).not.toHaveBeenCalled();
+
+      encryptInput.checked = true;
+      encryptInput.dispatchEvent(new Event("change"));
+      const userPasswordInput = root.querySelector("[data-role=\"export-user-password\"]");
+      userPasswordInput.value = "open sesame";
+      userPasswordInput.dispatchEvent(new Event("change"));
+      runButton.click();
+      await waitFor(() => status.textContent.startsWith("Generated"), 20);
+      expect(
+        exportDocument.mock.calls.map(([, editModel]) => editModel.encryption?.userPassword)
+      ).toEqual(["open sesame", "open sesame"]);
+
+      outputSelect.value = "merged";
+      outputSelect.dispatchEvent(new Event("change"));
+      exportDocument.mockClear();
+      encryptPdf.mockClear();
+      runButton.click();
+      await waitFor(() => status.textContent.startsWith("Merged"), 20);
+      expect(exportDocument.mock.calls.map(([, editModel]) => editModel.encryption)).toEqual([
+        null,
+        null
+      ]);
+      expect(encryptPdf).toHaveBeenCalledTimes(1);
+      expect(encryptPdf.mock.calls[0][1].userPassword).toBe("open sesame");
+    } finally {
+      confirmSpy.mockRestore();
+      clickSpy.mockRestore();
+    }
+  });
+
+  it("passes export encryption passwords and permissions to the export", async () => {
+    const { exportDocument } = await import("../src/pdfService.js");
+    const root = setupDom();
+    initApp(root);
+    const loadInput = root.querySelector("[data-role=\"pdf-load\"]");
+    setInputFiles(loadInput, [new File(["%PDF-1.4"], "hr.pdf", { type: "application/pdf" })]);
+    loadInput.dispatchEvent(new Event("change", { bubbles: true }));
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    root.querySelector("[data-role=\"export-button\"]").click();
+    const userPasswordInput = root.querySelector("[data-role=\"export-user-password\"]");
+    expect(userPasswordInput.disabled).toBe(true);
+    const encryptInput = root.querySelector("[data-role=\"export-encrypt\"]");
+    encryptInput.checked = true;
+    encryptInput.dispatchEvent(new Event("change"));
+    exportDocument.mockClear();
+    root.querySelector("[data-role=\"export-confirm\"]").click();
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    expect(exportDocument).not.toHaveBeenCalled();
+    expect(root.querySelector(".status").textContent).toBe(
+      "Enter an open or permissions password to encrypt the export."
+    );
+
+    userPasswordInput.value = "open";
+    userPasswordInput.dispatchEvent(new Event("change"));
+    const copyingInput = root.querySelector("[data-role=\"export-allow-copying\"]");
+    copyingInput.checked = true;
+    copyingInput.dispatchEvent(new Event("change"));
+    const clickSpy = vi.spyOn(HTMLAnchorElement.prototype, "click").mockImplementation(() => {});
+    root.querySelector("[data-role=\"export-confirm\"]").click();
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    clickSpy.mockRestore();
+    const [, editModel] = exportDocument.mock.calls[0];
+    expect(editModel.encryption).toEqual({
+      userPassword: "open",
+      ownerPassword: "",
+      permissions: { printing: true, copying: true, editing: false, formFilling: true }
+    });
+    expect(root.querySelector(".status").textContent).toBe(
+      "Export started. Encrypted with AES-256."
+    );
+  });
+
+  it("reports what optimizing saved against the opened file", async () => {
+    const { exportDocument, readFileAsArrayBuffer } = await import("../src/pdfService.js");
+    const root = setupDom();
+    initApp(root);
+    readFileAsArrayBuffer.mockResolvedValueOnce(new Uint8Array(3072).buffer);
+    const loadInput = root.querySelector("[data-role=\"pdf-load\"]");
+    setInputFiles(loadInput, [new File(["%PDF-1.4"], "scan.pdf", { type: "application/pdf" })]);
+    loadInput.dispatchEvent(new Event("change", { bubbles: true }));
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    root.querySelector("[data-role=\"export-button\"]").click();
+    const optimizeInput = root.querySelector("[data-role=\"export-optimize\"]");
+    optimizeInput.checked = true;
+    optimizeInput.dispatchEvent(new Event("change"));
+    exportDocument.mockClear();
+    exportDocument.mockResolvedValueOnce(new Uint8Array(100));
+    const clickSpy = vi.spyOn(HTMLAnchorElement.prototype, "click").mockImplementation(() => {});
+    root.querySelector("[data-role=\"export-confirm\"]").click();
+    await waitFor(() => root.querySelector(".status").textContent.includes("Export started"), 10);
+    clickSpy.mockRestore();
+    optimizeInput.checked = false;
+    optimizeInput.dispatchEvent(new Event("change"));
+
+    expect(exportDocument.mock.calls.map(([, editModel]) => editModel.optimize)).toEqual([
+      { imageDpi: 150, jpegQuality: 0.8 }
+    ]);
+    expect(root.querySelector(".status").textContent).toBe(
+      "Export started. Optimized 3.0 KB → 100 B."
+    );
+  });
+
+  it("saves back to the file opened through the file picker", async () => {
+    const writes = [];
+    const handle = {
+      name: "contract.pdf",
+      getFile: async () => new File(["%PDF-1.4"], "contract.pdf", { type: "application/pdf" }),
+      queryPermission: async () => "granted",
+      createWritable: async () => ({
+        write: async (bytes) => writes.push(bytes),
+        close: async () => {}
+      })
+    };
+    const saveFilePicker = vi.fn();
+    window.showOpenFilePicker = async () => [handle];
+    window.showSaveFilePicker = saveFilePicker;
+    try {
+      const root = setupDom();
+      initApp(root);
+      const loadButton = Array.from(root.querySelectorAll("button")).find(
+        (button) => button.textContent === "Load PDF"
+      );
+      loadButton.click();
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      root.querySelector("[data-role=\"export-button\"]").click();
+      root.querySelector("[data-role=\"export-save\"]").click();
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      expect(saveFilePicker).not.toHaveBeenCalled();
+      expect(writes.length).toBe(1);
+      expect(root.querySelector(".status").textContent).toBe(
+        "Saved to contract.pdf."
+      );
+    } finally {
+      delete window.showOpenFilePicker;
+      delete window.showSaveFilePicker;
+    }
+  });
+
+  it("keeps a protected PDF encrypted when saving back to it", async () => {
+    const { hasEncryptionDictionary, unlockPdf } = await import("../src/pdfSecurity.js");
+    const { exportDocument } = await import("../src/pdfService.js");
+    hasEncryptionDictionary.mockReturnValueOnce(true);
+    unlockPdf.mockResolvedValueOnce({
+      status: "unlocked",
+      bytes: new Uint8Array([37, 80, 68, 70]),
+      security: {
+        encrypted: true,
+        openedWith: "user",
+        userPasswordRequired: false,
+        restrictions: [],
+        method: "AES-256"
+      }
+    });
+    const writes = [];
+    const handle = {
+      name: "payroll.pdf",
+      getFile: async () => new File(["%PDF-1.7"], "payroll.pdf", { type: "application/pdf" }),
+      queryPermission: async () => "granted",
+      createWritable: async () => ({
+        write: async (bytes) => writes.push(bytes),
+        close: async () => {}
+      })
+    };
+    window.showOpenFilePicker = async () => [handle];
+    window.showSaveFilePicker = vi.fn();
+    const confirmSpy = vi.spyOn(window, "confirm").mockReturnValue(false);
+    try {
+      const root = setupDom();
+      initApp(root);
+      const status = root.querySelector(".status");
+      Array.from(root.querySelectorAll("button"))
+        .find((button) => button.textContent === "Load PDF")
+        .click();
+      await waitFor(() => status.textContent.startsWith("Opened"), 20);
+
+      root.querySelector("[data-role=\"export-button\"]").click();
+      const encryptInput = root.querySelector("[data-role=\"export-encrypt\"]");
+      const saveButton = root.querySelector("[data-role=\"export-save\"]");
+      expect(encryptInput.checked).toBe(true);
+      saveButton.click();
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      expect(status.textContent).toBe(
+        "Enter an open or permissions password to encrypt the export."
+      );
+
+      encryptInput.checked = false;
+      encryptInput.dispatchEvent(new Event("change"));
+      saveButton.click();
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      expect(confirmSpy).toHaveBeenCalledWith(
+        "This PDF was password protected. Save it without a password?"
+      );
+      expect(status.textContent).toBe(
+        "Export cancelled. Turn on encryption to keep the PDF protected."
+      );
+      expect(writes).toEqual([]);
+
+      encryptInput.checked = true;
+      encryptInput.dispatchEvent(new Event("change"));
+      const userPasswordInput = root.querySelector("[data-role=\"export-user-password\"]");
+      userPasswordInput.value = "open sesame";
+      userPasswordInput.dispatchEvent(new Event("change"));
+      exportDocument.mockClear();
+      saveButton.click();
+      await waitFor(() => writes.length, 10);
+      expect(exportDocument.mock.calls[0][1].encryption.userPassword).toBe("open sesame");
+      expect(status.textContent).toBe("Saved to payroll.pdf. Encrypted with AES-256.");
+    } finally {
+      confirmSpy.mockRestore();
+      delete window.showOpenFilePicker;
+      delete window.showSaveFilePicker;
+    }
+  });
 });
@@ -0,0 +1,69 @@
+import { describe, expect, it } from "vitest";
+import {
+  coerceFormValue,
+  detectFormDataFormat,
+  parseFormData,
+  serializeFormData
+} from "../src/formData.js";
+
+const encode = (text) => new TextEncoder().encode(text);
+
+describe("formData", () => {
+  it("round-trips values through XFDF, FDF and JSON", () => {
+    const values = {
+      name: "Zoë (née Smith) \\ Co",
+      "address.city": "Wien",
+      "address.zip": "1010",
+      agree: "",
+      languages: ["Go", "Rust"]
+    };
+    const buttons = new Set(["agree"]);
+    for (const format of ["xfdf", "fdf", "json"]) {
+      const text = serializeFormData(values, format, { fileName: "intake.pdf", buttons });
+      expect(detectFormDataFormat("data.txt", encode(text))).toBe(format);
+      const parsed = parseFormData(encode(text), format);
+      expect({ ...parsed, agree: parsed.agree === "Off" ? "" : parsed.agree }).toEqual(values);
+    }
+    const fdf = serializeFormData(values, "fdf", { buttons });
+    expect(fdf).toContain("/T (agree) /V /Off");
+    expect(fdf).toContain("/T (address) /Kids [<< /T (city) /V (Wien) >>");
+    expect(serializeFormData(values, "xfdf")).toContain(
+      '<field name="address">\n      <field name="city">\n        <value>Wien</value>'
+    );
+  });
+
+  it("reads FDF files with indirect fields and fits values to their widgets", () => {
+    const fdf = [
+      "%FDF-1.2",
+      "%\xe2\xe3\xcf\xd3",
+      "1 0 obj << /FDF << /Fields 2 0 R >> >> endobj",
+      "2 0 obj [3 0 R << /T <FEFF0070006C0061006E> /V /Pro#20Plan >>] endobj",
+      "3 0 obj << /T (note) /V (line\\none\\051) >> endobj",
+      "trailer << /Root 1 0 R >>"
+    ].join("\n");
+    const bytes = Uint8Array.from(fdf, (char) => char.charCodeAt(0));
+    expect(parseFormData(bytes, detectFormDataFormat("export.fdf", bytes))).toEqual({
+      note: "line\none)",
+      plan: "Pro Plan"
+    });
+    expect(() => parseFormData(encode("[1, 2]"), "json")).toThrow(
+      "Form data JSON must map field names to values."
+    );
+
+    const radio = [
+      { type: "radio", onValue: "Basic" },
+      { type: "radio", onValue: "Pro Plan" }
+    ];
+    expect(coerceFormValue(radio, "Pro Plan")).toBe("Pro Plan");
+    expect(coerceFormValue(radio, "Gold")).toBeUndefined();
+    expect(coerceFormValue([{ type: "checkbox", onValue: "Yes" }], true)).toBe("Yes");
+    expect(coerceFormValue([{ type: "checkbox", onValue: "Yes" }], "Off")).toBe("");
+    const options = [
+      { value: "AT", label: "Austria" },
+      { value: "BE", label: "Belgium" }
+    ];
+    expect(coerceFormValue([{ type: "combo", options }], "Belgium")).toBe("BE");
+    expect(coerceFormValue([{ type: "list", options }], ["AT", "Belgium"])).toEqual(["AT", "BE"]);
+    expect(coerceFormValue([{ type: "text", readOnly: true }], "x")).toBeUndefined();
+  });
+});
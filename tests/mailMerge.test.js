@@ -0,0 +1,54 @@
+import { describe, expect, it } from "vitest";
+import {
+  buildMergeFileName,
+  csvValueToFormValue,
+  fillPlaceholders,
+  findPlaceholders,
+  parseCsv
+} from "../src/mailMerge.js";
+
+describe("mailMerge", () => {
+  it("parses quoted CSV cells and detects semicolon delimiters", () => {
+    const csv = '\uFEFFName,Note,\r\n"Doe, Jane","said ""hi""\nthen left",x\r\n\r\nSmith\r\n';
+    expect(parseCsv(csv)).toEqual({
+      headers: ["Name", "Note", "Column 3"],
+      rows: [
+        { Name: "Doe, Jane", Note: 'said "hi"\nthen left', "Column 3": "x" },
+        { Name: "Smith", Note: "", "Column 3": "" }
+      ]
+    });
+    expect(parseCsv("city;amount;city\nWien;1,50;Graz").rows).toEqual([
+      { city: "Wien", amount: "1,50", "city (2)": "Graz" }
+    ]);
+    expect(() => parseCsv('a,b\n"open')).toThrow("The CSV file ends inside a quoted value.");
+  });
+
+  it("fills placeholders and names one file per row", () => {
+    const letter = "Dear {{ First name }}, your total is {{amount}}. {{unmapped}}";
+    expect(findPlaceholders([letter, "{{amount}} due", null])).toEqual([
+      "First name",
+      "amount",
+      "unmapped"
+    ]);
+    expect(fillPlaceholders(letter, { "First name": "Ada", amount: "$5" })).toBe(
+      "Dear Ada, your total is $5. {{unmapped}}"
+    );
+
+    const taken = new Set();
+    const pattern = "letter-{{Last}}";
+    expect(buildMergeFileName(pattern, { Last: "Doe/Smith" }, 1, taken)).toBe(
+      "letter-Doe_Smith.pdf"
+    );
+    expect(buildMergeFileName(pattern, { Last: "doe/smith" }, 2, taken)).toBe(
+      "letter-doe_smith-2.pdf"
+    );
+    expect(buildMergeFileName("{{row}}.pdf", {}, 3, taken)).toBe("3.pdf");
+    expect(buildMergeFileName("{{Missing}}", {}, 4, taken)).toBe("{{Missing}}.pdf");
+
+    const checkbox = [{ type: "checkbox", onValue: "Yes" }];
+    expect(csvValueToFormValue(checkbox, "x")).toBe(true);
+    expect(csvValueToFormValue(checkbox, "No")).toBe(false);
+    expect(csvValueToFormValue(checkbox, "Yes")).toBe("Yes");
+    expect(csvValueToFormValue([{ type: "text" }], "yes")).toBe("yes");
+  });
+});
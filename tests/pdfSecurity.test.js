@@ -0,0 +1,73 @@
+import { describe, expect, it } from "vitest";
+import { PDFDocument, PDFName, decodePDFRawStream } from "pdf-lib";
+import { readFileSync } from "node:fs";
+import { resolve } from "node:path";
+import { hasEncryptionDictionary, md5, unlockPdf } from "../src/pdfSecurity.js";
+
+// Both fixtures have the user password "open sesame" (AES-256) or none (RC4),
+// the owner password "owner-secret", and deny editing, copying and comments.
+const readFixture = (name) => new Uint8Array(readFileSync(resolve(__dirname, "fixtures", name)));
+
+async function readPlainDocument(bytes) {
+  const doc = await PDFDocument.load(bytes);
+  const contents = doc.getPage(0).node.Contents();
+  return {
+    title: doc.getTitle(),
+    content: new TextDecoder().decode(decodePDFRawStream(contents).decode())
+  };
+}
+
+describe("pdfSecurity", () => {
+  it("hashes with md5", () => {
+    const hex = (bytes) => Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+    expect(hex(md5(new Uint8Array(0)))).toBe("d41d8cd98f00b204e9800998ecf8427e");
+    expect(hex(md5(new TextEncoder().encode("The quick brown fox jumps over the lazy dog")))).toBe(
+      "9e107d9d372bb6826bd81d3542a419d6"
+    );
+  });
+
+  it("opens AES-256 files with the user or owner password", async () => {
+    const bytes = readFixture("protected-aes256.pdf");
+    expect(hasEncryptionDictionary(bytes)).toBe(true);
+    expect((await unlockPdf(bytes)).status).toBe("locked");
+    expect((await unlockPdf(bytes, "open")).status).toBe("locked");
+
+    const user = await unlockPdf(bytes, "open sesame");
+    expect(user.status).toBe("unlocked");
+    expect(user.security).toEqual({
+      encrypted: true,
+      openedWith: "user",
+      userPasswordRequired: true,
+      restrictions: ["editing", "copying text", "commenting"],
+      method: "AES-256"
+    });
+    expect(hasEncryptionDictionary(user.bytes)).toBe(false);
+    expect(await readPlainDocument(user.bytes)).toEqual({
+      title: "Quarterly (secret)",
+      content: "BT /F1 18 Tf 20 100 Td (Statement 42) Tj ET"
+    });
+
+    const owner = await unlockPdf(bytes, "owner-secret");
+    expect(owner.security.openedWith).toBe("owner");
+    expect(owner.security.restrictions).toEqual([]);
+  });
+
+  it("opens RC4 files that only have an owner password", async () => {
+    const bytes = readFixture("protected-rc4.pdf");
+    const result = await unlockPdf(bytes);
+    expect(result.status).toBe("unlocked");
+    expect(result.security).toMatchObject({
+      openedWith: "user",
+      userPasswordRequired: false,
+      method: "RC4"
+    });
+    const doc = await PDFDocument.load(result.bytes);
+    expect(doc.context.trailerInfo.Encrypt).toBeUndefined();
+    expect(doc.getInfoDict().get(PDFName.of("Title")).decodeText()).toBe("Quarterly (secret)");
+
+    const plain = await PDFDocument.create();
+    plain.addPage();
+    const plainBytes = await plain.save();
+    expect(await unlockPdf(plainBytes)).toEqual({ status: "unencrypted", bytes: plainBytes });
+  });
+});
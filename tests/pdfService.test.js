@@ -1,5 +1,21 @@
 import { describe, expect, it, vi } from "vitest";
-import { PDFDocument } from "pdf-lib";
+import {
+  PDFDocument,
+  PDFName,
+  PDFRawStream,
+  PDFString,
+  StandardFonts,
+  beginText,
+  concatTransformationMatrix,
+  decodePDFRawStream,
+  drawObject,
+  endText,
+  popGraphicsState,
+  pushGraphicsState,
+  setFontAndSize,
+  setTextMatrix,
+  showText
+} from "pdf-lib";
 import { readFileSync } from "node:fs";
 import { resolve } from "node:path";
 
@@ -68,6 +84,122 @@ describe("pdfService", () => {
     ]);
   });
 
+  it("keeps outline, links, named destinations, labels and fields when reordering", async () => {
+    const { exportDocument, reorderPdf } = await import("../src/pdfService.js");
+    const source = await PDFDocument.create();
+    const pages = [0, 1, 2].map(() => source.addPage([300, 300]));
+    const { context } = source;
+    const destinationTo = (index) => context.obj([pages[index].ref, "Fit"]);
+    const outline = context.obj({ Type: "Outlines", Count: 2 });
+    const outlineRef = context.register(outline);
+    const secondRef = context.nextRef();
+    const firstRef = context.register(
+      context.obj({
+        Title: PDFString.of("Intro"),
+        Parent: outlineRef,
+        Dest: destinationTo(0),
+        Next: secondRef
+      })
+    );
+    context.assign(
+      secondRef,
+      context.obj({
+        Title: PDFString.of("Gone"),
+        Parent: outlineRef,
+        Dest: destinationTo(1),
+        Prev: firstRef
+      })
+    );
+    outline.set(PDFName.of("First"), firstRef);
+    outline.set(PDFName.of("Last"), secondRef);
+    source.catalog.set(PDFName.of("Outlines"), outlineRef);
+    source.catalog.set(
+      PDFName.of("Names"),
+      context.obj({
+        Dests: context.obj({
+          Names: [PDFString.of("end"), destinationTo(2), PDFString.of("gone"), destinationTo(1)]
+        })
+      })
+    );
+    source.catalog.set(
+      PDFName.of("PageLabels"),
+      context.obj({ Nums: [0, context.obj({ S: "r" }), 1, context.obj({ S: "D" })] })
+    );
+    [1, 2].forEach((index) =>
+      pages[0].node.addAnnot(
+        context.register(
+          context.obj({
+            Type: "Annot",
+            Subtype: "Link",
+            Rect: [0, 0, 50, 50],
+            Dest: destinationTo(index)
+          })
+        )
+      )
+    );
+    source.getForm().createTextField("name").addToPage(pages[2], { x: 10, y: 10 });
+
+    const bytes = await source.save();
+    // Deleting pages in an incremental update has to prune the same targets.
+    const incremental = await PDFDocument.load(
+      await exportDocument(bytes, { saveMode: "incremental", pageOrder: [3, 1] })
+    );
+    const reordered = await PDFDocument.load(await reorderPdf(bytes, [3, 1]));
+    for (const doc of [incremental, reordered]) {
+      const [last, first] = doc.getPages();
+      const outlineRoot = doc.catalog.lookup(PDFName.of("Outlines"));
+      expect(outlineRoot.lookup(PDFName.of("Count")).asNumber()).toBe(1);
+      const intro = outlineRoot.lookup(PDFName.of("First"));
+      expect(outlineRoot.get(PDFName.of("Last"))).toBe(outlineRoot.get(PDFName.of("First")));
+      expect(intro.lookup(PDFName.of("Title")).decodeText()).toBe("Intro");
+      expect(intro.lookup(PDFName.of("Dest")).get(0)).toBe(first.ref);
+      expect(intro.get(PDFName.of("Next"))).toBeUndefined();
+      const names = doc.catalog.lookup(PDFName.of("Names")).lookup(PDFName.of("Dests"));
+      expect(names.lookup(PDFName.of("Names")).size()).toBe(2);
+      expect(names.lookup(PDFName.of("Names")).lookup(1).get(0)).toBe(last.ref);
+      const links = first.node.Annots();
+      expect(links.size()).toBe(1);
+      expect(links.lookup(0).lookup(PDFName.of("Dest")).get(0)).toBe(last.ref);
+    }
+    const catalog = reordered.catalog;
+    const labels = catalog.lookup(PDFName.of("PageLabels")).lookup(PDFName.of("Nums"));
+    expect(labels.lookup(1).lookup(PDFName.of("St")).asNumber()).toBe(2);
+    expect(labels.lookup(3).lookup(PDFName.of("S")).decodeText()).toBe("r");
+    expect(reordered.getForm().getFields().map((field) => field.getName())).toEqual(["name"]);
+  });
+
+  it("gives duplicated pages annotations and fields of their own", async () => {
+    const { exportDocument, reorderPdf } = await import("../src/pdfService.js");
+    const source = await PDFDocument.create();
+    const page = source.addPage([300, 300]);
+    const name = source.getForm().createTextField("name");
+    name.addToPage(page, { x: 10, y: 10 });
+    name.setText("Ada");
+    page.node.addAnnot(
+      source.context.register(
+        source.context.obj({ Type: "Annot", Subtype: "Text", Rect: [0, 0, 20, 20], P: page.ref })
+      )
+    );
+    const bytes = await source.save();
+
+    const incremental = await exportDocument(bytes, { saveMode: "incremental", pageOrder: [1, 1] });
+    for (const duplicated of [await reorderPdf(bytes, [1, 1]), incremental]) {
+      const doc = await PDFDocument.load(duplicated);
+      const [original, copy] = doc.getPages();
+      const originalAnnots = original.node.Annots().asArray();
+      const copyAnnots = copy.node.Annots().asArray();
+      expect(copyAnnots).toHaveLength(2);
+      expect(copyAnnots.filter((ref) => originalAnnots.includes(ref))).toEqual([]);
+      expect(doc.context.lookup(copyAnnots[1]).get(PDFName.of("P"))).toBe(copy.ref);
+
+      const form = doc.getForm();
+      expect(form.getFields().map((field) => field.getName())).toEqual(["name", "name_2"]);
+      form.getTextField("name_2").setText("Bob");
+      expect(form.getTextField("name").getText()).toBe("Ada");
+      expect(form.getTextField("name_2").acroField.getWidgets()[0].P()).toBe(copy.ref);
+    }
+  });
+
   it("merges PDFs and preserves order", async () => {
     const { mergePdfs } = await import("../src/pdfService.js");
     const first = await createPdfWithPageSizes([
@@ -261,6 +393,118 @@ describe("pdfService", () => {
     expect(updated.byteLength).toBeGreaterThan(bytes.byteLength);
   });
 
+  it("embeds a custom font for characters outside the standard fonts", async () => {
+    const { applyTextAnnotations } = await import("../src/pdfService.js");
+    const bytes = await createPdfWithPageSizes([[600, 800]]);
+    const fontData = new Uint8Array(readFileSync(resolve("public/fonts/Allura-Regular.ttf")));
+    const annotations = [
+      {
+        id: "text-unicode",
+        pageNumber: 1,
+        x: 30,
+        y: 60,
+        width: 240,
+        height: 50,
+        text: "Łódź 10€",
+        fontSize: 14,
+        fontFamily: "font-allura",
+        color: "#000000",
+        overlayWidth: 300,
+        overlayHeight: 400
+      }
+    ];
+    await expect(applyTextAnnotations(bytes, annotations)).rejects.toThrow(
+      "Helvetica cannot encode these characters: Ł ź"
+    );
+    const updated = await applyTextAnnotations(bytes, annotations, [
+      { id: "font-allura", name: "Allura", fontData }
+    ]);
+    const pdfDoc = await PDFDocument.load(updated);
+    const fonts = pdfDoc.context
+      .enumerateIndirectObjects()
+      .map(([, object]) => object)
+      .filter((object) => object.get?.(PDFName.of("Type"))?.asString?.() === "/Font");
+    expect(fonts.some((font) => font.get(PDFName.of("Subtype")).asString() === "/Type0")).toBe(
+      true
+    );
+  });
+
+  it("wraps and aligns text inside the box width", async () => {
+    const { layoutTextBox } = await import("../src/pdfService.js");
+    const font = { widthOfTextAtSize: (text, size) => text.length * size * 0.5 };
+    const box = { x: 0, top: 100, width: 50, fontSize: 10, lineHeight: 1.5 };
+    const words = (placed) => placed.filter((token) => !token.isSpace);
+
+    const left = words(layoutTextBox([{ text: "aaaa bbbb cc\ndd", font, fontSize: 10 }], box));
+    expect(left.map((token) => [token.text, token.x, token.y])).toEqual([
+      ["aaaa", 0, 90],
+      ["bbbb", 25, 90],
+      ["cc", 0, 75],
+      ["dd", 0, 60]
+    ]);
+
+    const right = words(
+      layoutTextBox([{ text: "aaaa bbbb cc", font, fontSize: 10 }], { ...box, align: "right" })
+    );
+    expect(right.find((token) => token.text === "cc").x).toBe(40);
+
+    const justified = words(
+      layoutTextBox([{ text: "aa bb cc dd", font, fontSize: 10 }], { ...box, align: "justify" })
+    );
+    expect(justified.map((token) => token.x)).toEqual([0, 20, 40, 0]);
+  });
+
+  it("wraps exported text at the same words as the editor overlay", async () => {
+    const { exportDocument, layoutTextBox } = await import("../src/pdfService.js");
+    const font = await (await PDFDocument.create()).embedFont(StandardFonts.Helvetica);
+    const text = "Quarterly revenue grew across every region except the north";
+    const annotation = {
+      pageNumber: 1,
+      x: 30,
+      y: 40,
+      width: 240,
+      height: 120,
+      text,
+      fontSize: 20,
+      fontFamily: "Helvetica",
+      overlayWidth: 600,
+      overlayHeight: 840
+    };
+    const groupLines = (tokens) => {
+      const lines = new Map();
+      tokens.forEach((token) => {
+        const key = Math.round(token.y);
+        lines.set(key, [...(lines.get(key) ?? []), token.text]);
+      });
+      return [...lines.values()].map((words) => words.join(" "));
+    };
+    const overlayLines = groupLines(
+      layoutTextBox([{ text, font, fontSize: 20 }], {
+        x: 0,
+        top: 0,
+        width: annotation.width,
+        fontSize: 20
+      }).filter((token) => !token.isSpace)
+    );
+    expect(overlayLines.length).toBeGreaterThan(1);
+
+    const bytes = await createPdfWithPageSizes([[500, 700]]);
+    const exported = await exportDocument(bytes, { textAnnotations: [annotation] });
+    const doc = await PDFDocument.load(exported);
+    const contents = doc.getPage(0).node.Contents();
+    const streams = contents instanceof PDFRawStream ? [contents] : contents.asArray();
+    const content = streams
+      .map((item) => doc.context.lookup(item))
+      .map((stream) => new TextDecoder().decode(decodePDFRawStream(stream).decode()))
+      .join("\n");
+    const shown = content.matchAll(/1 0 0 1 [\d.]+ ([\d.]+) Tm\s+<([0-9A-F]+)> Tj/g);
+    const drawn = [...shown].map(([, y, hex]) => ({
+      y: Number(y),
+      text: hex.match(/../g).map((code) => String.fromCharCode(parseInt(code, 16))).join("")
+    }));
+    expect(groupLines(drawn)).toEqual(overlayLines);
+  });
+
   it("applies mixed-style text spans", async () => {
     const { applyTextAnnotations } = await import("../src/pdfService.js");
     const bytes = await createPdfWithPageSizes([[600, 800]]);
@@ -370,4 +614,922 @@ describe("pdfService", () => {
     expect(Array.from(new Uint8Array(bytes))).toEqual(Array.from(original));
     expect(updated.byteLength).toBeGreaterThan(bytes.byteLength);
   });
+
+  it("exports every annotation kind with a single load and save", async () => {
+    const { exportDocument } = await import("../src/pdfService.js");
+    const bytes = await createPdfWithPageSizes([
+      [300, 400],
+      [500, 600]
+    ]);
+    const loadSpy = vi.spyOn(PDFDocument, "load");
+    const overlay = { overlayWidth: 300, overlayHeight: 400 };
+    const updated = await exportDocument(bytes, {
+      pageOrder: [2, 1],
+      rotations: { 2: 90 },
+      highlightAnnotations: [
+        { pageNumber: 1, x: 10, y: 10, width: 80, height: 20, color: "#f59e0b", ...overlay }
+      ],
+      imageAssets: [
+        {
+          id: "asset-1",
+          imageData: Uint8Array.from(Buffer.from(PNG_BASE64, "base64"))
+        }
+      ],
+      imageAnnotations: [
+        { assetId: "asset-1", pageNumber: 2, x: 20, y: 20, width: 40, height: 40, ...overlay }
+      ],
+      textAnnotations: [
+        { pageNumber: 1, x: 20, y: 60, width: 200, height: 40, text: "Hello", ...overlay }
+      ],
+      signatureAnnotations: [
+        {
+          pageNumber: 2,
+          x: 50,
+          y: 60,
+          width: 220,
+          height: 80,
+          text: "Ada Lovelace",
+          fontId: "sig-allura",
+          ...overlay
+        }
+      ],
+      drawAnnotations: [
+        {
+          pageNumber: 1,
+          points: [
+            { x: 10, y: 20 },
+            { x: 40, y: 60 }
+          ],
+          strokeColor: "#2563eb",
+          strokeWidth: 4,
+          ...overlay
+        }
+      ],
+      shapeAnnotations: [
+        {
+          pageNumber: 2,
+          shapeType: "ellipse",
+          geometry: { x: 40, y: 50, width: 100, height: 80 },
+          style: { strokeColor: "#2563eb", strokeWidth: 3 },
+          ...overlay
+        }
+      ]
+    });
+    expect(loadSpy).toHaveBeenCalledTimes(1);
+    loadSpy.mockRestore();
+    const doc = await PDFDocument.load(updated);
+    expect(doc.getPageCount()).toBe(2);
+    expect(doc.getPage(0).getWidth()).toBe(500);
+    expect(doc.getPage(0).getRotation().angle).toBe(90);
+    expect(updated.byteLength).toBeGreaterThan(bytes.byteLength);
+  });
+
+  it("exports unchanged pages when the edit model is empty", async () => {
+    const { exportDocument } = await import("../src/pdfService.js");
+    const bytes = await createPdfWithPageSizes([[300, 400]]);
+    const original = new Uint8Array(bytes);
+    const updated = await exportDocument(bytes);
+    expect(Array.from(new Uint8Array(bytes))).toEqual(Array.from(original));
+    const doc = await PDFDocument.load(updated);
+    expect(doc.getPageCount()).toBe(1);
+  });
+
+  it("exports markup as editable PDF annotations", async () => {
+    const { exportDocument } = await import("../src/pdfService.js");
+    const { PDFName } = await import("pdf-lib");
+    const bytes = await createPdfWithPageSizes([[600, 800]]);
+    const overlay = { pageNumber: 1, overlayWidth: 300, overlayHeight: 400 };
+    const updated = await exportDocument(bytes, {
+      annotationMode: "editable",
+      highlightAnnotations: [
+        { x: 10, y: 10, width: 80, height: 20, color: "#f59e0b", ...overlay }
+      ],
+      textAnnotations: [
+        {
+          x: 20,
+          y: 60,
+          width: 200,
+          height: 40,
+          text: "Hello",
+          fontSize: 14,
+          spans: [
+            { text: "Bold ", bold: true, fontSize: 16, color: "#111111" },
+            { text: "blue", underline: true, color: "#2563eb" }
+          ],
+          ...overlay
+        },
+        { kind: "comment", x: 20, y: 120, width: 180, height: 80, text: "Note", ...overlay },
+        { kind: "stamp", x: 40, y: 220, width: 200, height: 60, text: "APPROVED", ...overlay },
+        { kind: "stamp", x: 40, y: 300, width: 200, height: 60, text: "PAID", ...overlay }
+      ],
+      drawAnnotations: [
+        {
+          points: [
+            { x: 10, y: 20 },
+            { x: 40, y: 60 }
+          ],
+          strokeColor: "#2563eb",
+          strokeWidth: 4,
+          ...overlay
+        }
+      ],
+      shapeAnnotations: [
+        { shapeType: "rect", geometry: { x: 40, y: 50, width: 100, height: 80 }, ...overlay },
+        { shapeType: "ellipse", geometry: { x: 40, y: 50, width: 100, height: 80 }, ...overlay },
+        {
+          shapeType: "arrow",
+          geometry: {
+            points: [
+              { x: 10, y: 10 },
+              { x: 90, y: 90 }
+            ]
+          },
+          ...overlay
+        },
+        {
+          shapeType: "cloud",
+          geometry: {
+            points: [
+              { x: 10, y: 10 },
+              { x: 90, y: 10 },
+              { x: 50, y: 80 }
+            ]
+          },
+          style: { fillColor: "#ffffff" },
+          ...overlay
+        }
+      ]
+    });
+    const doc = await PDFDocument.load(updated);
+    const annots = doc.getPage(0).node.Annots();
+    const subtypes = annots
+      .asArray()
+      .map((ref) => doc.context.lookup(ref).get(PDFName.of("Subtype")).asString());
+    expect(subtypes).toEqual([
+      "/Highlight",
+      "/FreeText",
+      "/Text",
+      "/Stamp",
+      "/Stamp",
+      "/Ink",
+      "/Square",
+      "/Circle",
+      "/Line",
+      "/Polygon"
+    ]);
+    const highlight = doc.context.lookup(annots.get(0));
+    expect(highlight.get(PDFName.of("AP"))).toBeTruthy();
+    expect(highlight.get(PDFName.of("QuadPoints")).size()).toBe(8);
+
+    const freeText = doc.context.lookup(annots.get(1));
+    const richText = freeText.get(PDFName.of("RC")).decodeText();
+    expect(richText).toContain(
+      '<span style="font-family:Helvetica;font-size:32pt;font-weight:bold;font-style:normal;' +
+        'text-decoration:none;color:#111111">Bold </span>'
+    );
+    expect(richText).toContain("text-decoration:underline;color:#2563eb\">blue</span>");
+    const appearance = doc.context.lookup(
+      freeText.get(PDFName.of("AP")).get(PDFName.of("N"))
+    );
+    const fonts = appearance.dict.get(PDFName.of("Resources")).get(PDFName.of("Font"));
+    expect(fonts.keys().map(String)).toEqual(["/F0", "/F1"]);
+    const stream = new TextDecoder().decode(decodePDFRawStream(appearance).decode());
+    expect(stream).toContain("/F0 32 Tf");
+    expect(stream).toContain("/F1 28 Tf");
+
+    const stampNames = [3, 4].map((index) =>
+      doc.context.lookup(annots.get(index)).get(PDFName.of("Name"))?.asString()
+    );
+    expect(stampNames).toEqual(["/Approved", undefined]);
+  });
+
+  it("exports text markup with one quad per line", async () => {
+    const { exportDocument } = await import("../src/pdfService.js");
+    const bytes = await createPdfWithPageSizes([[600, 800]]);
+    const markup = {
+      pageNumber: 1,
+      x: 10,
+      y: 10,
+      width: 120,
+      height: 40,
+      rects: [
+        { x: 10, y: 10, width: 120, height: 16 },
+        { x: 10, y: 34, width: 60, height: 16 }
+      ],
+      markupType: "squiggly",
+      text: "two lines",
+      color: "#dc2626",
+      overlayWidth: 300,
+      overlayHeight: 400
+    };
+    const editable = await PDFDocument.load(
+      await exportDocument(bytes, { annotationMode: "editable", highlightAnnotations: [markup] })
+    );
+    const annotation = editable.context.lookup(editable.getPage(0).node.Annots().get(0));
+    expect(annotation.get(PDFName.of("Subtype")).asString()).toBe("/Squiggly");
+    expect(annotation.get(PDFName.of("QuadPoints")).size()).toBe(16);
+    expect(annotation.lookup(PDFName.of("Contents")).decodeText()).toBe("two lines");
+
+    const flattened = await exportDocument(bytes, { highlightAnnotations: [markup] });
+    expect((await PDFDocument.load(flattened)).getPage(0).node.Annots()?.size() ?? 0).toBe(0);
+  });
+
+  it("redacts covered text, image pixels and annotations from the page", async () => {
+    const { exportDocument, redactPdf } = await import("../src/pdfService.js");
+    const doc = await PDFDocument.create();
+    const page = doc.addPage([300, 200]);
+    const font = await doc.embedFont(StandardFonts.Helvetica);
+    page.drawText("SSN 123-45-6789 ok", { x: 20, y: 150, size: 12, font });
+    const pixels = doc.context.flateStream(new Uint8Array(16).fill(200), {
+      Type: "XObject",
+      Subtype: "Image",
+      Width: 4,
+      Height: 4,
+      ColorSpace: "DeviceGray",
+      BitsPerComponent: 8
+    });
+    page.node.setXObject(PDFName.of("Im1"), doc.context.register(pixels));
+    page.pushOperators(
+      pushGraphicsState(),
+      concatTransformationMatrix(40, 0, 0, 40, 200, 20),
+      drawObject("Im1"),
+      popGraphicsState()
+    );
+    const square = doc.context.obj({ Type: "Annot", Subtype: "Square", Rect: [40, 140, 80, 170] });
+    page.node.set(PDFName.of("Annots"), doc.context.obj([doc.context.register(square)]));
+    const bytes = await doc.save();
+
+    const left = 20 + font.widthOfTextAtSize("SSN ", 12);
+    const right = 20 + font.widthOfTextAtSize("SSN 123-45-6789", 12);
+    const { bytes: redacted, removed } = await redactPdf(bytes, [
+      { pageNumber: 1, x: left, y: 145, width: right - left, height: 15, label: "REDACTED" },
+      { pageNumber: 1, x: 200, y: 40, width: 20, height: 30 }
+    ]);
+    expect(removed).toEqual({ glyphs: 11, images: 1, wholeImages: 0, annotations: 1 });
+
+    const result = await PDFDocument.load(redacted);
+    const resultPage = result.getPage(0);
+    const decode = (stream) =>
+      stream instanceof PDFRawStream ? decodePDFRawStream(stream).decode() : stream.getContents();
+    const contents = resultPage.node.Contents();
+    const content = (contents.asArray?.() ?? [contents])
+      .map((item) => Buffer.from(decode(result.context.lookup(item))).toString("latin1"))
+      .join("\n");
+    const shown = [...content.matchAll(/<([0-9a-f]+)>/gi)]
+      .map((match) => Buffer.from(match[1], "hex").toString("latin1"))
+      .join("|");
+    expect(shown).toContain("SSN ");
+    expect(shown).toContain(" ok");
+    expect(shown).not.toMatch(/\d/);
+    expect(shown).toContain("REDACTED");
+    expect(resultPage.node.Annots()?.size() ?? 0).toBe(0);
+
+    const xobjects = resultPage.node.Resources().lookup(PDFName.of("XObject"));
+    expect(xobjects.has(PDFName.of("Im1"))).toBe(false);
+    const image = xobjects.lookup(PDFName.of("RedactedIm1"));
+    // The left half of the two top rows sat under the second area.
+    expect(Array.from(decode(image))).toEqual([
+      0, 0, 200, 200, 0, 0, 200, 200, 200, 200, 200, 200, 200, 200, 200, 200
+    ]);
+    const saved = Buffer.from(redacted).toString("latin1");
+    expect(saved).not.toContain("123-45-6789");
+
+    await expect(
+      exportDocument(bytes, {
+        saveMode: "incremental",
+        redactions: [{ pageNumber: 1, x: 0, y: 0, width: 10, height: 10 }]
+      })
+    ).rejects.toThrow("incremental update");
+  });
+
+  it("clears covered pixels of JPEG images and reports images removed whole", async () => {
+    const { redactPdf } = await import("../src/pdfService.js");
+    const doc = await PDFDocument.create();
+    const page = doc.addPage([200, 200]);
+    const jpegBytes = new Uint8Array(readFileSync(resolve("tests/fixtures/1x1.jpg")));
+    const jpeg = doc.context.stream(jpegBytes, {
+      Type: "XObject",
+      Subtype: "Image",
+      Width: 4,
+      Height: 4,
+      ColorSpace: "DeviceCMYK",
+      BitsPerComponent: 8,
+      Decode: [1, 0, 1, 0, 1, 0, 1, 0],
+      Filter: "DCTDecode"
+    });
+    page.node.setXObject(PDFName.of("Im1"), doc.context.register(jpeg));
+    page.pushOperators(
+      pushGraphicsState(),
+      concatTransformationMatrix(40, 0, 0, 40, 100, 20),
+      drawObject("Im1"),
+      popGraphicsState()
+    );
+    const bytes = await doc.save();
+    const areas = [{ pageNumber: 1, x: 100, y: 40, width: 20, height: 30 }];
+
+    vi.stubGlobal("createImageBitmap", async () => ({ width: 4, height: 4, close: () => {} }));
+    vi.stubGlobal(
+      "OffscreenCanvas",
+      class {
+        getContext() {
+          return {
+            drawImage: () => {},
+            getImageData: (x, y, width, height) => ({
+              data: new Uint8ClampedArray(width * height * 4).fill(200)
+            })
+          };
+        }
+      }
+    );
+    try {
+      const { bytes: redacted, removed } = await redactPdf(bytes, areas);
+      expect(removed).toMatchObject({ images: 1, wholeImages: 0 });
+      const result = await PDFDocument.load(redacted);
+      const xobjects = result.getPage(0).node.Resources().lookup(PDFName.of("XObject"));
+      expect(xobjects.keys().map((key) => key.asString())).toEqual(["/RedactedIm1"]);
+      const image = xobjects.lookup(PDFName.of("RedactedIm1"));
+      expect(image.dict.get(PDFName.of("ColorSpace"))).toBe(PDFName.of("DeviceRGB"));
+      expect(image.dict.has(PDFName.of("Decode"))).toBe(false);
+      const samples = Array.from(decodePDFRawStream(image).decode());
+      expect(samples.slice(0, 12)).toEqual([0, 0, 0, 0, 0, 0, 200, 200, 200, 200, 200, 200]);
+      expect(samples.slice(24)).toEqual(Array(24).fill(200));
+    } finally {
+      vi.unstubAllGlobals();
+    }
+
+    const { bytes: removedWhole, removed } = await redactPdf(bytes, areas);
+    expect(removed).toMatchObject({ images: 1, wholeImages: 1 });
+    const xobjects = (await PDFDocument.load(removedWhole))
+      .getPage(0)
+      .node.Resources()
+      .lookup(PDFName.of("XObject"));
+    expect(xobjects.keys()).toEqual([]);
+  });
+
+  it("leaves no redacted image or form original in the exported file", async () => {
+    const { exportDocument } = await import("../src/pdfService.js");
+    const doc = await PDFDocument.create();
+    const font = await doc.embedFont(StandardFonts.Helvetica);
+    const photo = await doc.embedPng(Uint8Array.from(Buffer.from(PNG_BASE64, "base64")));
+    const scanPage = doc.addPage([200, 200]);
+    scanPage.drawImage(photo, { x: 0, y: 0, width: 200, height: 200 });
+    const formPage = doc.addPage([200, 200]);
+    const form = doc.context.formXObject(
+      [
+        beginText(),
+        setFontAndSize("F1", 12),
+        setTextMatrix(1, 0, 0, 1, 10, 100),
+        showText(font.encodeText("ACCOUNT 5550123")),
+        endText()
+      ],
+      { BBox: [0, 0, 200, 200], Resources: { Font: { F1: font.ref } } }
+    );
+    formPage.node.setXObject(PDFName.of("Fm1"), doc.context.register(form));
+    formPage.pushOperators(drawObject("Fm1"));
+    const bytes = await doc.save();
+
+    const exported = await exportDocument(bytes, {
+      redactions: [
+        { pageNumber: 1, x: 0, y: 0, width: 200, height: 200 },
+        { pageNumber: 2, x: 60, y: 95, width: 100, height: 20 }
+      ]
+    });
+    const result = await PDFDocument.load(exported);
+    const xobjectNames = (pageIndex) =>
+      result
+        .getPage(pageIndex)
+        .node.Resources()
+        .lookup(PDFName.of("XObject"))
+        .keys()
+        .map((key) => key.asString());
+    expect(xobjectNames(0)).toEqual([]);
+    expect(xobjectNames(1)).toEqual(["/RedactedFm1"]);
+    const streams = result.context
+      .enumerateIndirectObjects()
+      .map(([, object]) => object)
+      .filter((object) => object instanceof PDFRawStream);
+    expect(
+      streams.filter((stream) => stream.dict.get(PDFName.of("Subtype")) === PDFName.of("Image"))
+    ).toEqual([]);
+    const decoded = streams
+      .map((stream) => Buffer.from(decodePDFRawStream(stream).decode()).toString("latin1"))
+      .join("\n");
+    // The start of "ACCOUNT" is kept, "5550123" is gone from every stream.
+    expect(decoded).toContain("<4143434f55>");
+    expect(decoded).not.toMatch(/35353530313233/);
+  });
+
+  it("finds text matches and maps them to glyph quads", async () => {
+    const { findTextMatches, getTextRangeQuads } = await import("../src/pdfService.js");
+    const text = "Fox, foxes and the fox.";
+    expect(findTextMatches(text, "fox")).toHaveLength(3);
+    expect(findTextMatches(text, "fox", { caseSensitive: true })).toHaveLength(2);
+    expect(findTextMatches(text, "fox", { wholeWord: true })).toHaveLength(2);
+    expect(findTextMatches(text, "fox(es)?\\b", { regex: true, caseSensitive: true })).toEqual([
+      { start: 5, end: 10 },
+      { start: 19, end: 22 }
+    ]);
+    expect(() => findTextMatches(text, "(", { regex: true })).toThrow();
+
+    const items = [{ start: 0, str: "abcd", transform: [10, 0, 0, 10, 100, 500], width: 40 }];
+    expect(getTextRangeQuads(items, 1, 3)).toEqual([[110, 508, 130, 508, 110, 498, 130, 498]]);
+  });
+
+  it("maps pdf.js annotations into the editor model", async () => {
+    const { importPdfAnnotations } = await import("../src/pdfService.js");
+    const viewport = {
+      width: 720,
+      height: 960,
+      convertToViewportPoint: (x, y) => [x * 1.2, (800 - y) * 1.2]
+    };
+    const pdfDoc = {
+      numPages: 1,
+      getPage: async () => ({
+        getViewport: () => viewport,
+        getAnnotations: async () => [
+          {
+            id: "10R",
+            subtype: "Highlight",
+            rect: [100, 600, 200, 620],
+            quadPoints: new Float32Array([100, 620, 200, 620, 100, 600, 200, 600]),
+            color: new Uint8ClampedArray([255, 255, 0]),
+            opacity: 0.5
+          },
+          {
+            id: "11R",
+            subtype: "Ink",
+            rect: [0, 0, 50, 50],
+            inkLists: [new Float32Array([10, 10, 20, 20, 30, 10])],
+            color: new Uint8ClampedArray([0, 0, 255]),
+            borderStyle: { width: 2 }
+          },
+          {
+            id: "12R",
+            subtype: "Square",
+            rect: [50, 50, 150, 100],
+            color: new Uint8ClampedArray([255, 0, 0]),
+            borderStyle: { width: 1 }
+          },
+          {
+            id: "13R",
+            subtype: "Text",
+            rect: [300, 700, 320, 720],
+            contentsObj: { str: "Check this" }
+          },
+          {
+            id: "14R",
+            subtype: "FreeText",
+            rect: [300, 400, 500, 450],
+            contentsObj: { str: "Typed note" },
+            defaultAppearanceData: { fontSize: 14, fontColor: new Uint8ClampedArray([0, 0, 0]) }
+          },
+          { id: "15R", subtype: "Link", rect: [0, 0, 10, 10] }
+        ]
+      })
+    };
+    const imported = await importPdfAnnotations(pdfDoc);
+    expect(imported.importedIds).toEqual(["10R", "11R", "12R", "13R", "14R"]);
+    expect(imported.highlightAnnotations[0]).toMatchObject({
+      pageNumber: 1,
+      x: 120,
+      y: 216,
+      width: 120,
+      height: 24,
+      color: "#ffff00",
+      overlayWidth: 720,
+      overlayHeight: 960
+    });
+    expect(imported.drawAnnotations[0].points).toHaveLength(3);
+    expect(imported.drawAnnotations[0].strokeColor).toBe("#0000ff");
+    expect(imported.shapeAnnotations[0].shapeType).toBe("rect");
+    expect(imported.commentAnnotations[0].text).toBe("Check this");
+    expect(imported.textAnnotations[0]).toMatchObject({ text: "Typed note", fontSize: 14 });
+  });
+
+  it("reads form widgets and writes filled values back to the AcroForm", async () => {
+    const { exportDocument, readFormFields } = await import("../src/pdfService.js");
+    const viewport = {
+      width: 480,
+      height: 480,
+      convertToViewportPoint: (x, y) => [x * 1.2, (400 - y) * 1.2]
+    };
+    const fields = await readFormFields(
+      {
+        numPages: 1,
+        getPage: async () => ({
+          getViewport: () => viewport,
+          getAnnotations: async () => [
+            {
+              id: "9R",
+              subtype: "Widget",
+              fieldType: "Tx",
+              fieldName: "name",
+              rect: [20, 350, 220, 370],
+              fieldValue: "Ada"
+            },
+            {
+              id: "13R",
+              subtype: "Widget",
+              fieldType: "Btn",
+              checkBox: true,
+              fieldName: "agree",
+              rect: [20, 320, 32, 332],
+              fieldValue: "Off",
+              exportValue: "Yes"
+            },
+            {
+              id: "19R",
+              subtype: "Widget",
+              fieldType: "Btn",
+              radioButton: true,
+              fieldName: "plan",
+              rect: [20, 290, 32, 302],
+              fieldValue: "1",
+              buttonValue: "0"
+            },
+            {
+              id: "20R",
+              subtype: "Widget",
+              fieldType: "Btn",
+              pushButton: true,
+              fieldName: "send",
+              rect: [0, 0, 10, 10]
+            },
+            {
+              id: "21R",
+              subtype: "Link",
+              rect: [0, 0, 10, 10]
+            }
+          ]
+        })
+      },
+      1.2
+    );
+    expect(fields.values).toEqual({ name: "Ada", agree: "", plan: "1" });
+    expect(fields.fields.map((field) => [field.name, field.type, field.onValue])).toEqual([
+      ["name", "text", null],
+      ["agree", "checkbox", "Yes"],
+      ["plan", "radio", "0"]
+    ]);
+    expect(fields.fields[0]).toMatchObject({ x: 24, y: 36, width: 240, height: 24 });
+
+    const source = await PDFDocument.create();
+    const page = source.addPage([400, 400]);
+    const form = source.getForm();
+    form.createTextField("name").addToPage(page, { x: 20, y: 350, width: 200, height: 20 });
+    form.createCheckBox("agree").addToPage(page, { x: 20, y: 320, width: 12, height: 12 });
+    const plan = form.createRadioGroup("plan");
+    plan.addOptionToPage("basic", page, { x: 20, y: 290, width: 12, height: 12 });
+    plan.addOptionToPage("pro", page, { x: 60, y: 290, width: 12, height: 12 });
+    const languages = form.createOptionList("languages");
+    languages.addOptions(["JS", "Go", "Rust"]);
+    languages.enableMultiselect();
+    languages.addToPage(page, { x: 20, y: 150, width: 100, height: 60 });
+    const bytes = await source.save();
+    const formValues = { name: "Ada Lovelace", agree: "Yes", plan: "1", languages: ["Go", "Rust"] };
+
+    const filled = (await PDFDocument.load(await exportDocument(bytes, { formValues }))).getForm();
+    expect(filled.getTextField("name").getText()).toBe("Ada Lovelace");
+    expect(filled.getCheckBox("agree").isChecked()).toBe(true);
+    expect(filled.getRadioGroup("plan").getSelected()).toBe("pro");
+    expect(filled.getOptionList("languages").getSelected()).toEqual(["Go", "Rust"]);
+
+    const flattened = await PDFDocument.load(
+      await exportDocument(bytes, { formValues, flattenForm: true })
+    );
+    expect(flattened.getForm().getFields()).toHaveLength(0);
+    expect(flattened.getPage(0).node.Annots()?.size() ?? 0).toBe(0);
+  });
+
+  it("draws form values outside WinAnsi with a custom font that has them", async () => {
+    const { exportDocument } = await import("../src/pdfService.js");
+    const source = await PDFDocument.create();
+    const page = source.addPage([400, 400]);
+    const form = source.getForm();
+    form.createTextField("name").addToPage(page, { x: 20, y: 350, width: 200, height: 20 });
+    form.createTextField("city").addToPage(page, { x: 20, y: 320, width: 200, height: 20 });
+    const bytes = await source.save();
+    const formValues = { name: "Łukasz", city: "Kraków" };
+
+    await expect(exportDocument(bytes, { formValues })).rejects.toThrow(
+      'The form field "name" cannot encode these characters: Ł.'
+    );
+    const fontData = new Uint8Array(readFileSync(resolve("public/fonts/Allura-Regular.ttf")));
+    const customFonts = [{ id: "font-allura", name: "Allura", fontData }];
+    for (const flattenForm of [false, true]) {
+      const doc = await PDFDocument.load(
+        await exportDocument(bytes, { formValues, customFonts, flattenForm })
+      );
+      const fonts = doc.context
+        .enumerateIndirectObjects()
+        .map(([, object]) => object)
+        .filter((object) => object.get?.(PDFName.of("Type"))?.asString?.() === "/Font")
+        .map((font) => font.get(PDFName.of("BaseFont")).asString());
+      expect(fonts.some((font) => font.startsWith("/Allura-Regular"))).toBe(true);
+      if (!flattenForm) {
+        expect(doc.getForm().getTextField("name").getText()).toBe("Łukasz");
+      }
+    }
+  });
+
+  it("exports authored form fields as AcroForm fields in tab order", async () => {
+    const { exportDocument } = await import("../src/pdfService.js");
+    const bytes = await createPdfWithPageSizes([[300, 400]]);
+    const overlay = { pageNumber: 1, overlayWidth: 300, overlayHeight: 400 };
+    const box = (y, width = 120, height = 20) => ({ x: 20, y, width, height, ...overlay });
+    const formFieldAnnotations = [
+      { fieldType: "dropdown", name: "plan", options: ["Basic", "Pro"], defaultValue: "Pro" },
+      { fieldType: "text", name: "email", defaultValue: "a@b.co", required: true, maxLength: 40 },
+      { fieldType: "radio", name: "size", exportValue: "S" },
+      { fieldType: "radio", name: "size", exportValue: "M", checked: true },
+      { fieldType: "checkbox", name: "agree", checked: true },
+      { fieldType: "signature", name: "signed", required: true }
+    ].map((field, index) => ({ ...box(20 + index * 40), ...field }));
+
+    const doc = await PDFDocument.load(
+      await exportDocument(bytes, { annotationMode: "flatten", formFieldAnnotations })
+    );
+    const form = doc.getForm();
+    expect(form.getFields().map((field) => field.getName())).toEqual([
+      "plan",
+      "email",
+      "size",
+      "agree",
+      "signed"
+    ]);
+    expect(form.getDropdown("plan").getSelected()).toEqual(["Pro"]);
+    const email = form.getTextField("email");
+    expect([email.getText(), email.getMaxLength(), email.isRequired()]).toEqual([
+      "a@b.co",
+      40,
+      true
+    ]);
+    expect(form.getRadioGroup("size").getSelected()).toBe("M");
+    expect(form.getCheckBox("agree").isChecked()).toBe(true);
+    expect(form.getSignature("signed").isRequired()).toBe(true);
+    // Widgets sit in the page /Annots array in tab order.
+    const annots = doc.getPage(0).node.Annots().asArray().map((ref) => doc.context.lookup(ref));
+    const rects = annots.map((annot) => annot.lookup(PDFName.of("Rect")).asRectangle().y);
+    expect(rects).toEqual([...rects].sort((a, b) => b - a));
+    expect(annots).toHaveLength(6);
+
+    await expect(
+      exportDocument(bytes, {
+        formFieldAnnotations: [
+          { ...box(20), fieldType: "text", name: "dup" },
+          { ...box(60), fieldType: "checkbox", name: "dup" }
+        ]
+      })
+    ).rejects.toThrow('Form fields named "dup" must all be the same type.');
+
+    const flattened = await PDFDocument.load(
+      await exportDocument(bytes, { formFieldAnnotations, flattenForm: true })
+    );
+    expect(flattened.getForm().getFields()).toHaveLength(0);
+    expect(flattened.getPage(0).node.Annots()?.size() ?? 0).toBe(0);
+  });
+
+  it("drops imported originals when exporting", async () => {
+    const { exportDocument } = await import("../src/pdfService.js");
+    const bytes = await createPdfWithPageSizes([[600, 800]]);
+    const overlay = { pageNumber: 1, overlayWidth: 300, overlayHeight: 400 };
+    const annotated = await exportDocument(bytes, {
+      annotationMode: "editable",
+      highlightAnnotations: [
+        { x: 10, y: 10, width: 80, height: 20, color: "#f59e0b", ...overlay },
+        { x: 10, y: 50, width: 80, height: 20, color: "#f59e0b", ...overlay }
+      ]
+    });
+    const annotatedDoc = await PDFDocument.load(annotated);
+    const [firstRef] = annotatedDoc.getPage(0).node.Annots().asArray();
+    const updated = await exportDocument(annotated, {
+      removeAnnotationIds: [`${firstRef.objectNumber}R`]
+    });
+    const doc = await PDFDocument.load(updated);
+    expect(doc.getPage(0).node.Annots().size()).toBe(1);
+  });
+
+  it("writes edited metadata and can strip it entirely", async () => {
+    const { exportDocument, readPdfMetadata } = await import("../src/pdfService.js");
+    const source = await PDFDocument.create();
+    source.addPage([200, 200]);
+    source.setTitle("Draft");
+    source.setAuthor("Someone");
+    const xmp = source.context.register(
+      source.context.stream("<x:xmpmeta>private</x:xmpmeta>", { Type: "Metadata" })
+    );
+    source.catalog.set(PDFName.of("Metadata"), xmp);
+    const bytes = await source.save({ useObjectStreams: false });
+
+    const edited = await readPdfMetadata(
+      await exportDocument(bytes, {
+        pageOrder: [1],
+        metadata: {
+          title: "Final",
+          author: "",
+          keywords: "contract, signed",
+          creationDate: "2024-01-02T03:04"
+        }
+      })
+    );
+    expect(edited.title).toBe("Final");
+    expect(edited.author).toBe("");
+    expect(edited.keywords).toBe("contract, signed");
+    expect(edited.creationDate.getFullYear()).toBe(2024);
+
+    const stripped = await exportDocument(bytes, { stripMetadata: true });
+    const text = new TextDecoder("latin1").decode(stripped);
+    expect(text).not.toContain("xmpmeta");
+    expect(text).not.toContain("/Info");
+    expect((await readPdfMetadata(stripped)).title).toBe("");
+  });
+
+  it("encrypts the export with AES-256 passwords and permission flags", async () => {
+    const { exportDocument } = await import("../src/pdfService.js");
+    const { unlockPdf } = await import("../src/pdfSecurity.js");
+    const source = await PDFDocument.create();
+    source.addPage([200, 200]);
+    const bytes = await source.save();
+    const encryption = {
+      userPassword: "open",
+      ownerPassword: "manage",
+      permissions: { printing: true, copying: false, editing: false, formFilling: true }
+    };
+
+    const encrypted = await exportDocument(bytes, { metadata: { title: "Payroll" }, encryption });
+    expect(new TextDecoder("latin1").decode(encrypted)).not.toContain("Payroll");
+    await expect(PDFDocument.load(encrypted)).rejects.toThrow();
+    expect((await unlockPdf(encrypted, "wrong")).status).toBe("locked");
+    const opened = await unlockPdf(encrypted, "open");
+    expect(opened.security.restrictions).toEqual([
+      "editing",
+      "copying text",
+      "commenting",
+      "assembling pages"
+    ]);
+    expect((await PDFDocument.load(opened.bytes)).getTitle()).toBe("Payroll");
+    expect((await unlockPdf(encrypted, "manage")).security.openedWith).toBe("owner");
+
+    await expect(exportDocument(bytes, { saveMode: "incremental", encryption })).rejects.toThrow(
+      "Encryption needs a full save"
+    );
+  });
+
+  it("appends an incremental update after the original bytes", async () => {
+    const { exportDocument } = await import("../src/pdfService.js");
+    for (const useObjectStreams of [false, true]) {
+      const source = await PDFDocument.create();
+      source.addPage([300, 300]);
+      source.addPage([300, 300]);
+      const bytes = await source.save({ useObjectStreams });
+      const updated = await exportDocument(bytes, {
+        saveMode: "incremental",
+        annotationMode: "editable",
+        pageOrder: [2, 1],
+        highlightAnnotations: [
+          {
+            id: "highlight-1",
+            pageNumber: 1,
+            x: 10,
+            y: 10,
+            width: 80,
+            height: 20,
+            color: "#facc15",
+            opacity: 0.4,
+            overlayWidth: 360,
+            overlayHeight: 360
+          }
+        ],
+        metadata: { title: "Revised" }
+      });
+      expect(Array.from(updated.subarray(0, bytes.length))).toEqual(Array.from(bytes));
+      const tail = new TextDecoder("latin1").decode(updated.subarray(bytes.length));
+      expect(tail).toMatch(/\/Prev \d+/);
+      const reloaded = await PDFDocument.load(updated);
+      expect(reloaded.getPageCount()).toBe(2);
+      expect(reloaded.getTitle()).toBe("Revised");
+      expect(reloaded.getPage(0).node.Annots().size()).toBe(1);
+    }
+  });
+
+  it("appends redrawn appearances for form values filled in an incremental update", async () => {
+    const { exportDocument } = await import("../src/pdfService.js");
+    const source = await PDFDocument.create();
+    const page = source.addPage([400, 400]);
+    const form = source.getForm();
+    const name = form.createTextField("name");
+    name.addToPage(page, { x: 20, y: 350, width: 200, height: 20 });
+    name.setText("Old");
+    form.createCheckBox("agree").addToPage(page, { x: 20, y: 320, width: 12, height: 12 });
+    const bytes = await source.save();
+
+    const updated = await exportDocument(bytes, {
+      saveMode: "incremental",
+      formValues: { name: "New value", agree: "Yes" }
+    });
+    expect(Array.from(updated.subarray(0, bytes.length))).toEqual(Array.from(bytes));
+    const tail = new TextDecoder("latin1").decode(updated.subarray(bytes.length));
+    const doc = await PDFDocument.load(updated);
+    const reloaded = doc.getForm();
+    const [widget] = reloaded.getTextField("name").acroField.getWidgets();
+    const appearanceRef = widget.getNormalAppearance();
+    expect(tail).toContain(`\n${appearanceRef.objectNumber} 0 obj`);
+    const appearance = new TextDecoder("latin1").decode(
+      decodePDFRawStream(doc.context.lookup(appearanceRef)).decode()
+    );
+    expect(appearance).toContain("<4E65772076616C7565>");
+    expect(appearance).not.toContain("<4F6C64>");
+    expect(reloaded.getCheckBox("agree").isChecked()).toBe(true);
+  });
+
+  it("shares identical images and drops unused objects when optimizing", async () => {
+    const { exportDocument } = await import("../src/pdfService.js");
+    const source = await PDFDocument.create();
+    source.addPage([300, 300]);
+    source.context.register(source.context.obj({ Orphan: true }));
+    const bytes = await source.save({ useObjectStreams: false });
+    const imageData = Uint8Array.from(Buffer.from(PNG_BASE64, "base64"));
+    const placement = {
+      pageNumber: 1,
+      width: 40,
+      height: 40,
+      overlayWidth: 300,
+      overlayHeight: 300
+    };
+    const updated = await exportDocument(bytes, {
+      imageAssets: [
+        { id: "asset-1", name: "a.png", imageData },
+        { id: "asset-2", name: "b.png", imageData: imageData.slice() }
+      ],
+      imageAnnotations: [
+        { ...placement, id: "image-1", assetId: "asset-1", x: 10, y: 10 },
+        { ...placement, id: "image-2", assetId: "asset-1", x: 100, y: 10 },
+        { ...placement, id: "image-3", assetId: "asset-2", x: 200, y: 10 }
+      ],
+      optimize: { imageDpi: 150, jpegQuality: 0.8 }
+    });
+    const reloaded = await PDFDocument.load(updated);
+    const objects = reloaded.context.enumerateIndirectObjects().map(([, object]) => object);
+    const images = objects.filter(
+      (object) => object.dict?.get(PDFName.of("Subtype")) === PDFName.of("Image")
+    );
+    expect(images).toHaveLength(1);
+    expect(objects.some((object) => object.get?.(PDFName.of("Orphan")))).toBe(false);
+  });
+
+  it("downsamples images already in the PDF to the DPI they are drawn at", async () => {
+    const { exportDocument } = await import("../src/pdfService.js");
+    const doc = await PDFDocument.create();
+    const page = doc.addPage([300, 200]);
+    // 8x4 pixels: the left half red, the right half blue, with a soft mask.
+    const pixels = new Uint8Array(8 * 4 * 3);
+    for (let index = 0; index < 32; index += 1) {
+      pixels.set(index % 8 < 4 ? [255, 0, 0] : [0, 0, 255], index * 3);
+    }
+    const mask = doc.context.flateStream(new Uint8Array(32).fill(128), {
+      Type: "XObject",
+      Subtype: "Image",
+      Width: 8,
+      Height: 4,
+      ColorSpace: "DeviceGray",
+      BitsPerComponent: 8
+    });
+    const image = doc.context.flateStream(pixels, {
+      Type: "XObject",
+      Subtype: "Image",
+      Width: 8,
+      Height: 4,
+      ColorSpace: "DeviceRGB",
+      BitsPerComponent: 8,
+      SMask: doc.context.register(mask)
+    });
+    page.node.setXObject(PDFName.of("Im1"), doc.context.register(image));
+    page.pushOperators(
+      pushGraphicsState(),
+      concatTransformationMatrix(144, 0, 0, 72, 20, 20),
+      drawObject("Im1"),
+      popGraphicsState()
+    );
+    const bytes = await doc.save();
+
+    const updated = await exportDocument(bytes, { optimize: { imageDpi: 2, jpegQuality: 0.8 } });
+    const result = await PDFDocument.load(updated);
+    const resized = result.context.lookup(
+      result.getPage(0).node.Resources().lookup(PDFName.of("XObject")).get(PDFName.of("Im1"))
+    );
+    expect(resized.dict.get(PDFName.of("Width")).asNumber()).toBe(4);
+    expect(resized.dict.get(PDFName.of("Height")).asNumber()).toBe(2);
+    const samples = Array.from(decodePDFRawStream(resized).decode());
+    expect(samples.slice(0, 12)).toEqual([255, 0, 0, 255, 0, 0, 0, 0, 255, 0, 0, 255]);
+    const resizedMask = resized.dict.lookup(PDFName.of("SMask"));
+    expect(resizedMask.dict.get(PDFName.of("Width")).asNumber()).toBe(4);
+    expect(Array.from(decodePDFRawStream(resizedMask).decode())).toEqual(Array(8).fill(128));
+
+    const untouched = await exportDocument(bytes, {
+      optimize: { imageDpi: 300, jpegQuality: 0.8 }
+    });
+    const kept = (await PDFDocument.load(untouched)).getPage(0).node.Resources();
+    const original = kept.lookup(PDFName.of("XObject")).lookup(PDFName.of("Im1"));
+    expect(original.dict.get(PDFName.of("Width")).asNumber()).toBe(8);
+  });
 });
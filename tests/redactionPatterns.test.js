@@ -0,0 +1,65 @@
+import { describe, expect, it } from "vitest";
+import {
+  REDACTION_PATTERNS,
+  findSensitiveMatches,
+  isValidIban,
+  isValidLuhn,
+  parseCustomPatterns
+} from "../src/redactionPatterns.js";
+
+describe("redactionPatterns", () => {
+  it("detects each preset once and skips numbers that fail their checksum", () => {
+    const text = [
+      "Mail jane.doe@example.com or call +1 (555) 123-4567.",
+      "Card 4111 1111 1111 1111, not 4111 1111 1111 1112.",
+      "IBAN GB82 WEST 1234 5698 7654 32 and SSN 123-45-6789.",
+      "Born 1984-03-12, signed March 12, 2024. Invoice INV-2024-0042."
+    ].join("\n");
+    expect(
+      findSensitiveMatches(text, REDACTION_PATTERNS).map(({ patternId, match }) => [
+        patternId,
+        match
+      ])
+    ).toEqual([
+      ["email", "jane.doe@example.com"],
+      ["phone", "+1 (555) 123-4567"],
+      ["card", "4111 1111 1111 1111"],
+      ["iban", "GB82 WEST 1234 5698 7654 32"],
+      ["ssn", "123-45-6789"],
+      ["date", "1984-03-12"],
+      ["date", "March 12, 2024"]
+    ]);
+    expect(isValidLuhn("4111111111111112")).toBe(false);
+    expect(isValidIban("DE89 3704 0044 0532 0130 00")).toBe(true);
+    expect(isValidIban("DE89 3704 0044 0532 0130 01")).toBe(false);
+  });
+
+  it("accepts SSNs with dashes, spaces or no separator", () => {
+    const ssn = REDACTION_PATTERNS.filter(({ id }) => id === "ssn");
+    const text = [
+      "123-45-6789, 123 45 6789 and 123456789.",
+      "Not 000-12-3456, 666 12 3456, 912345678, 123-00-4567, 123 45 0000,",
+      "123-45 6789, 1234567890 or 12-123456789."
+    ].join("\n");
+    expect(findSensitiveMatches(text, ssn).map(({ match }) => match)).toEqual([
+      "123-45-6789",
+      "123 45 6789",
+      "123456789"
+    ]);
+  });
+
+  it("compiles custom patterns and reports the line of a bad one", () => {
+    const custom = parseCustomPatterns("\nINV-\\d{4}-\\d+\n");
+    expect(findSensitiveMatches("Invoice INV-2024-0042.", custom)).toEqual([
+      { start: 8, end: 21, patternId: "custom-2", label: "Custom pattern", match: "INV-2024-0042" }
+    ]);
+    const escaped = parseCustomPatterns("INV\\-\\d+\n[\\w\\-]+@corp");
+    expect(findSensitiveMatches("Ref INV-42 from a-b@corp", escaped).map((m) => m.match)).toEqual([
+      "INV-42",
+      "a-b@corp"
+    ]);
+    const letters = parseCustomPatterns("\\p{Lu}{3}");
+    expect(findSensitiveMatches("code ÄÖÜ", letters).map((m) => m.match)).toEqual(["ÄÖÜ"]);
+    expect(() => parseCustomPatterns("ok\n(unclosed")).toThrow("line 2");
+  });
+});
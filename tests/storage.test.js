@@ -3,9 +3,11 @@ import { describe, expect, it } from "vitest";
 import {
   clearSessionHistory,
   clearSignatureProfile,
+  loadCustomFonts,
   loadLastPdf,
   loadSessionHistory,
   loadSignatureProfile,
+  saveCustomFonts,
   saveLastPdf,
   saveSessionHistory,
   saveSignatureProfile
@@ -48,4 +50,13 @@ describe("storage", () => {
     const cleared = await loadSessionHistory();
     expect(cleared.length).toBe(0);
   });
+
+  it("stores custom fonts", async () => {
+    expect(await loadCustomFonts()).toEqual([]);
+    const fonts = [{ id: "font-1", name: "Noto Sans", fontData: new Uint8Array([0, 1, 0, 0]) }];
+    await saveCustomFonts(fonts);
+    const loaded = await loadCustomFonts();
+    expect(loaded[0].name).toBe("Noto Sans");
+    expect(Array.from(loaded[0].fontData)).toEqual([0, 1, 0, 0]);
+  });
 });
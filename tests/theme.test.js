@@ -13,7 +13,8 @@ vi.mock("../src/pdfService.js", () => {
     },
     reorderPdf: async (bytes) => bytes,
     applyImageAnnotations: async (bytes) => bytes,
-    applyTextAnnotations: async (bytes) => bytes
+    applyTextAnnotations: async (bytes) => bytes,
+    exportDocument: async (bytes) => bytes
   };
 });
 
@@ -0,0 +1,39 @@
+import { describe, expect, it } from "vitest";
+import { crc32, createZip } from "../src/zip.js";
+
+describe("zip", () => {
+  it("stores each file with its CRC and a central directory", () => {
+    const encoder = new TextEncoder();
+    expect(crc32(encoder.encode("123456789"))).toBe(0xcbf43926);
+
+    const files = [
+      { name: "a.pdf", bytes: encoder.encode("%PDF-first") },
+      { name: "Zoë.pdf", bytes: encoder.encode("%PDF-second") }
+    ];
+    const zip = createZip(files, new Date(2024, 4, 17, 10, 30, 42));
+    const view = new DataView(zip.buffer);
+    const end = zip.length - 22;
+    expect(view.getUint32(end, true)).toBe(0x06054b50);
+    expect(view.getUint16(end + 10, true)).toBe(2);
+
+    let central = view.getUint32(end + 16, true);
+    const read = [];
+    for (let index = 0; index < 2; index += 1) {
+      expect(view.getUint32(central, true)).toBe(0x02014b50);
+      const nameLength = view.getUint16(central + 28, true);
+      const name = new TextDecoder().decode(zip.subarray(central + 46, central + 46 + nameLength));
+      const local = view.getUint32(central + 42, true);
+      const size = view.getUint32(local + 18, true);
+      const start = local + 30 + view.getUint16(local + 26, true);
+      const bytes = zip.subarray(start, start + size);
+      expect(view.getUint32(local + 14, true)).toBe(crc32(bytes));
+      expect(view.getUint16(local + 12, true)).toBe((44 << 9) | (5 << 5) | 17);
+      read.push([name, new TextDecoder().decode(bytes)]);
+      central += 46 + nameLength;
+    }
+    expect(read).toEqual([
+      ["a.pdf", "%PDF-first"],
+      ["Zoë.pdf", "%PDF-second"]
+    ]);
+  });
+});